@@ -37,6 +37,13 @@ class AjaxPagination extends elementorModules.frontend.handlers.Base {
   bindEvents() {
     super.bindEvents();
     this.linksEventListeners();
+    if ('ajax' === this.getElementSettings('pagination_load_type')) {
+      this.onPopState = this.onPopState.bind(this);
+      elementorFrontend.elements.$window.on('popstate', this.onPopState);
+    }
+  }
+  unbindEvents() {
+    elementorFrontend.elements.$window.off('popstate', this.onPopState);
   }
   linksEventListeners() {
     if (!this.elements.links.length) {
@@ -60,7 +67,31 @@ class AjaxPagination extends elementorModules.frontend.handlers.Base {
     this.handleUiBeforeLoading();
     const nextPageUrl = event?.target.getAttribute('href');
     this.updateURLQueryString(nextPageUrl);
-    return fetch(nextPageUrl).then(response => response.text()).then(html => {
+    this.currentPage = this.getPageFromURL(nextPageUrl);
+    return this.fetchPage(nextPageUrl);
+  }
+
+  /**
+   * Loads the page of the current URL when navigating the history.
+   */
+  onPopState() {
+    // Each page load replaces the widget container and runs a new handler, so only the current one responds.
+    if (!this.elements.widgetContainer?.isConnected || this.isLoading) {
+      return;
+    }
+    const page = this.getPageFromURL(location.href);
+    if (page === this.currentPage) {
+      return;
+    }
+    this.currentPage = page;
+    this.handleUiBeforeLoading();
+    return this.fetchPage(location.href);
+  }
+  getPageFromURL(url) {
+    return parseInt(new URL(url, location.href).searchParams.get('e-page-' + this.elementId)) || 1;
+  }
+  fetchPage(url) {
+    return fetch(url).then(response => response.text()).then(html => {
       // Convert the HTML string into a document object
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, 'text/html');
@@ -135,6 +166,7 @@ class AjaxPagination extends elementorModules.frontend.handlers.Base {
     super.onInit();
     this.setLoading(false);
     this.elementId = this.getID();
+    this.currentPage = this.getPageFromURL(location.href);
     this.ajaxHelper = new _ajaxHelper.default();
   }
 }
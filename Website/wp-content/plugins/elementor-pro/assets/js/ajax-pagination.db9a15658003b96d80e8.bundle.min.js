@@ -0,0 +1,2 @@
+/*! elementor-pro - v3.21.0 - 20-05-2024 */
+"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[356],{6128:(e,t,n)=>{var i=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var s=i(n(8491)),r=i(n(6399));class AjaxPagination extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{links:"a.page-numbers:not(.current)",widgetContainer:".elementor-widget-container",postWrapperTag:".e-loop-item"}}}getDefaultElements(){const e=this.getSettings("selectors");return{links:this.$element[0].querySelectorAll(e.links),widgetContainer:this.$element[0].querySelector(e.widgetContainer)}}bindEvents(){super.bindEvents(),this.linksEventListeners(),"ajax"===this.getElementSettings("pagination_load_type")&&(this.onPopState=this.onPopState.bind(this),elementorFrontend.elements.$window.on("popstate",this.onPopState))}unbindEvents(){elementorFrontend.elements.$window.off("popstate",this.onPopState)}linksEventListeners(){this.elements.links.length&&"ajax"===this.getElementSettings("pagination_load_type")&&this.elements.links.forEach(e=>{e.addEventListener("click",e=>{this.handleLinkClick(e)})})}handleLinkClick(e){if(e.preventDefault(),this.isLoading)return;this.removeLinksListeners(),this.handleUiBeforeLoading();const t=e?.target.getAttribute("href");return this.updateURLQueryString(t),this.currentPage=this.getPageFromURL(t),this.fetchPage(t)}onPopState(){if(!this.elements.widgetContainer?.isConnected||this.isLoading)return;const e=this.getPageFromURL(location.href);return e!==this.currentPage?(this.currentPage=e,this.handleUiBeforeLoading(),this.fetchPage(location.href)):void 0}getPageFromURL(e){return parseInt(new URL(e,location.href).searchParams.get("e-page-"+this.elementId))||1}fetchPage(e){return fetch(e).then(e=>e.text()).then(e=>{const t=(new DOMParser).parseFromString(e,"text/html");this.handleSuccessFetch(t)})}removeLinksListeners(){this.elements.links.length&&this.elements.links.forEach(e=>{e.removeEventListener("click",this.handleLinkClick)})}updateURLQueryString(e){const t=new URL(window.location.href),n=t.searchParams,i=new URL(e).searchParams;i.forEach((e,t)=>{n.set(t,e)}),i.has("e-page-"+this.elementId)||n.delete("e-page-"+this.elementId),history.pushState(null,"",t.href)}handleUiBeforeLoading(){this.setLoading(!0),this.ajaxHelper.addLoadingAnimationOverlay(this.elementId),this.maybeScrollToTop()}setLoading(e){this.isLoading=e}maybeScrollToTop(){if("yes"!==this.getElementSettings("auto_scroll"))return;const e=document.querySelector(`.elementor-element-${this.elementId}`);e&&e.scrollIntoView({behavior:"smooth"})}handleUiAfterLoading(){this.setLoading(!1),this.ajaxHelper.removeLoadingAnimationOverlay(this.elementId)}handleSuccessFetch(e){this.handleUiAfterLoading();const t=this.getSettings("selectors"),n=e.querySelector(`[data-id="${this.elementId}"] ${t.widgetContainer}`),i=this.elements.widgetContainer;this.$element[0].replaceChild(n,i),this.afterInsertPosts()}afterInsertPosts(){const e=this.getSettings("selectors"),t=document.querySelectorAll(`[data-id="${this.elementId}"] ${e.postWrapperTag}`);elementorFrontend.elementsHandler.runReadyTrigger(this.$element[0]),(0,r.default)(t),elementorFrontend.config.experimentalFeatures.e_lazyload&&document.dispatchEvent(new Event("elementor/lazyload/observe"))}onInit(){super.onInit(),this.setLoading(!1),this.elementId=this.getID(),this.currentPage=this.getPageFromURL(location.href),this.ajaxHelper=new s.default}}t.default=AjaxPagination}}]);
\ No newline at end of file
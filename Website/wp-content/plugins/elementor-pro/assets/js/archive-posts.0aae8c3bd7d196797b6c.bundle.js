@@ -114,9 +114,36 @@ class LoadMore extends elementorModules.frontend.handlers.Base {
       if (this.currentPage === this.maxPage || !this.currentPage) {
         this.handleUiWhenNoPosts();
       }
+      this.restoreLoadedPages();
     }
   }
 
+  /**
+   * Loads the pages that were already loaded before a reload or when coming back to the page, as saved in the URL.
+   *
+   * @return {Promise} Resolves once all the pages are loaded.
+   */
+  restoreLoadedPages() {
+    const loadedPages = parseInt(new URLSearchParams(location.search).get(this.getPageQueryParam()));
+    if (this.isEdit || !loadedPages || this.isLoading || this.currentPage >= Math.min(loadedPages, this.maxPage)) {
+      return Promise.resolve();
+    }
+    return this.handlePostsQuery().then(() => this.restoreLoadedPages());
+  }
+  getPageQueryParam() {
+    return 'e-load-more-' + this.elementId;
+  }
+
+  // The loaded pages replace the current history entry, so going back leaves the list instead of unloading pages.
+  updateURLQueryString() {
+    if (this.isEdit) {
+      return;
+    }
+    const currentUrl = new URL(location.href);
+    currentUrl.searchParams.set(this.getPageQueryParam(), this.currentPage);
+    history.replaceState(history.state, '', currentUrl.href);
+  }
+
   // Handle load more functionality for infinity-scroll type.
   handleInfiniteScroll() {
     if (this.isEdit) {
@@ -185,6 +212,7 @@ class LoadMore extends elementorModules.frontend.handlers.Base {
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, 'text/html');
       this.handleSuccessFetch(doc);
+      this.updateURLQueryString();
     });
   }
 }
@@ -0,0 +1,2 @@
+/*! elementor-pro - v3.21.0 - 20-05-2024 */
+"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[804],{5449:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;const n=864e5,a={daily:1,weekly:7};let r;t.default=elementorModules.frontend.handlers.Base.extend({cache:null,cacheElements(){const e=this.$element.find(".elementor-countdown-wrapper");this.cache={$countDown:e,timeInterval:null,serverTimeOffset:0,elements:{$countdown:e.find(".elementor-countdown-wrapper"),$daysSpan:e.find(".elementor-countdown-days"),$hoursSpan:e.find(".elementor-countdown-hours"),$minutesSpan:e.find(".elementor-countdown-minutes"),$secondsSpan:e.find(".elementor-countdown-seconds"),$expireMessage:e.parent().find(".elementor-countdown-expire--message")},data:{id:this.$element.data("id"),endTime:new Date(1e3*e.data("date")),actions:e.data("expire-actions"),evergreenInterval:e.data("evergreen-interval"),dueDate:e.data("due-date"),timezone:e.data("timezone"),recurrence:e.data("recurrence"),serverTime:"yes"===e.data("server-time")}}},async onInit(){elementorModules.frontend.handlers.Base.prototype.onInit.apply(this,arguments),this.cacheElements(),this.cache.data.serverTime&&(this.cache.serverTimeOffset=await this.getServerTimeOffset()),0<this.cache.data.evergreenInterval?this.cache.data.endTime=this.getEvergreenDate():this.cache.data.dueDate&&this.cache.data.timezone&&(this.cache.data.endTime=this.getZonedDueDate()),a[this.cache.data.recurrence]&&(this.cache.data.endTime=this.getNextOccurrence()),this.initializeClock()},onDestroy(){clearInterval(this.cache?.timeInterval),elementorModules.frontend.handlers.Base.prototype.onDestroy.apply(this,arguments)},getNow(){return new Date(Date.now()+this.cache.serverTimeOffset)},getServerTimeOffset(){const e=elementorFrontend.storage.get("serverTimeOffset",{session:!0});if("number"==typeof e)return Promise.resolve(e);if(!r){const e=Date.now();r=fetch(location.href,{method:"HEAD",cache:"no-store",credentials:"same-origin"}).then(t=>{const n=Date.parse(t.headers.get("Date"));if(isNaN(n))return 0;const a=n+500-(e+Date.now())/2;return elementorFrontend.storage.set("serverTimeOffset",a,{session:!0}),a}).catch(()=>0)}return r},getTimeZoneOffset(e,t){const n={};return new Intl.DateTimeFormat("en-US",{timeZone:t,hourCycle:"h23",year:"numeric",month:"numeric",day:"numeric",hour:"numeric",minute:"numeric",second:"numeric"}).formatToParts(e).forEach(({type:e,value:t})=>n[e]=+t),Date.UTC(n.year,n.month-1,n.day,n.hour,n.minute,n.second)-1e3*Math.floor(e.getTime()/1e3)},zonedTimeToDate(e,t){const n=Date.UTC(e.year,e.month-1,e.day,e.hour,e.minute);let a=this.getTimeZoneOffset(new Date(n),t);return a=this.getTimeZoneOffset(new Date(n-a),t),new Date(n-a)},getDueDateWallTime(){const e=String(this.cache.data.dueDate).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);if(!e)return null;const[t,n,a,r,o]=e.slice(1).map(Number);return{year:t,month:n,day:a,hour:r,minute:o}},getZonedDueDate(){const e=this.getDueDateWallTime();if(!e)return this.cache.data.endTime;try{return this.zonedTimeToDate(e,this.cache.data.timezone)}catch(e){return this.cache.data.endTime}},getNextOccurrence(){const e=a[this.cache.data.recurrence],t=this.getNow(),r=new Date(this.cache.data.endTime),o=this.cache.data.timezone&&this.getDueDateWallTime();if(r>t)return r;const i=Math.floor((t-r)/(e*n));if(!o){let a=r.getTime()+i*e*n;for(;a<=t;)a+=e*n;return new Date(a)}let s;o.day+=i*e;try{do{s=this.zonedTimeToDate(o,this.cache.data.timezone),o.day+=e}while(s<=t)}catch(e){return r}return s},updateClock(){const e=this,t=this.getTimeRemaining(this.cache.data.endTime);if(jQuery.each(t.parts,function(t){const n=e.cache.elements["$"+t+"Span"];let a=this.toString();1===a.length&&(a=0+a),n.length&&n.text(a)}),!(t.total>0)){if(a[this.cache.data.recurrence])return this.$element.trigger("countdown_expire",this.$element),void(this.cache.data.endTime=this.getNextOccurrence());clearInterval(this.cache.timeInterval),this.runActions()}},initializeClock(){const e=this;this.updateClock(),this.cache.timeInterval=setInterval(function(){e.updateClock()},1e3)},runActions(){const e=this;e.$element.trigger("countdown_expire",e.$element),this.cache.data.actions&&this.cache.data.actions.forEach(function(t){switch(t.type){case"hide":e.cache.$countDown.hide();break;case"redirect":t.redirect_url&&t.redirect_url.startsWith("http")&&(window.location.href=t.redirect_url);break;case"message":e.cache.elements.$expireMessage.show()}})},getTimeRemaining(e){const t=e-this.getNow();let n=Math.floor(t/1e3%60),a=Math.floor(t/1e3/60%60),r=Math.floor(t/36e5%24),o=Math.floor(t/864e5);return(o<0||r<0||a<0)&&(n=a=r=o=0),{total:t,parts:{days:o,hours:r,minutes:a,seconds:n}}},parseEvergreenState(e){const[t,n]=(e||"").split(".").map(Number);return t>0?{dueDate:t,interval:n}:null},getEvergreenCookie(e){const t=document.cookie.split("; ").find(t=>t.startsWith(e+"="));return t?decodeURIComponent(t.slice(e.length+1)):null},getEvergreenDate(){const e=this.cache.data.id,t=this.cache.data.evergreenInterval,n=e+"-evergreen",a=e+"-evergreen_due_date",r=e+"-evergreen_interval",o=[localStorage.getItem(n),this.getEvergreenCookie("elementor_"+n)].map(e=>this.parseEvergreenState(e)).filter(Boolean),i=parseInt(localStorage.getItem(a),10);i>0&&t===parseInt(localStorage.getItem(r),10)&&o.push({dueDate:i,interval:t});const s=o.filter(e=>t===e.interval).map(e=>e.dueDate),c=s.length?Math.min(...s):this.getNow().getTime()+1e3*t;if(elementorFrontend.storage.hasConsent&&!elementorFrontend.storage.hasConsent("functional"))return c;const h=[c,t].join(".");return localStorage.setItem(n,h),localStorage.removeItem(a),localStorage.removeItem(r),document.cookie=`elementor_${n}=${encodeURIComponent(h)}; path=/; max-age=31536000; SameSite=Lax`,c}})}}]);
\ No newline at end of file
@@ -14,6 +14,14 @@ Object.defineProperty(exports, "__esModule", ({
   value: true
 }));
 exports["default"] = void 0;
+const DAY_IN_MS = 24 * 60 * 60 * 1000,
+  RECURRENCE_DAYS = {
+    daily: 1,
+    weekly: 7
+  };
+
+// One request for all the countdowns on the page.
+let serverTimeOffsetPromise;
 var _default = exports["default"] = elementorModules.frontend.handlers.Base.extend({
   cache: null,
   cacheElements() {
@@ -21,6 +29,7 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     this.cache = {
       $countDown,
       timeInterval: null,
+      serverTimeOffset: 0,
       elements: {
         $countdown: $countDown.find('.elementor-countdown-wrapper'),
         $daysSpan: $countDown.find('.elementor-countdown-days'),
@@ -33,18 +42,156 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
         id: this.$element.data('id'),
         endTime: new Date($countDown.data('date') * 1000),
         actions: $countDown.data('expire-actions'),
-        evergreenInterval: $countDown.data('evergreen-interval')
+        evergreenInterval: $countDown.data('evergreen-interval'),
+        // Wall-clock due date (`YYYY-MM-DDTHH:mm`) in the IANA `data-timezone`, e.g. `America/New_York`.
+        dueDate: $countDown.data('due-date'),
+        timezone: $countDown.data('timezone'),
+        recurrence: $countDown.data('recurrence'),
+        serverTime: 'yes' === $countDown.data('server-time')
       }
     };
   },
-  onInit() {
+  async onInit() {
     elementorModules.frontend.handlers.Base.prototype.onInit.apply(this, arguments);
     this.cacheElements();
+    if (this.cache.data.serverTime) {
+      this.cache.serverTimeOffset = await this.getServerTimeOffset();
+    }
     if (0 < this.cache.data.evergreenInterval) {
       this.cache.data.endTime = this.getEvergreenDate();
+    } else if (this.cache.data.dueDate && this.cache.data.timezone) {
+      this.cache.data.endTime = this.getZonedDueDate();
+    }
+    if (RECURRENCE_DAYS[this.cache.data.recurrence]) {
+      this.cache.data.endTime = this.getNextOccurrence();
     }
     this.initializeClock();
   },
+  onDestroy() {
+    clearInterval(this.cache?.timeInterval);
+    elementorModules.frontend.handlers.Base.prototype.onDestroy.apply(this, arguments);
+  },
+  getNow() {
+    return new Date(Date.now() + this.cache.serverTimeOffset);
+  },
+
+  /**
+   * The difference between the server clock and the visitor's clock, from the `Date` header of the page.
+   * It is kept for the session, so following pages don't need the request.
+   */
+  getServerTimeOffset() {
+    const storedOffset = elementorFrontend.storage.get('serverTimeOffset', {
+      session: true
+    });
+    if ('number' === typeof storedOffset) {
+      return Promise.resolve(storedOffset);
+    }
+    if (!serverTimeOffsetPromise) {
+      const requestStart = Date.now();
+      serverTimeOffsetPromise = fetch(location.href, {
+        method: 'HEAD',
+        cache: 'no-store',
+        credentials: 'same-origin'
+      }).then(response => {
+        const serverTime = Date.parse(response.headers.get('Date'));
+        if (isNaN(serverTime)) {
+          return 0;
+        }
+
+        // The header has a seconds precision and was sent around the middle of the request.
+        const offset = serverTime + 500 - (requestStart + Date.now()) / 2;
+        elementorFrontend.storage.set('serverTimeOffset', offset, {
+          session: true
+        });
+        return offset;
+      }).catch(() => 0);
+    }
+    return serverTimeOffsetPromise;
+  },
+  getTimeZoneOffset(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).forEach(({
+      type,
+      value
+    }) => parts[type] = +value);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(date.getTime() / 1000) * 1000;
+  },
+  zonedTimeToDate(wallTime, timeZone) {
+    const utcTime = Date.UTC(wallTime.year, wallTime.month - 1, wallTime.day, wallTime.hour, wallTime.minute);
+    let offset = this.getTimeZoneOffset(new Date(utcTime), timeZone);
+
+    // A second pass, in case the offset changes (DST) between the UTC time and the local one.
+    offset = this.getTimeZoneOffset(new Date(utcTime - offset), timeZone);
+    return new Date(utcTime - offset);
+  },
+  getDueDateWallTime() {
+    const match = String(this.cache.data.dueDate).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);
+    if (!match) {
+      return null;
+    }
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return {
+      year,
+      month,
+      day,
+      hour,
+      minute
+    };
+  },
+  getZonedDueDate() {
+    const wallTime = this.getDueDateWallTime();
+    if (!wallTime) {
+      return this.cache.data.endTime;
+    }
+    try {
+      return this.zonedTimeToDate(wallTime, this.cache.data.timezone);
+    } catch (e) {
+      // Unknown timezone, keep the server computed date.
+      return this.cache.data.endTime;
+    }
+  },
+
+  /**
+   * The first occurrence of a daily or weekly countdown that is still ahead.
+   * With a timezone the occurrences keep their wall-clock time across DST changes.
+   */
+  getNextOccurrence() {
+    const stepDays = RECURRENCE_DAYS[this.cache.data.recurrence],
+      now = this.getNow(),
+      endTime = new Date(this.cache.data.endTime),
+      wallTime = this.cache.data.timezone && this.getDueDateWallTime();
+    if (endTime > now) {
+      return endTime;
+    }
+    const skippedSteps = Math.floor((now - endTime) / (stepDays * DAY_IN_MS));
+    if (!wallTime) {
+      let nextTime = endTime.getTime() + skippedSteps * stepDays * DAY_IN_MS;
+      while (nextTime <= now) {
+        nextTime += stepDays * DAY_IN_MS;
+      }
+      return new Date(nextTime);
+    }
+    let nextDate;
+    wallTime.day += skippedSteps * stepDays;
+    try {
+      do {
+        nextDate = this.zonedTimeToDate(wallTime, this.cache.data.timezone);
+        wallTime.day += stepDays;
+      } while (nextDate <= now);
+    } catch (e) {
+      return endTime;
+    }
+    return nextDate;
+  },
   updateClock() {
     const self = this,
       timeRemaining = this.getTimeRemaining(this.cache.data.endTime);
@@ -58,10 +205,17 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
         $element.text(partValue);
       }
     });
-    if (timeRemaining.total <= 0) {
-      clearInterval(this.cache.timeInterval);
-      this.runActions();
+    if (timeRemaining.total > 0) {
+      return;
     }
+    if (RECURRENCE_DAYS[this.cache.data.recurrence]) {
+      // Recurring countdowns only announce the expiry and start over.
+      this.$element.trigger('countdown_expire', this.$element);
+      this.cache.data.endTime = this.getNextOccurrence();
+      return;
+    }
+    clearInterval(this.cache.timeInterval);
+    this.runActions();
   },
   initializeClock() {
     const self = this;
@@ -95,7 +249,7 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     });
   },
   getTimeRemaining(endTime) {
-    const timeRemaining = endTime - new Date();
+    const timeRemaining = endTime - this.getNow();
     let seconds = Math.floor(timeRemaining / 1000 % 60),
       minutes = Math.floor(timeRemaining / 1000 / 60 % 60),
       hours = Math.floor(timeRemaining / (1000 * 60 * 60) % 24),
@@ -113,32 +267,51 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
       }
     };
   },
+  parseEvergreenState(value) {
+    const [dueDate, interval] = (value || '').split('.').map(Number);
+    return dueDate > 0 ? {
+      dueDate,
+      interval
+    } : null;
+  },
+  getEvergreenCookie(name) {
+    const cookie = document.cookie.split('; ').find(item => item.startsWith(name + '='));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+  },
+
+  /**
+   * The evergreen due date is kept both in `localStorage` and in a cookie, so clearing one of them doesn't restart the
+   * timer, the earliest due date wins. Both are in the visitor's hands, a restart can't be prevented client side.
+   */
   getEvergreenDate() {
-    const self = this,
-      id = this.cache.data.id,
+    const id = this.cache.data.id,
       interval = this.cache.data.evergreenInterval,
-      dueDateKey = id + '-evergreen_due_date',
-      intervalKey = id + '-evergreen_interval',
-      localData = {
-        dueDate: localStorage.getItem(dueDateKey),
-        interval: localStorage.getItem(intervalKey)
-      },
-      initEvergreen = function () {
-        var evergreenDueDate = new Date();
-        self.cache.data.endTime = evergreenDueDate.setSeconds(evergreenDueDate.getSeconds() + interval);
-        localStorage.setItem(dueDateKey, self.cache.data.endTime);
-        localStorage.setItem(intervalKey, interval);
-        return self.cache.data.endTime;
-      };
-    if (null === localData.dueDate && null === localData.interval) {
-      return initEvergreen();
-    }
-    if (null !== localData.dueDate && interval !== parseInt(localData.interval, 10)) {
-      return initEvergreen();
-    }
-    if (localData.dueDate > 0 && parseInt(localData.interval, 10) === interval) {
-      return localData.dueDate;
+      stateKey = id + '-evergreen',
+      legacyDueDateKey = id + '-evergreen_due_date',
+      legacyIntervalKey = id + '-evergreen_interval',
+      states = [localStorage.getItem(stateKey), this.getEvergreenCookie('elementor_' + stateKey)].map(value => this.parseEvergreenState(value)).filter(Boolean),
+      legacyDueDate = parseInt(localStorage.getItem(legacyDueDateKey), 10);
+
+    // Due dates saved before the state was shared with the cookie.
+    if (legacyDueDate > 0 && interval === parseInt(localStorage.getItem(legacyIntervalKey), 10)) {
+      states.push({
+        dueDate: legacyDueDate,
+        interval
+      });
+    }
+    const dueDates = states.filter(state => interval === state.interval).map(state => state.dueDate),
+      dueDate = dueDates.length ? Math.min(...dueDates) : this.getNow().getTime() + interval * 1000;
+
+    // Without consent the due date only lives for this page view.
+    if (elementorFrontend.storage.hasConsent && !elementorFrontend.storage.hasConsent('functional')) {
+      return dueDate;
     }
+    const state = [dueDate, interval].join('.');
+    localStorage.setItem(stateKey, state);
+    localStorage.removeItem(legacyDueDateKey);
+    localStorage.removeItem(legacyIntervalKey);
+    document.cookie = `elementor_${stateKey}=${encodeURIComponent(state)}; path=/; max-age=${365 * 24 * 60 * 60}; SameSite=Lax`;
+    return dueDate;
   }
 });
 
@@ -290,7 +290,7 @@ exports["default"] = void 0;
 class _default extends elementorModules.Module {
   constructor() {
     super();
-    elementorFrontend.elementsHandler.attachHandler('form', [() => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-steps */ "../modules/forms/assets/js/frontend/handlers/form-steps.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-sender */ "../modules/forms/assets/js/frontend/handlers/form-sender.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-redirect */ "../modules/forms/assets/js/frontend/handlers/form-redirect.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/fields/date */ "../modules/forms/assets/js/frontend/handlers/fields/date.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/recaptcha */ "../modules/forms/assets/js/frontend/handlers/recaptcha.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/fields/time */ "../modules/forms/assets/js/frontend/handlers/fields/time.js"))]);
+    elementorFrontend.elementsHandler.attachHandler('form', [() => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/conditions */ "../modules/forms/assets/js/frontend/handlers/conditions.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-steps */ "../modules/forms/assets/js/frontend/handlers/form-steps.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-draft */ "../modules/forms/assets/js/frontend/handlers/form-draft.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-sender */ "../modules/forms/assets/js/frontend/handlers/form-sender.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-redirect */ "../modules/forms/assets/js/frontend/handlers/form-redirect.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/fields/date */ "../modules/forms/assets/js/frontend/handlers/fields/date.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/recaptcha */ "../modules/forms/assets/js/frontend/handlers/recaptcha.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/fields/time */ "../modules/forms/assets/js/frontend/handlers/fields/time.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/fields/upload */ "../modules/forms/assets/js/frontend/handlers/fields/upload.js"))]);
     elementorFrontend.elementsHandler.attachHandler('subscribe', [() => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-steps */ "../modules/forms/assets/js/frontend/handlers/form-steps.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-sender */ "../modules/forms/assets/js/frontend/handlers/form-sender.js")), () => __webpack_require__.e(/*! import() | form */ "form").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/form-redirect */ "../modules/forms/assets/js/frontend/handlers/form-redirect.js"))]);
   }
 }
@@ -391,6 +391,35 @@ class BaseFilterFrontendModule extends elementorModules.Module {
   constructor() {
     super();
     this.loopWidgetsStore = new _loopWidgetsStore.default();
+    this.widgetsToRestore = {};
+  }
+
+  /**
+   * Replaces the filter data of a loop widget with the state from the URL, on first load or when navigating the
+   * history, then refreshes the widget without adding a history entry. Filters of the same widget restored together
+   * share a single refresh.
+   *
+   * @param {string}      widgetId
+   * @param {string}      filterId
+   * @param {Object|null} filter                     new data for this filterId in loopWidgetsStore, null to remove it
+   * @param {string}      multipleFiltersLogicalJoin AND / OR / 'DISABLED' for single filter (default)
+   */
+  restoreFilterForLoopWidget(widgetId, filterId, filter) {
+    let multipleFiltersLogicalJoin = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : 'DISABLED';
+    this.loopWidgetsStore.maybeInitializeWidget(widgetId);
+    this.loopWidgetsStore.unsetFilter(widgetId, filterId);
+    if (filter) {
+      this.setFilterDataForLoopWidget(widgetId, filterId, filter, false, multipleFiltersLogicalJoin);
+    }
+    this.widgetsToRestore[widgetId] = filterId;
+    clearTimeout(this.restoreTimeout);
+    this.restoreTimeout = setTimeout(() => {
+      const widgetsToRestore = this.widgetsToRestore;
+      this.widgetsToRestore = {};
+      for (const id in widgetsToRestore) {
+        this.refreshLoopWidget(id, widgetsToRestore[id], false);
+      }
+    });
   }
 
   /**
@@ -507,7 +536,7 @@ class BaseFilterFrontendModule extends elementorModules.Module {
       if (!key.startsWith('e-filter')) {
         updatedParams.append(key, value);
       }
-      if (key.startsWith('e-page-' + widgetId)) {
+      if (key.startsWith('e-page-' + widgetId) || key.startsWith('e-load-more-' + widgetId)) {
         updatedParams.delete(key);
       }
     });
@@ -651,8 +680,11 @@ class BaseFilterFrontendModule extends elementorModules.Module {
     return div.firstElementChild;
   }
   refreshLoopWidget(widgetId, filterId) {
+    let updateURL = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : true;
     this.loopWidgetsStore.consolidateFilters(widgetId);
-    this.updateURLQueryString(widgetId, filterId);
+    if (updateURL) {
+      this.updateURLQueryString(widgetId, filterId);
+    }
     const widget = document.querySelector(`.elementor-element-${widgetId}`);
     if (!widget) {
       return;
@@ -1227,7 +1259,10 @@ class _default extends elementorModules.frontend.Document {
     this.setStorage('disable', true);
   }
   setStorage(key, value, options) {
-    elementorFrontend.storage.set(`popup_${this.getSettings('id')}_${key}`, value, options);
+    elementorFrontend.storage.set(`popup_${this.getSettings('id')}_${key}`, value, {
+      category: 'marketing',
+      ...options
+    });
   }
   getStorage(key, options) {
     return elementorFrontend.storage.get(`popup_${this.getSettings('id')}_${key}`, options);
@@ -1291,14 +1326,18 @@ Object.defineProperty(exports, "__esModule", ({
 }));
 exports["default"] = void 0;
 var _document = _interopRequireDefault(__webpack_require__(/*! ./document */ "../modules/popup/assets/js/frontend/document.js"));
+var _scheduler = _interopRequireDefault(__webpack_require__(/*! ./scheduler */ "../modules/popup/assets/js/frontend/scheduler.js"));
 class _default extends elementorModules.Module {
   constructor() {
     super();
     elementorFrontend.hooks.addAction('elementor/frontend/documents-manager/init-classes', this.addDocumentClass);
     elementorFrontend.elementsHandler.attachHandler('form', () => __webpack_require__.e(/*! import() | popup */ "popup").then(__webpack_require__.bind(__webpack_require__, /*! ./handlers/forms-action */ "../modules/popup/assets/js/frontend/handlers/forms-action.js")));
     elementorFrontend.on('components:init', () => this.onFrontendComponentsInit());
+    this.timingPredicates = {};
+    this.scheduler = new _scheduler.default();
     if (!elementorFrontend.isEditMode() && !elementorFrontend.isWPPreviewMode()) {
       this.setViewsAndSessions();
+      this.setUtmParams();
     }
   }
   addDocumentClass(documentsManager) {
@@ -1306,17 +1345,49 @@ class _default extends elementorModules.Module {
   }
   setViewsAndSessions() {
     const pageViews = elementorFrontend.storage.get('pageViews') || 0;
-    elementorFrontend.storage.set('pageViews', pageViews + 1);
+    elementorFrontend.storage.set('pageViews', pageViews + 1, {
+      category: 'marketing'
+    });
     const activeSession = elementorFrontend.storage.get('activeSession', {
       session: true
     });
     if (!activeSession) {
       elementorFrontend.storage.set('activeSession', true, {
-        session: true
+        session: true,
+        category: 'marketing'
       });
       const sessions = elementorFrontend.storage.get('sessions') || 0;
-      elementorFrontend.storage.set('sessions', sessions + 1);
+      elementorFrontend.storage.set('sessions', sessions + 1, {
+        category: 'marketing'
+      });
+    }
+  }
+  /**
+   * Keep the campaign of the landing page, so the `utm` timing can match it on the following pages.
+   * A new campaign link replaces the stored one.
+   */
+  setUtmParams() {
+    const searchParams = new URLSearchParams(location.search),
+      utmParams = {};
+    ['source', 'medium', 'campaign'].forEach(param => {
+      const value = searchParams.get('utm_' + param);
+      if (value) {
+        utmParams[param] = value;
+      }
+    });
+    if (!Object.keys(utmParams).length) {
+      return;
     }
+    elementorFrontend.storage.set('utmParams', utmParams, {
+      lifetimeInSeconds: 30 * 24 * 60 * 60,
+      category: 'marketing'
+    });
+  }
+  registerTimingPredicate(name, callback) {
+    this.timingPredicates[name] = callback;
+  }
+  getTimingPredicate(name) {
+    return this.timingPredicates[name];
   }
   showPopup(settings, event) {
     const popup = elementorFrontend.documentsManager.documents[settings.id];
@@ -1350,6 +1421,132 @@ exports["default"] = _default;
 
 /***/ }),
 
+/***/ "../modules/popup/assets/js/frontend/scheduler.js":
+/*!********************************************************!*\
+  !*** ../modules/popup/assets/js/frontend/scheduler.js ***!
+  \********************************************************/
+/***/ ((__unused_webpack_module, exports) => {
+
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+/**
+ * Shows the popups opened by triggers one at a time, highest `priority` document setting first.
+ *
+ * Settings (filtered by `elementor-pro/popup/scheduler-settings` whenever they are used, so the filter can be added
+ * at any time before the popups show):
+ * - `limit`: How many triggered popups may show per `period` ('session' or 'day'), 0 for no limit.
+ * - `cooldown`: Seconds to wait after a popup was closed before the next one shows.
+ *
+ * Popups opened by a click or an URL action are not scheduled.
+ */
+class _default extends elementorModules.Module {
+  constructor() {
+    super(...arguments);
+    this.queue = [];
+    this.activeDocument = null;
+    this.requestsCount = 0;
+    elementorFrontend.elements.$document.on('elementor/popup/hide', (event, id) => this.onPopupHide(id));
+  }
+  getDefaultSettings() {
+    return {
+      limit: 0,
+      period: 'session',
+      cooldown: 0
+    };
+  }
+  getSchedulerSettings() {
+    return elementorFrontend.hooks.applyFilters('elementor-pro/popup/scheduler-settings', jQuery.extend({}, this.getSettings()));
+  }
+  request(document) {
+    if (this.queue.some(item => item.document === document)) {
+      return;
+    }
+    this.queue.push({
+      document,
+      priority: +document.getDocumentSettings('priority') || 0,
+      order: this.requestsCount++
+    });
+
+    // Triggers that fire together (e.g. several page load triggers) compete by priority.
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = setTimeout(() => this.flush());
+  }
+  flush() {
+    if (this.activeDocument || !this.queue.length) {
+      return;
+    }
+    const cooldownLeft = (elementorFrontend.storage.get('popupCooldownUntil') || 0) - Date.now();
+    if (cooldownLeft > 0) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = setTimeout(() => this.flush(), cooldownLeft);
+      return;
+    }
+    this.queue.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    while (this.queue.length && !this.isLimitReached()) {
+      const {
+        document
+      } = this.queue.shift();
+      document.showModal(true);
+      if (document.getModal().isVisible()) {
+        this.activeDocument = document;
+        this.countShown();
+        return;
+      }
+    }
+  }
+  onPopupHide(id) {
+    if (!this.activeDocument || this.activeDocument.getSettings('id') !== id) {
+      return;
+    }
+    this.activeDocument = null;
+    const {
+      cooldown
+    } = this.getSchedulerSettings();
+    if (cooldown) {
+      elementorFrontend.storage.set('popupCooldownUntil', Date.now() + cooldown * 1000, {
+        lifetimeInSeconds: cooldown,
+        category: 'marketing'
+      });
+    }
+    this.flush();
+  }
+  getShownCount() {
+    const {
+        period
+      } = this.getSchedulerSettings(),
+      shown = elementorFrontend.storage.get('popupsShown', {
+        session: 'session' === period
+      });
+    if (!shown || ('day' === period && shown.day !== new Date().toDateString())) {
+      return 0;
+    }
+    return shown.count;
+  }
+  countShown() {
+    const isSession = 'session' === this.getSchedulerSettings().period;
+    elementorFrontend.storage.set('popupsShown', {
+      day: new Date().toDateString(),
+      count: this.getShownCount() + 1
+    }, {
+      session: isSession,
+      category: 'marketing'
+    });
+  }
+  isLimitReached() {
+    const {
+      limit
+    } = this.getSchedulerSettings();
+    return limit > 0 && this.getShownCount() >= limit;
+  }
+}
+exports["default"] = _default;
+
+/***/ }),
+
 /***/ "../modules/popup/assets/js/frontend/timing.js":
 /*!*****************************************************!*\
   !*** ../modules/popup/assets/js/frontend/timing.js ***!
@@ -1372,6 +1569,8 @@ var _devices = _interopRequireDefault(__webpack_require__(/*! ./timing/devices *
 var _times = _interopRequireDefault(__webpack_require__(/*! ./timing/times */ "../modules/popup/assets/js/frontend/timing/times.js"));
 var _browsers = _interopRequireDefault(__webpack_require__(/*! ./timing/browsers */ "../modules/popup/assets/js/frontend/timing/browsers.js"));
 var _schedule = _interopRequireDefault(__webpack_require__(/*! ./timing/schedule */ "../modules/popup/assets/js/frontend/timing/schedule.js"));
+var _utm = _interopRequireDefault(__webpack_require__(/*! ./timing/utm */ "../modules/popup/assets/js/frontend/timing/utm.js"));
+var _custom = _interopRequireDefault(__webpack_require__(/*! ./timing/custom */ "../modules/popup/assets/js/frontend/timing/custom.js"));
 class _default extends elementorModules.Module {
   constructor(settings, document) {
     super(settings);
@@ -1385,8 +1584,16 @@ class _default extends elementorModules.Module {
       devices: _devices.default,
       times: _times.default,
       browsers: _browsers.default,
-      schedule: _schedule.default
+      schedule: _schedule.default,
+      utm: _utm.default,
+      custom: _custom.default
     };
+
+    /**
+     * Third-party timing classes are added by key, the popup timing settings enable them with `{key}: 'yes'`
+     * and pass their options as `{key}_{option}`, see `timing/base.js`.
+     */
+    this.timingClasses = elementorFrontend.hooks.applyFilters('elementor-pro/popup/timing-classes', this.timingClasses, document);
   }
   check() {
     const settings = this.getSettings();
@@ -1463,6 +1670,47 @@ exports["default"] = _default;
 
 /***/ }),
 
+/***/ "../modules/popup/assets/js/frontend/timing/custom.js":
+/*!**************************************************************!*\
+  !*** ../modules/popup/assets/js/frontend/timing/custom.js ***!
+  \**************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+
+
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/popup/assets/js/frontend/timing/base.js"));
+/**
+ * Shows the popup when a predicate registered under the configured name returns true.
+ *
+ * Predicates are registered from custom code, e.g.:
+ * `elementorProFrontend.modules.popup.registerTimingPredicate('returning-customer', () => !!window.myShop?.customerId);`
+ */
+class _default extends _base.default {
+  getName() {
+    return 'custom';
+  }
+  check() {
+    const predicateName = this.getTimingSetting('predicate'),
+      predicate = elementorProFrontend.modules.popup.getTimingPredicate(predicateName);
+    if (!predicate) {
+      return false;
+    }
+    try {
+      return !!predicate(this.document, this.getSettings());
+    } catch (e) {
+      return false;
+    }
+  }
+}
+exports["default"] = _default;
+
+/***/ }),
+
 /***/ "../modules/popup/assets/js/frontend/timing/devices.js":
 /*!*************************************************************!*\
   !*** ../modules/popup/assets/js/frontend/timing/devices.js ***!
@@ -1912,6 +2160,40 @@ exports["default"] = _default;
 
 /***/ }),
 
+/***/ "../modules/popup/assets/js/frontend/timing/utm.js":
+/*!***********************************************************!*\
+  !*** ../modules/popup/assets/js/frontend/timing/utm.js ***!
+  \***********************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+
+
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/popup/assets/js/frontend/timing/base.js"));
+class _default extends _base.default {
+  getName() {
+    return 'utm';
+  }
+  check() {
+    const utmParams = elementorFrontend.storage.get('utmParams') || {};
+    return ['source', 'medium', 'campaign'].every(param => {
+      const allowedValues = this.getTimingSetting(param);
+      if (!allowedValues) {
+        return true;
+      }
+      const value = (utmParams[param] || '').toLowerCase();
+      return allowedValues.split(',').some(allowedValue => allowedValue.trim().toLowerCase() === value);
+    });
+  }
+}
+exports["default"] = _default;
+
+/***/ }),
+
 /***/ "../modules/popup/assets/js/frontend/triggers.js":
 /*!*******************************************************!*\
   !*** ../modules/popup/assets/js/frontend/triggers.js ***!
@@ -1962,7 +2244,7 @@ class _default extends elementorModules.Module {
     this.triggers = [];
   }
   onTriggerFired() {
-    this.document.showModal(true);
+    elementorProFrontend.modules.popup.scheduler.request(this.document);
     this.destroyTriggers();
   }
 }
@@ -2049,24 +2331,146 @@ Object.defineProperty(exports, "__esModule", ({
 }));
 exports["default"] = void 0;
 var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/popup/assets/js/frontend/triggers/base.js"));
+const MOBILE_STRATEGIES = ['scroll_up', 'back_button', 'tab_hidden'];
+
+// Minimal upward scroll speed (px/ms) that counts as heading for the address bar.
+const SCROLL_UP_SPEED = {
+  low: 2.5,
+  medium: 1.5,
+  high: 0.8
+};
+
+// Scrolls stop for this long (ms) once an in-page anchor is reached.
+const ANCHOR_SCROLL_IDLE_DELAY = 200;
+
+/**
+ * Desktop: the mouse leaves the window through the top edge.
+ *
+ * Touch devices (and desktop with `exit_intent_mobile_on_desktop`), unless `exit_intent_mobile` is 'no':
+ * - `scroll_up`: A fast scroll back toward the top of the page, see `exit_intent_sensitivity`. Scrolls to in-page
+ *   anchors (e.g. Table of Contents links) don't count.
+ * - `back_button`: The back button, caught by an extra history entry.
+ * - `tab_hidden`: Switching to another tab or app.
+ * `exit_intent_mobile_strategies` limits which of them run.
+ */
 class _default extends _base.default {
   constructor() {
     super(...arguments);
     this.detectExitIntent = this.detectExitIntent.bind(this);
+    this.detectScrollUp = this.detectScrollUp.bind(this);
+    this.ignoreAnchorScroll = this.ignoreAnchorScroll.bind(this);
+    this.onPopState = this.onPopState.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    this.addHistoryEntry = this.addHistoryEntry.bind(this);
+    this.lastScroll = null;
+    this.maxScrollY = 0;
+    this.isAnchorScroll = false;
+    this.anchorScrollTimeout = null;
+    this.hasHistoryEntry = false;
   }
   getName() {
     return 'exit_intent';
   }
+  getMobileStrategies() {
+    const isEnabled = elementorFrontend.utils.environment.isTouchDevice ? 'no' !== this.getTriggerSetting('mobile') : 'yes' === this.getTriggerSetting('mobile_on_desktop');
+    if (!isEnabled) {
+      return [];
+    }
+    const strategies = this.getTriggerSetting('mobile_strategies');
+    return strategies?.length ? strategies.filter(strategy => MOBILE_STRATEGIES.includes(strategy)) : MOBILE_STRATEGIES;
+  }
   detectExitIntent(event) {
     if (event.clientY <= 0) {
       this.callback();
     }
   }
+  detectScrollUp() {
+    if (this.isAnchorScroll) {
+      this.ignoreAnchorScroll();
+      return;
+    }
+    const now = performance.now(),
+      lastScroll = this.lastScroll;
+    this.lastScroll = {
+      y: scrollY,
+      time: now
+    };
+    this.maxScrollY = Math.max(this.maxScrollY, scrollY);
+
+    // Ignore the bounce and the first screen, the visitor has to scroll the page before heading back.
+    if (!lastScroll || this.maxScrollY < innerHeight || scrollY >= lastScroll.y || now === lastScroll.time) {
+      return;
+    }
+    const speed = (lastScroll.y - scrollY) / (now - lastScroll.time),
+      minSpeed = SCROLL_UP_SPEED[this.getTriggerSetting('sensitivity')] || SCROLL_UP_SPEED.medium;
+    if (speed >= minSpeed) {
+      this.callback();
+    }
+  }
+
+  // Anchor links are followed with a smooth scroll, as fast as a visitor heading for the address bar. The scroll is
+  // ignored until it stops.
+  ignoreAnchorScroll(event) {
+    const link = 'click' === event?.type ? event.currentTarget : null;
+    if (link && (!link.hash || link.host !== location.host || link.pathname !== location.pathname)) {
+      return;
+    }
+    this.isAnchorScroll = true;
+    this.lastScroll = null;
+    clearTimeout(this.anchorScrollTimeout);
+    this.anchorScrollTimeout = setTimeout(() => {
+      this.isAnchorScroll = false;
+    }, ANCHOR_SCROLL_IDLE_DELAY);
+  }
+
+  // Browsers skip history entries added without a user gesture when going back, so the entry is added on the first touch.
+  addHistoryEntry() {
+    if (!history.state?.elementorExitIntent) {
+      history.pushState({
+        elementorExitIntent: true
+      }, '');
+    }
+    this.hasHistoryEntry = true;
+  }
+
+  // Only leaving the extra entry is the back button, other entries (e.g. anchors) pop too.
+  onPopState(event) {
+    if (!this.hasHistoryEntry || event.originalEvent.state?.elementorExitIntent) {
+      return;
+    }
+    this.hasHistoryEntry = false;
+    this.callback();
+  }
+  onVisibilityChange() {
+    if ('hidden' === document.visibilityState) {
+      this.callback();
+    }
+  }
   run() {
-    elementorFrontend.elements.$window.on('mouseleave', this.detectExitIntent);
+    const $window = elementorFrontend.elements.$window,
+      strategies = this.getMobileStrategies();
+    $window.on('mouseleave', this.detectExitIntent);
+    if (strategies.includes('scroll_up')) {
+      $window.on('scroll', this.detectScrollUp).on('hashchange', this.ignoreAnchorScroll);
+      elementorFrontend.elements.$document.on('click', 'a[href*="#"]', this.ignoreAnchorScroll);
+    }
+    if (strategies.includes('back_button')) {
+      $window.one('touchstart mousedown keydown', this.addHistoryEntry).on('popstate', this.onPopState);
+    }
+    if (strategies.includes('tab_hidden')) {
+      elementorFrontend.elements.$document.on('visibilitychange', this.onVisibilityChange);
+    }
   }
   destroy() {
-    elementorFrontend.elements.$window.off('mouseleave', this.detectExitIntent);
+    elementorFrontend.elements.$window.off('mouseleave', this.detectExitIntent).off('scroll', this.detectScrollUp).off('hashchange', this.ignoreAnchorScroll).off('touchstart mousedown keydown', this.addHistoryEntry).off('popstate', this.onPopState);
+    elementorFrontend.elements.$document.off('visibilitychange', this.onVisibilityChange).off('click', 'a[href*="#"]', this.ignoreAnchorScroll);
+    clearTimeout(this.anchorScrollTimeout);
+
+    // Drop the extra entry, the back button would otherwise seem to do nothing once.
+    if (this.hasHistoryEntry && history.state?.elementorExitIntent) {
+      history.back();
+    }
+    this.hasHistoryEntry = false;
   }
 }
 exports["default"] = _default;
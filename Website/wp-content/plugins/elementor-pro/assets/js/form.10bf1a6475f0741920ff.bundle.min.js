@@ -1,2 +0,0 @@
-/*! elementor-pro - v3.21.0 - 20-05-2024 */
-"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[680],{2679:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class DataTimeFieldBase extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{fields:this.getFieldsSelector()},classes:{useNative:"elementor-use-native"}}}getDefaultElements(){const{selectors:e}=this.getDefaultSettings();return{$fields:this.$element.find(e.fields)}}addPicker(e){const{classes:t}=this.getDefaultSettings();jQuery(e).hasClass(t.useNative)||e.flatpickr(this.getPickerOptions(e))}onInit(){super.onInit(...arguments),this.elements.$fields.each(((e,t)=>this.addPicker(t)))}}t.default=DataTimeFieldBase},784:(e,t,s)=>{var r=s(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=r(s(2679));class DateField extends i.default{getFieldsSelector(){return".elementor-date-field"}getPickerOptions(e){const t=jQuery(e);return{minDate:t.attr("min")||null,maxDate:t.attr("max")||null,allowInput:!0}}}t.default=DateField},5347:(e,t,s)=>{var r=s(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=r(s(2679));class TimeField extends i.default{getFieldsSelector(){return".elementor-time-field"}getPickerOptions(){return{noCalendar:!0,enableTime:!0,allowInput:!0}}}t.default=TimeField},6529:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=elementorModules.frontend.handlers.Base.extend({getDefaultSettings:()=>({selectors:{form:".elementor-form"}}),getDefaultElements(){var e=this.getSettings("selectors"),t={};return t.$form=this.$element.find(e.form),t},bindEvents(){this.elements.$form.on("form_destruct",this.handleSubmit)},handleSubmit(e,t){void 0!==t.data.redirect_url&&(location.href=t.data.redirect_url)}})},1393:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=elementorModules.frontend.handlers.Base.extend({getDefaultSettings:()=>({selectors:{form:".elementor-form",submitButton:'[type="submit"]'},action:"elementor_pro_forms_send_form",ajaxUrl:elementorProFrontend.config.ajaxurl}),getDefaultElements(){const e=this.getSettings("selectors"),t={};return t.$form=this.$element.find(e.form),t.$submitButton=t.$form.find(e.submitButton),t},bindEvents(){this.elements.$form.on("submit",this.handleSubmit);const e=this.elements.$form.find("input[type=file]");e.length&&e.on("change",this.validateFileSize)},validateFileSize(e){const t=jQuery(e.currentTarget),s=t[0].files;if(!s.length)return;const r=1024*parseInt(t.attr("data-maxsize"))*1024,i=t.attr("data-maxsize-message");Array.prototype.slice.call(s).forEach((e=>{r<e.size&&(t.parent().addClass("elementor-error").append('<span class="elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline" role="alert">'+i+"</span>").find(":input").attr("aria-invalid","true"),this.elements.$form.trigger("error"))}))},beforeSend(){const e=this.elements.$form;e.animate({opacity:"0.45"},500).addClass("elementor-form-waiting"),e.find(".elementor-message").remove(),e.find(".elementor-error").removeClass("elementor-error"),e.find("div.elementor-field-group").removeClass("error").find("span.elementor-form-help-inline").remove().end().find(":input").attr("aria-invalid","false"),this.elements.$submitButton.attr("disabled","disabled").find("> span").prepend('<span class="elementor-button-text elementor-form-spinner"><i class="fa fa-spinner fa-spin"></i>&nbsp;</span>')},getFormData(){const e=new FormData(this.elements.$form[0]);return e.append("action",this.getSettings("action")),e.append("referrer",location.toString()),e},onSuccess(e){const t=this.elements.$form;this.elements.$submitButton.removeAttr("disabled").find(".elementor-form-spinner").remove(),t.animate({opacity:"1"},100).removeClass("elementor-form-waiting"),e.success?(t.trigger("submit_success",e.data),t.trigger("form_destruct",e.data),t.trigger("reset"),void 0!==e.data.message&&""!==e.data.message&&t.append('<div class="elementor-message elementor-message-success" role="alert">'+e.data.message+"</div>")):(e.data.errors&&(jQuery.each(e.data.errors,(function(e,s){t.find("#form-field-"+e).parent().addClass("elementor-error").append('<span class="elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline" role="alert">'+s+"</span>").find(":input").attr("aria-invalid","true")})),t.trigger("error")),t.append('<div class="elementor-message elementor-message-danger" role="alert">'+e.data.message+"</div>"))},onError(e,t){const s=this.elements.$form;s.append('<div class="elementor-message elementor-message-danger" role="alert">'+t+"</div>"),this.elements.$submitButton.html(this.elements.$submitButton.text()).removeAttr("disabled"),s.animate({opacity:"1"},100).removeClass("elementor-form-waiting"),s.trigger("error")},handleSubmit(e){const t=this,s=this.elements.$form;if(e.preventDefault(),s.hasClass("elementor-form-waiting"))return!1;this.beforeSend(),jQuery.ajax({url:t.getSettings("ajaxUrl"),type:"POST",dataType:"json",data:t.getFormData(),processData:!1,contentType:!1,success:t.onSuccess,error:t.onError})}})},8503:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class FormSteps extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{form:".elementor-form",fieldsWrapper:".elementor-form-fields-wrapper",fieldGroup:".elementor-field-group",stepWrapper:".elementor-field-type-step",stepField:".e-field-step",submitWrapper:".elementor-field-type-submit",submitButton:'[type="submit"]',buttons:".e-form__buttons",buttonWrapper:".e-form__buttons__wrapper",button:".e-form__buttons__wrapper__button",indicator:".e-form__indicators__indicator",indicatorProgress:".e-form__indicators__indicator__progress",indicatorProgressMeter:".e-form__indicators__indicator__progress__meter",formHelpInline:".elementor-form-help-inline"},classes:{hidden:"elementor-hidden",column:"elementor-column",fieldGroup:"elementor-field-group",elementorButton:"elementor-button",step:"e-form__step",buttons:"e-form__buttons",buttonWrapper:"e-form__buttons__wrapper",button:"e-form__buttons__wrapper__button",indicators:"e-form__indicators",indicator:"e-form__indicators__indicator",indicatorIcon:"e-form__indicators__indicator__icon",indicatorNumber:"e-form__indicators__indicator__number",indicatorLabel:"e-form__indicators__indicator__label",indicatorProgress:"e-form__indicators__indicator__progress",indicatorProgressMeter:"e-form__indicators__indicator__progress__meter",indicatorSeparator:"e-form__indicators__indicator__separator",indicatorInactive:"e-form__indicators__indicator--state-inactive",indicatorActive:"e-form__indicators__indicator--state-active",indicatorCompleted:"e-form__indicators__indicator--state-completed",indicatorShapeCircle:"e-form__indicators__indicator--shape-circle",indicatorShapeSquare:"e-form__indicators__indicator--shape-square",indicatorShapeRounded:"e-form__indicators__indicator--shape-rounded",indicatorShapeNone:"e-form__indicators__indicator--shape-none"}}}getDefaultElements(){const{selectors:e}=this.getSettings(),t={$form:this.$element.find(e.form)};return t.$fieldsWrapper=t.$form.children(e.fieldsWrapper),t.$stepWrapper=t.$fieldsWrapper.children(e.stepWrapper),t.$stepField=t.$stepWrapper.children(e.stepField),t.$fieldGroup=t.$fieldsWrapper.children(e.fieldGroup),t.$submitWrapper=t.$fieldsWrapper.children(e.submitWrapper),t.$submitButton=t.$submitWrapper.children(e.submitButton),t}onInit(){super.onInit(...arguments),this.isStepsExist()&&(this.data={steps:[],indicatorsWithObjectTags:[]},this.state={currentStep:0,stepsType:"",stepsShape:""},this.buildSteps(),this.elements={...this.elements,...this.createStepsIndicators(),...this.createStepsButtons()},this.initProgressBar(),this.extractResponsiveSizeFromSubmitWrapper())}bindEvents(){this.isStepsExist()&&this.elements.$form.on({submit:()=>this.resetForm(),keydown:e=>{13!==e.keyCode||this.isLastStep()||"textarea"===e.target.localName||(e.preventDefault(),this.applyStep("next"))},error:()=>this.onFormError()})}isStepsExist(){return this.elements.$stepWrapper.length}initProgressBar(){"progress_bar"===this.getElementSettings().step_type&&this.setProgressBar()}buildSteps(){this.elements.$stepWrapper.each(((e,t)=>{const{selectors:s,classes:r}=this.getSettings(),i=jQuery(t);i.addClass(r.step).removeClass(r.fieldGroup,r.column),e&&i.addClass(r.hidden),this.setStepData(i.children(s.stepField)),i.append(i.nextUntil(this.elements.$stepWrapper).not(this.elements.$submitWrapper))}))}setStepData(e){const t={};["label","previousButton","nextButton","iconUrl","iconLibrary","icon"].forEach((s=>{const r=e.attr("data-"+s);r&&(t[s]=r)})),this.data.steps.push(t)}createStepsIndicators(){const e=this.getElementSettings(),t={};if("none"!==e.step_type){const{selectors:s,classes:r}=this.getSettings(),i=r.indicators+"--type-"+e.step_type,n=[r.indicators,i];t.$indicatorsWrapper=jQuery("<div>",{class:n.join(" ")}),t.$indicatorsWrapper.append(this.buildIndicators()),this.elements.$fieldsWrapper.before(t.$indicatorsWrapper),"progress_bar"===e.step_type?(t.$progressBar=t.$indicatorsWrapper.find(s.indicatorProgress),t.$progressBarMeter=t.$indicatorsWrapper.find(s.indicatorProgressMeter)):(t.$indicators=t.$indicatorsWrapper.find(s.indicator),t.$currentIndicator=t.$indicators.eq(this.state.currentStep))}return this.saveIndicatorsState(),t}buildIndicators(){return"progress_bar"===this.getElementSettings().step_type?this.buildProgressBar():this.buildIndicatorsFromStepsData()}buildProgressBar(){const{classes:e}=this.getSettings(),t=jQuery("<div>",{class:e.indicatorProgress}),s=jQuery("<div>",{class:e.indicatorProgressMeter});return t.append(s),t}getProgressBarValue(){const e=this.data.steps.length,t=this.state.currentStep,s=t?(t+1)/e*100:100/e;return Math.floor(s)+"%"}setProgressBar(){const e=this.getProgressBarValue();this.updateProgressMeterCSSVariable(e),this.elements.$progressBarMeter.text(e)}updateProgressMeterCSSVariable(e){this.$element[0].style.setProperty("--e-form-steps-indicator-progress-meter-width",e)}saveIndicatorsState(){const e=this.getElementSettings();this.state.stepsType=e.step_type,["none","text","progress_bar"].includes(e.step_type)||(this.state.stepsShape=e.step_icon_shape)}buildIndicatorsFromStepsData(){const e=[];return this.data.steps.forEach(((t,s)=>{s&&e.push(this.getStepSeparator()),e.push(this.getStepIndicatorElement(t,s))})),e}getStepIndicatorElement(e,t){const{classes:s}=this.getSettings(),r=this.getElementSettings(),i=this.getIndicatorStateClass(t),n=[s.indicator,i],a=jQuery("<div>",{class:n.join(" ")});return r.step_type.includes("icon")&&a.append(this.getStepIconElement(e)),r.step_type.includes("number")&&a.append(this.getStepNumberElement(t)),r.step_type.includes("text")&&a.append(this.getStepLabelElement(e.label)),a}getIndicatorStateClass(e){const{classes:t}=this.getSettings();return e<this.state.currentStep?t.indicatorCompleted:e>this.state.currentStep?t.indicatorInactive:t.indicatorActive}getIndicatorShapeClass(){const e=this.getElementSettings(),{classes:t}=this.getSettings();return t["indicatorShape"+this.firstLetterToUppercase(e.step_icon_shape)]}firstLetterToUppercase(e){return e.charAt(0).toUpperCase()+e.slice(1)}getStepNumberElement(e){const{classes:t}=this.getSettings(),s=[t.indicatorNumber,this.getIndicatorShapeClass()];return jQuery("<div>",{class:s.join(" "),text:e+1})}getStepIconElement(e){const{classes:t}=this.getSettings(),s=[t.indicatorIcon,this.getIndicatorShapeClass()],r=jQuery("<div>",{class:s.join(" ")});if(e.icon)r.html(e.icon);else{let t;e.iconLibrary?t=jQuery("<i>",{class:e.iconLibrary}):(t=jQuery(`<object type="image/svg+xml" data="${e.iconUrl}"></object>`),t.on("load",(e=>{e.target.contentDocument.querySelector("svg").style.fill=t.css("fill")})),this.data.indicatorsWithObjectTags.push(t)),r.append(t)}return r}getStepLabelElement(e){const{classes:t}=this.getSettings();return jQuery("<label>",{class:t.indicatorLabel,text:e})}getStepSeparator(){const{classes:e}=this.getSettings();return jQuery("<div>",{class:e.indicatorSeparator})}createStepsButtons(){const{selectors:e}=this.getSettings(),t={};return this.injectButtonsToSteps(t),t.$buttonsContainer=this.elements.$stepWrapper.find(e.buttons),t.$buttonsWrappers=t.$buttonsContainer.children(e.buttonWrapper),t}injectButtonsToSteps(){const e=this.elements.$stepWrapper.length;this.elements.$stepWrapper.each(((t,s)=>{const r=jQuery(s),i=this.getButtonsContainer();let n;t?(i.append(this.getStepButton("previous",t)),n=t===e-1?this.getSubmitButton():this.getStepButton("next",t)):n=this.getStepButton("next",t),i.append(n),r.append(i)}))}getButtonsContainer(){const{classes:e}=this.getSettings(),t=this.getElementSettings(),s=[e.buttons,e.column,"elementor-col-"+t.button_width];return jQuery("<div>",{class:s.join(" ")})}extractResponsiveSizeFromSubmitWrapper(){let e=[];this.elements.$submitWrapper.removeClass(((t,s)=>(e=s.match(/elementor-(sm|md)-[0-9]+/g)?.join(" "),e))),this.elements.$buttonsContainer.addClass(e)}getStepButton(e,t){const{classes:s}=this.getSettings(),r=this.getButton(e,t).on("click",(()=>this.applyStep(e))),i=[s.fieldGroup,s.buttonWrapper,"elementor-field-type-"+e];return jQuery("<div>",{class:i.join(" ")}).append(r)}getSubmitButton(){const{classes:e}=this.getSettings();return this.elements.$submitButton.addClass(e.button),this.elements.$submitWrapper.attr("class",((e,t)=>this.replaceClassNameColSize(t,""))).removeClass(e.column).removeClass(e.buttons).addClass(e.buttonWrapper)}replaceClassNameColSize(e,t){return e.replace(/elementor-col-([0-9]+)/g,t)}getButton(e,t){const{classes:s}=this.getSettings(),r=this.elements.$submitButton.attr("class").match(/elementor-size-([^\W\d]+)/g),i=[s.elementorButton,r,s.button,s.button+"-"+e];return jQuery("<button>",{type:"button",text:this.getButtonLabel(e,t),class:i.join(" ")})}getButtonLabel(e,t){const s=this.getElementSettings(),r=`step_${e}_label`;return this.data.steps[t][e+"Button"]||s[r]}applyStep(e){const t="next"===e?this.state.currentStep+1:this.state.currentStep-1;if("next"===e&&!this.isFieldsValid(this.elements.$stepWrapper))return!1;this.goToStep(t),this.state.currentStep=t,"progress_bar"===this.state.stepsType?this.setProgressBar():"none"!==this.state.stepsType&&this.updateIndicatorsState(e)}goToStep(e){const{classes:t}=this.getSettings();this.elements.$stepWrapper.eq(this.state.currentStep).addClass(t.hidden),this.elements.$stepWrapper.eq(e).removeClass(t.hidden).children(this.getSettings("selectors.fieldGroup")).first().find(":input").first().trigger("focus")}isFieldsValid(e){let t=!0;return e.eq(this.state.currentStep).find(".elementor-field-group :input").each(((e,s)=>{if(!s.checkValidity())return s.reportValidity(),t=!1})),t}isLastStep(){return this.state.currentStep===this.data.steps.length-1}resetForm(){this.state.currentStep=0,this.resetSteps(),"progress_bar"===this.state.stepsType?this.setProgressBar():"none"!==this.state.stepsType&&(this.elements.$currentIndicator=this.elements.$indicators.eq(this.state.currentStep),this.resetIndicators())}resetSteps(){const{classes:e}=this.getSettings();this.elements.$stepWrapper.addClass(e.hidden).eq(0).removeClass(e.hidden)}resetIndicators(){const{classes:e}=this.getSettings(),t=["inactive","active","completed"].map((t=>e.indicator+"--state-"+t));this.elements.$indicators.removeClass(t.join(" ")).not(this.elements.$indicators.eq(0)).addClass(e.indicatorInactive),this.elements.$indicators.eq(0).addClass(e.indicatorActive)}updateIndicatorsState(e){const{classes:t}=this.getSettings(),s={current:{remove:t.indicatorActive,add:"next"===e?t.indicatorCompleted:t.indicatorInactive},next:{remove:"next"===e?t.indicatorInactive:t.indicatorCompleted,add:t.indicatorActive}};this.elements.$currentIndicator.removeClass(s.current.remove).addClass(s.current.add),this.elements.$currentIndicator=this.elements.$indicators.eq(this.state.currentStep),this.elements.$currentIndicator.removeClass(s.next.remove).addClass(s.next.add),this.data.indicatorsWithObjectTags.forEach((e=>{e.contents().children("svg").css("fill",e.css("fill"))}))}updateValue(e){const t={step_type:()=>this.updateStepsType(),step_icon_shape:()=>this.updateStepsShape(),step_next_label:()=>this.updateStepButtonsLabel("next"),step_previous_label:()=>this.updateStepButtonsLabel("previous")};t[e]&&t[e]()}updateStepsType(){const e=this.getElementSettings();this.elements.$indicatorsWrapper&&this.elements.$indicatorsWrapper.remove(),"none"!==e.step_type&&this.rebuildIndicators(),this.state.stepsType=e.step_type}rebuildIndicators(){this.elements={...this.elements,...this.createStepsIndicators()},this.initProgressBar()}updateStepsShape(){const e=this.getElementSettings(),{selectors:t,classes:s}=this.getSettings(),r=s.indicator+"--shape-",i=r+this.state.stepsShape,n=r+e.step_icon_shape;let a="";e.step_type.includes("icon")?a="icon":e.step_type.includes("number")&&(a="number"),this.elements.$indicators.children(t.indicator+"__"+a).removeClass(i).addClass(n),this.state.stepsShape=e.step_icon_shape}updateStepButtonsLabel(e){const{selectors:t}=this.getSettings(),s={previous:t.button+"-previous",next:t.button+"-next"};this.elements.$stepWrapper.each(((t,r)=>{jQuery(r).find(s[e]).text(this.getButtonLabel(e,t))}))}onFormError(){const{selectors:e}=this.getSettings(),t=this.elements.$form.find(e.formHelpInline).closest(e.stepWrapper);t.length&&this.goToStep(t.index())}onElementChange(e){this.isStepsExist()&&this.updateValue(e)}}t.default=FormSteps},2108:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class Recaptcha extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{recaptcha:".elementor-g-recaptcha:last",submit:'button[type="submit"]',recaptchaResponse:'[name="g-recaptcha-response"]'}}}getDefaultElements(){const{selectors:e}=this.getDefaultSettings(),t={$recaptcha:this.$element.find(e.recaptcha)};return t.$form=t.$recaptcha.parents("form"),t.$submit=t.$form.find(e.submit),t}bindEvents(){this.onRecaptchaApiReady()}isActive(e){const{selectors:t}=this.getDefaultSettings();return e.$element.find(t.recaptcha).length}addRecaptcha(){const e=this.elements.$recaptcha.data(),t="v3"!==e.type,s=[];s.forEach((e=>window.grecaptcha.reset(e)));const r=window.grecaptcha.render(this.elements.$recaptcha[0],e);this.elements.$form.on("reset error",(()=>{window.grecaptcha.reset(r)})),t?this.elements.$recaptcha.data("widgetId",r):(s.push(r),this.elements.$submit.on("click",(e=>this.onV3FormSubmit(e,r))))}onV3FormSubmit(e,t){e.preventDefault(),window.grecaptcha.ready((()=>{const e=this.elements.$form;grecaptcha.execute(t,{action:this.elements.$recaptcha.data("action")}).then((t=>{this.elements.$recaptchaResponse?this.elements.$recaptchaResponse.val(t):(this.elements.$recaptchaResponse=jQuery("<input>",{type:"hidden",value:t,name:"g-recaptcha-response"}),e.append(this.elements.$recaptchaResponse));(!e[0].reportValidity||"function"!=typeof e[0].reportValidity||e[0].reportValidity())&&e.trigger("submit")}))}))}onRecaptchaApiReady(){window.grecaptcha&&window.grecaptcha.render?this.addRecaptcha():setTimeout((()=>this.onRecaptchaApiReady()),350)}}t.default=Recaptcha}}]);
\ No newline at end of file
@@ -2,6 +2,212 @@
 "use strict";
 (self["webpackChunkelementor_pro"] = self["webpackChunkelementor_pro"] || []).push([["form"],{
 
+/***/ "../modules/forms/assets/js/frontend/handlers/conditions.js":
+/*!*****************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/handlers/conditions.js ***!
+  \*****************************************************************/
+/***/ ((__unused_webpack_module, exports) => {
+
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+/**
+ * Shows, hides or requires field groups depending on the values of other fields.
+ *
+ * Conditions are read from the `data-conditions` attribute of a field group, as one condition
+ * set or a list of them:
+ *
+ *     [{ "action": "show", "relation": "and", "rules": [{ "field": "service", "operator": "is", "value": "coaching" }] },
+ *      { "action": "require", "field": "newsletter", "operator": "checked" }]
+ *
+ * `action` is `show`, `hide` or `require`, a set without `rules` is a single rule. Hidden fields
+ * are disabled, so they are skipped by the browser validation and left out of the submitted data.
+ */
+class FormConditions extends elementorModules.frontend.handlers.Base {
+  getDefaultSettings() {
+    return {
+      selectors: {
+        form: '.elementor-form',
+        fieldGroup: '.elementor-field-group',
+        conditionalFieldGroup: '.elementor-field-group[data-conditions]'
+      },
+      classes: {
+        hidden: 'elementor-hidden',
+        conditionHidden: 'e-form__field-group--condition-hidden',
+        fieldRequired: 'elementor-field-required'
+      },
+      maxPasses: 10
+    };
+  }
+  getDefaultElements() {
+    const {
+        selectors
+      } = this.getSettings(),
+      $form = this.$element.find(selectors.form);
+    return {
+      $form,
+      $conditionalFieldGroups: $form.find(selectors.conditionalFieldGroup)
+    };
+  }
+  isActive(settings) {
+    return settings.$element.find('.elementor-form .elementor-field-group[data-conditions]').length;
+  }
+  onInit() {
+    super.onInit(...arguments);
+    if (!this.isActive(this.getSettings())) {
+      return;
+    }
+    this.conditions = this.parseConditions();
+    this.evaluate();
+  }
+  bindEvents() {
+    this.elements.$form.on('input change', () => this.evaluate());
+
+    // Let the reset apply the default values before evaluating them.
+    this.elements.$form.on('reset', () => setTimeout(() => this.evaluate()));
+  }
+  parseConditions() {
+    const conditions = [];
+    this.elements.$conditionalFieldGroups.each((index, group) => {
+      let sets;
+      try {
+        sets = JSON.parse(group.dataset.conditions);
+      } catch (e) {
+        return;
+      }
+      [].concat(sets).forEach(set => {
+        if (!set?.action) {
+          return;
+        }
+        conditions.push({
+          $group: jQuery(group),
+          action: set.action,
+          relation: 'or' === set.relation ? 'or' : 'and',
+          rules: set.rules || [set]
+        });
+      });
+    });
+    return conditions;
+  }
+  getFieldInputs(fieldId) {
+    return this.elements.$form.find(`[name="form_fields[${fieldId}]"], [name="form_fields[${fieldId}][]"]`);
+  }
+
+  /**
+   * @param {string} fieldId
+   * @return {string[]} Selected values of the field, empty when it is hidden by a condition.
+   */
+  getFieldValues(fieldId) {
+    const $inputs = this.getFieldInputs(fieldId).not(':disabled');
+    if ($inputs.is(':checkbox, :radio')) {
+      return $inputs.filter(':checked').map((index, input) => input.value).get();
+    }
+    return [].concat($inputs.val() ?? []).filter(value => '' !== value);
+  }
+  isRuleMet(rule) {
+    const values = this.getFieldValues(rule.field),
+      expected = [].concat(rule.value ?? []).map(String),
+      numbers = values.map(parseFloat);
+    switch (rule.operator) {
+      case 'is_not':
+        return !values.some(value => expected.includes(value));
+      case 'contains':
+        return values.some(value => expected.some(part => value.includes(part)));
+      case 'not_contains':
+        return !values.some(value => expected.some(part => value.includes(part)));
+      case 'is_empty':
+      case 'not_checked':
+        return expected.length ? !values.some(value => expected.includes(value)) : !values.length;
+      case 'not_empty':
+      case 'checked':
+        return expected.length ? values.some(value => expected.includes(value)) : !!values.length;
+      case 'gt':
+        return numbers.some(number => number > parseFloat(rule.value));
+      case 'lt':
+        return numbers.some(number => number < parseFloat(rule.value));
+      default:
+        return values.some(value => expected.includes(value));
+    }
+  }
+  isConditionMet(condition) {
+    return 'or' === condition.relation ? condition.rules.some(rule => this.isRuleMet(rule)) : condition.rules.every(rule => this.isRuleMet(rule));
+  }
+
+  /**
+   * Fields can depend on conditional fields, so apply until nothing changes.
+   */
+  evaluate() {
+    const maxPasses = this.getSettings('maxPasses');
+    for (let pass = 0; pass < maxPasses && this.applyConditions(); pass++) {
+      // Keep applying.
+    }
+  }
+  applyConditions() {
+    const groupStates = new Map();
+    this.conditions.forEach(condition => {
+      const state = groupStates.get(condition.$group[0]) || {
+          $group: condition.$group,
+          visible: true,
+          required: null
+        },
+        isMet = this.isConditionMet(condition);
+      if ('show' === condition.action) {
+        state.visible = state.visible && isMet;
+      } else if ('hide' === condition.action) {
+        state.visible = state.visible && !isMet;
+      } else if ('require' === condition.action) {
+        state.required = state.required || isMet;
+      }
+      groupStates.set(condition.$group[0], state);
+    });
+    let changed = false;
+    groupStates.forEach(state => {
+      changed = this.setGroupVisibility(state.$group, state.visible) || changed;
+      if (null !== state.required) {
+        this.setGroupRequired(state.$group, state.required);
+      }
+    });
+    return changed;
+  }
+  setGroupVisibility($group, visible) {
+    const {
+        classes
+      } = this.getSettings(),
+      wasVisible = !$group.hasClass(classes.conditionHidden);
+    if (wasVisible === visible) {
+      return false;
+    }
+    $group.toggleClass(classes.conditionHidden, !visible).toggleClass(classes.hidden, !visible);
+    $group.find(':input').each((index, input) => {
+      if (!visible) {
+        input.dataset.conditionDisabled = input.disabled ? 'disabled' : '';
+        input.disabled = true;
+      } else if (undefined !== input.dataset.conditionDisabled) {
+        input.disabled = !!input.dataset.conditionDisabled;
+        delete input.dataset.conditionDisabled;
+      }
+    });
+    return true;
+  }
+  setGroupRequired($group, required) {
+    const {
+      classes
+    } = this.getSettings();
+    $group.toggleClass(classes.fieldRequired, required);
+    $group.find(':input').not(':checkbox, :radio, [type="hidden"], [type="submit"], button').prop('required', required).attr('aria-required', required ? 'true' : 'false');
+
+    // A checkbox list is required as a whole, any checked box satisfies it.
+    const $checkboxes = $group.find(':checkbox');
+    $checkboxes.prop('required', required && !$checkboxes.filter(':checked').length);
+  }
+}
+exports["default"] = FormConditions;
+
+/***/ }),
+
 /***/ "../modules/forms/assets/js/frontend/handlers/fields/data-time-field-base.js":
 /*!***********************************************************************************!*\
   !*** ../modules/forms/assets/js/frontend/handlers/fields/data-time-field-base.js ***!
@@ -113,6 +319,533 @@ exports["default"] = TimeField;
 
 /***/ }),
 
+/***/ "../modules/forms/assets/js/frontend/handlers/fields/upload.js":
+/*!*********************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/handlers/fields/upload.js ***!
+  \*********************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+/**
+ * Uploads the files of `input[type=file]` fields in chunks as soon as they are picked, the form
+ * submission then only carries the upload tokens in place of the files.
+ *
+ * Every chunk is POSTed to the `elementor_pro_forms_upload_chunk` ajax action with `upload_id`,
+ * `chunk_index`, `chunk_count`, `file_name`, `file_size`, `file_type`, `field`, `form_id`, `post_id`
+ * and the `chunk` blob. The endpoint answers `{ success: true, data: { next_chunk } }` until the last
+ * chunk, which is answered with `{ success: true, data: { token } }`. A `cancel` request drops the
+ * partial upload. Chunk indexes are idempotent, so a retry resumes from `next_chunk`.
+ *
+ * WordPress doesn't have this action, so it only runs when `elementorProFrontend.config.forms.chunkedUploads` is set
+ * (e.g. with `tools/form-upload-server.js`). Otherwise the files are sent with the form, as usual.
+ */
+class UploadField extends elementorModules.frontend.handlers.Base {
+  getDefaultSettings() {
+    return {
+      selectors: {
+        form: '.elementor-form',
+        fields: 'input[type="file"]'
+      },
+      classes: {
+        list: 'e-form__uploads',
+        item: 'e-form__upload',
+        itemState: 'e-form__upload--',
+        preview: 'e-form__upload__preview',
+        name: 'e-form__upload__name',
+        progress: 'e-form__upload__progress',
+        message: 'e-form__upload__message',
+        retry: 'e-form__upload__retry',
+        cancel: 'e-form__upload__cancel'
+      },
+      action: 'elementor_pro_forms_upload_chunk',
+      ajaxUrl: elementorProFrontend.config.ajaxurl,
+      chunkSize: 1024 * 1024,
+      maxRetries: 3,
+      retryDelay: 1000
+    };
+  }
+  getDefaultElements() {
+    const {
+        selectors
+      } = this.getSettings(),
+      $form = this.$element.find(selectors.form);
+    return {
+      $form,
+      $fields: $form.find(selectors.fields)
+    };
+  }
+  isActive(settings) {
+    return !!elementorProFrontend.config.forms?.chunkedUploads && settings.$element.find('.elementor-form input[type="file"]').length;
+  }
+  onInit() {
+    super.onInit(...arguments);
+    if (!this.isActive(this.getSettings())) {
+      return;
+    }
+    this.uploads = new Map();
+    this.filters = {
+      'forms/before_send': (shouldSend, context) => this.waitForUploads(shouldSend, context),
+      'forms/transform_data': (formData, context) => this.replaceFilesWithTokens(formData, context)
+    };
+    jQuery.each(this.filters, (name, callback) => elementorFrontend.hooks.addFilter(name, callback));
+  }
+  onDestroy() {
+    super.onDestroy(...arguments);
+    jQuery.each(this.filters || {}, (name, callback) => elementorFrontend.hooks.removeFilter(name, callback));
+    this.uploads?.forEach(upload => this.cancelUpload(upload));
+  }
+  bindEvents() {
+    this.elements.$fields.on('change', event => this.onFieldChange(event.currentTarget));
+    this.elements.$form.on('reset', () => this.uploads.forEach(upload => this.removeUpload(upload)));
+  }
+  getFieldId(input) {
+    return input.id.replace(/^form-field-/, '');
+  }
+  getFieldUploads(input) {
+    return [...this.uploads.values()].filter(upload => upload.input === input);
+  }
+  onFieldChange(input) {
+    const files = Array.from(input.files);
+    this.getFieldUploads(input).forEach(upload => this.cancelUpload(upload));
+    files.forEach(file => {
+      const error = this.validateFile(input, file);
+      if (error) {
+        this.elements.$form.trigger('field_error', [this.getFieldId(input), error]);
+        return;
+      }
+      this.startUpload(input, file);
+    });
+  }
+
+  /**
+   * Checks the size against `data-maxsize` (MB) and the name and type against the `accept` attribute.
+   *
+   * @param {HTMLInputElement} input
+   * @param {File}             file
+   * @return {string} The error message, empty when the file is valid.
+   */
+  validateFile(input, file) {
+    const $input = jQuery(input),
+      maxSize = parseInt($input.attr('data-maxsize')) * 1024 * 1024;
+    if (maxSize < file.size) {
+      return $input.attr('data-maxsize-message');
+    }
+    const accept = ($input.attr('accept') || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    if (!accept.length) {
+      return '';
+    }
+    const extensions = accept.filter(type => type.startsWith('.')),
+      mimeTypes = accept.filter(type => !type.startsWith('.')),
+      fileName = file.name.toLowerCase(),
+      fileType = (file.type || '').toLowerCase(),
+      isExtensionValid = !extensions.length || extensions.some(extension => fileName.endsWith(extension)),
+      isMimeValid = !mimeTypes.length || mimeTypes.some(mimeType => mimeType.endsWith('/*') ? fileType.startsWith(mimeType.slice(0, -1)) : fileType === mimeType);
+    if (isExtensionValid && isMimeValid) {
+      return '';
+    }
+    return $input.attr('data-type-message') || __('This file type is not allowed.', 'elementor-pro');
+  }
+  startUpload(input, file) {
+    const upload = {
+      id: window.crypto?.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2),
+      input,
+      file,
+      fieldId: this.getFieldId(input),
+      chunkCount: Math.max(1, Math.ceil(file.size / this.getSettings('chunkSize'))),
+      nextChunk: 0,
+      retries: 0,
+      token: null
+    };
+    upload.$item = this.createUploadItem(upload);
+    this.uploads.set(upload.id, upload);
+    this.resumeUpload(upload);
+  }
+  resumeUpload(upload) {
+    upload.error = '';
+    upload.retries = 0;
+    upload.promise = new Promise(resolve => upload.resolve = resolve);
+    this.setUploadState(upload, 'uploading');
+    this.uploadNextChunk(upload);
+  }
+  uploadNextChunk(upload) {
+    const chunkSize = this.getSettings('chunkSize'),
+      start = upload.nextChunk * chunkSize,
+      data = new FormData();
+    data.append('action', this.getSettings('action'));
+    data.append('upload_id', upload.id);
+    data.append('chunk_index', upload.nextChunk);
+    data.append('chunk_count', upload.chunkCount);
+    data.append('file_name', upload.file.name);
+    data.append('file_size', upload.file.size);
+    data.append('file_type', upload.file.type);
+    data.append('field', upload.fieldId);
+    data.append('form_id', this.elements.$form.find('[name="form_id"]').val());
+    data.append('post_id', this.elements.$form.find('[name="post_id"]').val());
+    data.append('chunk', upload.file.slice(start, start + chunkSize), upload.file.name);
+    upload.jqXHR = jQuery.ajax({
+      url: this.getSettings('ajaxUrl'),
+      type: 'POST',
+      dataType: 'json',
+      data,
+      processData: false,
+      contentType: false,
+      xhr: () => {
+        const xhr = jQuery.ajaxSettings.xhr();
+        xhr.upload?.addEventListener('progress', event => this.setProgress(upload, start + event.loaded));
+        return xhr;
+      },
+      success: response => this.onChunkSuccess(upload, response),
+      error: (xhr, status) => {
+        if ('abort' !== status) {
+          this.onChunkError(upload);
+        }
+      }
+    });
+  }
+  onChunkSuccess(upload, response) {
+    if (!response?.success) {
+      this.failUpload(upload, response?.data?.message);
+      return;
+    }
+    upload.retries = 0;
+    upload.nextChunk = response.data?.next_chunk ?? upload.nextChunk + 1;
+    if (response.data?.token) {
+      upload.token = response.data.token;
+      this.setProgress(upload, upload.file.size);
+      this.setUploadState(upload, 'done');
+      upload.resolve();
+    } else if (upload.nextChunk < upload.chunkCount) {
+      this.uploadNextChunk(upload);
+    } else {
+      this.failUpload(upload);
+    }
+  }
+  onChunkError(upload) {
+    if (upload.retries >= this.getSettings('maxRetries')) {
+      this.failUpload(upload);
+      return;
+    }
+    const delay = this.getSettings('retryDelay') * Math.pow(2, upload.retries);
+    upload.retries++;
+    upload.retryTimeout = setTimeout(() => this.uploadNextChunk(upload), delay);
+  }
+  failUpload(upload, message) {
+    upload.error = message || __('The file could not be uploaded.', 'elementor-pro');
+    this.setUploadState(upload, 'failed');
+    upload.resolve();
+  }
+  cancelUpload(upload) {
+    clearTimeout(upload.retryTimeout);
+    upload.jqXHR?.abort();
+    if (!upload.token) {
+      jQuery.post(this.getSettings('ajaxUrl'), {
+        action: this.getSettings('action'),
+        upload_id: upload.id,
+        cancel: 1
+      });
+    }
+    this.removeUpload(upload);
+  }
+  onRemoveClick(upload) {
+    this.cancelUpload(upload);
+    if (!this.getFieldUploads(upload.input).length) {
+      upload.input.value = '';
+    }
+  }
+  removeUpload(upload) {
+    if (upload.previewUrl) {
+      URL.revokeObjectURL(upload.previewUrl);
+    }
+    upload.$item.remove();
+    this.uploads.delete(upload.id);
+    upload.resolve();
+  }
+  getUploadList(input) {
+    const {
+        classes
+      } = this.getSettings(),
+      $input = jQuery(input);
+    let $list = $input.next('.' + classes.list);
+    if (!$list.length) {
+      $list = jQuery('<div>', {
+        class: classes.list,
+        'aria-live': 'polite'
+      });
+      $input.after($list);
+    }
+    return $list;
+  }
+  createUploadItem(upload) {
+    const {
+        classes
+      } = this.getSettings(),
+      $item = jQuery('<div>', {
+        class: classes.item
+      });
+    if (upload.file.type.startsWith('image/')) {
+      upload.previewUrl = URL.createObjectURL(upload.file);
+      $item.append(jQuery('<img>', {
+        class: classes.preview,
+        src: upload.previewUrl,
+        alt: '',
+        width: 48,
+        height: 48
+      }).css('object-fit', 'cover'));
+    }
+    $item.append(jQuery('<span>', {
+      class: classes.name,
+      text: upload.file.name
+    }), jQuery('<progress>', {
+      class: classes.progress,
+      max: upload.file.size,
+      value: 0,
+      'aria-label': upload.file.name
+    }), jQuery('<span>', {
+      class: classes.message,
+      role: 'alert'
+    }), jQuery('<button>', {
+      type: 'button',
+      class: classes.retry,
+      text: __('Retry', 'elementor-pro')
+    }).on('click', () => this.resumeUpload(upload)), jQuery('<button>', {
+      type: 'button',
+      class: classes.cancel,
+      text: '×',
+      'aria-label': __('Remove file', 'elementor-pro')
+    }).on('click', () => this.onRemoveClick(upload)));
+    this.getUploadList(upload.input).append($item);
+    return $item;
+  }
+  setProgress(upload, loaded) {
+    upload.$item.find('.' + this.getSettings('classes.progress')).val(Math.min(loaded, upload.file.size));
+  }
+  setUploadState(upload, state) {
+    const {
+      classes
+    } = this.getSettings();
+    upload.status = state;
+    upload.$item.removeClass(['uploading', 'done', 'failed'].map(itemState => classes.itemState + itemState).join(' ')).addClass(classes.itemState + state);
+    upload.$item.find('.' + classes.message).text('failed' === state ? upload.error : '');
+    upload.$item.find('.' + classes.retry).toggle('failed' === state);
+  }
+  async waitForUploads(shouldSend, context) {
+    if (context.$form[0] !== this.elements.$form[0] || false === (await shouldSend)) {
+      return shouldSend;
+    }
+    const uploads = [...this.uploads.values()];
+    await Promise.all(uploads.map(upload => upload.promise));
+    const failedUploads = uploads.filter(upload => 'failed' === upload.status);
+    failedUploads.forEach(upload => context.setFieldError(upload.fieldId, upload.error));
+    return !failedUploads.length;
+  }
+  replaceFilesWithTokens(formData, context) {
+    if (context.$form[0] !== this.elements.$form[0]) {
+      return formData;
+    }
+    this.elements.$fields.each((index, input) => {
+      formData.delete(input.name);
+      this.getFieldUploads(input).filter(upload => upload.token).forEach(upload => formData.append(input.name, upload.token));
+    });
+    return formData;
+  }
+}
+exports["default"] = UploadField;
+
+/***/ }),
+
+/***/ "../modules/forms/assets/js/frontend/handlers/form-draft.js":
+/*!******************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/handlers/form-draft.js ***!
+  \******************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+class FormDraft extends elementorModules.frontend.handlers.Base {
+  getDefaultSettings() {
+    return {
+      selectors: {
+        form: '.elementor-form',
+        stepWrapper: '.elementor-field-type-step',
+        excludedFields: '[type="file"], [type="password"], [type="hidden"], [type="submit"], [type="button"], .elementor-field-type-honeypot :input',
+        promptRestore: '.e-form__draft-prompt__restore',
+        promptDiscard: '.e-form__draft-prompt__discard'
+      },
+      classes: {
+        prompt: 'e-form__draft-prompt',
+        promptRestore: 'e-form__draft-prompt__restore',
+        promptDiscard: 'e-form__draft-prompt__discard'
+      },
+      saveDelay: 500,
+      localLifetimeInSeconds: 7 * 24 * 60 * 60
+    };
+  }
+  getDefaultElements() {
+    const {
+      selectors
+    } = this.getSettings();
+    return {
+      $form: this.$element.find(selectors.form)
+    };
+  }
+
+  /**
+   * Drafts are kept in sessionStorage for multi-step forms unless the `form_draft_storage`
+   * setting asks for `local` storage, or turns them off with `none`.
+   *
+   * @return {string|null} `session`, `local` or null when drafts are disabled.
+   */
+  getStorageType() {
+    const storageType = this.getElementSettings('form_draft_storage');
+    if ('session' === storageType || 'local' === storageType) {
+      return storageType;
+    }
+    if ('none' === storageType || !this.elements.$form.find(this.getSettings('selectors.stepWrapper')).length) {
+      return null;
+    }
+    return 'session';
+  }
+  getStorageOptions() {
+    const isSession = 'session' === this.getStorageType();
+    return {
+      session: isSession,
+      lifetimeInSeconds: isSession ? null : this.getSettings('localLifetimeInSeconds')
+    };
+  }
+  getStorageKey() {
+    const formId = this.elements.$form.find('[name="form_id"]').val() || this.getID();
+    return `formDraft-${formId}-${location.pathname}`;
+  }
+  onInit() {
+    super.onInit(...arguments);
+    if (!this.getStorageType()) {
+      return;
+    }
+    this.state = {
+      step: 0
+    };
+    const draft = this.getDraft();
+    if (draft) {
+      this.showRestorePrompt(draft);
+    }
+  }
+  bindEvents() {
+    if (!this.getStorageType()) {
+      return;
+    }
+    this.elements.$form.on({
+      'input change': () => this.scheduleSave(),
+      step_change: (event, step) => {
+        this.state.step = step;
+        this.saveDraft();
+      },
+      submit_success: () => this.clearDraft()
+    });
+  }
+  getDraftFields() {
+    return this.elements.$form.find(':input[name]').not(this.getSettings('selectors.excludedFields'));
+  }
+  collectValues() {
+    const values = {};
+    this.getDraftFields().serializeArray().forEach(({
+      name,
+      value
+    }) => {
+      values[name] = (values[name] || []).concat(value);
+    });
+    return values;
+  }
+  getDraft() {
+    const draft = elementorFrontend.storage.get(this.getStorageKey(), this.getStorageOptions());
+    if (!draft || !draft.values || !Object.values(draft.values).some(value => value.join(''))) {
+      return null;
+    }
+    return draft;
+  }
+  scheduleSave() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => this.saveDraft(), this.getSettings('saveDelay'));
+  }
+  saveDraft() {
+    clearTimeout(this.saveTimeout);
+    elementorFrontend.storage.set(this.getStorageKey(), {
+      values: this.collectValues(),
+      step: this.state.step
+    }, this.getStorageOptions());
+  }
+  clearDraft() {
+    clearTimeout(this.saveTimeout);
+    this.state.step = 0;
+
+    // An undefined value is dropped when the storage object is serialized.
+    elementorFrontend.storage.set(this.getStorageKey(), undefined, this.getStorageOptions());
+    this.removeRestorePrompt();
+  }
+  restoreDraft(draft) {
+    this.getDraftFields().each((index, field) => {
+      const $field = jQuery(field),
+        value = draft.values[field.name] || [];
+      if ('checkbox' === field.type || 'radio' === field.type) {
+        $field.prop('checked', value.includes(field.value));
+      } else if (field.multiple) {
+        $field.val(value);
+      } else {
+        $field.val(value[0] ?? '');
+      }
+    });
+    this.getDraftFields().trigger('change');
+    if (draft.step) {
+      this.state.step = draft.step;
+      this.elements.$form.trigger('restore_step', [draft.step]);
+    }
+  }
+  showRestorePrompt(draft) {
+    const {
+        classes
+      } = this.getSettings(),
+      $prompt = jQuery('<div>', {
+        class: [classes.prompt, 'elementor-message', 'elementor-message-info'].join(' '),
+        role: 'status'
+      });
+    $prompt.append(jQuery('<span>', {
+      text: __('Restore your progress?', 'elementor-pro')
+    }), ' ', jQuery('<button>', {
+      type: 'button',
+      class: classes.promptRestore,
+      text: __('Restore', 'elementor-pro')
+    }).on('click', () => {
+      this.restoreDraft(draft);
+      this.removeRestorePrompt();
+    }), ' ', jQuery('<button>', {
+      type: 'button',
+      class: classes.promptDiscard,
+      text: __('Start over', 'elementor-pro')
+    }).on('click', () => this.clearDraft()));
+    this.elements.$form.prepend($prompt);
+    this.elements.$restorePrompt = $prompt;
+  }
+  removeRestorePrompt() {
+    if (this.elements.$restorePrompt) {
+      this.elements.$restorePrompt.remove();
+      delete this.elements.$restorePrompt;
+    }
+  }
+}
+exports["default"] = FormDraft;
+
+/***/ }),
+
 /***/ "../modules/forms/assets/js/frontend/handlers/form-redirect.js":
 /*!*********************************************************************!*\
   !*** ../modules/forms/assets/js/frontend/handlers/form-redirect.js ***!
@@ -155,14 +888,21 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
 /*!*******************************************************************!*\
   !*** ../modules/forms/assets/js/frontend/handlers/form-sender.js ***!
   \*******************************************************************/
-/***/ ((__unused_webpack_module, exports) => {
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
 
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+/* provided dependency */ var sprintf = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["sprintf"];
 
 
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
 Object.defineProperty(exports, "__esModule", ({
   value: true
 }));
 exports["default"] = void 0;
+var _ajax = _interopRequireDefault(__webpack_require__(/*! ../transports/ajax */ "../modules/forms/assets/js/frontend/transports/ajax.js"));
+var _webhook = _interopRequireDefault(__webpack_require__(/*! ../transports/webhook */ "../modules/forms/assets/js/frontend/transports/webhook.js"));
+var _mailto = _interopRequireDefault(__webpack_require__(/*! ../transports/mailto */ "../modules/forms/assets/js/frontend/transports/mailto.js"));
+var _queue = _interopRequireDefault(__webpack_require__(/*! ../transports/queue */ "../modules/forms/assets/js/frontend/transports/queue.js"));
 var _default = exports["default"] = elementorModules.frontend.handlers.Base.extend({
   getDefaultSettings() {
     return {
@@ -183,8 +923,11 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
   },
   bindEvents() {
     this.elements.$form.on('submit', this.handleSubmit);
+    this.elements.$form.on('field_error', this.onFieldError);
+
+    // Chunked uploads check the files when they're picked, see `fields/upload.js`.
     const $fileInput = this.elements.$form.find('input[type=file]');
-    if ($fileInput.length) {
+    if ($fileInput.length && !elementorProFrontend.config.forms?.chunkedUploads) {
       $fileInput.on('change', this.validateFileSize);
     }
   },
@@ -199,19 +942,95 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     const filesArray = Array.prototype.slice.call(files);
     filesArray.forEach(file => {
       if (maxSize < file.size) {
-        $field.parent().addClass('elementor-error').append('<span class="elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline" role="alert">' + maxSizeMessage + '</span>').find(':input').attr('aria-invalid', 'true');
+        this.addFieldError($field, maxSizeMessage);
         this.elements.$form.trigger('error');
       }
     });
   },
+  onInit() {
+    elementorModules.frontend.handlers.Base.prototype.onInit.apply(this, arguments);
+    const config = this.getTransportsConfig();
+
+    // A misconfigured transport fails the submissions, so the error shows on the form.
+    try {
+      this.transport = this.createTransport(config.transport);
+      if (config.fallback) {
+        this.fallbackTransport = this.createTransport(config.fallback);
+      }
+    } catch (error) {
+      this.transportError = error;
+    }
+  },
+  /**
+   * Transports from `elementorProFrontend.config.forms`, for hosts without the ajax action (e.g. static exports):
+   *
+   * - `transport`: `ajax` (default), `webhook`, `mailto` or `queue`.
+   * - `chunkedUploads`: upload the files in chunks while the form is filled, see `fields/upload.js`.
+   * - `fallback`: a transport to try when the first one can't deliver the submission, e.g. `mailto`.
+   * - `ajax`, `webhook`, `mailto`, `queue`: the settings of each transport, see `transports/*`.
+   *
+   * @return {Object} Transports config.
+   */
+  getTransportsConfig() {
+    return jQuery.extend({
+      transport: 'ajax'
+    }, elementorProFrontend.config.forms);
+  },
+  /**
+   * The `forms/transports` filter gets the map of transport names to classes, to add or replace transports.
+   *
+   * @return {Object} Transport classes by name.
+   */
+  getTransports() {
+    return elementorFrontend.hooks.applyFilters('forms/transports', {
+      ajax: _ajax.default,
+      webhook: _webhook.default,
+      mailto: _mailto.default,
+      queue: _queue.default
+    }, this);
+  },
+  createTransport(name) {
+    const transports = this.getTransports(),
+      Transport = Object.prototype.hasOwnProperty.call(transports, name) && transports[name],
+      defaultSettings = 'ajax' === name ? {
+        url: this.getSettings('ajaxUrl')
+      } : {};
+    if (!Transport) {
+      throw new Error(sprintf(__('Unknown form transport "%s".', 'elementor-pro'), name));
+    }
+    return new Transport(jQuery.extend(defaultSettings, this.getTransportsConfig()[name], {
+      createTransport: transportName => this.createTransport(transportName)
+    }));
+  },
+  async sendFormData(formData) {
+    if (this.transportError) {
+      throw this.transportError;
+    }
+    try {
+      return await this.transport.send(formData, this.submissionContext);
+    } catch (error) {
+      if (!this.fallbackTransport) {
+        throw error;
+      }
+      return this.fallbackTransport.send(formData, this.submissionContext);
+    }
+  },
+  onFieldError(event, fieldId, message) {
+    this.addFieldError(this.elements.$form.find('#form-field-' + fieldId), message, fieldId);
+    this.elements.$form.trigger('error');
+  },
+  clearErrors() {
+    const $form = this.elements.$form;
+    $form.find('.elementor-message').remove();
+    $form.find('.elementor-error').removeClass('elementor-error');
+    $form.find('div.elementor-field-group').removeClass('error').find('span.elementor-form-help-inline').remove().end().find(':input').attr('aria-invalid', 'false');
+  },
   beforeSend() {
     const $form = this.elements.$form;
     $form.animate({
       opacity: '0.45'
     }, 500).addClass('elementor-form-waiting');
-    $form.find('.elementor-message').remove();
-    $form.find('.elementor-error').removeClass('elementor-error');
-    $form.find('div.elementor-field-group').removeClass('error').find('span.elementor-form-help-inline').remove().end().find(':input').attr('aria-invalid', 'false');
+    this.clearErrors();
     this.elements.$submitButton.attr('disabled', 'disabled').find('> span').prepend('<span class="elementor-button-text elementor-form-spinner"><i class="fa fa-spinner fa-spin"></i>&nbsp;</span>');
   },
   getFormData() {
@@ -220,16 +1039,63 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     formData.append('referrer', location.toString());
     return formData;
   },
+  getFormId() {
+    return this.elements.$form.find('[name="form_id"]').val();
+  },
+  getFieldsMap(formData) {
+    const fields = {};
+    formData.forEach((value, key) => {
+      const match = key.match(/^form_fields\[([^\]]+)\](\[\])?$/);
+      if (!match) {
+        return;
+      }
+      if (match[2]) {
+        fields[match[1]] = (fields[match[1]] || []).concat(value);
+      } else {
+        fields[match[1]] = value;
+      }
+    });
+    return fields;
+  },
+  /**
+   * The argument passed to every `forms/*` hook.
+   *
+   * @param {FormData} formData
+   * @return {{formId: string, formName: string, $form: jQuery, fields: Object, formData: FormData, response: Object|null, setFieldError: Function}} Submission context.
+   */
+  getSubmissionContext(formData) {
+    return {
+      formId: this.getFormId(),
+      formName: this.elements.$form.attr('name'),
+      $form: this.elements.$form,
+      fields: this.getFieldsMap(formData),
+      formData,
+      response: null,
+      setFieldError: (fieldId, message) => this.addFieldError(this.elements.$form.find('#form-field-' + fieldId), message, fieldId)
+    };
+  },
+  addFieldError($field, message, fieldId) {
+    $field.parent().addClass('elementor-error').append('<span class="elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline" role="alert">' + message + '</span>').find(':input').attr('aria-invalid', 'true');
+    elementorFrontend.hooks.doAction('forms/field_error', {
+      fieldId: fieldId || ($field.attr('id') || '').replace(/^form-field-/, ''),
+      $field,
+      message
+    }, this.submissionContext || this.getSubmissionContext(this.getFormData()));
+  },
   onSuccess(response) {
     const $form = this.elements.$form;
     this.elements.$submitButton.removeAttr('disabled').find('.elementor-form-spinner').remove();
     $form.animate({
       opacity: '1'
     }, 100).removeClass('elementor-form-waiting');
+    if (this.submissionContext) {
+      this.submissionContext.response = response;
+      elementorFrontend.hooks.doAction('forms/after_response', response, this.submissionContext);
+    }
     if (!response.success) {
       if (response.data.errors) {
-        jQuery.each(response.data.errors, function (key, title) {
-          $form.find('#form-field-' + key).parent().addClass('elementor-error').append('<span class="elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline" role="alert">' + title + '</span>').find(':input').attr('aria-invalid', 'true');
+        jQuery.each(response.data.errors, (key, title) => {
+          this.addFieldError($form.find('#form-field-' + key), title, key);
         });
         $form.trigger('error');
       }
@@ -247,6 +1113,16 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
   },
   onError(xhr, desc) {
     const $form = this.elements.$form;
+    if (this.submissionContext) {
+      this.submissionContext.response = {
+        success: false,
+        data: {
+          message: desc
+        },
+        xhr
+      };
+      elementorFrontend.hooks.doAction('forms/after_response', this.submissionContext.response, this.submissionContext);
+    }
     $form.append('<div class="elementor-message elementor-message-danger" role="alert">' + desc + '</div>');
     this.elements.$submitButton.html(this.elements.$submitButton.text()).removeAttr('disabled');
     $form.animate({
@@ -254,24 +1130,63 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     }, 100).removeClass('elementor-form-waiting');
     $form.trigger('error');
   },
-  handleSubmit(event) {
+  /**
+   * Submission pipeline, every stage gets the submission context (form id, fields map, response):
+   *
+   * - `forms/before_send` filter: return false (or a Promise resolving to false) to cancel the submit. Each filter gets
+   *   the resolved value of the previous one, and a filter that throws or rejects cancels the submit with its message.
+   * - `forms/transform_data` filter: return the FormData to send.
+   * - `forms/after_response` action: runs with the response, before `submit_success` / `error`. It also runs for
+   *   submissions sent later from the queue transport, see `transports/queue.js`.
+   * - `forms/field_error` action: runs for every field marked invalid, client or server side.
+   *
+   * The form data is then delivered by the transport, see `getTransportsConfig()`. A filter, transport or response
+   * handler that throws fails the submit with its message.
+   *
+   * @param {jQuery.Event} event
+   */
+  async handleSubmit(event) {
     const self = this,
       $form = this.elements.$form;
     event.preventDefault();
-    if ($form.hasClass('elementor-form-waiting')) {
+    if ($form.hasClass('elementor-form-waiting') || this.isPreparingSubmit) {
+      return false;
+    }
+    let formData = this.getFormData();
+    this.submissionContext = this.getSubmissionContext(formData);
+    this.clearErrors();
+    this.isPreparingSubmit = true;
+    let shouldSend;
+    try {
+      shouldSend = await elementorFrontend.hooks.applyFiltersAsync('forms/before_send', true, this.submissionContext);
+    } catch (error) {
+      $form.append('<div class="elementor-message elementor-message-danger" role="alert">' + this.getSubmitErrorMessage(error) + '</div>');
+      $form.trigger('error');
+      return false;
+    } finally {
+      this.isPreparingSubmit = false;
+    }
+    if (false === shouldSend) {
+      if ($form.find('.elementor-form-help-inline').length) {
+        $form.trigger('error');
+      }
       return false;
     }
     this.beforeSend();
-    jQuery.ajax({
-      url: self.getSettings('ajaxUrl'),
-      type: 'POST',
-      dataType: 'json',
-      data: self.getFormData(),
-      processData: false,
-      contentType: false,
-      success: self.onSuccess,
-      error: self.onError
-    });
+
+    // Past this point the form is waiting, every failure has to go through `onError()` to release it.
+    try {
+      formData = elementorFrontend.hooks.applyFilters('forms/transform_data', formData, this.submissionContext);
+      this.submissionContext.formData = formData;
+      this.submissionContext.fields = this.getFieldsMap(formData);
+    } catch (error) {
+      this.onError(null, this.getSubmitErrorMessage(error));
+      return false;
+    }
+    return this.sendFormData(formData).then(self.onSuccess, error => self.onError(error?.xhr, self.getSubmitErrorMessage(error))).catch(error => self.onError(null, self.getSubmitErrorMessage(error)));
+  },
+  getSubmitErrorMessage(error) {
+    return error?.message || __('Your submission failed because of an error.', 'elementor-pro');
   }
 });
 
@@ -385,7 +1300,8 @@ class FormSteps extends elementorModules.frontend.handlers.Base {
           this.applyStep('next');
         }
       },
-      error: () => this.onFormError()
+      error: () => this.onFormError(),
+      restore_step: (event, index) => this.setStep(index)
     });
   }
   isStepsExist() {
@@ -697,6 +1613,29 @@ class FormSteps extends elementorModules.frontend.handlers.Base {
     } else if ('none' !== this.state.stepsType) {
       this.updateIndicatorsState(direction);
     }
+    this.elements.$form.trigger('step_change', [nextIndex]);
+  }
+  setStep(index) {
+    if (index === this.state.currentStep || index < 0 || index >= this.data.steps.length) {
+      return;
+    }
+    this.goToStep(index);
+    this.state.currentStep = index;
+    if ('progress_bar' === this.state.stepsType) {
+      this.setProgressBar();
+    } else if ('none' !== this.state.stepsType) {
+      this.refreshIndicatorsState();
+    }
+  }
+  refreshIndicatorsState() {
+    const {
+        classes
+      } = this.getSettings(),
+      stateClasses = ['inactive', 'active', 'completed'].map(state => classes.indicator + '--state-' + state);
+    this.elements.$indicators.each((index, el) => {
+      jQuery(el).removeClass(stateClasses.join(' ')).addClass(this.getIndicatorStateClass(index));
+    });
+    this.elements.$currentIndicator = this.elements.$indicators.eq(this.state.currentStep);
   }
   goToStep(index) {
     const {
@@ -707,7 +1646,9 @@ class FormSteps extends elementorModules.frontend.handlers.Base {
   }
   isFieldsValid($stepWrapper) {
     let isValid = true;
-    $stepWrapper.eq(this.state.currentStep).find('.elementor-field-group :input').each((index, el) => {
+
+    // Fields hidden by a condition are not part of the step.
+    $stepWrapper.eq(this.state.currentStep).find('.elementor-field-group').not('.e-form__field-group--condition-hidden').find(':input').each((index, el) => {
       if (!el.checkValidity()) {
         el.reportValidity();
         return isValid = false;
@@ -939,6 +1880,428 @@ class Recaptcha extends elementorModules.frontend.handlers.Base {
 }
 exports["default"] = Recaptcha;
 
+/***/ }),
+
+/***/ "../modules/forms/assets/js/frontend/transports/ajax.js":
+/*!**************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/transports/ajax.js ***!
+  \**************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+
+
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/forms/assets/js/frontend/transports/base.js"));
+/**
+ * Sends the form to the `elementor_pro_forms_send_form` ajax action of the site, which answers in the shape every
+ * other transport maps its responses to.
+ */
+class AjaxTransport extends _base.default {
+  getDefaultSettings() {
+    return {
+      url: elementorProFrontend.config.ajaxurl
+    };
+  }
+  send(formData) {
+    return new Promise((resolve, reject) => {
+      jQuery.ajax({
+        url: this.getSettings('url'),
+        type: 'POST',
+        dataType: 'json',
+        data: formData,
+        processData: false,
+        contentType: false,
+        success: resolve,
+        error: (xhr, desc) => reject(0 === xhr.status ? this.createNetworkError(desc, xhr) : this.createError(desc, xhr))
+      });
+    });
+  }
+}
+exports["default"] = AjaxTransport;
+
+/***/ }),
+
+/***/ "../modules/forms/assets/js/frontend/transports/base.js":
+/*!**************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/transports/base.js ***!
+  \**************************************************************/
+/***/ ((__unused_webpack_module, exports) => {
+
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+/**
+ * A transport delivers a submission for the form sender. `send( formData, context )` gets the submission context of
+ * the `forms/*` hooks and returns a Promise that:
+ * - resolves with a response in the shape of the `elementor_pro_forms_send_form` ajax action,
+ *   `{ success, data: { message, errors, redirect_url } }`, once the endpoint answered, even with a failure.
+ * - rejects with an Error (with the `xhr` when there's one) when the submission couldn't be delivered, flagged with
+ *   `isNetworkError` when the endpoint couldn't be reached at all (offline, timeout).
+ */
+class BaseTransport extends elementorModules.Module {
+  send() {
+    return Promise.reject(this.createError('send() must be implemented by the transport.'));
+  }
+  createResponse(success, message) {
+    let data = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+    return {
+      success,
+      data: jQuery.extend({
+        message,
+        data: []
+      }, data)
+    };
+  }
+  createError(message) {
+    let xhr = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+    const error = new Error(message);
+    error.xhr = xhr;
+    error.isNetworkError = false;
+    return error;
+  }
+  createNetworkError(message) {
+    let xhr = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+    const error = this.createError(message, xhr);
+    error.isNetworkError = true;
+    return error;
+  }
+
+  /**
+   * Files can't be serialized, only their names are kept.
+   *
+   * @param {Object} fields Fields map of the submission context.
+   * @return {Object} Fields map with string values.
+   */
+  getSerializableFields(fields) {
+    const serializableFields = {};
+    jQuery.each(fields, (fieldId, value) => {
+      const values = [].concat(value).map(item => item instanceof File ? item.name : item);
+      serializableFields[fieldId] = Array.isArray(value) ? values : values[0];
+    });
+    return serializableFields;
+  }
+}
+exports["default"] = BaseTransport;
+
+/***/ }),
+
+/***/ "../modules/forms/assets/js/frontend/transports/mailto.js":
+/*!****************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/transports/mailto.js ***!
+  \****************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+
+
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/forms/assets/js/frontend/transports/base.js"));
+/**
+ * Opens the visitor's email app with the submission written out, for hosts without any endpoint. There's no way to
+ * know if the email is then sent, so the submission is reported as successful once the app is opened.
+ */
+class MailtoTransport extends _base.default {
+  getDefaultSettings() {
+    return {
+      to: '',
+      subject: ''
+    };
+  }
+  getFieldLabel(context, fieldId) {
+    return context.$form?.find(`label[for="form-field-${fieldId}"]`).text().trim() || fieldId;
+  }
+  getURL(formData, context) {
+    const settings = this.getSettings(),
+      lines = [];
+    jQuery.each(this.getSerializableFields(context.fields), (fieldId, value) => {
+      lines.push(this.getFieldLabel(context, fieldId) + ': ' + [].concat(value).join(', '));
+    });
+    lines.push('', formData.get('referrer'));
+    const subject = settings.subject || context.formName || document.title;
+    return 'mailto:' + encodeURI(settings.to) + '?subject=' + encodeURIComponent(subject) + '&body=' + encodeURIComponent(lines.join('\r\n'));
+  }
+  send(formData, context) {
+    if (!this.getSettings('to')) {
+      return Promise.reject(this.createError(__('No email address is set to send this form to.', 'elementor-pro')));
+    }
+    location.href = this.getURL(formData, context);
+    return Promise.resolve(this.createResponse(true, __('Your email app was opened with your message. Send it from there to complete your submission.', 'elementor-pro')));
+  }
+}
+exports["default"] = MailtoTransport;
+
+/***/ }),
+
+/***/ "../modules/forms/assets/js/frontend/transports/queue.js":
+/*!***************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/transports/queue.js ***!
+  \***************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+
+
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/forms/assets/js/frontend/transports/base.js"));
+/**
+ * Stores every submission in IndexedDB before handing it to another transport (`webhook` by default). Submissions
+ * that can't reach the endpoint (offline, network error, timeout) stay queued, the visitor is told they will be sent
+ * later, and they are retried with an exponential backoff, when the browser is back online and on the next page load
+ * with a form. Other errors, e.g. a missing webhook URL, are shown on the form right away.
+ *
+ * A submission the endpoint answers, even with a failure, leaves the queue: retrying wouldn't change the answer. The
+ * answers to submissions sent from the queue run the `forms/after_response` action, with `queued` set in the context
+ * and no form, as the visitor was already told they were saved.
+ */
+class QueueTransport extends _base.default {
+  getDefaultSettings() {
+    return {
+      transport: 'webhook',
+      databaseName: 'elementor-pro-forms',
+      storeName: 'submissions',
+      baseDelay: 5000,
+      maxDelay: 300000
+    };
+  }
+  onInit() {
+    this.transport = this.getSettings('createTransport')(this.getSettings('transport'));
+    if (!QueueTransport.isListening) {
+      window.addEventListener('online', () => this.flush());
+      QueueTransport.isListening = true;
+    }
+    this.flush();
+  }
+  openDatabase() {
+    if (!QueueTransport.database) {
+      const {
+        databaseName,
+        storeName
+      } = this.getSettings();
+      QueueTransport.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return QueueTransport.database;
+  }
+  async runRequest(mode, callback) {
+    const database = await this.openDatabase(),
+      storeName = this.getSettings('storeName');
+    return new Promise((resolve, reject) => {
+      const request = callback(database.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  getEntries() {
+    return this.runRequest('readonly', store => store.getAll());
+  }
+  addEntry(entry) {
+    return this.runRequest('readwrite', store => store.add(entry));
+  }
+  putEntry(entry) {
+    return this.runRequest('readwrite', store => store.put(entry));
+  }
+  deleteEntry(id) {
+    return this.runRequest('readwrite', store => store.delete(id));
+  }
+  createEntry(formData, context) {
+    return {
+      formId: context.formId,
+      formName: context.formName,
+      formData: [...formData.entries()],
+      fields: context.fields,
+      attempts: 0,
+      queuedAt: Date.now()
+    };
+  }
+  getEntryFormData(entry) {
+    const formData = new FormData();
+    entry.formData.forEach(_ref => {
+      let [key, value] = _ref;
+      return formData.append(key, value);
+    });
+    return formData;
+  }
+  getEntryContext(entry, formData) {
+    return {
+      formId: entry.formId,
+      formName: entry.formName,
+      $form: jQuery(),
+      fields: entry.fields,
+      formData,
+      response: null,
+      queued: true,
+      setFieldError: () => {}
+    };
+  }
+  async send(formData, context) {
+    let id;
+    try {
+      id = await this.addEntry(this.createEntry(formData, context));
+    } catch (error) {
+      // Without IndexedDB (private browsing, blocked storage) the submission can only be sent right away.
+      return this.transport.send(formData, context);
+    }
+    try {
+      const response = await this.transport.send(formData, context);
+      await this.deleteEntry(id);
+      return response;
+    } catch (error) {
+      if (!error.isNetworkError) {
+        await this.deleteEntry(id);
+        throw error;
+      }
+      this.scheduleFlush();
+      return this.createResponse(true, __('You seem to be offline. Your submission is saved and will be sent as soon as you are back online.', 'elementor-pro'), {
+        queued: true
+      });
+    }
+  }
+  async flush() {
+    if (QueueTransport.isFlushing || false === navigator.onLine) {
+      return;
+    }
+    QueueTransport.isFlushing = true;
+    clearTimeout(QueueTransport.flushTimeout);
+    try {
+      for (const entry of await this.getEntries()) {
+        const formData = this.getEntryFormData(entry),
+          context = this.getEntryContext(entry, formData);
+        try {
+          context.response = await this.transport.send(formData, context);
+        } catch (error) {
+          if (error.isNetworkError) {
+            entry.attempts++;
+            await this.putEntry(entry);
+            break;
+          }
+          context.response = this.createResponse(false, error.message);
+        }
+        await this.deleteEntry(entry.id);
+        elementorFrontend.hooks.doAction('forms/after_response', context.response, context);
+      }
+    } catch (error) {
+      return;
+    } finally {
+      QueueTransport.isFlushing = false;
+    }
+    this.scheduleFlush();
+  }
+  async scheduleFlush() {
+    const [entry] = await this.getEntries().catch(() => []);
+    clearTimeout(QueueTransport.flushTimeout);
+    if (!entry) {
+      return;
+    }
+    const {
+      baseDelay,
+      maxDelay
+    } = this.getSettings();
+    QueueTransport.flushTimeout = setTimeout(() => this.flush(), Math.min(baseDelay * Math.pow(2, entry.attempts), maxDelay));
+  }
+}
+exports["default"] = QueueTransport;
+QueueTransport.isListening = false;
+QueueTransport.isFlushing = false;
+QueueTransport.flushTimeout = null;
+QueueTransport.database = null;
+
+/***/ }),
+
+/***/ "../modules/forms/assets/js/frontend/transports/webhook.js":
+/*!*****************************************************************!*\
+  !*** ../modules/forms/assets/js/frontend/transports/webhook.js ***!
+  \*****************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+
+
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _base = _interopRequireDefault(__webpack_require__(/*! ./base */ "../modules/forms/assets/js/frontend/transports/base.js"));
+/**
+ * POSTs the submission as JSON to a webhook: `{ form_id, form_name, referrer, submitted_at, fields }`.
+ *
+ * The endpoint can answer like the ajax action, `{ success, data }`, or with a plain `{ message, errors }` where
+ * `errors` maps field IDs to messages. Any 2xx is a success, a 4xx a failure shown on the form, and a 5xx means the
+ * submission wasn't delivered.
+ */
+class WebhookTransport extends _base.default {
+  getDefaultSettings() {
+    return {
+      url: '',
+      headers: {}
+    };
+  }
+  getPayload(formData, context) {
+    return {
+      form_id: context.formId,
+      form_name: context.formName,
+      referrer: formData.get('referrer'),
+      submitted_at: new Date().toISOString(),
+      fields: this.getSerializableFields(context.fields)
+    };
+  }
+  async send(formData, context) {
+    const settings = this.getSettings();
+    if (!settings.url) {
+      throw this.createError(__('No webhook URL is set to send this form to.', 'elementor-pro'));
+    }
+    let response;
+    try {
+      response = await fetch(settings.url, {
+        method: 'POST',
+        headers: jQuery.extend({
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        }, settings.headers),
+        body: JSON.stringify(this.getPayload(formData, context))
+      });
+    } catch (error) {
+      throw this.createNetworkError(error.message);
+    }
+    if (500 <= response.status) {
+      throw this.createError(response.statusText || String(response.status));
+    }
+    const body = await response.json().catch(() => ({}));
+    if ('boolean' === typeof body.success && body.data) {
+      return body;
+    }
+    if (response.ok) {
+      return this.createResponse(true, body.message ?? __('Your submission was successful.', 'elementor-pro'));
+    }
+    return this.createResponse(false, body.message || __('Your submission failed because of an error.', 'elementor-pro'), {
+      errors: body.errors
+    });
+  }
+}
+exports["default"] = WebhookTransport;
+
 /***/ })
 
 }]);
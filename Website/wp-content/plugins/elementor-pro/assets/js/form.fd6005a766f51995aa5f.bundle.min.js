@@ -0,0 +1,2 @@
+/*! elementor-pro - v3.21.0 - 20-05-2024 */
+"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[680],{2679:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class DataTimeFieldBase extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{fields:this.getFieldsSelector()},classes:{useNative:"elementor-use-native"}}}getDefaultElements(){const{selectors:e}=this.getDefaultSettings();return{$fields:this.$element.find(e.fields)}}addPicker(e){const{classes:t}=this.getDefaultSettings();jQuery(e).hasClass(t.useNative)||e.flatpickr(this.getPickerOptions(e))}onInit(){super.onInit(...arguments),this.elements.$fields.each(((e,t)=>this.addPicker(t)))}}t.default=DataTimeFieldBase},784:(e,t,s)=>{var r=s(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=r(s(2679));class DateField extends i.default{getFieldsSelector(){return".elementor-date-field"}getPickerOptions(e){const t=jQuery(e);return{minDate:t.attr("min")||null,maxDate:t.attr("max")||null,allowInput:!0}}}t.default=DateField},5347:(e,t,s)=>{var r=s(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=r(s(2679));class TimeField extends i.default{getFieldsSelector(){return".elementor-time-field"}getPickerOptions(){return{noCalendar:!0,enableTime:!0,allowInput:!0}}}t.default=TimeField},6529:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=elementorModules.frontend.handlers.Base.extend({getDefaultSettings:()=>({selectors:{form:".elementor-form"}}),getDefaultElements(){var e=this.getSettings("selectors"),t={};return t.$form=this.$element.find(e.form),t},bindEvents(){this.elements.$form.on("form_destruct",this.handleSubmit)},handleSubmit(e,t){void 0!==t.data.redirect_url&&(location.href=t.data.redirect_url)}})},1393:(e,t,r)=>{var s=r(8003).__,o=r(8003).sprintf,n=r(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=n(r(4636)),a=n(r(6681)),m=n(r(6416)),l=n(r(2948));t.default=elementorModules.frontend.handlers.Base.extend({getDefaultSettings:()=>({selectors:{form:".elementor-form",submitButton:'[type="submit"]'},action:"elementor_pro_forms_send_form",ajaxUrl:elementorProFrontend.config.ajaxurl}),getDefaultElements(){const e=this.getSettings("selectors"),t={};return t.$form=this.$element.find(e.form),t.$submitButton=t.$form.find(e.submitButton),t},bindEvents(){this.elements.$form.on("submit",this.handleSubmit),this.elements.$form.on("field_error",this.onFieldError);const e=this.elements.$form.find("input[type=file]");e.length&&!elementorProFrontend.config.forms?.chunkedUploads&&e.on("change",this.validateFileSize)},validateFileSize(e){const t=jQuery(e.currentTarget),r=t[0].files;if(!r.length)return;const s=1024*parseInt(t.attr("data-maxsize"))*1024,o=t.attr("data-maxsize-message");Array.prototype.slice.call(r).forEach(e=>{s<e.size&&(this.addFieldError(t,o),this.elements.$form.trigger("error"))})},onInit(){elementorModules.frontend.handlers.Base.prototype.onInit.apply(this,arguments);const e=this.getTransportsConfig();try{this.transport=this.createTransport(e.transport),e.fallback&&(this.fallbackTransport=this.createTransport(e.fallback))}catch(e){this.transportError=e}},getTransportsConfig:()=>jQuery.extend({transport:"ajax"},elementorProFrontend.config.forms),getTransports(){return elementorFrontend.hooks.applyFilters("forms/transports",{ajax:i.default,webhook:a.default,mailto:m.default,queue:l.default},this)},createTransport(e){const t=this.getTransports(),r=Object.prototype.hasOwnProperty.call(t,e)&&t[e],n="ajax"===e?{url:this.getSettings("ajaxUrl")}:{};if(!r)throw new Error(o(s('Unknown form transport "%s".',"elementor-pro"),e));return new r(jQuery.extend(n,this.getTransportsConfig()[e],{createTransport:e=>this.createTransport(e)}))},async sendFormData(e){if(this.transportError)throw this.transportError;try{return await this.transport.send(e,this.submissionContext)}catch(t){if(!this.fallbackTransport)throw t;return this.fallbackTransport.send(e,this.submissionContext)}},onFieldError(e,t,r){this.addFieldError(this.elements.$form.find("#form-field-"+t),r,t),this.elements.$form.trigger("error")},clearErrors(){const e=this.elements.$form;e.find(".elementor-message").remove(),e.find(".elementor-error").removeClass("elementor-error"),e.find("div.elementor-field-group").removeClass("error").find("span.elementor-form-help-inline").remove().end().find(":input").attr("aria-invalid","false")},beforeSend(){this.elements.$form.animate({opacity:"0.45"},500).addClass("elementor-form-waiting"),this.clearErrors(),this.elements.$submitButton.attr("disabled","disabled").find("> span").prepend('<span class="elementor-button-text elementor-form-spinner"><i class="fa fa-spinner fa-spin"></i>&nbsp;</span>')},getFormData(){const e=new FormData(this.elements.$form[0]);return e.append("action",this.getSettings("action")),e.append("referrer",location.toString()),e},getFormId(){return this.elements.$form.find('[name="form_id"]').val()},getFieldsMap(e){const t={};return e.forEach((e,r)=>{const s=r.match(/^form_fields\[([^\]]+)\](\[\])?$/);s&&(s[2]?t[s[1]]=(t[s[1]]||[]).concat(e):t[s[1]]=e)}),t},getSubmissionContext(e){return{formId:this.getFormId(),formName:this.elements.$form.attr("name"),$form:this.elements.$form,fields:this.getFieldsMap(e),formData:e,response:null,setFieldError:(e,t)=>this.addFieldError(this.elements.$form.find("#form-field-"+e),t,e)}},addFieldError(e,t,r){e.parent().addClass("elementor-error").append('<span class="elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline" role="alert">'+t+"</span>").find(":input").attr("aria-invalid","true"),elementorFrontend.hooks.doAction("forms/field_error",{fieldId:r||(e.attr("id")||"").replace(/^form-field-/,""),$field:e,message:t},this.submissionContext||this.getSubmissionContext(this.getFormData()))},onSuccess(e){const t=this.elements.$form;this.elements.$submitButton.removeAttr("disabled").find(".elementor-form-spinner").remove(),t.animate({opacity:"1"},100).removeClass("elementor-form-waiting"),this.submissionContext&&(this.submissionContext.response=e,elementorFrontend.hooks.doAction("forms/after_response",e,this.submissionContext)),e.success?(t.trigger("submit_success",e.data),t.trigger("form_destruct",e.data),t.trigger("reset"),void 0!==e.data.message&&""!==e.data.message&&t.append('<div class="elementor-message elementor-message-success" role="alert">'+e.data.message+"</div>")):(e.data.errors&&(jQuery.each(e.data.errors,(e,r)=>{this.addFieldError(t.find("#form-field-"+e),r,e)}),t.trigger("error")),t.append('<div class="elementor-message elementor-message-danger" role="alert">'+e.data.message+"</div>"))},onError(e,t){const r=this.elements.$form;this.submissionContext&&(this.submissionContext.response={success:!1,data:{message:t},xhr:e},elementorFrontend.hooks.doAction("forms/after_response",this.submissionContext.response,this.submissionContext)),r.append('<div class="elementor-message elementor-message-danger" role="alert">'+t+"</div>"),this.elements.$submitButton.html(this.elements.$submitButton.text()).removeAttr("disabled"),r.animate({opacity:"1"},100).removeClass("elementor-form-waiting"),r.trigger("error")},async handleSubmit(e){const t=this,r=this.elements.$form;if(e.preventDefault(),r.hasClass("elementor-form-waiting")||this.isPreparingSubmit)return!1;let s,o=this.getFormData();this.submissionContext=this.getSubmissionContext(o),this.clearErrors(),this.isPreparingSubmit=!0;try{s=await elementorFrontend.hooks.applyFiltersAsync("forms/before_send",!0,this.submissionContext)}catch(e){return r.append('<div class="elementor-message elementor-message-danger" role="alert">'+this.getSubmitErrorMessage(e)+"</div>"),r.trigger("error"),!1}finally{this.isPreparingSubmit=!1}if(!1===s)return r.find(".elementor-form-help-inline").length&&r.trigger("error"),!1;this.beforeSend();try{o=elementorFrontend.hooks.applyFilters("forms/transform_data",o,this.submissionContext),this.submissionContext.formData=o,this.submissionContext.fields=this.getFieldsMap(o)}catch(e){return this.onError(null,this.getSubmitErrorMessage(e)),!1}return this.sendFormData(o).then(t.onSuccess,e=>t.onError(e?.xhr,t.getSubmitErrorMessage(e))).catch(e=>t.onError(null,t.getSubmitErrorMessage(e)))},getSubmitErrorMessage:e=>e?.message||s("Your submission failed because of an error.","elementor-pro")})},8503:(t,e)=>{Object.defineProperty(e,"__esModule",{value:!0}),e.default=void 0;class FormSteps extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{form:".elementor-form",fieldsWrapper:".elementor-form-fields-wrapper",fieldGroup:".elementor-field-group",stepWrapper:".elementor-field-type-step",stepField:".e-field-step",submitWrapper:".elementor-field-type-submit",submitButton:'[type="submit"]',buttons:".e-form__buttons",buttonWrapper:".e-form__buttons__wrapper",button:".e-form__buttons__wrapper__button",indicator:".e-form__indicators__indicator",indicatorProgress:".e-form__indicators__indicator__progress",indicatorProgressMeter:".e-form__indicators__indicator__progress__meter",formHelpInline:".elementor-form-help-inline"},classes:{hidden:"elementor-hidden",column:"elementor-column",fieldGroup:"elementor-field-group",elementorButton:"elementor-button",step:"e-form__step",buttons:"e-form__buttons",buttonWrapper:"e-form__buttons__wrapper",button:"e-form__buttons__wrapper__button",indicators:"e-form__indicators",indicator:"e-form__indicators__indicator",indicatorIcon:"e-form__indicators__indicator__icon",indicatorNumber:"e-form__indicators__indicator__number",indicatorLabel:"e-form__indicators__indicator__label",indicatorProgress:"e-form__indicators__indicator__progress",indicatorProgressMeter:"e-form__indicators__indicator__progress__meter",indicatorSeparator:"e-form__indicators__indicator__separator",indicatorInactive:"e-form__indicators__indicator--state-inactive",indicatorActive:"e-form__indicators__indicator--state-active",indicatorCompleted:"e-form__indicators__indicator--state-completed",indicatorShapeCircle:"e-form__indicators__indicator--shape-circle",indicatorShapeSquare:"e-form__indicators__indicator--shape-square",indicatorShapeRounded:"e-form__indicators__indicator--shape-rounded",indicatorShapeNone:"e-form__indicators__indicator--shape-none"}}}getDefaultElements(){const{selectors:t}=this.getSettings(),e={$form:this.$element.find(t.form)};return e.$fieldsWrapper=e.$form.children(t.fieldsWrapper),e.$stepWrapper=e.$fieldsWrapper.children(t.stepWrapper),e.$stepField=e.$stepWrapper.children(t.stepField),e.$fieldGroup=e.$fieldsWrapper.children(t.fieldGroup),e.$submitWrapper=e.$fieldsWrapper.children(t.submitWrapper),e.$submitButton=e.$submitWrapper.children(t.submitButton),e}onInit(){super.onInit(...arguments),this.isStepsExist()&&(this.data={steps:[],indicatorsWithObjectTags:[]},this.state={currentStep:0,stepsType:"",stepsShape:""},this.buildSteps(),this.elements={...this.elements,...this.createStepsIndicators(),...this.createStepsButtons()},this.initProgressBar(),this.extractResponsiveSizeFromSubmitWrapper())}bindEvents(){this.isStepsExist()&&this.elements.$form.on({submit:()=>this.resetForm(),keydown:t=>{13!==t.keyCode||this.isLastStep()||"textarea"===t.target.localName||(t.preventDefault(),this.applyStep("next"))},error:()=>this.onFormError(),restore_step:(t,e)=>this.setStep(e)})}isStepsExist(){return this.elements.$stepWrapper.length}initProgressBar(){"progress_bar"===this.getElementSettings().step_type&&this.setProgressBar()}buildSteps(){this.elements.$stepWrapper.each((t,e)=>{const{selectors:s,classes:r}=this.getSettings(),i=jQuery(e);i.addClass(r.step).removeClass(r.fieldGroup,r.column),t&&i.addClass(r.hidden),this.setStepData(i.children(s.stepField)),i.append(i.nextUntil(this.elements.$stepWrapper).not(this.elements.$submitWrapper))})}setStepData(t){const e={};["label","previousButton","nextButton","iconUrl","iconLibrary","icon"].forEach(s=>{const r=t.attr("data-"+s);r&&(e[s]=r)}),this.data.steps.push(e)}createStepsIndicators(){const t=this.getElementSettings(),e={};if("none"!==t.step_type){const{selectors:s,classes:r}=this.getSettings(),i=r.indicators+"--type-"+t.step_type,n=[r.indicators,i];e.$indicatorsWrapper=jQuery("<div>",{class:n.join(" ")}),e.$indicatorsWrapper.append(this.buildIndicators()),this.elements.$fieldsWrapper.before(e.$indicatorsWrapper),"progress_bar"===t.step_type?(e.$progressBar=e.$indicatorsWrapper.find(s.indicatorProgress),e.$progressBarMeter=e.$indicatorsWrapper.find(s.indicatorProgressMeter)):(e.$indicators=e.$indicatorsWrapper.find(s.indicator),e.$currentIndicator=e.$indicators.eq(this.state.currentStep))}return this.saveIndicatorsState(),e}buildIndicators(){return"progress_bar"===this.getElementSettings().step_type?this.buildProgressBar():this.buildIndicatorsFromStepsData()}buildProgressBar(){const{classes:t}=this.getSettings(),e=jQuery("<div>",{class:t.indicatorProgress}),s=jQuery("<div>",{class:t.indicatorProgressMeter});return e.append(s),e}getProgressBarValue(){const t=this.data.steps.length,e=this.state.currentStep,s=e?(e+1)/t*100:100/t;return Math.floor(s)+"%"}setProgressBar(){const t=this.getProgressBarValue();this.updateProgressMeterCSSVariable(t),this.elements.$progressBarMeter.text(t)}updateProgressMeterCSSVariable(t){this.$element[0].style.setProperty("--e-form-steps-indicator-progress-meter-width",t)}saveIndicatorsState(){const t=this.getElementSettings();this.state.stepsType=t.step_type,["none","text","progress_bar"].includes(t.step_type)||(this.state.stepsShape=t.step_icon_shape)}buildIndicatorsFromStepsData(){const t=[];return this.data.steps.forEach((e,s)=>{s&&t.push(this.getStepSeparator()),t.push(this.getStepIndicatorElement(e,s))}),t}getStepIndicatorElement(t,e){const{classes:s}=this.getSettings(),r=this.getElementSettings(),i=this.getIndicatorStateClass(e),n=[s.indicator,i],a=jQuery("<div>",{class:n.join(" ")});return r.step_type.includes("icon")&&a.append(this.getStepIconElement(t)),r.step_type.includes("number")&&a.append(this.getStepNumberElement(e)),r.step_type.includes("text")&&a.append(this.getStepLabelElement(t.label)),a}getIndicatorStateClass(t){const{classes:e}=this.getSettings();return t<this.state.currentStep?e.indicatorCompleted:t>this.state.currentStep?e.indicatorInactive:e.indicatorActive}getIndicatorShapeClass(){const t=this.getElementSettings(),{classes:e}=this.getSettings();return e["indicatorShape"+this.firstLetterToUppercase(t.step_icon_shape)]}firstLetterToUppercase(t){return t.charAt(0).toUpperCase()+t.slice(1)}getStepNumberElement(t){const{classes:e}=this.getSettings(),s=[e.indicatorNumber,this.getIndicatorShapeClass()];return jQuery("<div>",{class:s.join(" "),text:t+1})}getStepIconElement(t){const{classes:e}=this.getSettings(),s=[e.indicatorIcon,this.getIndicatorShapeClass()],r=jQuery("<div>",{class:s.join(" ")});if(t.icon)r.html(t.icon);else{let e;t.iconLibrary?e=jQuery("<i>",{class:t.iconLibrary}):(e=jQuery(`<object type="image/svg+xml" data="${t.iconUrl}"></object>`),e.on("load",t=>{t.target.contentDocument.querySelector("svg").style.fill=e.css("fill")}),this.data.indicatorsWithObjectTags.push(e)),r.append(e)}return r}getStepLabelElement(t){const{classes:e}=this.getSettings();return jQuery("<label>",{class:e.indicatorLabel,text:t})}getStepSeparator(){const{classes:t}=this.getSettings();return jQuery("<div>",{class:t.indicatorSeparator})}createStepsButtons(){const{selectors:t}=this.getSettings(),e={};return this.injectButtonsToSteps(e),e.$buttonsContainer=this.elements.$stepWrapper.find(t.buttons),e.$buttonsWrappers=e.$buttonsContainer.children(t.buttonWrapper),e}injectButtonsToSteps(){const t=this.elements.$stepWrapper.length;this.elements.$stepWrapper.each((e,s)=>{const r=jQuery(s),i=this.getButtonsContainer();let n;e?(i.append(this.getStepButton("previous",e)),n=e===t-1?this.getSubmitButton():this.getStepButton("next",e)):n=this.getStepButton("next",e),i.append(n),r.append(i)})}getButtonsContainer(){const{classes:t}=this.getSettings(),e=this.getElementSettings(),s=[t.buttons,t.column,"elementor-col-"+e.button_width];return jQuery("<div>",{class:s.join(" ")})}extractResponsiveSizeFromSubmitWrapper(){let t=[];this.elements.$submitWrapper.removeClass((e,s)=>(t=s.match(/elementor-(sm|md)-[0-9]+/g)?.join(" "),t)),this.elements.$buttonsContainer.addClass(t)}getStepButton(t,e){const{classes:s}=this.getSettings(),r=this.getButton(t,e).on("click",()=>this.applyStep(t)),i=[s.fieldGroup,s.buttonWrapper,"elementor-field-type-"+t];return jQuery("<div>",{class:i.join(" ")}).append(r)}getSubmitButton(){const{classes:t}=this.getSettings();return this.elements.$submitButton.addClass(t.button),this.elements.$submitWrapper.attr("class",(t,e)=>this.replaceClassNameColSize(e,"")).removeClass(t.column).removeClass(t.buttons).addClass(t.buttonWrapper)}replaceClassNameColSize(t,e){return t.replace(/elementor-col-([0-9]+)/g,e)}getButton(t,e){const{classes:s}=this.getSettings(),r=this.elements.$submitButton.attr("class").match(/elementor-size-([^\W\d]+)/g),i=[s.elementorButton,r,s.button,s.button+"-"+t];return jQuery("<button>",{type:"button",text:this.getButtonLabel(t,e),class:i.join(" ")})}getButtonLabel(t,e){const s=this.getElementSettings(),r=`step_${t}_label`;return this.data.steps[e][t+"Button"]||s[r]}applyStep(t){const e="next"===t?this.state.currentStep+1:this.state.currentStep-1;if("next"===t&&!this.isFieldsValid(this.elements.$stepWrapper))return!1;this.goToStep(e),this.state.currentStep=e,"progress_bar"===this.state.stepsType?this.setProgressBar():"none"!==this.state.stepsType&&this.updateIndicatorsState(t),this.elements.$form.trigger("step_change",[e])}setStep(t){t===this.state.currentStep||t<0||t>=this.data.steps.length||(this.goToStep(t),this.state.currentStep=t,"progress_bar"===this.state.stepsType?this.setProgressBar():"none"!==this.state.stepsType&&this.refreshIndicatorsState())}refreshIndicatorsState(){const{classes:t}=this.getSettings(),e=["inactive","active","completed"].map(e=>t.indicator+"--state-"+e);this.elements.$indicators.each((t,s)=>{jQuery(s).removeClass(e.join(" ")).addClass(this.getIndicatorStateClass(t))}),this.elements.$currentIndicator=this.elements.$indicators.eq(this.state.currentStep)}goToStep(t){const{classes:e}=this.getSettings();this.elements.$stepWrapper.eq(this.state.currentStep).addClass(e.hidden),this.elements.$stepWrapper.eq(t).removeClass(e.hidden).children(this.getSettings("selectors.fieldGroup")).first().find(":input").first().trigger("focus")}isFieldsValid(t){let e=!0;return t.eq(this.state.currentStep).find(".elementor-field-group").not(".e-form__field-group--condition-hidden").find(":input").each((t,s)=>{if(!s.checkValidity())return s.reportValidity(),e=!1}),e}isLastStep(){return this.state.currentStep===this.data.steps.length-1}resetForm(){this.state.currentStep=0,this.resetSteps(),"progress_bar"===this.state.stepsType?this.setProgressBar():"none"!==this.state.stepsType&&(this.elements.$currentIndicator=this.elements.$indicators.eq(this.state.currentStep),this.resetIndicators())}resetSteps(){const{classes:t}=this.getSettings();this.elements.$stepWrapper.addClass(t.hidden).eq(0).removeClass(t.hidden)}resetIndicators(){const{classes:t}=this.getSettings(),e=["inactive","active","completed"].map(e=>t.indicator+"--state-"+e);this.elements.$indicators.removeClass(e.join(" ")).not(this.elements.$indicators.eq(0)).addClass(t.indicatorInactive),this.elements.$indicators.eq(0).addClass(t.indicatorActive)}updateIndicatorsState(t){const{classes:e}=this.getSettings(),s={current:{remove:e.indicatorActive,add:"next"===t?e.indicatorCompleted:e.indicatorInactive},next:{remove:"next"===t?e.indicatorInactive:e.indicatorCompleted,add:e.indicatorActive}};this.elements.$currentIndicator.removeClass(s.current.remove).addClass(s.current.add),this.elements.$currentIndicator=this.elements.$indicators.eq(this.state.currentStep),this.elements.$currentIndicator.removeClass(s.next.remove).addClass(s.next.add),this.data.indicatorsWithObjectTags.forEach(t=>{t.contents().children("svg").css("fill",t.css("fill"))})}updateValue(t){const e={step_type:()=>this.updateStepsType(),step_icon_shape:()=>this.updateStepsShape(),step_next_label:()=>this.updateStepButtonsLabel("next"),step_previous_label:()=>this.updateStepButtonsLabel("previous")};e[t]&&e[t]()}updateStepsType(){const t=this.getElementSettings();this.elements.$indicatorsWrapper&&this.elements.$indicatorsWrapper.remove(),"none"!==t.step_type&&this.rebuildIndicators(),this.state.stepsType=t.step_type}rebuildIndicators(){this.elements={...this.elements,...this.createStepsIndicators()},this.initProgressBar()}updateStepsShape(){const t=this.getElementSettings(),{selectors:e,classes:s}=this.getSettings(),r=s.indicator+"--shape-",i=r+this.state.stepsShape,n=r+t.step_icon_shape;let a="";t.step_type.includes("icon")?a="icon":t.step_type.includes("number")&&(a="number"),this.elements.$indicators.children(e.indicator+"__"+a).removeClass(i).addClass(n),this.state.stepsShape=t.step_icon_shape}updateStepButtonsLabel(t){const{selectors:e}=this.getSettings(),s={previous:e.button+"-previous",next:e.button+"-next"};this.elements.$stepWrapper.each((e,r)=>{jQuery(r).find(s[t]).text(this.getButtonLabel(t,e))})}onFormError(){const{selectors:t}=this.getSettings(),e=this.elements.$form.find(t.formHelpInline).closest(t.stepWrapper);e.length&&this.goToStep(e.index())}onElementChange(t){this.isStepsExist()&&this.updateValue(t)}}e.default=FormSteps},2108:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class Recaptcha extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{recaptcha:".elementor-g-recaptcha:last",submit:'button[type="submit"]',recaptchaResponse:'[name="g-recaptcha-response"]'}}}getDefaultElements(){const{selectors:e}=this.getDefaultSettings(),t={$recaptcha:this.$element.find(e.recaptcha)};return t.$form=t.$recaptcha.parents("form"),t.$submit=t.$form.find(e.submit),t}bindEvents(){this.onRecaptchaApiReady()}isActive(e){const{selectors:t}=this.getDefaultSettings();return e.$element.find(t.recaptcha).length}addRecaptcha(){const e=this.elements.$recaptcha.data(),t="v3"!==e.type,s=[];s.forEach((e=>window.grecaptcha.reset(e)));const r=window.grecaptcha.render(this.elements.$recaptcha[0],e);this.elements.$form.on("reset error",(()=>{window.grecaptcha.reset(r)})),t?this.elements.$recaptcha.data("widgetId",r):(s.push(r),this.elements.$submit.on("click",(e=>this.onV3FormSubmit(e,r))))}onV3FormSubmit(e,t){e.preventDefault(),window.grecaptcha.ready((()=>{const e=this.elements.$form;grecaptcha.execute(t,{action:this.elements.$recaptcha.data("action")}).then((t=>{this.elements.$recaptchaResponse?this.elements.$recaptchaResponse.val(t):(this.elements.$recaptchaResponse=jQuery("<input>",{type:"hidden",value:t,name:"g-recaptcha-response"}),e.append(this.elements.$recaptchaResponse));(!e[0].reportValidity||"function"!=typeof e[0].reportValidity||e[0].reportValidity())&&e.trigger("submit")}))}))}onRecaptchaApiReady(){window.grecaptcha&&window.grecaptcha.render?this.addRecaptcha():setTimeout((()=>this.onRecaptchaApiReady()),350)}}t.default=Recaptcha},6681:(e,t,r)=>{var s=r(8003).__,o=r(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var a=o(r(8587));class WebhookTransport extends a.default{getDefaultSettings(){return{url:"",headers:{}}}getPayload(e,t){return{form_id:t.formId,form_name:t.formName,referrer:e.get("referrer"),submitted_at:(new Date).toISOString(),fields:this.getSerializableFields(t.fields)}}async send(e,t){const r=this.getSettings();if(!r.url)throw this.createError(s("No webhook URL is set to send this form to.","elementor-pro"));let o;try{o=await fetch(r.url,{method:"POST",headers:jQuery.extend({"Content-Type":"application/json",Accept:"application/json"},r.headers),body:JSON.stringify(this.getPayload(e,t))})}catch(e){throw this.createNetworkError(e.message)}if(500<=o.status)throw this.createError(o.statusText||String(o.status));const a=await o.json().catch(()=>({}));return"boolean"==typeof a.success&&a.data?a:o.ok?this.createResponse(!0,a.message??s("Your submission was successful.","elementor-pro")):this.createResponse(!1,a.message||s("Your submission failed because of an error.","elementor-pro"),{errors:a.errors})}}t.default=WebhookTransport},2948:(e,t,r)=>{var s=r(8003).__,n=r(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var a=n(r(8587));class QueueTransport extends a.default{getDefaultSettings(){return{transport:"webhook",databaseName:"elementor-pro-forms",storeName:"submissions",baseDelay:5e3,maxDelay:3e5}}onInit(){this.transport=this.getSettings("createTransport")(this.getSettings("transport")),QueueTransport.isListening||(window.addEventListener("online",()=>this.flush()),QueueTransport.isListening=!0),this.flush()}openDatabase(){if(!QueueTransport.database){const{databaseName:e,storeName:t}=this.getSettings();QueueTransport.database=new Promise((r,s)=>{const n=indexedDB.open(e,1);n.onupgradeneeded=()=>n.result.createObjectStore(t,{keyPath:"id",autoIncrement:!0}),n.onsuccess=()=>r(n.result),n.onerror=()=>s(n.error)})}return QueueTransport.database}async runRequest(e,t){const r=await this.openDatabase(),s=this.getSettings("storeName");return new Promise((n,a)=>{const o=t(r.transaction(s,e).objectStore(s));o.onsuccess=()=>n(o.result),o.onerror=()=>a(o.error)})}getEntries(){return this.runRequest("readonly",e=>e.getAll())}addEntry(e){return this.runRequest("readwrite",t=>t.add(e))}putEntry(e){return this.runRequest("readwrite",t=>t.put(e))}deleteEntry(e){return this.runRequest("readwrite",t=>t.delete(e))}createEntry(e,t){return{formId:t.formId,formName:t.formName,formData:[...e.entries()],fields:t.fields,attempts:0,queuedAt:Date.now()}}getEntryFormData(e){const t=new FormData;return e.formData.forEach(e=>{let[r,s]=e;return t.append(r,s)}),t}getEntryContext(e,t){return{formId:e.formId,formName:e.formName,$form:jQuery(),fields:e.fields,formData:t,response:null,queued:!0,setFieldError:()=>{}}}async send(e,t){let r;try{r=await this.addEntry(this.createEntry(e,t))}catch(r){return this.transport.send(e,t)}try{const s=await this.transport.send(e,t);return await this.deleteEntry(r),s}catch(e){if(!e.isNetworkError)throw await this.deleteEntry(r),e;return this.scheduleFlush(),this.createResponse(!0,s("You seem to be offline. Your submission is saved and will be sent as soon as you are back online.","elementor-pro"),{queued:!0})}}async flush(){if(!QueueTransport.isFlushing&&!1!==navigator.onLine){QueueTransport.isFlushing=!0,clearTimeout(QueueTransport.flushTimeout);try{for(const e of await this.getEntries()){const t=this.getEntryFormData(e),r=this.getEntryContext(e,t);try{r.response=await this.transport.send(t,r)}catch(t){if(t.isNetworkError){e.attempts++,await this.putEntry(e);break}r.response=this.createResponse(!1,t.message)}await this.deleteEntry(e.id),elementorFrontend.hooks.doAction("forms/after_response",r.response,r)}}catch(e){return}finally{QueueTransport.isFlushing=!1}this.scheduleFlush()}}async scheduleFlush(){const[e]=await this.getEntries().catch(()=>[]);if(clearTimeout(QueueTransport.flushTimeout),!e)return;const{baseDelay:t,maxDelay:r}=this.getSettings();QueueTransport.flushTimeout=setTimeout(()=>this.flush(),Math.min(t*Math.pow(2,e.attempts),r))}}t.default=QueueTransport,QueueTransport.isListening=!1,QueueTransport.isFlushing=!1,QueueTransport.flushTimeout=null,QueueTransport.database=null},6416:(e,t,o)=>{var r=o(8003).__,s=o(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=s(o(8587));class MailtoTransport extends i.default{getDefaultSettings(){return{to:"",subject:""}}getFieldLabel(e,t){return e.$form?.find(`label[for="form-field-${t}"]`).text().trim()||t}getURL(e,t){const o=this.getSettings(),r=[];jQuery.each(this.getSerializableFields(t.fields),(e,o)=>{r.push(this.getFieldLabel(t,e)+": "+[].concat(o).join(", "))}),r.push("",e.get("referrer"));const s=o.subject||t.formName||document.title;return"mailto:"+encodeURI(o.to)+"?subject="+encodeURIComponent(s)+"&body="+encodeURIComponent(r.join("\r\n"))}send(e,t){return this.getSettings("to")?(location.href=this.getURL(e,t),Promise.resolve(this.createResponse(!0,r("Your email app was opened with your message. Send it from there to complete your submission.","elementor-pro")))):Promise.reject(this.createError(r("No email address is set to send this form to.","elementor-pro")))}}t.default=MailtoTransport},8587:(e,r)=>{Object.defineProperty(r,"__esModule",{value:!0}),r.default=void 0;class BaseTransport extends elementorModules.Module{send(){return Promise.reject(this.createError("send() must be implemented by the transport."))}createResponse(e,r){let t=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};return{success:e,data:jQuery.extend({message:r,data:[]},t)}}createError(e){let r=arguments.length>1&&void 0!==arguments[1]?arguments[1]:null;const t=new Error(e);return t.xhr=r,t.isNetworkError=!1,t}createNetworkError(e){let r=arguments.length>1&&void 0!==arguments[1]?arguments[1]:null;const t=this.createError(e,r);return t.isNetworkError=!0,t}getSerializableFields(e){const r={};return jQuery.each(e,(e,t)=>{const s=[].concat(t).map(e=>e instanceof File?e.name:e);r[e]=Array.isArray(t)?s:s[0]}),r}}r.default=BaseTransport},4636:(e,r,t)=>{var a=t(3203);Object.defineProperty(r,"__esModule",{value:!0}),r.default=void 0;var s=a(t(8587));class AjaxTransport extends s.default{getDefaultSettings(){return{url:elementorProFrontend.config.ajaxurl}}send(e){return new Promise((r,t)=>{jQuery.ajax({url:this.getSettings("url"),type:"POST",dataType:"json",data:e,processData:!1,contentType:!1,success:r,error:(e,r)=>t(0===e.status?this.createNetworkError(r,e):this.createError(r,e))})})}}r.default=AjaxTransport},5089:(e,t,s)=>{var r=s(8003).__;Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class FormDraft extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{form:".elementor-form",stepWrapper:".elementor-field-type-step",excludedFields:'[type="file"], [type="password"], [type="hidden"], [type="submit"], [type="button"], .elementor-field-type-honeypot :input',promptRestore:".e-form__draft-prompt__restore",promptDiscard:".e-form__draft-prompt__discard"},classes:{prompt:"e-form__draft-prompt",promptRestore:"e-form__draft-prompt__restore",promptDiscard:"e-form__draft-prompt__discard"},saveDelay:500,localLifetimeInSeconds:604800}}getDefaultElements(){const{selectors:e}=this.getSettings();return{$form:this.$element.find(e.form)}}getStorageType(){const e=this.getElementSettings("form_draft_storage");return"session"===e||"local"===e?e:"none"!==e&&this.elements.$form.find(this.getSettings("selectors.stepWrapper")).length?"session":null}getStorageOptions(){const e="session"===this.getStorageType();return{session:e,lifetimeInSeconds:e?null:this.getSettings("localLifetimeInSeconds")}}getStorageKey(){return`formDraft-${this.elements.$form.find('[name="form_id"]').val()||this.getID()}-${location.pathname}`}onInit(){if(super.onInit(...arguments),!this.getStorageType())return;this.state={step:0};const e=this.getDraft();e&&this.showRestorePrompt(e)}bindEvents(){this.getStorageType()&&this.elements.$form.on({"input change":()=>this.scheduleSave(),step_change:(e,t)=>{this.state.step=t,this.saveDraft()},submit_success:()=>this.clearDraft()})}getDraftFields(){return this.elements.$form.find(":input[name]").not(this.getSettings("selectors.excludedFields"))}collectValues(){const e={};return this.getDraftFields().serializeArray().forEach(({name:t,value:s})=>{e[t]=(e[t]||[]).concat(s)}),e}getDraft(){const e=elementorFrontend.storage.get(this.getStorageKey(),this.getStorageOptions());return e&&e.values&&Object.values(e.values).some(e=>e.join(""))?e:null}scheduleSave(){clearTimeout(this.saveTimeout),this.saveTimeout=setTimeout(()=>this.saveDraft(),this.getSettings("saveDelay"))}saveDraft(){clearTimeout(this.saveTimeout),elementorFrontend.storage.set(this.getStorageKey(),{values:this.collectValues(),step:this.state.step},this.getStorageOptions())}clearDraft(){clearTimeout(this.saveTimeout),this.state.step=0,elementorFrontend.storage.set(this.getStorageKey(),void 0,this.getStorageOptions()),this.removeRestorePrompt()}restoreDraft(e){this.getDraftFields().each((t,s)=>{const r=jQuery(s),o=e.values[s.name]||[];"checkbox"===s.type||"radio"===s.type?r.prop("checked",o.includes(s.value)):s.multiple?r.val(o):r.val(o[0]??"")}),this.getDraftFields().trigger("change"),e.step&&(this.state.step=e.step,this.elements.$form.trigger("restore_step",[e.step]))}showRestorePrompt(e){const{classes:t}=this.getSettings(),s=jQuery("<div>",{class:[t.prompt,"elementor-message","elementor-message-info"].join(" "),role:"status"});s.append(jQuery("<span>",{text:r("Restore your progress?","elementor-pro")})," ",jQuery("<button>",{type:"button",class:t.promptRestore,text:r("Restore","elementor-pro")}).on("click",()=>{this.restoreDraft(e),this.removeRestorePrompt()})," ",jQuery("<button>",{type:"button",class:t.promptDiscard,text:r("Start over","elementor-pro")}).on("click",()=>this.clearDraft())),this.elements.$form.prepend(s),this.elements.$restorePrompt=s}removeRestorePrompt(){this.elements.$restorePrompt&&(this.elements.$restorePrompt.remove(),delete this.elements.$restorePrompt)}}t.default=FormDraft},7059:(e,t,s)=>{var i=s(8003).__;Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class UploadField extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{form:".elementor-form",fields:'input[type="file"]'},classes:{list:"e-form__uploads",item:"e-form__upload",itemState:"e-form__upload--",preview:"e-form__upload__preview",name:"e-form__upload__name",progress:"e-form__upload__progress",message:"e-form__upload__message",retry:"e-form__upload__retry",cancel:"e-form__upload__cancel"},action:"elementor_pro_forms_upload_chunk",ajaxUrl:elementorProFrontend.config.ajaxurl,chunkSize:1048576,maxRetries:3,retryDelay:1e3}}getDefaultElements(){const{selectors:e}=this.getSettings(),t=this.$element.find(e.form);return{$form:t,$fields:t.find(e.fields)}}isActive(e){return!!elementorProFrontend.config.forms?.chunkedUploads&&e.$element.find('.elementor-form input[type="file"]').length}onInit(){super.onInit(...arguments),this.isActive(this.getSettings())&&(this.uploads=new Map,this.filters={"forms/before_send":(e,t)=>this.waitForUploads(e,t),"forms/transform_data":(e,t)=>this.replaceFilesWithTokens(e,t)},jQuery.each(this.filters,(e,t)=>elementorFrontend.hooks.addFilter(e,t)))}onDestroy(){super.onDestroy(...arguments),jQuery.each(this.filters||{},(e,t)=>elementorFrontend.hooks.removeFilter(e,t)),this.uploads?.forEach(e=>this.cancelUpload(e))}bindEvents(){this.elements.$fields.on("change",e=>this.onFieldChange(e.currentTarget)),this.elements.$form.on("reset",()=>this.uploads.forEach(e=>this.removeUpload(e)))}getFieldId(e){return e.id.replace(/^form-field-/,"")}getFieldUploads(e){return[...this.uploads.values()].filter(t=>t.input===e)}onFieldChange(e){const t=Array.from(e.files);this.getFieldUploads(e).forEach(e=>this.cancelUpload(e)),t.forEach(t=>{const s=this.validateFile(e,t);s?this.elements.$form.trigger("field_error",[this.getFieldId(e),s]):this.startUpload(e,t)})}validateFile(e,t){const s=jQuery(e);if(1024*parseInt(s.attr("data-maxsize"))*1024<t.size)return s.attr("data-maxsize-message");const r=(s.attr("accept")||"").split(",").map(e=>e.trim().toLowerCase()).filter(Boolean);if(!r.length)return"";const a=r.filter(e=>e.startsWith(".")),o=r.filter(e=>!e.startsWith(".")),n=t.name.toLowerCase(),l=(t.type||"").toLowerCase(),d=!a.length||a.some(e=>n.endsWith(e)),p=!o.length||o.some(e=>e.endsWith("/*")?l.startsWith(e.slice(0,-1)):l===e);return d&&p?"":s.attr("data-type-message")||i("This file type is not allowed.","elementor-pro")}startUpload(e,t){const s={id:window.crypto?.randomUUID?crypto.randomUUID():Date.now().toString(36)+Math.random().toString(36).slice(2),input:e,file:t,fieldId:this.getFieldId(e),chunkCount:Math.max(1,Math.ceil(t.size/this.getSettings("chunkSize"))),nextChunk:0,retries:0,token:null};s.$item=this.createUploadItem(s),this.uploads.set(s.id,s),this.resumeUpload(s)}resumeUpload(e){e.error="",e.retries=0,e.promise=new Promise(t=>e.resolve=t),this.setUploadState(e,"uploading"),this.uploadNextChunk(e)}uploadNextChunk(e){const t=this.getSettings("chunkSize"),s=e.nextChunk*t,i=new FormData;i.append("action",this.getSettings("action")),i.append("upload_id",e.id),i.append("chunk_index",e.nextChunk),i.append("chunk_count",e.chunkCount),i.append("file_name",e.file.name),i.append("file_size",e.file.size),i.append("file_type",e.file.type),i.append("field",e.fieldId),i.append("form_id",this.elements.$form.find('[name="form_id"]').val()),i.append("post_id",this.elements.$form.find('[name="post_id"]').val()),i.append("chunk",e.file.slice(s,s+t),e.file.name),e.jqXHR=jQuery.ajax({url:this.getSettings("ajaxUrl"),type:"POST",dataType:"json",data:i,processData:!1,contentType:!1,xhr:()=>{const t=jQuery.ajaxSettings.xhr();return t.upload?.addEventListener("progress",t=>this.setProgress(e,s+t.loaded)),t},success:t=>this.onChunkSuccess(e,t),error:(t,s)=>{"abort"!==s&&this.onChunkError(e)}})}onChunkSuccess(e,t){t?.success?(e.retries=0,e.nextChunk=t.data?.next_chunk??e.nextChunk+1,t.data?.token?(e.token=t.data.token,this.setProgress(e,e.file.size),this.setUploadState(e,"done"),e.resolve()):e.nextChunk<e.chunkCount?this.uploadNextChunk(e):this.failUpload(e)):this.failUpload(e,t?.data?.message)}onChunkError(e){if(e.retries>=this.getSettings("maxRetries"))return void this.failUpload(e);const t=this.getSettings("retryDelay")*Math.pow(2,e.retries);e.retries++,e.retryTimeout=setTimeout(()=>this.uploadNextChunk(e),t)}failUpload(e,t){e.error=t||i("The file could not be uploaded.","elementor-pro"),this.setUploadState(e,"failed"),e.resolve()}cancelUpload(e){clearTimeout(e.retryTimeout),e.jqXHR?.abort(),e.token||jQuery.post(this.getSettings("ajaxUrl"),{action:this.getSettings("action"),upload_id:e.id,cancel:1}),this.removeUpload(e)}onRemoveClick(e){this.cancelUpload(e),this.getFieldUploads(e.input).length||(e.input.value="")}removeUpload(e){e.previewUrl&&URL.revokeObjectURL(e.previewUrl),e.$item.remove(),this.uploads.delete(e.id),e.resolve()}getUploadList(e){const{classes:t}=this.getSettings(),s=jQuery(e);let i=s.next("."+t.list);return i.length||(i=jQuery("<div>",{class:t.list,"aria-live":"polite"}),s.after(i)),i}createUploadItem(e){const{classes:t}=this.getSettings(),s=jQuery("<div>",{class:t.item});return e.file.type.startsWith("image/")&&(e.previewUrl=URL.createObjectURL(e.file),s.append(jQuery("<img>",{class:t.preview,src:e.previewUrl,alt:"",width:48,height:48}).css("object-fit","cover"))),s.append(jQuery("<span>",{class:t.name,text:e.file.name}),jQuery("<progress>",{class:t.progress,max:e.file.size,value:0,"aria-label":e.file.name}),jQuery("<span>",{class:t.message,role:"alert"}),jQuery("<button>",{type:"button",class:t.retry,text:i("Retry","elementor-pro")}).on("click",()=>this.resumeUpload(e)),jQuery("<button>",{type:"button",class:t.cancel,text:"×","aria-label":i("Remove file","elementor-pro")}).on("click",()=>this.onRemoveClick(e))),this.getUploadList(e.input).append(s),s}setProgress(e,t){e.$item.find("."+this.getSettings("classes.progress")).val(Math.min(t,e.file.size))}setUploadState(e,t){const{classes:s}=this.getSettings();e.status=t,e.$item.removeClass(["uploading","done","failed"].map(e=>s.itemState+e).join(" ")).addClass(s.itemState+t),e.$item.find("."+s.message).text("failed"===t?e.error:""),e.$item.find("."+s.retry).toggle("failed"===t)}async waitForUploads(e,t){if(t.$form[0]!==this.elements.$form[0]||!1===await e)return e;const s=[...this.uploads.values()];await Promise.all(s.map(e=>e.promise));const i=s.filter(e=>"failed"===e.status);return i.forEach(e=>t.setFieldError(e.fieldId,e.error)),!i.length}replaceFilesWithTokens(e,t){return t.$form[0]!==this.elements.$form[0]||this.elements.$fields.each((t,s)=>{e.delete(s.name),this.getFieldUploads(s).filter(e=>e.token).forEach(t=>e.append(s.name,t.token))}),e}}t.default=UploadField},6320:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class FormConditions extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{form:".elementor-form",fieldGroup:".elementor-field-group",conditionalFieldGroup:".elementor-field-group[data-conditions]"},classes:{hidden:"elementor-hidden",conditionHidden:"e-form__field-group--condition-hidden",fieldRequired:"elementor-field-required"},maxPasses:10}}getDefaultElements(){const{selectors:e}=this.getSettings(),t=this.$element.find(e.form);return{$form:t,$conditionalFieldGroups:t.find(e.conditionalFieldGroup)}}isActive(e){return e.$element.find(".elementor-form .elementor-field-group[data-conditions]").length}onInit(){super.onInit(...arguments),this.isActive(this.getSettings())&&(this.conditions=this.parseConditions(),this.evaluate())}bindEvents(){this.elements.$form.on("input change",()=>this.evaluate()),this.elements.$form.on("reset",()=>setTimeout(()=>this.evaluate()))}parseConditions(){const e=[];return this.elements.$conditionalFieldGroups.each((t,i)=>{let s;try{s=JSON.parse(i.dataset.conditions)}catch(e){return}[].concat(s).forEach(t=>{t?.action&&e.push({$group:jQuery(i),action:t.action,relation:"or"===t.relation?"or":"and",rules:t.rules||[t]})})}),e}getFieldInputs(e){return this.elements.$form.find(`[name="form_fields[${e}]"], [name="form_fields[${e}][]"]`)}getFieldValues(e){const t=this.getFieldInputs(e).not(":disabled");return t.is(":checkbox, :radio")?t.filter(":checked").map((e,t)=>t.value).get():[].concat(t.val()??[]).filter(e=>""!==e)}isRuleMet(e){const t=this.getFieldValues(e.field),i=[].concat(e.value??[]).map(String),s=t.map(parseFloat);switch(e.operator){case"is_not":return!t.some(e=>i.includes(e));case"contains":return t.some(e=>i.some(t=>e.includes(t)));case"not_contains":return!t.some(e=>i.some(t=>e.includes(t)));case"is_empty":case"not_checked":return i.length?!t.some(e=>i.includes(e)):!t.length;case"not_empty":case"checked":return i.length?t.some(e=>i.includes(e)):!!t.length;case"gt":return s.some(t=>t>parseFloat(e.value));case"lt":return s.some(t=>t<parseFloat(e.value));default:return t.some(e=>i.includes(e))}}isConditionMet(e){return"or"===e.relation?e.rules.some(e=>this.isRuleMet(e)):e.rules.every(e=>this.isRuleMet(e))}evaluate(){const e=this.getSettings("maxPasses");for(let t=0;t<e&&this.applyConditions();t++);}applyConditions(){const e=new Map;this.conditions.forEach(t=>{const i=e.get(t.$group[0])||{$group:t.$group,visible:!0,required:null},s=this.isConditionMet(t);"show"===t.action?i.visible=i.visible&&s:"hide"===t.action?i.visible=i.visible&&!s:"require"===t.action&&(i.required=i.required||s),e.set(t.$group[0],i)});let t=!1;return e.forEach(e=>{t=this.setGroupVisibility(e.$group,e.visible)||t,null!==e.required&&this.setGroupRequired(e.$group,e.required)}),t}setGroupVisibility(e,t){const{classes:i}=this.getSettings();return!e.hasClass(i.conditionHidden)!==t&&(e.toggleClass(i.conditionHidden,!t).toggleClass(i.hidden,!t),e.find(":input").each((e,i)=>{t?void 0!==i.dataset.conditionDisabled&&(i.disabled=!!i.dataset.conditionDisabled,delete i.dataset.conditionDisabled):(i.dataset.conditionDisabled=i.disabled?"disabled":"",i.disabled=!0)}),!0)}setGroupRequired(e,t){const{classes:i}=this.getSettings();e.toggleClass(i.fieldRequired,t),e.find(":input").not(':checkbox, :radio, [type="hidden"], [type="submit"], button').prop("required",t).attr("aria-required",t?"true":"false");const s=e.find(":checkbox");s.prop("required",t&&!s.filter(":checked").length)}}t.default=FormConditions}}]);
\ No newline at end of file
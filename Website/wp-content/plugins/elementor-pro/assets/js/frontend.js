@@ -336,9 +336,12 @@ class _default extends elementorModules.frontend.handlers.Base {
   }
   bindEvents() {
     elementorFrontend.elements.$window.on('resize', this.toggle);
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.reducedMotionQuery.addEventListener('change', this.toggle);
   }
   unbindEvents() {
     elementorFrontend.elements.$window.off('resize', this.toggle);
+    this.reducedMotionQuery.removeEventListener('change', this.toggle);
   }
   addCSSTransformEvents() {
     // Remove CSS transition variable that assigned from scroll.js in order to allow the transition of the CSS-Transform.
@@ -386,6 +389,45 @@ class _default extends elementorModules.frontend.handlers.Base {
       }
     };
   }
+  isReducedMotion() {
+    // The editor always shows the effects, so they can be designed whatever the OS setting.
+    return !this.isEdit && false !== elementorFrontend.config.motionFx?.adaptive && this.reducedMotionQuery.matches;
+  }
+
+  /**
+   * What is left of the effects when the visitor prefers reduced motion. Set per element with `{name}_reduced_motion`,
+   * or for the whole site with the `motion_fx_reduced_motion` kit setting:
+   * - `disable` (default): no effects, the element stays in place.
+   * - `fade`: only the scroll opacity and blur effects.
+   * - `reduce`: the scroll effects at a quarter of their speed, no mouse effects.
+   * - `ignore`: all the effects, as if motion wasn't reduced.
+   *
+   * @param {string} name
+   * @param {Object} interactions
+   * @return {Object} The interactions to run.
+   */
+  getReducedMotionInteractions(name, interactions) {
+    const fallback = this.getElementSettings(name + '_reduced_motion') || elementorFrontend.getKitSettings('motion_fx_reduced_motion') || 'disable';
+    if ('ignore' === fallback) {
+      return interactions;
+    }
+    if (!['fade', 'reduce'].includes(fallback) || !interactions.scroll) {
+      return {};
+    }
+    const scrollActions = {};
+    jQuery.each(interactions.scroll, (actionName, options) => {
+      if ('reduce' === fallback) {
+        scrollActions[actionName] = undefined === options.speed ? options : jQuery.extend({}, options, {
+          speed: options.speed / 4
+        });
+      } else if (['opacity', 'blur'].includes(actionName)) {
+        scrollActions[actionName] = options;
+      }
+    });
+    return jQuery.isEmptyObject(scrollActions) ? {} : {
+      scroll: scrollActions
+    };
+  }
   prepareOptions(name) {
     const elementSettings = this.getElementSettings(),
       type = 'motion_fx' === name ? 'element' : 'background',
@@ -435,7 +477,7 @@ class _default extends elementorModules.frontend.handlers.Base {
     }
     const options = {
       type,
-      interactions,
+      interactions: this.isReducedMotion() ? this.getReducedMotionInteractions(name, interactions) : interactions,
       elementSettings,
       $element,
       $dimensionsElement,
@@ -497,6 +539,10 @@ class _default extends elementorModules.frontend.handlers.Base {
       return;
     }
     const preparedOptions = this.prepareOptions(instanceName);
+    if (jQuery.isEmptyObject(preparedOptions.interactions)) {
+      this.deactivate(instanceName);
+      return;
+    }
     instance.setSettings(preparedOptions);
     instance.refresh();
   }
@@ -759,6 +805,82 @@ exports["default"] = _default;
 
 /***/ }),
 
+/***/ "../modules/motion-fx/assets/js/frontend/motion-fx/frame-budget.js":
+/*!*************************************************************************!*\
+  !*** ../modules/motion-fx/assets/js/frontend/motion-fx/frame-budget.js ***!
+  \*************************************************************************/
+/***/ ((__unused_webpack_module, exports) => {
+
+"use strict";
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+/**
+ * Shared frame-time meter for all the running Motion Effects.
+ *
+ * When the average time between animation frames stays over the budget, effects are degraded one level at a time:
+ * level 1 drops the mouse effects and the blur, level 2 also runs the scroll effects every other frame.
+ *
+ * Set `elementorFrontend.config.motionFx.frameBudget` (in ms) to change the budget, or
+ * `elementorFrontend.config.motionFx.adaptive` to `false` to turn off both the budget and the reduced motion fallbacks.
+ */
+class FrameBudget {
+  static isEnabled() {
+    return false !== elementorFrontend.config.motionFx?.adaptive;
+  }
+  static getMaxFrameTime() {
+    return elementorFrontend.config.motionFx?.frameBudget || FrameBudget.defaultFrameBudget;
+  }
+  static recordFrame(timestamp) {
+    if (undefined === timestamp || timestamp === FrameBudget.lastTimestamp || !FrameBudget.isEnabled() || FrameBudget.maxLevel === FrameBudget.level) {
+      return;
+    }
+    const frameTime = timestamp - FrameBudget.lastTimestamp;
+    FrameBudget.lastTimestamp = timestamp;
+
+    // A long gap means the loops were paused (offscreen or hidden tab), it isn't a slow frame.
+    if (frameTime > FrameBudget.maxFrameGap) {
+      return;
+    }
+    FrameBudget.averageFrameTime = FrameBudget.samples ? FrameBudget.averageFrameTime * 0.9 + frameTime * 0.1 : frameTime;
+    FrameBudget.samples++;
+    if (FrameBudget.samples < FrameBudget.minSamples || FrameBudget.averageFrameTime <= FrameBudget.getMaxFrameTime()) {
+      return;
+    }
+    FrameBudget.level++;
+    FrameBudget.samples = 0;
+    elementorFrontend.elements.$window.trigger('elementor-pro/motion-fx/degrade', [FrameBudget.level]);
+  }
+  static shouldSkipFrame(frameIndex) {
+    return FrameBudget.level >= 2 && 0 !== frameIndex % 2;
+  }
+  static filterActions(interactionName, actions) {
+    if (!FrameBudget.level) {
+      return actions;
+    }
+    if ('mouseMove' === interactionName) {
+      return {};
+    }
+    const allowedActions = jQuery.extend({}, actions);
+    delete allowedActions.blur;
+    return allowedActions;
+  }
+}
+exports["default"] = FrameBudget;
+FrameBudget.defaultFrameBudget = 34;
+FrameBudget.maxFrameGap = 250;
+FrameBudget.minSamples = 60;
+FrameBudget.maxLevel = 2;
+FrameBudget.level = 0;
+FrameBudget.samples = 0;
+FrameBudget.averageFrameTime = 0;
+FrameBudget.lastTimestamp = 0;
+
+/***/ }),
+
 /***/ "../modules/motion-fx/assets/js/frontend/motion-fx/interactions/base.js":
 /*!******************************************************************************!*\
   !*** ../modules/motion-fx/assets/js/frontend/motion-fx/interactions/base.js ***!
@@ -774,11 +896,16 @@ Object.defineProperty(exports, "__esModule", ({
 }));
 exports["default"] = void 0;
 var _defineProperty2 = _interopRequireDefault(__webpack_require__(/*! @babel/runtime/helpers/defineProperty */ "../node_modules/@babel/runtime/helpers/defineProperty.js"));
+var _frameBudget = _interopRequireDefault(__webpack_require__(/*! ../frame-budget */ "../modules/motion-fx/assets/js/frontend/motion-fx/frame-budget.js"));
 class _default extends elementorModules.ViewModule {
   constructor() {
     super(...arguments);
-    (0, _defineProperty2.default)(this, "onInsideViewport", () => {
-      this.run();
+    (0, _defineProperty2.default)(this, "onInsideViewport", timestamp => {
+      _frameBudget.default.recordFrame(timestamp);
+      this.frameIndex = (this.frameIndex || 0) + 1;
+      if (!_frameBudget.default.shouldSkipFrame(this.frameIndex)) {
+        this.run();
+      }
       this.animationFrameRequest = requestAnimationFrame(this.onInsideViewport);
     });
   }
@@ -791,10 +918,10 @@ class _default extends elementorModules.ViewModule {
   setElementInViewportObserver() {
     this.intersectionObserver = elementorModules.utils.Scroll.scrollObserver({
       callback: event => {
+        // The observer fires on every threshold, so make sure only one loop is running.
+        this.removeAnimationFrameRequest();
         if (event.isInViewport) {
           this.onInsideViewport();
-        } else {
-          this.removeAnimationFrameRequest();
         }
       }
     });
@@ -809,12 +936,13 @@ class _default extends elementorModules.ViewModule {
   }
   removeIntersectionObserver() {
     if (this.intersectionObserver) {
-      this.intersectionObserver.unobserve(this.motionFX.elements.$parent[0]);
+      this.intersectionObserver.disconnect();
     }
   }
   removeAnimationFrameRequest() {
     if (this.animationFrameRequest) {
       cancelAnimationFrame(this.animationFrameRequest);
+      this.animationFrameRequest = null;
     }
   }
   destroy() {
@@ -951,6 +1079,7 @@ exports["default"] = void 0;
 var _scroll = _interopRequireDefault(__webpack_require__(/*! ./interactions/scroll */ "../modules/motion-fx/assets/js/frontend/motion-fx/interactions/scroll.js"));
 var _mouseMove = _interopRequireDefault(__webpack_require__(/*! ./interactions/mouse-move */ "../modules/motion-fx/assets/js/frontend/motion-fx/interactions/mouse-move.js"));
 var _actions = _interopRequireDefault(__webpack_require__(/*! ./actions */ "../modules/motion-fx/assets/js/frontend/motion-fx/actions.js"));
+var _frameBudget = _interopRequireDefault(__webpack_require__(/*! ./frame-budget */ "../modules/motion-fx/assets/js/frontend/motion-fx/frame-budget.js"));
 class _default extends elementorModules.ViewModule {
   getDefaultSettings() {
     return {
@@ -973,10 +1102,13 @@ class _default extends elementorModules.ViewModule {
   }
   bindEvents() {
     this.defineDimensions = this.defineDimensions.bind(this);
+    this.refresh = this.refresh.bind(this);
     elementorFrontend.elements.$window.on('resize elementor-pro/motion-fx/recalc', this.defineDimensions);
+    elementorFrontend.elements.$window.on('elementor-pro/motion-fx/degrade', this.refresh);
   }
   unbindEvents() {
     elementorFrontend.elements.$window.off('resize elementor-pro/motion-fx/recalc', this.defineDimensions);
+    elementorFrontend.elements.$window.off('elementor-pro/motion-fx/degrade', this.refresh);
   }
   addBackgroundLayer() {
     const settings = this.getSettings();
@@ -1063,6 +1195,10 @@ class _default extends elementorModules.ViewModule {
     this.actions.setCSSTransformVariables(settings.elementSettings);
     this.prepareSpecialActions();
     jQuery.each(settings.interactions, (interactionName, actions) => {
+      actions = _frameBudget.default.filterActions(interactionName, actions);
+      if (jQuery.isEmptyObject(actions)) {
+        return;
+      }
       this.interactions[interactionName] = new this.interactionsTypes[interactionName]({
         motionFX: this,
         callback: function () {
@@ -1091,6 +1227,7 @@ class _default extends elementorModules.ViewModule {
     this.runInteractions();
   }
   destroy() {
+    this.unbindEvents();
     this.destroyInteractions();
     this.actions.refresh();
     const settings = this.getSettings();
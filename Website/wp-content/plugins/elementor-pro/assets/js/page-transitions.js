@@ -90,6 +90,8 @@ Object.defineProperty(exports, "__esModule", ({
 exports["default"] = exports.PageTransition = void 0;
 var _pageTransitionComponent = _interopRequireDefault(__webpack_require__(/*! ./page-transition.component.scss */ "../modules/page-transitions/assets/js/frontend/components/page-transition/page-transition.component.scss"));
 var _filters = _interopRequireDefault(__webpack_require__(/*! ./filters */ "../modules/page-transitions/assets/js/frontend/components/page-transition/filters.js"));
+const VIEW_TRANSITION_STYLE_ID = 'e-page-transition-view-transition',
+  VIEW_TRANSITION_RULE = '@media (prefers-reduced-motion: no-preference) { @view-transition { navigation: auto; } }';
 class PageTransition extends HTMLElement {
   /**
    * Initialize the Page Transitions element.
@@ -100,9 +102,72 @@ class PageTransition extends HTMLElement {
     super();
     this.classes = this.getClasses();
     this.elements = this.getElements();
+    this.prerenderedURLs = new Set();
+    this.isViewTransitionAllowed = false;
     this.bindEvents();
   }
 
+  /**
+   * Get the way the page transition runs in the current browser.
+   *
+   * - `cross-document`: The browser animates the navigation itself (`@view-transition`).
+   * - `same-document`: The preloader is shown using `document.startViewTransition()` before navigating.
+   * - `classic`: The CSS class animations.
+   *
+   * The View Transitions modes can be turned off using the `transition-mode="classic"` attribute.
+   *
+   * @return {('cross-document'|'same-document'|'classic')} - Transition mode.
+   */
+  getTransitionMode() {
+    if ('classic' === this.getAttribute('transition-mode') || window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      return 'classic';
+    }
+    if (window.CSSViewTransitionRule) {
+      return 'cross-document';
+    }
+    if (document.startViewTransition) {
+      return 'same-document';
+    }
+    return 'classic';
+  }
+
+  /**
+   * Opt the page in to cross-document View Transitions.
+   *
+   * Runs when the script is loaded in the `<head>`, the opt-in has to be there before the first render for the
+   * navigation into the page to be animated. Pages with `transition-mode="classic"` drop it once the element is
+   * connected, see `connectedCallback()`.
+   *
+   * @return {void}
+   */
+  static enableCrossDocumentTransitions() {
+    if (document.getElementById(VIEW_TRANSITION_STYLE_ID)) {
+      return;
+    }
+    const style = document.createElement('style');
+    style.id = VIEW_TRANSITION_STYLE_ID;
+    style.textContent = VIEW_TRANSITION_RULE;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Apply the Page Transition settings to the cross-document View Transitions, or opt out of them.
+   *
+   * @return {void}
+   */
+  updateCrossDocumentTransitions() {
+    const style = document.getElementById(VIEW_TRANSITION_STYLE_ID);
+    if (!style) {
+      return;
+    }
+    if ('cross-document' !== this.getTransitionMode()) {
+      style.remove();
+      return;
+    }
+    const duration = this.getAnimationDuration();
+    style.textContent = VIEW_TRANSITION_RULE + (duration ? `::view-transition-group(root) { animation-duration: ${duration}ms; }` : '');
+  }
+
   /**
    * Get a list of classes that are used in the code.
    *
@@ -165,6 +230,17 @@ class PageTransition extends HTMLElement {
    * @return {void}
    */
   onPageShow() {
+    // Reset the View Transition state when coming back from the back / forward cache.
+    this.style.animation = '';
+    this.isViewTransitionAllowed = false;
+
+    // The browser already animated the navigation.
+    if ('cross-document' === this.getTransitionMode()) {
+      this.classList.remove(this.classes.exiting);
+      this.classList.add(this.classes.entered);
+      return;
+    }
+
     // To disable animation on back / forward click.
     if (this.classList.contains(this.classes.exiting)) {
       this.classList.add(this.classes.entered);
@@ -187,8 +263,21 @@ class PageTransition extends HTMLElement {
     if (!this.shouldPageTriggerTransition(e.currentTarget)) {
       return;
     }
+    const transitionMode = this.getTransitionMode();
+
+    // Let the browser navigate and animate.
+    if ('cross-document' === transitionMode) {
+      this.isViewTransitionAllowed = true;
+      return;
+    }
     e.preventDefault();
     const href = e.currentTarget.href;
+    if ('same-document' === transitionMode) {
+      this.transitionToPreloader().then(() => {
+        location.href = href;
+      });
+      return;
+    }
     this.classList.remove(this.classes.entered);
     this.animateState('exiting', this.getPreloaderDelay()).then(() => {
       this.classList.add(this.classes.exiting);
@@ -199,17 +288,60 @@ class PageTransition extends HTMLElement {
   }
 
   /**
-   * Prerender a webpage using `rel=prerender`.
+   * Skip the cross-document View Transition of navigations that weren't started by a Page Transition link, e.g. links
+   * that are excluded or opted out with `data-e-disable-page-transition`, forms and the back button.
+   *
+   * @param {PageSwapEvent} e
+   * @return {void}
+   */
+  onPageSwap(e) {
+    if (e.viewTransition && !this.isViewTransitionAllowed) {
+      e.viewTransition.skipTransition();
+    }
+  }
+
+  /**
+   * Show the preloader using a View Transition, instead of the exit animation.
+   *
+   * @return {Promise} - Resolved after the transition and the preloader delay.
+   */
+  transitionToPreloader() {
+    const transition = document.startViewTransition(() => {
+      // The View Transition animates the change, so the overlay is shown in its final state.
+      this.style.animation = 'none';
+      this.classList.remove(this.classes.entered);
+      this.classList.add(this.classes.exiting);
+    });
+    return transition.finished.catch(() => {}).then(() => new Promise(resolve => {
+      setTimeout(resolve, this.getPreloaderDelay());
+    }));
+  }
+
+  /**
+   * Prerender a webpage using the Speculation Rules API, or prefetch it in browsers that don't support it.
    *
    * @param {string} href
    * @return {void}
    */
   prerender(href) {
-    if (document.querySelector(`link[href="${href}"]`)) {
+    if (this.prerenderedURLs.has(href)) {
+      return;
+    }
+    this.prerenderedURLs.add(href);
+    if (HTMLScriptElement.supports?.('speculationrules')) {
+      const script = document.createElement('script');
+      script.type = 'speculationrules';
+      script.textContent = JSON.stringify({
+        prerender: [{
+          source: 'list',
+          urls: [href]
+        }]
+      });
+      document.head.appendChild(script);
       return;
     }
     const link = document.createElement('link');
-    link.setAttribute('rel', 'prerender');
+    link.setAttribute('rel', 'prefetch');
     link.setAttribute('href', href);
     document.head.appendChild(link);
   }
@@ -217,14 +349,17 @@ class PageTransition extends HTMLElement {
   /**
    * Trigger a `prerender` on link mouse enter.
    *
+   * Links with a `data-e-disable-prerender` attribute are not prerendered, e.g. when visiting them has side effects.
+   *
    * @param {MouseEvent} e
    * @return {void}
    */
   onLinkMouseEnter(e) {
-    if (!this.shouldPageTriggerTransition(e.currentTarget)) {
+    const a = e.currentTarget;
+    if (!this.shouldPageTriggerTransition(a) || Object.prototype.hasOwnProperty.call(a.dataset, 'eDisablePrerender')) {
       return;
     }
-    this.prerender(e.currentTarget.href);
+    this.prerender(a.href);
   }
 
   /**
@@ -234,6 +369,7 @@ class PageTransition extends HTMLElement {
    */
   bindEvents() {
     window.addEventListener('pageshow', this.onPageShow.bind(this));
+    window.addEventListener('pageswap', this.onPageSwap.bind(this));
     window.addEventListener('DOMContentLoaded', () => {
       this.elements = this.getElements();
       this.elements.links.forEach(a => {
@@ -440,9 +576,18 @@ class PageTransition extends HTMLElement {
    */
   connectedCallback() {
     this.render();
+    this.updateCrossDocumentTransitions();
+
+    // Don't cover the page until `pageshow`, the browser already animated the navigation.
+    if ('cross-document' === this.getTransitionMode() && !this.classList.contains(this.classes.preview)) {
+      this.classList.add(this.classes.entered);
+    }
   }
 }
 exports.PageTransition = PageTransition;
+if (window.CSSViewTransitionRule) {
+  PageTransition.enableCrossDocumentTransitions();
+}
 var _default = exports["default"] = PageTransition;
 
 /***/ }),
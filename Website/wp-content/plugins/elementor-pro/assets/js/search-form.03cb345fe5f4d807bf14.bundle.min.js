@@ -0,0 +1,2 @@
+/*! elementor-pro - v3.21.0 - 20-05-2024 */
+"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[858],{5408:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.tokenize=t.stem=t.normalize=t.getWords=void 0;const n=["וה","שה","וב","ול","ומ","וש","כש","מה","ו","ה","ב","ל","מ","ש","כ"],s=["ים","ות","יה","ה"],r=[[/ies$/,"y"],[/sses$/,"ss"],[/([^su])s$/,"$1"],[/(\w{3,})ing$/,"$1"],[/(\w{3,})ed$/,"$1"],[/(\w{3,})ly$/,"$1"]],l=e=>/[\u0590-\u05FF]/.test(e)?(e=>{let t=e;const r=n.find(e=>t.startsWith(e)&&t.length-e.length>=3);r&&(t=t.slice(r.length));const l=s.find(e=>t.endsWith(e)&&t.length-e.length>=2);return l&&(t=t.slice(0,-l.length)),t})(e):(e=>{if(e.length<=3)return e;const t=r.find(t=>{let[n]=t;return n.test(e)});return(t?e.replace(t[0],t[1]):e).replace(/([^aeiou])i$/,"$1y")})(e);t.stem=l;const i=e=>e.normalize("NFKD").replace(/\p{M}/gu,"").toLowerCase().replace(/['’׳״"]/g,"");t.normalize=i;const o=e=>(i(e).match(/[\p{L}\p{N}]+/gu)||[]).filter(e=>e.length>1);t.getWords=o;t.tokenize=e=>o(e).map(l)},2905:(e,t,s)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var r=s(5408);const n=/[\p{L}\p{N}\p{M}'’׳״"]+/gu;class SearchIndex{constructor(e){this.pages=e.pages,this.terms=e.terms,this.sortedTerms=Object.keys(e.terms).sort()}static load(e){return SearchIndex.requests[e]||(SearchIndex.requests[e]=SearchIndex.fetchData(e).then(e=>e&&Array.isArray(e.pages)?new SearchIndex(e):null).catch(()=>null)),SearchIndex.requests[e]}static fetchData(e){return fetch(e).then(t=>{if(!t.ok)throw new Error(t.statusText);return SearchIndex.openCache().then(s=>s?.put(e,t.clone())).catch(()=>{}),t.json()}).catch(()=>SearchIndex.openCache().then(t=>t?t.match(e):null).then(e=>e?e.json():null))}static openCache(){return window.caches?caches.open(SearchIndex.CACHE_NAME).catch(()=>null):Promise.resolve(null)}search(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:10;const s=(0,r.getWords)(e),n=[...new Set(s.map(r.stem))],a=[...new Set([n[n.length-1],s[s.length-1]])];if(!n.length)return[];let h=null;return n.forEach((e,t)=>{const s=t===n.length-1?[...new Set(a.flatMap(e=>this.getTermsByPrefix(e)))]:this.terms[e]?[e]:[],r=new Map;s.forEach(e=>{const t=this.terms[e],s=Math.log(1+this.pages.length/(t.length/2));for(let e=0;e<t.length;e+=2)r.set(t[e],Math.max(r.get(t[e])||0,t[e+1]*s))}),null!==h?h.forEach((e,t)=>{r.has(t)?h.set(t,e+r.get(t)):h.delete(t)}):h=r}),[...h].sort((e,t)=>t[1]-e[1]).slice(0,t).map(e=>{let[t,s]=e;const r=this.pages[t];return{url:r.url,title:r.title,snippet:this.getSnippet(r.text,n,a),score:s}})}getTermsByPrefix(e){let t=0,s=this.sortedTerms.length;for(;t<s;){const r=t+s>>>1;this.sortedTerms[r]<e?t=r+1:s=r}const r=[];for(let s=t;s<this.sortedTerms.length&&this.sortedTerms[s].startsWith(e);s++)r.push(this.sortedTerms[s]);return r}getSnippet(e,t,s){const a=SearchIndex.SNIPPET_LENGTH,h=[];for(const a of e.matchAll(n)){const[e]=(0,r.tokenize)(a[0]);e&&(t.includes(e)||s.some(t=>e.startsWith(t)))&&h.push({start:a.index,end:a.index+a[0].length})}let c=h.length?Math.max(0,h[0].start-a/4):0,l=Math.min(e.length,c+a);c>0&&(c=e.indexOf(" ",c)+1||c),l<e.length&&(l=e.lastIndexOf(" ",l)>c?e.lastIndexOf(" ",l):l);let o=c>0?"… ":"",i=c;return h.filter(e=>e.start>=c&&e.end<=l).forEach(t=>{o+=SearchIndex.escape(e.slice(i,t.start))+"<mark>"+SearchIndex.escape(e.slice(t.start,t.end))+"</mark>",i=t.end}),o+=SearchIndex.escape(e.slice(i,l)),l<e.length?o+" …":o}static escape(e){return e.replace(/[&<>"']/g,e=>`&#${e.charCodeAt(0)};`)}}t.default=SearchIndex,SearchIndex.CACHE_NAME="elementor-pro-search-index",SearchIndex.SNIPPET_LENGTH=160,SearchIndex.requests={}},6709:(e,t,s)=>{var n=s(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var r=n(s(2905)),l=s(8003).__,i=s(8003)._n,a=s(8003).sprintf;t.default=elementorModules.frontend.handlers.Base.extend({getDefaultSettings:()=>({selectors:{wrapper:".elementor-search-form",container:".elementor-search-form__container",icon:".elementor-search-form__icon",input:".elementor-search-form__input",toggle:".elementor-search-form__toggle",submit:".elementor-search-form__submit",closeButton:".dialog-close-button"},classes:{isFocus:"elementor-search-form--focus",isFullScreen:"elementor-search-form--full-screen",lightbox:"elementor-lightbox",instant:"elementor-search-form--instant",results:"elementor-search-form__results",result:"elementor-search-form__result",resultTitle:"elementor-search-form__result-title",resultSnippet:"elementor-search-form__result-snippet",activeResult:"elementor-search-form__result--active",resultsMessage:"elementor-search-form__results-message",screenReaderOnly:"elementor-screen-only"},instantSearch:{minLength:2,limit:8,delay:150}}),getDefaultElements(){var e=this.getSettings("selectors"),t={};return t.$wrapper=this.$element.find(e.wrapper),t.$container=this.$element.find(e.container),t.$input=this.$element.find(e.input),t.$icon=this.$element.find(e.icon),t.$toggle=this.$element.find(e.toggle),t.$submit=this.$element.find(e.submit),t.$closeButton=this.$element.find(e.closeButton),t},bindEvents(){var e=this,t=e.elements.$container,s=e.elements.$closeButton,n=e.elements.$input,r=e.elements.$wrapper,l=e.elements.$icon,i=e.elements.$toggle,a=this.getElementSettings("skin"),o=this.getSettings("classes");const c=e=>{13!==e.keyCode&&32!==e.keyCode||(e.currentTarget.click(),e.stopPropagation())};"full_screen"===a?(i.on("click",()=>(t.addClass(o.isFullScreen).addClass(o.lightbox),void n.trigger("focus"))).on("keyup",e=>c(e)),t.on("click",function(e){t.hasClass(o.isFullScreen)&&t[0]===e.target&&t.removeClass(o.isFullScreen).removeClass(o.lightbox)}),s.on("click",()=>(t.removeClass(o.isFullScreen).removeClass(o.lightbox),void i.trigger("focus"))).on("keyup",e=>c(e)),elementorFrontend.elements.$document.on("keyup",function(e){27===e.keyCode&&t.hasClass(o.isFullScreen)&&t.trigger("click")})):n.on({focus(){r.addClass(o.isFocus)},blur(){r.removeClass(o.isFocus)}}),"minimal"===a&&l.on("click",function(){r.addClass(o.isFocus),n.trigger("focus")}),this.isInstantSearchEnabled()&&this.bindInstantSearchEvents()},isInstantSearchEnabled:()=>!elementorFrontend.isEditMode()&&!1!==elementorProFrontend.config.search?.instant,getSearchIndexUrl:()=>elementorProFrontend.config.search?.indexUrl||"/search-index.json",loadSearchIndex(){return this.searchIndexRequest||(this.searchIndexRequest=r.default.load(this.getSearchIndexUrl()).then(e=>(this.searchIndex=e,e&&this.elements.$input.is(":focus")&&this.updateResults(),e))),this.searchIndexRequest},bindInstantSearchEvents(){const e=this.getSettings("classes"),t=this.elements.$input,s=this.elements.$wrapper,n="elementor-search-form-results-"+this.getID();this.activeResultIndex=-1,this.$results=jQuery("<ul>",{id:n,class:e.results,role:"listbox","aria-label":l("Search results","elementor-pro"),hidden:!0}),this.$resultsStatus=jQuery("<div>",{class:e.screenReaderOnly,role:"status"}),("full_screen"===this.getElementSettings("skin")?this.elements.$container:s).append(this.$results,this.$resultsStatus),s.addClass(e.instant),t.attr({role:"combobox",autocomplete:"off","aria-autocomplete":"list","aria-controls":n,"aria-expanded":"false"});const r=elementorFrontend.debounce(()=>this.updateResults(),this.getSettings("instantSearch.delay"));t.on({focus:()=>this.loadSearchIndex(),input:r,keydown:e=>this.onInstantSearchKeyDown(e)}),s.on({submit:e=>{this.searchIndex&&(e.preventDefault(),this.updateResults(),this.setActiveResult(0))},focusout:e=>{s[0].contains(e.relatedTarget)||this.hideResults()}}),this.$results.on("mousedown",e=>e.preventDefault()),this.showSearchQueryResults()},showSearchQueryResults(){const e=new URLSearchParams(location.search).get("s")?.trim();e&&this.$element.is(jQuery(".elementor-widget-search-form").first())&&(this.elements.$input.val(e),"full_screen"===this.getElementSettings("skin")?this.elements.$toggle.trigger("click"):this.elements.$input.trigger("focus"))},onInstantSearchKeyDown(e){const t=this.$results.children('[role="option"]');if(!this.$results.prop("hidden")&&t.length)switch(e.key){case"ArrowDown":e.preventDefault(),this.setActiveResult((this.activeResultIndex+1)%t.length);break;case"ArrowUp":e.preventDefault(),this.setActiveResult((this.activeResultIndex-1+t.length)%t.length);break;case"Enter":-1!==this.activeResultIndex&&(e.preventDefault(),location.href=t.eq(this.activeResultIndex).find("a").attr("href"));break;case"Escape":this.hideResults()}},updateResults(){const e=this.elements.$input.val().trim(),t=this.getSettings("instantSearch");!this.searchIndex||e.length<t.minLength?this.hideResults():this.renderResults(this.searchIndex.search(e,t.limit))},renderResults(e){const t=this.getSettings("classes"),s=this.$results.attr("id");this.activeResultIndex=-1,this.elements.$input.removeAttr("aria-activedescendant").attr("aria-expanded","true"),this.$results.empty().prop("hidden",!1),e.length||this.$results.append(jQuery("<li>",{class:t.resultsMessage,role:"presentation",text:l("No results found.","elementor-pro")})),e.forEach((e,n)=>{const r=jQuery("<a>",{href:e.url,tabindex:-1}).append(jQuery("<span>",{class:t.resultTitle,text:e.title}),jQuery("<span>",{class:t.resultSnippet}).html(e.snippet));this.$results.append(jQuery("<li>",{id:s+"-"+n,class:t.result,role:"option","aria-selected":"false"}).append(r))}),this.$resultsStatus.text(a(i("%d result available.","%d results available.",e.length,"elementor-pro"),e.length))},setActiveResult(e){const t=this.getSettings("classes"),s=this.$results.children('[role="option"]'),n=s.eq(e);n.length&&(s.removeClass(t.activeResult).attr("aria-selected","false"),n.addClass(t.activeResult).attr("aria-selected","true"),n[0].scrollIntoView({block:"nearest"}),this.elements.$input.attr("aria-activedescendant",n.attr("id")),this.activeResultIndex=e)},hideResults(){this.$results&&!this.$results.prop("hidden")&&(this.activeResultIndex=-1,this.$results.prop("hidden",!0).empty(),this.$resultsStatus.empty(),this.elements.$input.removeAttr("aria-activedescendant").attr("aria-expanded","false"))}})}}]);
\ No newline at end of file
@@ -6,14 +6,19 @@
 /*!****************************************************************************!*\
   !*** ../modules/theme-elements/assets/js/frontend/handlers/search-form.js ***!
   \****************************************************************************/
-/***/ ((__unused_webpack_module, exports) => {
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
 
 
 
+var _interopRequireDefault = __webpack_require__(/*! @babel/runtime/helpers/interopRequireDefault */ "../node_modules/@babel/runtime/helpers/interopRequireDefault.js");
 Object.defineProperty(exports, "__esModule", ({
   value: true
 }));
 exports["default"] = void 0;
+var _searchIndex = _interopRequireDefault(__webpack_require__(/*! ../utils/search-index */ "../modules/theme-elements/assets/js/frontend/utils/search-index.js"));
+/* provided dependency */ var __ = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["__"];
+/* provided dependency */ var _n = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["_n"];
+/* provided dependency */ var sprintf = __webpack_require__(/*! @wordpress/i18n */ "@wordpress/i18n")["sprintf"];
 var _default = exports["default"] = elementorModules.frontend.handlers.Base.extend({
   getDefaultSettings() {
     return {
@@ -29,7 +34,20 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
       classes: {
         isFocus: 'elementor-search-form--focus',
         isFullScreen: 'elementor-search-form--full-screen',
-        lightbox: 'elementor-lightbox'
+        lightbox: 'elementor-lightbox',
+        instant: 'elementor-search-form--instant',
+        results: 'elementor-search-form__results',
+        result: 'elementor-search-form__result',
+        resultTitle: 'elementor-search-form__result-title',
+        resultSnippet: 'elementor-search-form__result-snippet',
+        activeResult: 'elementor-search-form__result--active',
+        resultsMessage: 'elementor-search-form__results-message',
+        screenReaderOnly: 'elementor-screen-only'
+      },
+      instantSearch: {
+        minLength: 2,
+        limit: 8,
+        delay: 150
       }
     };
   },
@@ -112,9 +130,454 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
         $input.trigger('focus');
       });
     }
+    if (this.isInstantSearchEnabled()) {
+      this.bindInstantSearchEvents();
+    }
+  },
+  /**
+   * Instant results from the prebuilt index of the static export (see `tools/build-search-index.js`). Set
+   * `elementorProFrontend.config.search.indexUrl` when the index isn't at the site root, or
+   * `elementorProFrontend.config.search.instant` to false to submit the form to the server instead.
+   *
+   * @return {boolean} Whether the form shows instant results.
+   */
+  isInstantSearchEnabled() {
+    return !elementorFrontend.isEditMode() && false !== elementorProFrontend.config.search?.instant;
+  },
+  getSearchIndexUrl() {
+    return elementorProFrontend.config.search?.indexUrl || '/search-index.json';
+  },
+  loadSearchIndex() {
+    if (!this.searchIndexRequest) {
+      this.searchIndexRequest = _searchIndex.default.load(this.getSearchIndexUrl()).then(searchIndex => {
+        this.searchIndex = searchIndex;
+        if (searchIndex && this.elements.$input.is(':focus')) {
+          this.updateResults();
+        }
+        return searchIndex;
+      });
+    }
+    return this.searchIndexRequest;
+  },
+  bindInstantSearchEvents() {
+    const classes = this.getSettings('classes'),
+      $input = this.elements.$input,
+      $wrapper = this.elements.$wrapper,
+      resultsId = 'elementor-search-form-results-' + this.getID();
+    this.activeResultIndex = -1;
+    this.$results = jQuery('<ul>', {
+      id: resultsId,
+      class: classes.results,
+      role: 'listbox',
+      'aria-label': __('Search results', 'elementor-pro'),
+      hidden: true
+    });
+    this.$resultsStatus = jQuery('<div>', {
+      class: classes.screenReaderOnly,
+      role: 'status'
+    });
+
+    // The full screen container covers the page, the results have to be inside it.
+    ('full_screen' === this.getElementSettings('skin') ? this.elements.$container : $wrapper).append(this.$results, this.$resultsStatus);
+    $wrapper.addClass(classes.instant);
+    $input.attr({
+      role: 'combobox',
+      autocomplete: 'off',
+      'aria-autocomplete': 'list',
+      'aria-controls': resultsId,
+      'aria-expanded': 'false'
+    });
+    const updateResults = elementorFrontend.debounce(() => this.updateResults(), this.getSettings('instantSearch.delay'));
+    $input.on({
+      focus: () => this.loadSearchIndex(),
+      input: updateResults,
+      keydown: event => this.onInstantSearchKeyDown(event)
+    });
+    $wrapper.on({
+      submit: event => {
+        if (!this.searchIndex) {
+          return;
+        }
+
+        // There's no search page on a static export, the results are the search.
+        event.preventDefault();
+        this.updateResults();
+        this.setActiveResult(0);
+      },
+      focusout: event => {
+        if (!$wrapper[0].contains(event.relatedTarget)) {
+          this.hideResults();
+        }
+      }
+    });
+
+    // Keep the focus on the input while a result is clicked, for browsers that don't focus links on click.
+    this.$results.on('mousedown', event => event.preventDefault());
+    this.showSearchQueryResults();
+  },
+  /**
+   * WordPress search URLs (`/?s=…`) load a static page of the export, the first search form of the page shows the
+   * results of their query instead of a search results page.
+   */
+  showSearchQueryResults() {
+    const query = new URLSearchParams(location.search).get('s')?.trim();
+    if (!query || !this.$element.is(jQuery('.elementor-widget-search-form').first())) {
+      return;
+    }
+    this.elements.$input.val(query);
+
+    // The results show once the index is loaded, for the focused input.
+    if ('full_screen' === this.getElementSettings('skin')) {
+      this.elements.$toggle.trigger('click');
+    } else {
+      this.elements.$input.trigger('focus');
+    }
+  },
+  onInstantSearchKeyDown(event) {
+    const $results = this.$results.children('[role="option"]');
+    if (this.$results.prop('hidden') || !$results.length) {
+      return;
+    }
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.setActiveResult((this.activeResultIndex + 1) % $results.length);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.setActiveResult((this.activeResultIndex - 1 + $results.length) % $results.length);
+        break;
+      case 'Enter':
+        if (-1 !== this.activeResultIndex) {
+          event.preventDefault();
+          location.href = $results.eq(this.activeResultIndex).find('a').attr('href');
+        }
+        break;
+      case 'Escape':
+        this.hideResults();
+        break;
+    }
+  },
+  updateResults() {
+    const query = this.elements.$input.val().trim(),
+      settings = this.getSettings('instantSearch');
+    if (!this.searchIndex || query.length < settings.minLength) {
+      this.hideResults();
+      return;
+    }
+    this.renderResults(this.searchIndex.search(query, settings.limit));
+  },
+  renderResults(results) {
+    const classes = this.getSettings('classes'),
+      resultsId = this.$results.attr('id');
+    this.activeResultIndex = -1;
+    this.elements.$input.removeAttr('aria-activedescendant').attr('aria-expanded', 'true');
+    this.$results.empty().prop('hidden', false);
+    if (!results.length) {
+      this.$results.append(jQuery('<li>', {
+        class: classes.resultsMessage,
+        role: 'presentation',
+        text: __('No results found.', 'elementor-pro')
+      }));
+    }
+    results.forEach((result, index) => {
+      const $link = jQuery('<a>', {
+        href: result.url,
+        tabindex: -1
+      }).append(jQuery('<span>', {
+        class: classes.resultTitle,
+        text: result.title
+      }), jQuery('<span>', {
+        class: classes.resultSnippet
+      }).html(result.snippet));
+      this.$results.append(jQuery('<li>', {
+        id: resultsId + '-' + index,
+        class: classes.result,
+        role: 'option',
+        'aria-selected': 'false'
+      }).append($link));
+    });
+    this.$resultsStatus.text(sprintf(_n('%d result available.', '%d results available.', results.length, 'elementor-pro'), results.length));
+  },
+  setActiveResult(index) {
+    const classes = this.getSettings('classes'),
+      $results = this.$results.children('[role="option"]'),
+      $activeResult = $results.eq(index);
+    if (!$activeResult.length) {
+      return;
+    }
+    $results.removeClass(classes.activeResult).attr('aria-selected', 'false');
+    $activeResult.addClass(classes.activeResult).attr('aria-selected', 'true');
+    $activeResult[0].scrollIntoView({
+      block: 'nearest'
+    });
+    this.elements.$input.attr('aria-activedescendant', $activeResult.attr('id'));
+    this.activeResultIndex = index;
+  },
+  hideResults() {
+    if (!this.$results || this.$results.prop('hidden')) {
+      return;
+    }
+    this.activeResultIndex = -1;
+    this.$results.prop('hidden', true).empty();
+    this.$resultsStatus.empty();
+    this.elements.$input.removeAttr('aria-activedescendant').attr('aria-expanded', 'false');
   }
 });
 
+/***/ }),
+
+/***/ "../modules/theme-elements/assets/js/frontend/utils/search-index.js":
+/*!**************************************************************************!*\
+  !*** ../modules/theme-elements/assets/js/frontend/utils/search-index.js ***!
+  \**************************************************************************/
+/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+var _searchTokenizer = __webpack_require__(/*! ./search-tokenizer */ "../modules/theme-elements/assets/js/frontend/utils/search-tokenizer.js");
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}'’׳״"]+/gu;
+
+/**
+ * Client side search over the index written by `tools/build-search-index.js`:
+ * `{ version, pages: [{ url, title, text }], terms: { stem: [ pageIndex, weight, ... ] } }`.
+ *
+ * The index only holds stems, queries go through the same `search-tokenizer` module as the build script.
+ */
+class SearchIndex {
+  constructor(data) {
+    this.pages = data.pages;
+    this.terms = data.terms;
+    this.sortedTerms = Object.keys(data.terms).sort();
+  }
+  /**
+   * Loads an index once per URL. A copy is kept with the Cache API when it's available, so the search still works
+   * offline after a first visit.
+   *
+   * @param {string} url
+   * @return {Promise<SearchIndex|null>} Null when the index can't be loaded.
+   */
+  static load(url) {
+    if (!SearchIndex.requests[url]) {
+      SearchIndex.requests[url] = SearchIndex.fetchData(url).then(data => data && Array.isArray(data.pages) ? new SearchIndex(data) : null).catch(() => null);
+    }
+    return SearchIndex.requests[url];
+  }
+  static fetchData(url) {
+    const getCachedData = () => SearchIndex.openCache().then(cache => cache ? cache.match(url) : null).then(response => response ? response.json() : null);
+    return fetch(url).then(response => {
+      if (!response.ok) {
+        throw new Error(response.statusText);
+      }
+      SearchIndex.openCache().then(cache => cache?.put(url, response.clone())).catch(() => {});
+      return response.json();
+    }).catch(getCachedData);
+  }
+  static openCache() {
+    if (!window.caches) {
+      return Promise.resolve(null);
+    }
+
+    // Opening a cache throws on insecure origins and in some private modes.
+    return caches.open(SearchIndex.CACHE_NAME).catch(() => null);
+  }
+
+  /**
+   * Pages that have every word of the query, best first. The last word also matches as a prefix, for results
+   * while typing.
+   *
+   * @param {string} query
+   * @param {number} limit
+   * @return {Array<{url: string, title: string, snippet: string, score: number}>} Results, snippets are HTML.
+   */
+  search(query) {
+    let limit = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 10;
+    const words = (0, _searchTokenizer.getWords)(query),
+      queryTerms = [...new Set(words.map(_searchTokenizer.stem))],
+      // Unstemmed too: `happi` stems to `happy`, which isn't a prefix of `happiness`.
+      prefixes = [...new Set([queryTerms[queryTerms.length - 1], words[words.length - 1]])];
+    if (!queryTerms.length) {
+      return [];
+    }
+    let scores = null;
+    queryTerms.forEach((queryTerm, index) => {
+      const isLastTerm = index === queryTerms.length - 1,
+        matchingTerms = isLastTerm ? [...new Set(prefixes.flatMap(prefix => this.getTermsByPrefix(prefix)))] : this.terms[queryTerm] ? [queryTerm] : [],
+        termScores = new Map();
+      matchingTerms.forEach(term => {
+        const postings = this.terms[term],
+          idf = Math.log(1 + this.pages.length / (postings.length / 2));
+        for (let i = 0; i < postings.length; i += 2) {
+          termScores.set(postings[i], Math.max(termScores.get(postings[i]) || 0, postings[i + 1] * idf));
+        }
+      });
+      if (null === scores) {
+        scores = termScores;
+        return;
+      }
+      scores.forEach((score, pageIndex) => {
+        if (termScores.has(pageIndex)) {
+          scores.set(pageIndex, score + termScores.get(pageIndex));
+        } else {
+          scores.delete(pageIndex);
+        }
+      });
+    });
+    return [...scores].sort((a, b) => b[1] - a[1]).slice(0, limit).map(_ref => {
+      let [pageIndex, score] = _ref;
+      const page = this.pages[pageIndex];
+      return {
+        url: page.url,
+        title: page.title,
+        snippet: this.getSnippet(page.text, queryTerms, prefixes),
+        score
+      };
+    });
+  }
+  getTermsByPrefix(prefix) {
+    let start = 0,
+      end = this.sortedTerms.length;
+
+    // Binary search for the first term that isn't lower than the prefix, the matches follow it.
+    while (start < end) {
+      const middle = start + end >>> 1;
+      if (this.sortedTerms[middle] < prefix) {
+        start = middle + 1;
+      } else {
+        end = middle;
+      }
+    }
+    const terms = [];
+    for (let i = start; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
+  }
+
+  /**
+   * An escaped excerpt of the text around the first match, with the matching words in `<mark>`.
+   *
+   * @param {string} text
+   * @param {string[]} queryTerms Stems of the query.
+   * @param {string[]} prefixes   The last stem and the last word of the query, which also match as prefixes.
+   * @return {string} HTML.
+   */
+  getSnippet(text, queryTerms, prefixes) {
+    const length = SearchIndex.SNIPPET_LENGTH,
+      matches = [];
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      const [stem] = (0, _searchTokenizer.tokenize)(match[0]);
+      if (stem && (queryTerms.includes(stem) || prefixes.some(prefix => stem.startsWith(prefix)))) {
+        matches.push({
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    }
+    let start = matches.length ? Math.max(0, matches[0].start - length / 4) : 0,
+      end = Math.min(text.length, start + length);
+    if (start > 0) {
+      start = text.indexOf(' ', start) + 1 || start;
+    }
+    if (end < text.length) {
+      end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    }
+    let html = start > 0 ? '… ' : '',
+      position = start;
+    matches.filter(match => match.start >= start && match.end <= end).forEach(match => {
+      html += SearchIndex.escape(text.slice(position, match.start)) + '<mark>' + SearchIndex.escape(text.slice(match.start, match.end)) + '</mark>';
+      position = match.end;
+    });
+    html += SearchIndex.escape(text.slice(position, end));
+    return end < text.length ? html + ' …' : html;
+  }
+  static escape(text) {
+    return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+  }
+}
+exports["default"] = SearchIndex;
+SearchIndex.CACHE_NAME = 'elementor-pro-search-index';
+SearchIndex.SNIPPET_LENGTH = 160;
+SearchIndex.requests = {};
+
+/***/ }),
+
+/***/ "../modules/theme-elements/assets/js/frontend/utils/search-tokenizer.js":
+/*!******************************************************************************!*\
+  !*** ../modules/theme-elements/assets/js/frontend/utils/search-tokenizer.js ***!
+  \******************************************************************************/
+/***/ ((__unused_webpack_module, exports) => {
+
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports.tokenize = exports.stem = exports.normalize = exports.getWords = void 0;
+/**
+ * Tokenizer of the static export search, shared by `tools/build-search-index.js` (which loads this module from the
+ * bundle) and the frontend `SearchIndex`, so the stems of the index and of the queries always match.
+ */
+
+const HEBREW_PREFIXES = ['וה', 'שה', 'וב', 'ול', 'ומ', 'וש', 'כש', 'מה', 'ו', 'ה', 'ב', 'ל', 'מ', 'ש', 'כ'];
+const HEBREW_SUFFIXES = ['ים', 'ות', 'יה', 'ה'];
+const ENGLISH_RULES = [[/ies$/, 'y'], [/sses$/, 'ss'], [/([^su])s$/, '$1'], [/(\w{3,})ing$/, '$1'], [/(\w{3,})ed$/, '$1'], [/(\w{3,})ly$/, '$1']];
+const stemHebrew = word => {
+  let stem = word;
+  const prefix = HEBREW_PREFIXES.find(candidate => stem.startsWith(candidate) && stem.length - candidate.length >= 3);
+  if (prefix) {
+    stem = stem.slice(prefix.length);
+  }
+  const suffix = HEBREW_SUFFIXES.find(candidate => stem.endsWith(candidate) && stem.length - candidate.length >= 2);
+  if (suffix) {
+    stem = stem.slice(0, -suffix.length);
+  }
+  return stem;
+};
+const stemEnglish = word => {
+  if (word.length <= 3) {
+    return word;
+  }
+  const rule = ENGLISH_RULES.find(_ref => {
+    let [pattern] = _ref;
+    return pattern.test(word);
+  });
+  const stem = rule ? word.replace(rule[0], rule[1]) : word;
+
+  // `worried` loses its suffix as `worri`, `happily` as `happi`: a trailing `i` after a consonant is the `y` of the word.
+  return stem.replace(/([^aeiou])i$/, '$1y');
+};
+const stem = word => /[\u0590-\u05FF]/.test(word) ? stemHebrew(word) : stemEnglish(word);
+
+/**
+ * Lowercases, folds compatibility forms (ligatures, full-width letters) and drops diacritics (including Hebrew niqqud
+ * and cantillation). Apostrophes and Hebrew geresh are dropped too, so `don't` and acronyms like `צה"ל` stay one word.
+ *
+ * @param {string} text
+ * @return {string} The normalized text.
+ */
+exports.stem = stem;
+const normalize = text => text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/['’׳״"]/g, '');
+
+/**
+ * @param {string} text
+ * @return {string[]} Normalized words of the text, single characters excluded.
+ */
+exports.normalize = normalize;
+const getWords = text => (normalize(text).match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 1);
+
+/**
+ * @param {string} text
+ * @return {string[]} Stems of the words of the text.
+ */
+exports.getWords = getWords;
+const tokenize = text => getWords(text).map(stem);
+exports.tokenize = tokenize;
+
 /***/ })
 
 }]);
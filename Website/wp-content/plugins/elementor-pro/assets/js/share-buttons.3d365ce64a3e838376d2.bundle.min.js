@@ -0,0 +1,2 @@
+/*! elementor-pro - v3.21.0 - 20-05-2024 */
+"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[58],{6509:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=function(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:["u"];const n=new URL(e),r=n.hostname,a=new URLSearchParams(n.search);return t.forEach(e=>{const t=a.get(e);if(t)try{new URL(t).hostname!==r&&a.delete(e)}catch(t){a.delete(e)}}),n.search=a.toString(),n.toString()}},4112:(e,t,n)=>{var r=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var s=r(n(6509));t.default=elementorModules.frontend.handlers.Base.extend({async onInit(){if(!this.isActive())return;elementorModules.frontend.handlers.Base.prototype.onInit.apply(this,arguments);const e=this.getElementSettings(),t=this.getSettings("classes"),n=e.share_url&&e.share_url.url,r={classPrefix:t.shareLinkPrefix};if(n)r.url=e.share_url.url;else{const e=elementorFrontend.hooks.applyFilters("elementor-pro/share-buttons/parameter-pollution-keys",["u"],this.$element);r.url=(0,s.default)(location.href,e),r.title=elementorFrontend.config.post.title,r.text=elementorFrontend.config.post.excerpt,r.image=elementorFrontend.config.post.featuredImage}this.shareLinkSettings=r,this.isNativeShareEnabled()&&this.elements.$shareButton.on("click",this.onShareButtonClick),!window.ShareLink&&elementorFrontend.utils.assetsLoader&&await elementorFrontend.utils.assetsLoader.load("script","share-link"),this.elements.$shareButton.shareLink&&this.elements.$shareButton.each((e,t)=>{const n=this.getNetworkName(t);jQuery(t).shareLink({...r,url:encodeURIComponent(this.getTaggedURL(r.url,n))}).on("click",()=>this.onShare(n,"link"))})},getNetworkName(e){const t=this.getSettings("classes.shareLinkPrefix"),n=[...e.classList].find(e=>e.startsWith(t));return n?n.slice(t.length):""},getTaggedURL(e,t){const n=this.getElementSettings();if("no"===n.utm_tagging||!t||"print"===t)return e;let r;try{r=new URL(e,location.href)}catch(t){return e}return r.searchParams.set("utm_source",t),r.searchParams.set("utm_medium",n.utm_medium||"social"),n.utm_campaign&&r.searchParams.set("utm_campaign",n.utm_campaign),r.toString()},isNativeShareEnabled(){return"yes"===this.getElementSettings("native_share")&&!!navigator.share},onShareButtonClick(e){const t=e.currentTarget;if("print"===this.getNetworkName(t)||this.nativeShareFailed)return;e.stopImmediatePropagation();const{title:n,text:r,url:s}=this.shareLinkSettings,i={title:n,text:r,url:this.getTaggedURL(s,"native")};navigator.share(i).then(()=>this.onShare("native","native")).catch(e=>{"AbortError"!==e.name&&(this.nativeShareFailed=!0,jQuery(t).trigger("click"))})},onShare(e,t){elementorFrontend.hooks.doAction("elementor-pro/share-buttons/share",{network:e,method:t,url:this.shareLinkSettings.url,pageURL:location.href,postId:elementorFrontend.config.post.id},this.$element)},getDefaultSettings:()=>({selectors:{shareButton:".elementor-share-btn"},classes:{shareLinkPrefix:"elementor-share-btn_"}}),getDefaultElements(){var e=this.getSettings("selectors");return{$shareButton:this.$element.find(e.shareButton)}},isActive:()=>!elementorFrontend.isEditMode()})}}]);
\ No newline at end of file
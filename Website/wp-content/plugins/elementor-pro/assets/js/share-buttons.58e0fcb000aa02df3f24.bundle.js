@@ -14,11 +14,18 @@ Object.defineProperty(exports, "__esModule", ({
   value: true
 }));
 exports["default"] = handleParameterPollution;
+/**
+ * Remove the query parameters that point to another domain, so they don't hijack the parameters of the share links.
+ *
+ * @param {string}   inputURL
+ * @param {string[]} paramKeysToCheck The parameters to check, `u` is the one Facebook reads.
+ * @return {string} The URL without the polluting parameters.
+ */
 function handleParameterPollution(inputURL) {
+  let paramKeysToCheck = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : ['u'];
   const urlObject = new URL(inputURL),
     mainDomain = urlObject.hostname,
-    params = new URLSearchParams(urlObject.search),
-    paramKeysToCheck = ['u']; // Can add more items if we find more problems with other social networks.
+    params = new URLSearchParams(urlObject.search);
 
   paramKeysToCheck.forEach(key => {
     const paramValue = params.get(key);
@@ -68,11 +75,20 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     if (isCustomURL) {
       shareLinkSettings.url = elementSettings.share_url.url;
     } else {
-      shareLinkSettings.url = (0, _handleParameterPollution.default)(location.href);
+      /**
+       * Other networks can be protected the same way by adding the parameters they read, e.g.:
+       * `elementorFrontend.hooks.addFilter('elementor-pro/share-buttons/parameter-pollution-keys', keys => [...keys, 'url']);`
+       */
+      const paramKeysToCheck = elementorFrontend.hooks.applyFilters('elementor-pro/share-buttons/parameter-pollution-keys', ['u'], this.$element);
+      shareLinkSettings.url = (0, _handleParameterPollution.default)(location.href, paramKeysToCheck);
       shareLinkSettings.title = elementorFrontend.config.post.title;
       shareLinkSettings.text = elementorFrontend.config.post.excerpt;
       shareLinkSettings.image = elementorFrontend.config.post.featuredImage;
     }
+    this.shareLinkSettings = shareLinkSettings;
+    if (this.isNativeShareEnabled()) {
+      this.elements.$shareButton.on('click', this.onShareButtonClick);
+    }
 
     /**
      * First check of the ShareLink is for detecting if the optimized mode is disabled and the library should be loaded dynamically.
@@ -89,7 +105,90 @@ var _default = exports["default"] = elementorModules.frontend.handlers.Base.exte
     if (!this.elements.$shareButton.shareLink) {
       return;
     }
-    this.elements.$shareButton.shareLink(shareLinkSettings);
+
+    // Each network gets its own link, so the shares can be told apart by `utm_source`.
+    this.elements.$shareButton.each((index, shareButton) => {
+      const network = this.getNetworkName(shareButton);
+      jQuery(shareButton).shareLink({
+        ...shareLinkSettings,
+        url: encodeURIComponent(this.getTaggedURL(shareLinkSettings.url, network))
+      }).on('click', () => this.onShare(network, 'link'));
+    });
+  },
+  getNetworkName(shareButton) {
+    const prefix = this.getSettings('classes.shareLinkPrefix'),
+      networkClass = [...shareButton.classList].find(className => className.startsWith(prefix));
+    return networkClass ? networkClass.slice(prefix.length) : '';
+  },
+  getTaggedURL(url, network) {
+    const elementSettings = this.getElementSettings();
+    if ('no' === elementSettings.utm_tagging || !network || 'print' === network) {
+      return url;
+    }
+    let urlObject;
+    try {
+      urlObject = new URL(url, location.href);
+    } catch (e) {
+      return url;
+    }
+    urlObject.searchParams.set('utm_source', network);
+    urlObject.searchParams.set('utm_medium', elementSettings.utm_medium || 'social');
+    if (elementSettings.utm_campaign) {
+      urlObject.searchParams.set('utm_campaign', elementSettings.utm_campaign);
+    }
+    return urlObject.toString();
+  },
+  isNativeShareEnabled() {
+    return 'yes' === this.getElementSettings('native_share') && !!navigator.share;
+  },
+  onShareButtonClick(event) {
+    const shareButton = event.currentTarget,
+      network = this.getNetworkName(shareButton);
+    if ('print' === network || this.nativeShareFailed) {
+      return;
+    }
+
+    // Keep the network popup of share-link from opening as well.
+    event.stopImmediatePropagation();
+    const {
+        title,
+        text,
+        url
+      } = this.shareLinkSettings,
+      shareData = {
+        title,
+        text,
+        url: this.getTaggedURL(url, 'native')
+      };
+    navigator.share(shareData).then(() => this.onShare('native', 'native')).catch(error => {
+      // The visitor closed the share sheet.
+      if ('AbortError' === error.name) {
+        return;
+      }
+
+      // The device can't share this content, fall back to the networks.
+      this.nativeShareFailed = true;
+      jQuery(shareButton).trigger('click');
+    });
+  },
+  onShare(network, method) {
+    /**
+     * Fired when a share button was used, e.g. to count the shares per network and page.
+     *
+     * @param {Object} share
+     * @param {string} share.network `native` for the device share sheet.
+     * @param {string} share.method  `link` for a network link, `native` for the share sheet.
+     * @param {string} share.url     The shared URL, without the UTM parameters.
+     * @param {string} share.pageURL
+     * @param {number} share.postId
+     */
+    elementorFrontend.hooks.doAction('elementor-pro/share-buttons/share', {
+      network,
+      method,
+      url: this.shareLinkSettings.url,
+      pageURL: location.href,
+      postId: elementorFrontend.config.post.id
+    }, this.$element);
   },
   getDefaultSettings() {
     return {
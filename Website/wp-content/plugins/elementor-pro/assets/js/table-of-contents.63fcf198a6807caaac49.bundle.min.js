@@ -0,0 +1,2 @@
+/*! elementor-pro - v3.21.0 - 20-05-2024 */
+"use strict";(self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[]).push([[838],{8208:(e,t,s)=>{var i=s(8003).__,n=s(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var o=n(s(1699));class TOCHandler extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{widgetContainer:".elementor-widget-container",postContentContainer:'.elementor:not([data-elementor-type="header"]):not([data-elementor-type="footer"]):not([data-elementor-type="popup"])',expandButton:".elementor-toc__toggle-button--expand",collapseButton:".elementor-toc__toggle-button--collapse",body:".elementor-toc__body",headerTitle:".elementor-toc__header-title"},classes:{anchor:"elementor-menu-anchor",listWrapper:"elementor-toc__list-wrapper",listItem:"elementor-toc__list-item",listTextWrapper:"elementor-toc__list-item-text-wrapper",firstLevelListItem:"elementor-toc__top-level",listItemText:"elementor-toc__list-item-text",activeItem:"elementor-item-active",headingAnchor:"elementor-toc__heading-anchor",collapsed:"elementor-toc--collapsed",listItemProgress:"elementor-toc__list-item-progress",copyLink:"elementor-toc__copy-link",copyLinkCopied:"elementor-toc__copy-link--copied"},listWrapperTag:"numbers"===this.getElementSettings().marker_view?"ol":"ul"}}getDefaultElements(){const e=this.getSettings();return{$pageContainer:this.getContainer(),$widgetContainer:this.$element.find(e.selectors.widgetContainer),$expandButton:this.$element.find(e.selectors.expandButton),$collapseButton:this.$element.find(e.selectors.collapseButton),$tocBody:this.$element.find(e.selectors.body),$listItems:this.$element.find("."+e.classes.listItem)}}getContainer(){const e=this.getElementSettings();if(e.container)return jQuery(o.default.sanitize(e.container));const t=this.$element.parents(".elementor");if("popup"===t.attr("data-elementor-type"))return t;const s=this.getSettings();return jQuery(s.selectors.postContentContainer)}bindEvents(){const e=this.getElementSettings();e.minimize_box&&(this.elements.$expandButton.on("click",()=>this.expandBox()).on("keyup",e=>this.triggerClickOnEnterSpace(e)),this.elements.$collapseButton.on("click",()=>this.collapseBox()).on("keyup",e=>this.triggerClickOnEnterSpace(e))),e.collapse_subitems&&this.elements.$listItems.on("hover",e=>jQuery(e.target).slideToggle())}getHeadings(){const e=this.getElementSettings(),t=e.headings_by_tags.join(","),s=this.getSettings("selectors"),i=e.exclude_headings_by_selector;return this.elements.$pageContainer.find(t).not(s.headerTitle).filter((e,t)=>!jQuery(t).closest(i).length)}addAnchorsBeforeHeadings(){const e=this.getSettings("classes");this.elements.$headings.before(t=>{if(!jQuery(this.elements.$headings[t]).data("hasOwnID"))return`<span id="${e.headingAnchor}-${t}" class="${e.anchor} "></span>`})}activateItem(e){const t=this.getSettings("classes");if(this.deactivateActiveItem(e),e.addClass(t.activeItem),this.$activeItem=e,this.updateLocationHash(e),!this.getElementSettings("collapse_subitems"))return;let s;s=e.hasClass(t.firstLevelListItem)?e.parent().next():e.parents("."+t.listWrapper).eq(-2),s.length?(this.$activeList=s,this.$activeList.stop().slideDown()):delete this.$activeList}deactivateActiveItem(e){if(!this.$activeItem||this.$activeItem.is(e))return;const{classes:t}=this.getSettings();this.$activeItem.removeClass(t.activeItem),!this.$activeList||e&&this.$activeList[0].contains(e[0])||this.$activeList.slideUp()}followAnchor(e,t){const s=e[0].hash;let i;try{i=jQuery(decodeURIComponent(s))}catch(e){return}elementorFrontend.waypoint(i,s=>{if(this.itemClicked)return;const n=i.attr("id");if("down"===s)this.viewportItems[n]=!0,this.activateItem(e);else{if(delete this.viewportItems[n],!t)return this.deactivateActiveItem(),delete this.$activeItem,void this.updateLocationHash();this.activateItem(this.$listItemTexts.eq(t-1))}},{offset:"bottom-in-view",triggerOnce:!1}),elementorFrontend.waypoint(i,s=>{if(this.itemClicked)return;const n=i.attr("id");"down"===s?(delete this.viewportItems[n],Object.keys(this.viewportItems).length&&this.activateItem(this.$listItemTexts.eq(t+1))):(this.viewportItems[n]=!0,this.activateItem(e))},{offset:0,triggerOnce:!1})}followAnchors(){this.$listItemTexts.each((e,t)=>this.followAnchor(jQuery(t),e))}updateLocationHash(e){if(elementorFrontend.isEditMode())return;const t=e?.[0]?.hash||"";t!==location.hash&&history.replaceState(history.state,"",t||location.pathname+location.search)}scrollToLocationHash(){if(!location.hash)return;const e=this.$listItemTexts.filter((e,t)=>t.hash===location.hash).first();e.length&&("complete"===document.readyState?e.trigger("click"):elementorFrontend.elements.$window.one("load",()=>e.trigger("click")))}isSectionsProgressEnabled(){return!elementorFrontend.isEditMode()&&"no"!==this.getElementSettings("section_progress")}initSectionsProgress(){this.$listItemProgress=this.$element.find("."+this.getSettings("classes.listItemProgress")),this.onWindowScroll=()=>{this.progressFrame||(this.progressFrame=requestAnimationFrame(()=>{this.progressFrame=null,this.updateSectionsProgress()}))},elementorFrontend.elements.$window.on("scroll resize",this.onWindowScroll),this.updateSectionsProgress()}updateSectionsProgress(){const e=document.documentElement.scrollHeight-innerHeight,t=this.elements.$pageContainer.offset().top+this.elements.$pageContainer.outerHeight(),s=scrollY+(e>0?innerHeight*Math.min(scrollY/e,1):innerHeight);this.elements.$headings.each((e,i)=>{const n=jQuery(i).offset().top,o=this.elements.$headings[e+1],l=o?jQuery(o).offset().top:t,a=l>n?Math.min(Math.max((s-n)/(l-n),0),1):+(s>=n);this.$listItemProgress.eq(e).css("--section-progress",Math.round(100*a)+"%")})}isCopyLinkEnabled(){return!elementorFrontend.isEditMode()&&"no"!==this.getElementSettings("copy_link_button")}addCopyLinkButtons(){const e=this.getSettings("classes"),t=i("Copy link to this section","elementor-pro");this.elements.$headings.each((s,i)=>{const n=jQuery(i);if(n.children("."+e.copyLink).length)return;const o=jQuery("<button>",{type:"button",class:e.copyLink,title:t,"aria-label":t}).html('<svg aria-hidden="true" viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M10.6 13.4a1 1 0 0 1 0-1.4l3.5-3.5a3 3 0 1 1 4.2 4.2l-2.1 2.1a1 1 0 1 1-1.4-1.4l2.1-2.1a1 1 0 0 0-1.4-1.4L12 13.4a1 1 0 0 1-1.4 0zm2.8-2.8a1 1 0 0 1 0 1.4l-3.5 3.5a3 3 0 1 1-4.2-4.2l2.1-2.1a1 1 0 1 1 1.4 1.4l-2.1 2.1a1 1 0 0 0 1.4 1.4l3.5-3.5a1 1 0 0 1 1.4 0z"/></svg>');o.on("click",()=>this.copySectionLink(o,this.headingsData[s].anchorLink)),n.append(o)})}async copySectionLink(e,t){const s=this.getSettings("classes"),n=new URL(location.href);n.hash=t;try{await navigator.clipboard.writeText(n.href)}catch(e){return void history.replaceState(history.state,"",n.hash)}e.addClass(s.copyLinkCopied).attr("aria-label",i("Link copied","elementor-pro")),clearTimeout(e.data("copiedTimeout")),e.data("copiedTimeout",setTimeout(()=>{e.removeClass(s.copyLinkCopied).attr("aria-label",e.attr("title"))},2e3))}populateTOC(){this.listItemPointer=0;this.getElementSettings().hierarchical_view?this.createNestedList():this.createFlatList(),this.$listItemTexts=this.$element.find(".elementor-toc__list-item-text"),this.$listItemTexts.on("click",this.onListItemClick.bind(this)),elementorFrontend.isEditMode()||this.followAnchors()}createNestedList(){this.headingsData.forEach((e,t)=>{e.level=0;for(let s=t-1;s>=0;s--){const t=this.headingsData[s];if(t.tag<=e.tag){e.level=t.level,t.tag<e.tag&&e.level++;break}}}),this.elements.$tocBody.html(this.getNestedLevel(0))}createFlatList(){this.elements.$tocBody.html(this.getNestedLevel())}getNestedLevel(e){const t=this.getSettings(),s=this.getElementSettings(),i=this.getElementSettings("icon");let n;i&&(n=elementorFrontend.config.experimentalFeatures.e_font_icon_svg&&!elementorFrontend.isEditMode()?void 0!==i.rendered_tag?i.rendered_tag:"":i.value?`<i class="${i.value}"></i>`:"");let l=`<${t.listWrapperTag} class="${t.classes.listWrapper}">`;for(;this.listItemPointer<this.headingsData.length;){const a=this.headingsData[this.listItemPointer];let r=t.classes.listItemText;if(0===a.level&&(r+=" "+t.classes.firstLevelListItem),e>a.level)break;if(e===a.level){l+=`<li class="${t.classes.listItem}">`,l+=`<div class="${t.classes.listTextWrapper}">`;let h=`<a href="#${a.anchorLink}" class="${r}">${a.text}</a>`;"bullets"===s.marker_view&&i&&(h=`${n}${h}`),h=o.default.sanitize(h),l+=h,this.isSectionsProgressEnabled()&&(l+=`<span class="${t.classes.listItemProgress}" aria-hidden="true"></span>`),l+="</div>",this.listItemPointer++;const c=this.headingsData[this.listItemPointer];c&&e<c.level&&(l+=this.getNestedLevel(c.level)),l+="</li>"}}return l+=`</${t.listWrapperTag}>`,l}handleNoHeadingsFound(){const e=i("No headings were found on this page.","elementor-pro");return this.elements.$tocBody.html(e)}collapseBodyListener(){const e=elementorFrontend.breakpoints.getActiveBreakpointsList({withDesktop:!0}),t=this.getElementSettings("minimized_on"),s=elementorFrontend.getCurrentDeviceMode(),i=this.$element.hasClass(this.getSettings("classes.collapsed"));"desktop"===t||e.indexOf(t)>=e.indexOf(s)?i||this.collapseBox(!1):i&&this.expandBox(!1)}onElementChange(e){"minimized_on"===e&&this.collapseBodyListener()}getHeadingAnchorLink(e,t){const s=this.elements.$headings[e].id,i=this.elements.$headings[e].closest(".elementor-widget").id;let n="";return s?n=s:i&&(n=i),s||i?jQuery(this.elements.$headings[e]).data("hasOwnID",!0):n=`${t.headingAnchor}-${e}`,n}setHeadingsData(){this.headingsData=[];const e=this.getSettings("classes");this.elements.$headings.each((t,s)=>{const i=this.getHeadingAnchorLink(t,e);this.headingsData.push({tag:+s.nodeName.slice(1),text:s.textContent,anchorLink:i})})}run(){if(this.elements.$headings=this.getHeadings(),!this.elements.$headings.length)return this.handleNoHeadingsFound();this.setHeadingsData(),elementorFrontend.isEditMode()||this.addAnchorsBeforeHeadings(),this.populateTOC(),this.getElementSettings("minimize_box")&&this.collapseBodyListener(),elementorFrontend.isEditMode()||(this.isCopyLinkEnabled()&&this.addCopyLinkButtons(),this.isSectionsProgressEnabled()&&this.initSectionsProgress(),this.scrollToLocationHash())}unbindEvents(){this.onWindowScroll&&elementorFrontend.elements.$window.off("scroll resize",this.onWindowScroll)}expandBox(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];const t=this.getCurrentDeviceSetting("min_height");this.$element.removeClass(this.getSettings("classes.collapsed")),this.elements.$tocBody.slideDown(),this.elements.$expandButton.attr("aria-expanded","true"),this.elements.$collapseButton.attr("aria-expanded","true"),this.elements.$widgetContainer.css("min-height",t.size+t.unit),e&&this.elements.$collapseButton.trigger("focus")}collapseBox(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];this.$element.addClass(this.getSettings("classes.collapsed")),this.elements.$tocBody.slideUp(),this.elements.$expandButton.attr("aria-expanded","false"),this.elements.$collapseButton.attr("aria-expanded","false"),this.elements.$widgetContainer.css("min-height","0px"),e&&this.elements.$expandButton.trigger("focus")}triggerClickOnEnterSpace(e){13!==e.keyCode&&32!==e.keyCode||(e.currentTarget.click(),e.stopPropagation())}onInit(){super.onInit(...arguments),this.viewportItems=[],jQuery(()=>this.run())}onListItemClick(e){this.itemClicked=!0,setTimeout(()=>this.itemClicked=!1,2e3);const t=jQuery(e.target),s=t.parent().next(),i=this.getElementSettings("collapse_subitems");let n;i&&t.hasClass(this.getSettings("classes.firstLevelListItem"))&&s.is(":visible")&&(n=!0),this.activateItem(t),i&&n&&s.slideUp()}}t.default=TOCHandler}}]);
\ No newline at end of file
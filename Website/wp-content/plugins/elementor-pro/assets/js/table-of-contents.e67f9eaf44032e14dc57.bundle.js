@@ -39,7 +39,10 @@ class TOCHandler extends elementorModules.frontend.handlers.Base {
         listItemText: 'elementor-toc__list-item-text',
         activeItem: 'elementor-item-active',
         headingAnchor: 'elementor-toc__heading-anchor',
-        collapsed: 'elementor-toc--collapsed'
+        collapsed: 'elementor-toc--collapsed',
+        listItemProgress: 'elementor-toc__list-item-progress',
+        copyLink: 'elementor-toc__copy-link',
+        copyLinkCopied: 'elementor-toc__copy-link--copied'
       },
       listWrapperTag
     };
@@ -113,6 +116,7 @@ class TOCHandler extends elementorModules.frontend.handlers.Base {
     this.deactivateActiveItem($listItem);
     $listItem.addClass(classes.activeItem);
     this.$activeItem = $listItem;
+    this.updateLocationHash($listItem);
     if (!this.getElementSettings('collapse_subitems')) {
       return;
     }
@@ -160,6 +164,14 @@ class TOCHandler extends elementorModules.frontend.handlers.Base {
         this.activateItem($element);
       } else {
         delete this.viewportItems[id];
+
+        // Scrolled back above the first heading, no section is active.
+        if (!index) {
+          this.deactivateActiveItem();
+          delete this.$activeItem;
+          this.updateLocationHash();
+          return;
+        }
         this.activateItem(this.$listItemTexts.eq(index - 1));
       }
     }, {
@@ -188,6 +200,110 @@ class TOCHandler extends elementorModules.frontend.handlers.Base {
   followAnchors() {
     this.$listItemTexts.each((index, element) => this.followAnchor(jQuery(element), index));
   }
+
+  /**
+   * Reflect the active heading in the URL, without adding history entries.
+   *
+   * @param {jQuery} [$listItem] The active item link, none to remove the hash.
+   */
+  updateLocationHash($listItem) {
+    if (elementorFrontend.isEditMode()) {
+      return;
+    }
+    const hash = $listItem?.[0]?.hash || '';
+    if (hash === location.hash) {
+      return;
+    }
+    history.replaceState(history.state, '', hash || location.pathname + location.search);
+  }
+
+  // The browser can't scroll to a generated anchor on load, so follow the matching TOC link once it exists.
+  scrollToLocationHash() {
+    if (!location.hash) {
+      return;
+    }
+    const $listItemText = this.$listItemTexts.filter((index, element) => element.hash === location.hash).first();
+    if (!$listItemText.length) {
+      return;
+    }
+
+    // Wait for the images above the heading, so the scroll position is final.
+    if ('complete' === document.readyState) {
+      $listItemText.trigger('click');
+    } else {
+      elementorFrontend.elements.$window.one('load', () => $listItemText.trigger('click'));
+    }
+  }
+  isSectionsProgressEnabled() {
+    return !elementorFrontend.isEditMode() && 'no' !== this.getElementSettings('section_progress');
+  }
+  initSectionsProgress() {
+    this.$listItemProgress = this.$element.find('.' + this.getSettings('classes.listItemProgress'));
+    this.onWindowScroll = () => {
+      if (this.progressFrame) {
+        return;
+      }
+      this.progressFrame = requestAnimationFrame(() => {
+        this.progressFrame = null;
+        this.updateSectionsProgress();
+      });
+    };
+    elementorFrontend.elements.$window.on('scroll resize', this.onWindowScroll);
+    this.updateSectionsProgress();
+  }
+  updateSectionsProgress() {
+    const maxScroll = document.documentElement.scrollHeight - innerHeight,
+      containerBottom = this.elements.$pageContainer.offset().top + this.elements.$pageContainer.outerHeight(),
+      // The reading line moves from the top to the bottom of the viewport along the page, so the last sections can complete.
+      readingLine = scrollY + (maxScroll > 0 ? innerHeight * Math.min(scrollY / maxScroll, 1) : innerHeight);
+    this.elements.$headings.each((index, heading) => {
+      const start = jQuery(heading).offset().top,
+        nextHeading = this.elements.$headings[index + 1],
+        end = nextHeading ? jQuery(nextHeading).offset().top : containerBottom,
+        progress = end > start ? Math.min(Math.max((readingLine - start) / (end - start), 0), 1) : +(readingLine >= start);
+      this.$listItemProgress.eq(index).css('--section-progress', Math.round(progress * 100) + '%');
+    });
+  }
+  isCopyLinkEnabled() {
+    return !elementorFrontend.isEditMode() && 'no' !== this.getElementSettings('copy_link_button');
+  }
+  addCopyLinkButtons() {
+    const classes = this.getSettings('classes'),
+      label = __('Copy link to this section', 'elementor-pro');
+    this.elements.$headings.each((index, heading) => {
+      const $heading = jQuery(heading);
+
+      // Another TOC widget on the page may have added it already.
+      if ($heading.children('.' + classes.copyLink).length) {
+        return;
+      }
+      const $button = jQuery('<button>', {
+        type: 'button',
+        class: classes.copyLink,
+        title: label,
+        'aria-label': label
+      }).html('<svg aria-hidden="true" viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M10.6 13.4a1 1 0 0 1 0-1.4l3.5-3.5a3 3 0 1 1 4.2 4.2l-2.1 2.1a1 1 0 1 1-1.4-1.4l2.1-2.1a1 1 0 0 0-1.4-1.4L12 13.4a1 1 0 0 1-1.4 0zm2.8-2.8a1 1 0 0 1 0 1.4l-3.5 3.5a3 3 0 1 1-4.2-4.2l2.1-2.1a1 1 0 1 1 1.4 1.4l-2.1 2.1a1 1 0 0 0 1.4 1.4l3.5-3.5a1 1 0 0 1 1.4 0z"/></svg>');
+      $button.on('click', () => this.copySectionLink($button, this.headingsData[index].anchorLink));
+      $heading.append($button);
+    });
+  }
+  async copySectionLink($button, anchorLink) {
+    const classes = this.getSettings('classes'),
+      url = new URL(location.href);
+    url.hash = anchorLink;
+    try {
+      await navigator.clipboard.writeText(url.href);
+    } catch (e) {
+      // Without clipboard access, at least leave the link in the address bar.
+      history.replaceState(history.state, '', url.hash);
+      return;
+    }
+    $button.addClass(classes.copyLinkCopied).attr('aria-label', __('Link copied', 'elementor-pro'));
+    clearTimeout($button.data('copiedTimeout'));
+    $button.data('copiedTimeout', setTimeout(() => {
+      $button.removeClass(classes.copyLinkCopied).attr('aria-label', $button.attr('title'));
+    }, 2000));
+  }
   populateTOC() {
     this.listItemPointer = 0;
     const elementSettings = this.getElementSettings();
@@ -261,6 +377,9 @@ class TOCHandler extends elementorModules.frontend.handlers.Base {
         }
         liContent = _dompurify.default.sanitize(liContent);
         html += liContent;
+        if (this.isSectionsProgressEnabled()) {
+          html += `<span class="${settings.classes.listItemProgress}" aria-hidden="true"></span>`;
+        }
         html += '</div>';
         this.listItemPointer++;
         const nextItem = this.headingsData[this.listItemPointer];
@@ -347,6 +466,21 @@ class TOCHandler extends elementorModules.frontend.handlers.Base {
     if (this.getElementSettings('minimize_box')) {
       this.collapseBodyListener();
     }
+    if (elementorFrontend.isEditMode()) {
+      return;
+    }
+    if (this.isCopyLinkEnabled()) {
+      this.addCopyLinkButtons();
+    }
+    if (this.isSectionsProgressEnabled()) {
+      this.initSectionsProgress();
+    }
+    this.scrollToLocationHash();
+  }
+  unbindEvents() {
+    if (this.onWindowScroll) {
+      elementorFrontend.elements.$window.off('scroll resize', this.onWindowScroll);
+    }
   }
   expandBox() {
     let changeFocus = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
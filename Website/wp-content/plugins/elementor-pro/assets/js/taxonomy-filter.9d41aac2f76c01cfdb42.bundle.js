@@ -361,15 +361,74 @@ class TaxonomyFilter extends elementorModules.frontend.handlers.Base {
     if (selectedElementId && selectedTaxonomy) {
       elementorProFrontend.modules.taxonomyFilter.removeFilterFromLoopWidget(selectedElementId, filterId, '');
     }
+    elementorFrontend.elements.$window.off('popstate', this.restoreFilterFromURL);
     super.onDestroy();
   }
+
+  /**
+   *
+   * @return {Array|null} Term slugs selected in the URL for this filter, null when it isn't in the URL.
+   */
+  getTermsFromURL() {
+    const elementSettings = this.getElementSettings(),
+      urlParams = new URLSearchParams(window.location.search),
+      selectedTermSlugs = urlParams.get('e-filter-' + elementSettings.selected_element + '-' + elementSettings.taxonomy);
+
+    // Avoid null values in elementSettings.taxonomy when multiple taxonomies deselected to trigger all (Default) state.
+    return selectedTermSlugs ? this.getTermsFromParams(selectedTermSlugs) : null;
+  }
+
+  /**
+   *
+   * @param {Array|null} selectedTermSlugs
+   * @return {boolean} The active buttons match the passed terms.
+   */
+  isFilterInSync(selectedTermSlugs) {
+    const activeFilters = this.getCurrentlyActiveFilter(),
+      defaultFilter = this.getSettings('filterValues.default');
+    if (!this.getFilterButtonElements().length) {
+      return true;
+    }
+    if (!selectedTermSlugs) {
+      return activeFilters.every(activeFilter => defaultFilter === activeFilter);
+    }
+    return activeFilters.length === selectedTermSlugs.length && selectedTermSlugs.every(termSlug => activeFilters.includes(termSlug));
+  }
+
+  /**
+   * Applies the filter state of the URL to the buttons and the loop widget, after a history navigation or when the
+   * page wasn't rendered for its query string.
+   */
+  restoreFilterFromURL() {
+    const selectedTermSlugs = this.getTermsFromURL();
+    if (this.isFilterInSync(selectedTermSlugs)) {
+      return;
+    }
+    const elementSettings = this.getElementSettings(),
+      $filterButtons = this.getFilterButtonElements();
+    $filterButtons.attr('aria-pressed', false);
+    (selectedTermSlugs || [this.getSettings('filterValues.default')]).forEach(termSlug => {
+      $filterButtons.filter('[data-filter="' + termSlug + '"]').attr('aria-pressed', true);
+    });
+    this.removePaginationHiddenClassOnLoopWidgetContainer();
+    elementorProFrontend.modules.taxonomyFilter.restoreFilterForLoopWidget(elementSettings.selected_element, this.getID(), selectedTermSlugs ? {
+      filterType: 'taxonomy',
+      filterData: {
+        selectedTaxonomy: elementSettings.taxonomy,
+        terms: selectedTermSlugs
+      }
+    } : null, this.getFilterOperator());
+  }
   populateLoopWidgetsStoreOnInitialPageLoad() {
     const elementSettings = this.getElementSettings(),
-      urlParams = new URLSearchParams(window.location.search);
-    let selectedTermSlugs = urlParams.get('e-filter-' + elementSettings.selected_element + '-' + elementSettings.taxonomy);
+      selectedTermSlugs = this.getTermsFromURL();
+
+    // Static and cached pages are rendered without the query string, so the filter is applied here.
+    if (!this.isFilterInSync(selectedTermSlugs)) {
+      this.restoreFilterFromURL();
+      return;
+    }
     if (selectedTermSlugs) {
-      // Avoid null values in elementSettings.taxonomy when multiple taxonomies deselected to trigger all (Default) state.
-      selectedTermSlugs = this.getTermsFromParams(selectedTermSlugs);
       const multipleSelectionLogicalJoin = this.getFilterOperator();
       elementorProFrontend.modules.taxonomyFilter.setFilterDataForLoopWidget(elementSettings.selected_element, this.getID(), {
         filterType: 'taxonomy',
@@ -391,6 +450,8 @@ class TaxonomyFilter extends elementorModules.frontend.handlers.Base {
   onInit() {
     super.onInit();
     this.populateLoopWidgetsStoreOnInitialPageLoad();
+    this.restoreFilterFromURL = this.restoreFilterFromURL.bind(this);
+    elementorFrontend.elements.$window.on('popstate', this.restoreFilterFromURL);
     const settingsObject = {
       element: this.elements.$container[0],
       direction: this.getItemsAlignment(),
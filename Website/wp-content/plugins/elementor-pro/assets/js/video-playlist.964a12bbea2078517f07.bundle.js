@@ -390,6 +390,11 @@ class VideoPlaylistHandler extends _baseTabs.default {
     this.isFirstVideoActivated = true;
     this.createPlaylistItems();
 
+    // The facade of each video replaces the image overlay.
+    if (this.isFacadeEnabled()) {
+      this.elements.$imageOverlay.remove();
+    }
+
     // Handle display for show more/less button.
     this.isCollapsible = this.getElementSettings('inner_tab_is_content_collapsible');
     this.innerTabsHeightLimit = this.getElementSettings('inner_tab_collapsible_height');
@@ -515,6 +520,12 @@ class VideoPlaylistHandler extends _baseTabs.default {
         this.playVideoAfterCreation(playListItem);
       }
     } else {
+      // YouTube and Vimeo players load once the visitor clicks the facade of the video.
+      if (this.isFacadeEnabled() && elementorFrontend.utils.videoFacade.isProviderSupported(playListItem.videoType) && !playListItem.isFacadePlayed) {
+        this.showFacade(playListItem);
+        return;
+      }
+
       // If the video is not created yet (first visit), then create the video instance and the event listeners.
       const players = {
         youtube: _playerYoutube.default,
@@ -595,6 +606,23 @@ class VideoPlaylistHandler extends _baseTabs.default {
     }
   }
 
+  isFacadeEnabled() {
+    return !this.isEdit && elementorFrontend.utils.videoFacade?.isEnabled();
+  }
+  showFacade(playListItem) {
+    if (playListItem.facadePromise) {
+      return;
+    }
+    playListItem.facadePromise = elementorFrontend.utils.videoFacade.create(jQuery(playListItem.tabContent), {
+      provider: playListItem.videoType,
+      poster: playListItem.poster,
+      title: playListItem.videoTitle
+    }).then(() => {
+      playListItem.isFacadePlayed = true;
+      this.handleVideo(playListItem);
+    });
+  }
+
   // Handle the actual playing of the video that already exists (already created before).
   playVideoAfterCreation(playListItem) {
     playListItem.playerInstance.play();
@@ -610,6 +638,9 @@ class VideoPlaylistHandler extends _baseTabs.default {
       playListItem.playerInstance.mute();
       playListItem.playerInstance.play();
       this.isAutoplayOnLoad = false;
+    } else if (playListItem.isFacadePlayed) {
+      // The visitor already clicked play on the facade.
+      playListItem.playerInstance.play();
     } else if (!this.isFirstVideoActivated) {
       playListItem.isAutoPlayNextUp = true;
       playListItem.playerInstance.play();
@@ -628,6 +659,7 @@ class VideoPlaylistHandler extends _baseTabs.default {
       playListItem.tabContent = tabContent;
       playListItem.dataTab = index + 1;
       playListItem.dataItemId = this.getElementSettings().tabs[index]._id;
+      playListItem.poster = this.getElementSettings().tabs[index].thumbnail?.url;
       this.playlistItemsArray.push(playListItem);
     });
 
@@ -932,6 +964,9 @@ class playerVimeo extends _playerBase.default {
           id: this.currentVideoID,
           autoplay: false
         };
+        if (elementorFrontend.utils.videoFacade?.isEnabled()) {
+          playerOptions.dnt = true;
+        }
         this.playerObject = new apiObject.Player(this.playlistItem.tabContent.querySelector('div'), playerOptions);
 
         // Indication that the video is loaded and can be played and paused.
@@ -1057,6 +1092,12 @@ class playerYoutube extends _playerBase.default {
             }
           }
         };
+
+        // To handle CORS issues, when the default host is changed, the origin parameter has to be set.
+        if (elementorFrontend.utils.videoFacade?.isEnabled()) {
+          playerOptions.host = 'https://www.youtube-nocookie.com';
+          playerOptions.origin = window.location.hostname;
+        }
         this.playerObject = new apiObject.Player(this.playlistItem.tabContent.querySelector('div'), playerOptions);
         this.playerObject.addEventListener('onStateChange', event => {
           // Buffering state.
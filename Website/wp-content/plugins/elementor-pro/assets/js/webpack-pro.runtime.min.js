@@ -1,2 +1,2 @@
 /*! elementor-pro - v3.21.0 - 20-05-2024 */
-(()=>{"use strict";var e,r,a,c={},n={};function __webpack_require__(e){var r=n[e];if(void 0!==r)return r.exports;var a=n[e]={exports:{}};return c[e].call(a.exports,a,a.exports,__webpack_require__),a.exports}__webpack_require__.m=c,e=[],__webpack_require__.O=(r,a,c,n)=>{if(!a){var i=1/0;for(o=0;o<e.length;o++){for(var[a,c,n]=e[o],_=!0,b=0;b<a.length;b++)(!1&n||i>=n)&&Object.keys(__webpack_require__.O).every((e=>__webpack_require__.O[e](a[b])))?a.splice(b--,1):(_=!1,n<i&&(i=n));if(_){e.splice(o--,1);var t=c();void 0!==t&&(r=t)}}return r}n=n||0;for(var o=e.length;o>0&&e[o-1][2]>n;o--)e[o]=e[o-1];e[o]=[a,c,n]},__webpack_require__.f={},__webpack_require__.e=e=>Promise.all(Object.keys(__webpack_require__.f).reduce(((r,a)=>(__webpack_require__.f[a](e,r),r)),[])),__webpack_require__.u=e=>714===e?"code-highlight.28a979661569ddbbf60d.bundle.min.js":721===e?"video-playlist.74fca1f2470fa6474595.bundle.min.js":256===e?"paypal-button.3d0d5af7df85963df32c.bundle.min.js":699===e?"60745ddf42fde6647dbc.bundle.min.js":156===e?"stripe-button.2acbca466dfeb9585680.bundle.min.js":241===e?"progress-tracker.53951a08af7543da98e6.bundle.min.js":26===e?"animated-headline.3efc6517c2a055f6c242.bundle.min.js":534===e?"media-carousel.aca2224ef13e6f999011.bundle.min.js":369===e?"carousel.9b02b45d7826c1c48f33.bundle.min.js":804===e?"countdown.be941c879efa861dbbfa.bundle.min.js":888===e?"hotspot.6ab1751404c381bfe390.bundle.min.js":680===e?"form.10bf1a6475f0741920ff.bundle.min.js":121===e?"gallery.8ca9a354ce039d1ba641.bundle.min.js":288===e?"lottie.565b778d23c04461c4ea.bundle.min.js":42===e?"nav-menu.d43af66e5000fd109c04.bundle.min.js":50===e?"popup.085c1727e36940b18f29.bundle.min.js":985===e?"load-more.bc9573b5d1f73abd80b9.bundle.min.js":287===e?"posts.caaf3e27e57db8207afc.bundle.min.js":824===e?"portfolio.b5c5e89624dc6b81a11a.bundle.min.js":58===e?"share-buttons.08f4daf4a4285a8632b8.bundle.min.js":114===e?"slides.fb6b9afd278bb9c5e75b.bundle.min.js":443===e?"social.2d2e44e8608690943f29.bundle.min.js":838===e?"table-of-contents.82ad797536446d523057.bundle.min.js":685===e?"archive-posts.d30c917134774f65dd6d.bundle.min.js":858===e?"search-form.a25a87283d08dad12f18.bundle.min.js":102===e?"woocommerce-menu-cart.faa7b80e9ba9e5072070.bundle.min.js":1===e?"woocommerce-purchase-summary.46445ab1120a8c28c05c.bundle.min.js":124===e?"woocommerce-checkout-page.b18af78282979b6f74e4.bundle.min.js":859===e?"woocommerce-cart.fc30c6cb753d4098eff5.bundle.min.js":979===e?"woocommerce-my-account.3ee10d01e625dad87f73.bundle.min.js":497===e?"woocommerce-notices.aaa7a3d06f24f7ea6951.bundle.min.js":800===e?"product-add-to-cart.023d7d31fbf96c3dbdfc.bundle.min.js":149===e?"loop.4f538ab2476dd2d124e6.bundle.min.js":153===e?"loop-carousel.4e8fd6593adbba21698e.bundle.min.js":356===e?"ajax-pagination.a8dae0f5699fe9733e7d.bundle.min.js":495===e?"mega-menu.611dbb6e55a2c14924ad.bundle.min.js":157===e?"mega-menu-stretch-content.60ca9e1e97c52ac3bf8c.bundle.min.js":244===e?"menu-title-keyboard-handler.80c53fcbf2fdb487c91d.bundle.min.js":209===e?"nested-carousel.21c7f0c4423917225bce.bundle.min.js":188===e?"taxonomy-filter.b42e9c10a9d0abc3454e.bundle.min.js":void 0,__webpack_require__.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),__webpack_require__.o=(e,r)=>Object.prototype.hasOwnProperty.call(e,r),r={},a="elementor-pro:",__webpack_require__.l=(e,c,n,i)=>{if(r[e])r[e].push(c);else{var _,b;if(void 0!==n)for(var t=document.getElementsByTagName("script"),o=0;o<t.length;o++){var u=t[o];if(u.getAttribute("src")==e||u.getAttribute("data-webpack")==a+n){_=u;break}}_||(b=!0,(_=document.createElement("script")).charset="utf-8",_.timeout=120,__webpack_require__.nc&&_.setAttribute("nonce",__webpack_require__.nc),_.setAttribute("data-webpack",a+n),_.src=e),r[e]=[c];var onScriptComplete=(a,c)=>{_.onerror=_.onload=null,clearTimeout(d);var n=r[e];if(delete r[e],_.parentNode&&_.parentNode.removeChild(_),n&&n.forEach((e=>e(c))),a)return a(c)},d=setTimeout(onScriptComplete.bind(null,void 0,{type:"timeout",target:_}),12e4);_.onerror=onScriptComplete.bind(null,_.onerror),_.onload=onScriptComplete.bind(null,_.onload),b&&document.head.appendChild(_)}},(()=>{var e;__webpack_require__.g.importScripts&&(e=__webpack_require__.g.location+"");var r=__webpack_require__.g.document;if(!e&&r&&(r.currentScript&&(e=r.currentScript.src),!e)){var a=r.getElementsByTagName("script");if(a.length)for(var c=a.length-1;c>-1&&!e;)e=a[c--].src}if(!e)throw new Error("Automatic publicPath is not supported in this browser");e=e.replace(/#.*$/,"").replace(/\?.*$/,"").replace(/\/[^\/]+$/,"/"),__webpack_require__.p=e})(),(()=>{var e={396:0};__webpack_require__.f.j=(r,a)=>{var c=__webpack_require__.o(e,r)?e[r]:void 0;if(0!==c)if(c)a.push(c[2]);else if(396!=r){var n=new Promise(((a,n)=>c=e[r]=[a,n]));a.push(c[2]=n);var i=__webpack_require__.p+__webpack_require__.u(r),_=new Error;__webpack_require__.l(i,(a=>{if(__webpack_require__.o(e,r)&&(0!==(c=e[r])&&(e[r]=void 0),c)){var n=a&&("load"===a.type?"missing":a.type),i=a&&a.target&&a.target.src;_.message="Loading chunk "+r+" failed.\n("+n+": "+i+")",_.name="ChunkLoadError",_.type=n,_.request=i,c[1](_)}}),"chunk-"+r,r)}else e[r]=0},__webpack_require__.O.j=r=>0===e[r];var webpackJsonpCallback=(r,a)=>{var c,n,[i,_,b]=a,t=0;if(i.some((r=>0!==e[r]))){for(c in _)__webpack_require__.o(_,c)&&(__webpack_require__.m[c]=_[c]);if(b)var o=b(__webpack_require__)}for(r&&r(a);t<i.length;t++)n=i[t],__webpack_require__.o(e,n)&&e[n]&&e[n][0](),e[n]=0;return __webpack_require__.O(o)},r=self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[];r.forEach(webpackJsonpCallback.bind(null,0)),r.push=webpackJsonpCallback.bind(null,r.push.bind(r))})()})();
\ No newline at end of file
+(()=>{"use strict";var e,r,a,c={},n={};function __webpack_require__(e){var r=n[e];if(void 0!==r)return r.exports;var a=n[e]={exports:{}};return c[e].call(a.exports,a,a.exports,__webpack_require__),a.exports}__webpack_require__.m=c,e=[],__webpack_require__.O=(r,a,c,n)=>{if(!a){var i=1/0;for(o=0;o<e.length;o++){for(var[a,c,n]=e[o],_=!0,b=0;b<a.length;b++)(!1&n||i>=n)&&Object.keys(__webpack_require__.O).every((e=>__webpack_require__.O[e](a[b])))?a.splice(b--,1):(_=!1,n<i&&(i=n));if(_){e.splice(o--,1);var t=c();void 0!==t&&(r=t)}}return r}n=n||0;for(var o=e.length;o>0&&e[o-1][2]>n;o--)e[o]=e[o-1];e[o]=[a,c,n]},__webpack_require__.f={},__webpack_require__.e=e=>Promise.all(Object.keys(__webpack_require__.f).reduce(((r,a)=>(__webpack_require__.f[a](e,r),r)),[])),__webpack_require__.u=e=>714===e?"code-highlight.28a979661569ddbbf60d.bundle.min.js":721===e?"video-playlist.c74db11507011436d676.bundle.min.js":256===e?"paypal-button.3d0d5af7df85963df32c.bundle.min.js":699===e?"60745ddf42fde6647dbc.bundle.min.js":156===e?"stripe-button.2acbca466dfeb9585680.bundle.min.js":241===e?"progress-tracker.53951a08af7543da98e6.bundle.min.js":26===e?"animated-headline.3efc6517c2a055f6c242.bundle.min.js":534===e?"media-carousel.aca2224ef13e6f999011.bundle.min.js":369===e?"carousel.9b02b45d7826c1c48f33.bundle.min.js":804===e?"countdown.0475702c0155ae723ee1.bundle.min.js":888===e?"hotspot.6ab1751404c381bfe390.bundle.min.js":680===e?"form.fd6005a766f51995aa5f.bundle.min.js":121===e?"gallery.8ca9a354ce039d1ba641.bundle.min.js":288===e?"lottie.565b778d23c04461c4ea.bundle.min.js":42===e?"nav-menu.d43af66e5000fd109c04.bundle.min.js":50===e?"popup.085c1727e36940b18f29.bundle.min.js":985===e?"load-more.3e7297ebb96b609c3aaa.bundle.min.js":287===e?"posts.caaf3e27e57db8207afc.bundle.min.js":824===e?"portfolio.b5c5e89624dc6b81a11a.bundle.min.js":58===e?"share-buttons.3d365ce64a3e838376d2.bundle.min.js":114===e?"slides.fb6b9afd278bb9c5e75b.bundle.min.js":443===e?"social.2d2e44e8608690943f29.bundle.min.js":838===e?"table-of-contents.63fcf198a6807caaac49.bundle.min.js":685===e?"archive-posts.8fb0acdcf3b04670e933.bundle.min.js":858===e?"search-form.03cb345fe5f4d807bf14.bundle.min.js":102===e?"woocommerce-menu-cart.faa7b80e9ba9e5072070.bundle.min.js":1===e?"woocommerce-purchase-summary.46445ab1120a8c28c05c.bundle.min.js":124===e?"woocommerce-checkout-page.b18af78282979b6f74e4.bundle.min.js":859===e?"woocommerce-cart.fc30c6cb753d4098eff5.bundle.min.js":979===e?"woocommerce-my-account.3ee10d01e625dad87f73.bundle.min.js":497===e?"woocommerce-notices.aaa7a3d06f24f7ea6951.bundle.min.js":800===e?"product-add-to-cart.023d7d31fbf96c3dbdfc.bundle.min.js":149===e?"loop.4f538ab2476dd2d124e6.bundle.min.js":153===e?"loop-carousel.4e8fd6593adbba21698e.bundle.min.js":356===e?"ajax-pagination.db9a15658003b96d80e8.bundle.min.js":495===e?"mega-menu.611dbb6e55a2c14924ad.bundle.min.js":157===e?"mega-menu-stretch-content.60ca9e1e97c52ac3bf8c.bundle.min.js":244===e?"menu-title-keyboard-handler.80c53fcbf2fdb487c91d.bundle.min.js":209===e?"nested-carousel.21c7f0c4423917225bce.bundle.min.js":188===e?"taxonomy-filter.b98d09d76bfd87dc4608.bundle.min.js":void 0,__webpack_require__.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),__webpack_require__.o=(e,r)=>Object.prototype.hasOwnProperty.call(e,r),r={},a="elementor-pro:",__webpack_require__.l=(e,c,n,i)=>{if(r[e])r[e].push(c);else{var _,b;if(void 0!==n)for(var t=document.getElementsByTagName("script"),o=0;o<t.length;o++){var u=t[o];if(u.getAttribute("src")==e||u.getAttribute("data-webpack")==a+n){_=u;break}}_||(b=!0,(_=document.createElement("script")).charset="utf-8",_.timeout=120,__webpack_require__.nc&&_.setAttribute("nonce",__webpack_require__.nc),_.setAttribute("data-webpack",a+n),_.src=e),r[e]=[c];var onScriptComplete=(a,c)=>{_.onerror=_.onload=null,clearTimeout(d);var n=r[e];if(delete r[e],_.parentNode&&_.parentNode.removeChild(_),n&&n.forEach((e=>e(c))),a)return a(c)},d=setTimeout(onScriptComplete.bind(null,void 0,{type:"timeout",target:_}),12e4);_.onerror=onScriptComplete.bind(null,_.onerror),_.onload=onScriptComplete.bind(null,_.onload),b&&document.head.appendChild(_)}},(()=>{var e;__webpack_require__.g.importScripts&&(e=__webpack_require__.g.location+"");var r=__webpack_require__.g.document;if(!e&&r&&(r.currentScript&&(e=r.currentScript.src),!e)){var a=r.getElementsByTagName("script");if(a.length)for(var c=a.length-1;c>-1&&!e;)e=a[c--].src}if(!e)throw new Error("Automatic publicPath is not supported in this browser");e=e.replace(/#.*$/,"").replace(/\?.*$/,"").replace(/\/[^\/]+$/,"/"),__webpack_require__.p=e})(),(()=>{var e={396:0};__webpack_require__.f.j=(r,a)=>{var c=__webpack_require__.o(e,r)?e[r]:void 0;if(0!==c)if(c)a.push(c[2]);else if(396!=r){var n=new Promise(((a,n)=>c=e[r]=[a,n]));a.push(c[2]=n);var i=__webpack_require__.p+__webpack_require__.u(r),_=new Error;__webpack_require__.l(i,(a=>{if(__webpack_require__.o(e,r)&&(0!==(c=e[r])&&(e[r]=void 0),c)){var n=a&&("load"===a.type?"missing":a.type),i=a&&a.target&&a.target.src;_.message="Loading chunk "+r+" failed.\n("+n+": "+i+")",_.name="ChunkLoadError",_.type=n,_.request=i,c[1](_)}}),"chunk-"+r,r)}else e[r]=0},__webpack_require__.O.j=r=>0===e[r];var webpackJsonpCallback=(r,a)=>{var c,n,[i,_,b]=a,t=0;if(i.some((r=>0!==e[r]))){for(c in _)__webpack_require__.o(_,c)&&(__webpack_require__.m[c]=_[c]);if(b)var o=b(__webpack_require__)}for(r&&r(a);t<i.length;t++)n=i[t],__webpack_require__.o(e,n)&&e[n]&&e[n][0](),e[n]=0;return __webpack_require__.O(o)},r=self.webpackChunkelementor_pro=self.webpackChunkelementor_pro||[];r.forEach(webpackJsonpCallback.bind(null,0)),r.push=webpackJsonpCallback.bind(null,r.push.bind(r))})()})();
\ No newline at end of file
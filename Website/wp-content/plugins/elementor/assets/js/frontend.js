@@ -257,6 +257,7 @@ var _environment = _interopRequireDefault(__webpack_require__(/*! elementor-comm
 var _youtubeLoader = _interopRequireDefault(__webpack_require__(/*! ./utils/video-api/youtube-loader */ "../assets/dev/js/frontend/utils/video-api/youtube-loader.js"));
 var _vimeoLoader = _interopRequireDefault(__webpack_require__(/*! ./utils/video-api/vimeo-loader */ "../assets/dev/js/frontend/utils/video-api/vimeo-loader.js"));
 var _baseLoader = _interopRequireDefault(__webpack_require__(/*! ./utils/video-api/base-loader */ "../assets/dev/js/frontend/utils/video-api/base-loader.js"));
+var _videoFacade = _interopRequireDefault(__webpack_require__(/*! ./utils/video-facade */ "../assets/dev/js/frontend/utils/video-facade.js"));
 var _urlActions = _interopRequireDefault(__webpack_require__(/*! ./utils/url-actions */ "../assets/dev/js/frontend/utils/url-actions.js"));
 var _swiper = _interopRequireDefault(__webpack_require__(/*! ./utils/swiper */ "../assets/dev/js/frontend/utils/swiper.js"));
 var _lightboxManager = _interopRequireDefault(__webpack_require__(/*! ./utils/lightbox/lightbox-manager */ "../assets/dev/js/frontend/utils/lightbox/lightbox-manager.js"));
@@ -419,6 +420,7 @@ class Frontend extends elementorModules.ViewModule {
       youtube: new _youtubeLoader.default(),
       vimeo: new _vimeoLoader.default(),
       baseVideoLoader: new _baseLoader.default(),
+      videoFacade: new _videoFacade.default(),
       anchors: new AnchorsModule(),
       get lightbox() {
         return _lightboxManager.default.getLightbox();
@@ -861,7 +863,7 @@ class BackgroundVideo extends elementorModules.frontend.handlers.Base {
         background: true,
         muted: true
       };
-    if (elementSettings.background_privacy_mode) {
+    if (elementSettings.background_privacy_mode || this.isPrivacyEnforced()) {
       vimeoOptions.dnt = true;
     }
     this.player = new Vimeo.Player(this.elements.$backgroundVideoContainer, vimeoOptions);
@@ -945,7 +947,7 @@ class BackgroundVideo extends elementorModules.frontend.handlers.Base {
     };
 
     // To handle CORS issues, when the default host is changed, the origin parameter has to be set.
-    if (elementSettings.background_privacy_mode) {
+    if (elementSettings.background_privacy_mode || this.isPrivacyEnforced()) {
       playerOptions.host = 'https://www.youtube-nocookie.com';
       playerOptions.origin = window.location.hostname;
     }
@@ -963,6 +965,10 @@ class BackgroundVideo extends elementorModules.frontend.handlers.Base {
       this.videoType = 'youtube';
       this.apiProvider = elementorFrontend.utils.youtube;
     }
+    if (this.apiProvider && !elementorFrontend.utils.videoFacade.hasConsent() && this.isPrivacyEnforced()) {
+      this.activateOnConsent();
+      return;
+    }
     if (this.apiProvider) {
       videoID = this.apiProvider.getVideoIDFromURL(videoLink);
       this.apiProvider.onApiReady(apiObject => {
@@ -989,7 +995,27 @@ class BackgroundVideo extends elementorModules.frontend.handlers.Base {
     }
     elementorFrontend.elements.$window.on('resize elementor/bg-video/recalc', this.changeVideoSize);
   }
+
+  // In facade mode, YouTube and Vimeo backgrounds always use the privacy-enhanced player.
+  isPrivacyEnforced() {
+    return elementorFrontend.utils.videoFacade.isEnabled();
+  }
+
+  // Background videos have no play button, the fallback image shows until the visitor consents to videos.
+  activateOnConsent() {
+    if (this.isWaitingForConsent) {
+      return;
+    }
+    this.isWaitingForConsent = true;
+    elementorFrontend.utils.videoFacade.onConsent(() => {
+      this.isWaitingForConsent = false;
+      this.run();
+    });
+  }
   deactivate() {
+    if (!this.player && 'hosted' !== this.videoType) {
+      return;
+    }
     if ('youtube' === this.videoType && this.player.getIframe() || 'vimeo' === this.videoType) {
       this.player.destroy();
     } else {
@@ -1768,64 +1794,327 @@ class _default extends elementorModules.ViewModule {
     elementorFrontend.elements.$document.on('click', this.getSettings('selectors.links'), this.runLinkAction.bind(this));
   }
   initActions() {
-    this.actions = {
-      lightbox: async settings => {
-        const lightbox = await elementorFrontend.utils.lightbox;
-        if (settings.slideshow) {
-          // Handle slideshow display
-          lightbox.openSlideshow(settings.slideshow, settings.url);
-        } else {
-          // If the settings has an ID - the lightbox target content is an image - the ID is an attachment ID.
-          if (settings.id) {
-            settings.type = 'image';
-          }
-          lightbox.showModal(settings);
+    this.actions = {};
+    this.actionsOptions = {};
+    this.addAction('lightbox', async settings => {
+      const lightbox = await elementorFrontend.utils.lightbox;
+      if (settings.slideshow) {
+        // Handle slideshow display
+        lightbox.openSlideshow(settings.slideshow, settings.url);
+      } else {
+        // If the settings has an ID - the lightbox target content is an image - the ID is an attachment ID.
+        if (settings.id) {
+          settings.type = 'image';
         }
+        lightbox.showModal(settings);
       }
-    };
+    });
+
+    // Deep link to a slide of a lightbox gallery. Only galleries that are on the page can be opened.
+    this.addAction('lightbox:open', async settings => {
+      const lightbox = await elementorFrontend.utils.lightbox;
+      lightbox.openSlideshow(String(settings.slideshow), null, settings.index);
+    }, {
+      schema: {
+        slideshow: {
+          type: ['number', 'string'],
+          required: true
+        },
+        index: {
+          type: 'number'
+        }
+      },
+      allowUnsigned: true
+    });
+
+    // Elementor Pro replaces it with its own Popups handling, the schema is kept.
+    this.addAction('popup:open', settings => {
+      elementorFrontend.documentsManager.documents[settings.id]?.showModal?.();
+    }, {
+      schema: {
+        id: {
+          type: ['number', 'string'],
+          required: true
+        },
+        toggle: {
+          type: 'boolean'
+        }
+      }
+    });
+    this.addAction('scroll-to', settings => {
+      const element = document.getElementById(settings.id);
+      if (element) {
+        this.revealElement(element);
+        this.scrollToElement(element, settings.offset);
+      }
+    }, {
+      schema: {
+        id: {
+          type: 'string',
+          required: true
+        },
+        offset: {
+          type: 'number'
+        }
+      },
+      allowUnsigned: true
+    });
+    this.addAction('tab:activate', settings => {
+      const $tabTitle = this.getWidget(settings.id).find(`.e-n-tab-title[data-tab-index="${settings.index}"], .elementor-tab-title[data-tab="${settings.index}"]`).first();
+      this.activateItemTitle($tabTitle);
+    }, {
+      schema: {
+        id: {
+          type: 'string',
+          required: true
+        },
+        index: {
+          type: 'number',
+          required: true
+        }
+      },
+      allowUnsigned: true
+    });
+    this.addAction('accordion:open', settings => {
+      const $widget = this.getWidget(settings.id),
+        $nestedItem = $widget.find('.e-n-accordion').first().children('.e-n-accordion-item').eq(settings.index - 1),
+        $itemTitle = $nestedItem.length ? $nestedItem.children('.e-n-accordion-item-title') : $widget.find(`.elementor-tab-title[data-tab="${settings.index}"]`).first();
+      this.activateItemTitle($itemTitle);
+    }, {
+      schema: {
+        id: {
+          type: 'string',
+          required: true
+        },
+        index: {
+          type: 'number',
+          required: true
+        }
+      },
+      allowUnsigned: true
+    });
   }
+
+  /**
+   * Register an URL action.
+   *
+   * @param {string}   name
+   * @param {Function} callback               Receives the action settings, and the click event for links.
+   * @param {Object}   [options]
+   * @param {Object}   [options.schema]        Expected settings, e.g. `{ id: { type: 'string', required: true } }`.
+   *                                           Settings that don't match it are rejected.
+   * @param {boolean}  [options.allowUnsigned] Whether a URL hash may run the action without a signature, even if
+   *                                           no link on the page has it. Only for actions that don't bring content
+   *                                           that isn't already on the page.
+   */
   addAction(name, callback) {
+    let options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
     this.actions[name] = callback;
+    this.actionsOptions[name] = {
+      ...this.actionsOptions[name],
+      ...options
+    };
   }
-  runAction(url) {
-    url = decodeURIComponent(url);
-    const actionMatch = url.match(/action=(.+?)&/);
-    if (!actionMatch) {
+  getWidget(id) {
+    return jQuery(`[data-id="${CSS.escape(id)}"]`).first();
+  }
+
+  /**
+   * Open the tabs and accordion items that contain an element, outermost first, so nested items can be reached.
+   *
+   * @param {HTMLElement} element
+   */
+  revealElement(element) {
+    const ancestors = [];
+    for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      ancestors.unshift(ancestor);
+    }
+    ancestors.forEach(ancestor => {
+      if ('DETAILS' === ancestor.tagName && !ancestor.open) {
+        ancestor.querySelector(':scope > summary')?.click();
+        return;
+      }
+      const labelledBy = ancestor.getAttribute('aria-labelledby'),
+        title = labelledBy && document.getElementById(labelledBy);
+      if (title && ('false' === title.getAttribute('aria-selected') || 'false' === title.getAttribute('aria-expanded'))) {
+        title.click();
+      }
+    });
+  }
+  activateItemTitle($title) {
+    if (!$title.length) {
       return;
     }
-    const action = this.actions[actionMatch[1]];
-    if (!action) {
-      return;
+    const title = $title[0];
+    this.revealElement(title);
+    const isActive = 'SUMMARY' === title.tagName ? title.parentElement.open : 'true' === title.getAttribute('aria-selected') || 'true' === title.getAttribute('aria-expanded');
+    if (!isActive) {
+      title.click();
+    }
+    this.scrollToElement(title);
+  }
+  scrollToElement(element) {
+    let offset = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 0;
+    const $wpAdminBar = elementorFrontend.elements.$wpAdminBar;
+    let scrollTop = jQuery(element).offset().top - offset;
+    if ($wpAdminBar.length > 0) {
+      scrollTop -= $wpAdminBar.height();
+    }
+    scrollTop = elementorFrontend.hooks.applyFilters('frontend/handlers/menu_anchor/scroll_top_distance', scrollTop);
+    window.scrollTo({
+      top: scrollTop,
+      behavior: window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth'
+    });
+  }
+
+  /**
+   * Parse `#elementor-action:action=<name>&settings=<base64 JSON>[&signature=<hex ECDSA P-256 signature>]`.
+   *
+   * @param {string} url
+   * @return {Object|null} The action name, settings and signature, or null when the hash is malformed.
+   */
+  parseAction(url) {
+    let decodedURL;
+    try {
+      decodedURL = decodeURIComponent(url || '');
+    } catch (e) {
+      return null;
+    }
+    const params = {};
+    decodedURL.replace(/^.*?elementor-action:/, '').split('&').forEach(pair => {
+      const separatorIndex = pair.indexOf('=');
+      if (separatorIndex > 0) {
+        params[pair.slice(0, separatorIndex)] = pair.slice(separatorIndex + 1);
+      }
+    });
+    if (!params.action) {
+      return null;
     }
     let settings = {};
-    const settingsMatch = url.match(/settings=(.+)/);
-    if (settingsMatch) {
-      settings = JSON.parse(atob(settingsMatch[1]));
+    if (params.settings) {
+      try {
+        settings = JSON.parse(atob(params.settings));
+      } catch (e) {
+        return null;
+      }
+    }
+    if (!jQuery.isPlainObject(settings)) {
+      return null;
+    }
+    return {
+      name: params.action,
+      settings,
+      signedData: `action=${params.action}&settings=${params.settings || ''}`,
+      signature: params.signature
+    };
+  }
+  isValidSettings(settings, schema) {
+    if (!schema) {
+      return true;
+    }
+    return Object.entries(schema).every(_ref => {
+      let [key, rule] = _ref;
+      const value = settings[key];
+      if (undefined === value) {
+        return !rule.required;
+      }
+      const valueType = Array.isArray(value) ? 'array' : typeof value;
+      return [].concat(rule.type).includes(valueType);
+    });
+  }
+  /**
+   * The base64 SPKI public key of `urlActions.publicKey` in the frontend config. Links are signed with its private
+   * key, which stays off the page, see `tools/sign-url-action.js`.
+   *
+   * @return {Promise<CryptoKey>} The ECDSA P-256 verification key.
+   */
+  getPublicKey() {
+    if (!this.publicKey) {
+      const spki = Uint8Array.from(atob(elementorFrontend.config.urlActions.publicKey), char => char.charCodeAt(0));
+      this.publicKey = crypto.subtle.importKey('spki', spki, {
+        name: 'ECDSA',
+        namedCurve: 'P-256'
+      }, false, ['verify']);
+    }
+    return this.publicKey;
+  }
+
+  /**
+   * Verify the action signature, ECDSA P-256 with SHA-256 in the IEEE P1363 (`r || s`) format of WebCrypto.
+   *
+   * @param {Object} action Parsed action.
+   * @return {Promise<boolean>} Whether the signature matches.
+   */
+  async isValidSignature(action) {
+    if (!action.signature || !elementorFrontend.config.urlActions?.publicKey || !window.crypto?.subtle || !/^([0-9a-f]{2})+$/i.test(action.signature)) {
+      return false;
     }
+    const signature = new Uint8Array(action.signature.match(/../g).map(byte => parseInt(byte, 16)));
+    try {
+      return await crypto.subtle.verify({
+        name: 'ECDSA',
+        hash: 'SHA-256'
+      }, await this.getPublicKey(), signature, new TextEncoder().encode(action.signedData));
+    } catch (e) {
+      return false;
+    }
+  }
+  runAction(url) {
+    const action = this.parseAction(url);
     for (var _len = arguments.length, restArgs = new Array(_len > 1 ? _len - 1 : 0), _key = 1; _key < _len; _key++) {
       restArgs[_key - 1] = arguments[_key];
     }
-    action(settings, ...restArgs);
+    if (action) {
+      this.executeAction(action, restArgs);
+    }
+  }
+  executeAction(action, args) {
+    const callback = this.actions[action.name];
+    if (!callback || !this.isValidSettings(action.settings, this.actionsOptions[action.name].schema)) {
+      return;
+    }
+    callback(action.settings, ...args);
+  }
+
+  /**
+   * Run an action that comes from the URL hash but from no link on the page.
+   *
+   * @param {string} url
+   */
+  async runExternalAction(url) {
+    const action = this.parseAction(url),
+      actionOptions = action && this.actionsOptions[action.name];
+    if (!actionOptions) {
+      return;
+    }
+    const requireSignature = elementorFrontend.config.urlActions?.requireSignature,
+      isAllowed = actionOptions.allowUnsigned && !requireSignature || (await this.isValidSignature(action));
+    if (isAllowed) {
+      this.executeAction(action, []);
+    }
   }
   runLinkAction(event) {
     event.preventDefault();
     this.runAction(jQuery(event.currentTarget).attr('href'), event);
   }
   runHashAction() {
-    if (!location.hash) {
+    if (!location.hash || !/^#?(%23)?elementor-action/.test(location.hash)) {
       return;
     }
 
-    // Only if an element with this action hash exists on the page do we allow running the action.
-    const elementWithHash = document.querySelector(`[data-e-action-hash="${location.hash}"], a[href*="${location.hash}"]`);
+    // Only if an element with this action hash exists on the page do we allow running the action without a signature.
+    const elementWithHash = document.querySelector(`[data-e-action-hash="${CSS.escape(location.hash)}"], a[href*="${CSS.escape(location.hash)}"]`);
     if (elementWithHash) {
-      this.runAction(elementWithHash.getAttribute('data-e-action-hash'));
+      this.runAction(elementWithHash.getAttribute('data-e-action-hash') || elementWithHash.getAttribute('href'));
+    } else {
+      this.runExternalAction(location.hash);
     }
   }
   createActionHash(action, settings) {
     // We need to encode the hash tag (#) here, in order to support share links for a variety of providers
     return encodeURIComponent(`#elementor-action:action=${action}&settings=${btoa(JSON.stringify(settings))}`);
   }
+
   onInit() {
     super.onInit();
     this.initActions();
@@ -1922,6 +2211,11 @@ class BaseLoader extends elementorModules.ViewModule {
   getAutoplayURL(videoURL) {
     return videoURL.replace('&autoplay=0', '') + '&autoplay=1';
   }
+
+  // The embed URL of the provider's privacy-enhanced mode, if it has one.
+  getPrivacyURL(videoURL) {
+    return videoURL;
+  }
 }
 exports["default"] = BaseLoader;
 
@@ -1961,6 +2255,17 @@ class VimeoLoader extends _baseLoader.default {
     const timeMatch = videoURL.match(/#t=[^&]*/);
     return videoURL.replace(timeMatch[0], '') + timeMatch;
   }
+
+  // "Do not track" keeps the player from setting cookies or collecting session data.
+  getPrivacyURL(videoURL) {
+    const hashIndex = videoURL.indexOf('#'),
+      url = -1 === hashIndex ? videoURL : videoURL.slice(0, hashIndex),
+      hash = -1 === hashIndex ? '' : videoURL.slice(hashIndex);
+    if (/[?&]dnt=1/.test(url)) {
+      return videoURL;
+    }
+    return url + (-1 === url.indexOf('?') ? '?' : '&') + 'dnt=1' + hash;
+  }
 }
 exports["default"] = VimeoLoader;
 
@@ -1993,11 +2298,181 @@ class YoutubeLoader extends _baseLoader.default {
   getApiObject() {
     return YT;
   }
+  getPrivacyURL(videoURL) {
+    return videoURL.replace(/^((?:https?:)?\/\/)(?:www\.)?youtube\.com\//, '$1www.youtube-nocookie.com/');
+  }
 }
 exports["default"] = YoutubeLoader;
 
 /***/ }),
 
+/***/ "../assets/dev/js/frontend/utils/video-facade.js":
+/*!*******************************************************!*\
+  !*** ../assets/dev/js/frontend/utils/video-facade.js ***!
+  \*******************************************************/
+/***/ ((__unused_webpack_module, exports) => {
+
+
+
+Object.defineProperty(exports, "__esModule", ({
+  value: true
+}));
+exports["default"] = void 0;
+const PROVIDER_NAMES = {
+  youtube: 'YouTube',
+  vimeo: 'Vimeo'
+};
+
+// Used until the strings are added to the frontend config.
+const I18N_FALLBACKS = {
+  videoConsentNotice: 'This video is hosted by %s, which may set cookies once it plays.',
+  loadVideo: 'Load video',
+  alwaysAllowVideos: 'Always allow videos'
+};
+
+/**
+ * Privacy-enhanced loading of YouTube and Vimeo videos.
+ *
+ * In facade mode (when the `video_facade` kit setting is `yes`), a video shows a local poster and a play button,
+ * and the provider's player is only loaded once the play button is clicked, from `youtube-nocookie.com` or with
+ * Vimeo's `dnt=1`. Without consent to the `video_consent_category` (`marketing` by default), the play button first
+ * shows a notice, from which the visitor can load this one video or allow all of them.
+ */
+class VideoFacade {
+  getDefaultSettings() {
+    return {
+      classes: {
+        facade: 'e-video-facade',
+        play: 'e-video-facade__play elementor-custom-embed-play',
+        notice: 'e-video-facade__notice',
+        noticeText: 'e-video-facade__notice-text',
+        noticeButton: 'e-video-facade__notice-button',
+        noticeMode: 'e-video-facade--notice'
+      }
+    };
+  }
+  isEnabled() {
+    return 'yes' === elementorFrontend.getKitSettings('video_facade');
+  }
+  isProviderSupported(provider) {
+    return !!PROVIDER_NAMES[provider];
+  }
+  getConsentCategory() {
+    return elementorFrontend.getKitSettings('video_consent_category') || 'marketing';
+  }
+  hasConsent() {
+    const {
+      storage
+    } = elementorFrontend;
+    return !storage.hasConsent || storage.hasConsent(this.getConsentCategory());
+  }
+
+  /**
+   * Run a callback now if the visitor consented to videos, or once they do.
+   *
+   * @param {Function} callback
+   */
+  onConsent(callback) {
+    if (this.hasConsent()) {
+      callback();
+      return;
+    }
+    const onConsentChange = () => {
+      if (this.hasConsent()) {
+        elementorFrontend.storage.off('consentChange', onConsentChange);
+        callback();
+      }
+    };
+    elementorFrontend.storage.on('consentChange', onConsentChange);
+  }
+  getString(key) {
+    return elementorFrontend.config.i18n[key] || I18N_FALLBACKS[key];
+  }
+
+  // Posters from the provider's image servers would defeat the purpose.
+  isLocalURL(url) {
+    try {
+      return new URL(url, location.href).origin === location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Cover a video container with the facade until the visitor asks for the video.
+   *
+   * @param {jQuery} $container
+   * @param {Object} options
+   * @param {string} options.provider `youtube` or `vimeo`.
+   * @param {string} [options.poster] Poster image URL, ignored unless it's on this site.
+   * @param {string} [options.title]  Video title, for the play button label.
+   * @return {Promise} Resolves once the video may load.
+   */
+  create($container, options) {
+    const $ = jQuery,
+      {
+        i18n
+      } = elementorFrontend.config,
+      classes = this.getDefaultSettings().classes,
+      $facade = $('<div>', {
+        class: classes.facade
+      }),
+      $play = $('<button>', {
+        type: 'button',
+        class: classes.play,
+        'aria-label': options.title ? `${i18n.playVideo}: ${options.title}` : i18n.playVideo
+      }).append($('<i>', {
+        class: 'eicon-play',
+        'aria-hidden': 'true'
+      })),
+      $notice = $('<div>', {
+        class: classes.notice,
+        'aria-live': 'polite'
+      }),
+      $loadButton = $('<button>', {
+        type: 'button',
+        class: classes.noticeButton
+      }).text(this.getString('loadVideo')),
+      $allowButton = $('<button>', {
+        type: 'button',
+        class: classes.noticeButton
+      }).text(this.getString('alwaysAllowVideos'));
+    if (options.poster && this.isLocalURL(options.poster)) {
+      $facade.css('background-image', `url("${options.poster}")`);
+    }
+    $notice.append($('<p>', {
+      class: classes.noticeText
+    }).text(this.getString('videoConsentNotice').replace('%s', PROVIDER_NAMES[options.provider])), $loadButton, $allowButton);
+    $facade.append($play, $notice);
+    if ('static' === $container.css('position')) {
+      $container.css('position', 'relative');
+    }
+    $container.append($facade);
+    return new Promise(resolve => {
+      const load = () => {
+        $facade.remove();
+        resolve();
+      };
+      $play.on('click', () => {
+        if (this.hasConsent()) {
+          load();
+          return;
+        }
+        $facade.addClass(classes.noticeMode);
+        $loadButton.trigger('focus');
+      });
+      $loadButton.on('click', load);
+      $allowButton.on('click', () => {
+        elementorFrontend.storage.grantConsent(this.getConsentCategory());
+        load();
+      });
+    });
+  }
+}
+exports["default"] = VideoFacade;
+
+/***/ }),
+
 /***/ "../assets/dev/js/public-path.js":
 /*!***************************************!*\
   !*** ../assets/dev/js/public-path.js ***!
@@ -2467,6 +2942,25 @@ var EventManager = function () {
     return MethodsAvailable;
   }
 
+  /**
+   * Performs a filter whose callbacks may return Promises, each callback gets the resolved value of the previous one.
+   * Arguments are the same as `applyFilters`.
+   *
+   * @return {Promise<*>} The filtered value.
+   */
+  function applyFiltersAsync( /* Filter, filtered arg, arg2, ... */
+  ) {
+    var args = slice.call(arguments);
+    var filter = args.shift();
+    var handlers = (STORAGE.filters[filter] || []).slice();
+    return handlers.reduce(function (promise, handler) {
+      return promise.then(function (value) {
+        args[0] = value;
+        return handler.callback.apply(handler.context, args);
+      });
+    }, Promise.resolve(args[0]));
+  }
+
   /**
    * Removes the specified filter if it contains a namespace.identifier & exists.
    *
@@ -2486,6 +2980,7 @@ var EventManager = function () {
   MethodsAvailable = {
     removeFilter,
     applyFilters,
+    applyFiltersAsync,
     addFilter,
     removeAction,
     doAction,
@@ -2566,59 +3061,245 @@ Object.defineProperty(exports, "__esModule", ({
   value: true
 }));
 exports["default"] = void 0;
+const CONSENT_CATEGORIES = ['necessary', 'functional', 'marketing'];
+
+/**
+ * Elementor's `localStorage` / `sessionStorage` entries, by consent category.
+ *
+ * Each entry belongs to a category (`options.category`, `functional` by default). When the site requires consent
+ * (`consent.required` in the frontend config), entries of a category without consent are kept in memory for the
+ * current page only, and move to the browser storage once consent is granted.
+ *
+ * Consent is set using `setConsent()`, the `elementor/consent` window event (`detail: { marketing: true }`) or the
+ * WP Consent API, which most consent banners support. Changes trigger `consentChange` with the new consent state.
+ */
 class _default extends elementorModules.Module {
-  get(key, options) {
-    options = options || {};
+  constructor() {
+    super(...arguments);
+    this.memoryStorage = {
+      local: {},
+      session: {}
+    };
+    this.consent = this.getInitialConsent();
+    this.purgeDeniedCategories();
+    this.bindConsentEvents();
+  }
+
+  /**
+   * The consent given on the page (`setConsent()`, `elementor/consent`) is kept as `storageConsent`, but the WP Consent
+   * API is the consent banner itself, so it wins over the stored state.
+   *
+   * @return {Object} Granted state by category.
+   */
+  getInitialConsent() {
+    const config = window.elementorFrontend?.config?.consent || {},
+      consent = {};
+    CONSENT_CATEGORIES.forEach(category => {
+      consent[category] = !config.required || 'necessary' === category || !!config.defaults?.[category];
+    });
+    if (!config.required) {
+      return consent;
+    }
+    const apiConsent = {};
+    if ('function' === typeof window.wp_has_consent) {
+      apiConsent.functional = !!window.wp_has_consent('functional');
+      apiConsent.marketing = !!window.wp_has_consent('marketing');
+    }
+    return {
+      ...consent,
+      ...this.get('storageConsent'),
+      ...apiConsent
+    };
+  }
+
+  // Entries may be left in the browser storage from before their consent was withdrawn, e.g. in the banner of another page.
+  purgeDeniedCategories() {
+    CONSENT_CATEGORIES.filter(category => !this.hasConsent(category)).forEach(category => {
+      [false, true].forEach(session => this.moveCategory(category, session, false));
+    });
+  }
+  bindConsentEvents() {
+    window.addEventListener('elementor/consent', event => this.setConsent(event.detail || {}));
+
+    // WP Consent API, `detail` is e.g. `{ marketing: 'allow' }`.
+    document.addEventListener('wp_listen_for_consent_change', event => {
+      const consent = {};
+      Object.entries(event.detail || {}).forEach(_ref => {
+        let [category, value] = _ref;
+        consent[category] = 'allow' === value;
+      });
+      this.setConsent(consent);
+    });
+  }
+  hasConsent(category) {
+    return !!this.consent[category || 'functional'];
+  }
+
+  /**
+   * @param {Object} consent Granted state by category, e.g. `{ functional: true, marketing: false }`.
+   */
+  setConsent(consent) {
+    let isChanged = false;
+    Object.entries(consent).forEach(_ref2 => {
+      let [category, isGranted] = _ref2;
+      if (!CONSENT_CATEGORIES.includes(category) || 'necessary' === category || this.consent[category] === !!isGranted) {
+        return;
+      }
+      this.consent[category] = !!isGranted;
+      [false, true].forEach(session => this.moveCategory(category, session, !!isGranted));
+      isChanged = true;
+    });
+    this.set('storageConsent', this.consent, {
+      category: 'necessary'
+    });
+    if (isChanged) {
+      this.trigger('consentChange', {
+        ...this.consent
+      });
+    }
+  }
+  grantConsent(category) {
+    this.setConsent({
+      [category]: true
+    });
+  }
+  revokeConsent(category) {
+    this.setConsent({
+      [category]: false
+    });
+  }
+
+  /**
+   * Move the entries of a category between the browser storage and the memory.
+   *
+   * @param {string}  category
+   * @param {boolean} session
+   * @param {boolean} toStorage
+   */
+  moveCategory(category, session, toStorage) {
+    const storageObject = this.getStorageObject(session);
+    if (!storageObject) {
+      return;
+    }
+    const memoryObject = this.getMemoryObject(session),
+      [from, to] = toStorage ? [memoryObject, storageObject] : [storageObject, memoryObject];
+    Object.keys(from).forEach(key => {
+      if (key.startsWith('__') || category !== (from.__categories[key] || 'functional')) {
+        return;
+      }
+      this.moveEntry(key, from, to);
+    });
+    this.save(storageObject, session);
+  }
+  moveEntry(key, from, to) {
+    to[key] = from[key];
+    to.__categories[key] = from.__categories[key];
+    if (from.__expiration[key]) {
+      to.__expiration[key] = from.__expiration[key];
+    }
+    this.deleteEntry(key, from);
+  }
+  deleteEntry(key, object) {
+    delete object[key];
+    delete object.__expiration[key];
+    delete object.__categories[key];
+  }
+  getStorageObject(session) {
     let storage;
     try {
-      storage = options.session ? sessionStorage : localStorage;
+      storage = session ? sessionStorage : localStorage;
     } catch (e) {
-      return key ? undefined : {};
+      return null;
     }
-    let elementorStorage = storage.getItem('elementor');
-    if (elementorStorage) {
-      elementorStorage = JSON.parse(elementorStorage);
-    } else {
+    let elementorStorage;
+    try {
+      elementorStorage = JSON.parse(storage.getItem('elementor')) || {};
+    } catch (e) {
       elementorStorage = {};
     }
-    if (!elementorStorage.__expiration) {
-      elementorStorage.__expiration = {};
+    return this.ensureMetaData(elementorStorage);
+  }
+  getMemoryObject(session) {
+    return this.ensureMetaData(this.memoryStorage[session ? 'session' : 'local']);
+  }
+  ensureMetaData(object) {
+    if (!object.__expiration) {
+      object.__expiration = {};
     }
-    const expiration = elementorStorage.__expiration;
-    let expirationToCheck = [];
-    if (key) {
-      if (expiration[key]) {
-        expirationToCheck = [key];
-      }
-    } else {
-      expirationToCheck = Object.keys(expiration);
+    if (!object.__categories) {
+      object.__categories = {};
     }
+    return object;
+  }
+  removeExpired(object, key) {
+    const expiration = object.__expiration;
     let entryExpired = false;
-    expirationToCheck.forEach(expirationKey => {
-      if (new Date(expiration[expirationKey]) < new Date()) {
-        delete elementorStorage[expirationKey];
-        delete expiration[expirationKey];
+    (key ? [key] : Object.keys(expiration)).forEach(expirationKey => {
+      if (expiration[expirationKey] && new Date(expiration[expirationKey]) < new Date()) {
+        this.deleteEntry(expirationKey, object);
         entryExpired = true;
       }
     });
-    if (entryExpired) {
-      this.save(elementorStorage, options.session);
+    return entryExpired;
+  }
+  get(key, options) {
+    options = options || {};
+    const storageObject = this.getStorageObject(options.session),
+      memoryObject = this.getMemoryObject(options.session);
+    if (storageObject && this.removeExpired(storageObject, key)) {
+      this.save(storageObject, options.session);
     }
+    this.removeExpired(memoryObject, key);
     if (key) {
-      return elementorStorage[key];
+      return Object.prototype.hasOwnProperty.call(memoryObject, key) ? memoryObject[key] : storageObject?.[key];
     }
-    return elementorStorage;
+    return {
+      ...storageObject,
+      ...memoryObject,
+      __expiration: {
+        ...storageObject?.__expiration,
+        ...memoryObject.__expiration
+      },
+      __categories: {
+        ...storageObject?.__categories,
+        ...memoryObject.__categories
+      }
+    };
   }
+
+  /**
+   * @param {string}  key
+   * @param {*}       value
+   * @param {Object}  [options]
+   * @param {boolean} [options.session]           Use `sessionStorage`.
+   * @param {number}  [options.lifetimeInSeconds] Time to live, the entry is removed once it passed.
+   * @param {string}  [options.category]          `necessary`, `functional` (default) or `marketing`.
+   */
   set(key, value, options) {
     options = options || {};
-    const elementorStorage = this.get(null, options);
-    elementorStorage[key] = value;
+    const category = options.category || 'functional',
+      storageObject = this.getStorageObject(options.session),
+      memoryObject = this.getMemoryObject(options.session),
+      isPersistent = !!storageObject && this.hasConsent(category),
+      target = isPersistent ? storageObject : memoryObject,
+      other = isPersistent ? memoryObject : storageObject;
+    if (other && Object.prototype.hasOwnProperty.call(other, key)) {
+      // Keep the expiration of an existing entry, like before the entry moves.
+      if (other.__expiration[key]) {
+        target.__expiration[key] = other.__expiration[key];
+      }
+      this.deleteEntry(key, other);
+    }
+    target[key] = value;
+    target.__categories[key] = category;
     if (options.lifetimeInSeconds) {
       const date = new Date();
       date.setTime(date.getTime() + options.lifetimeInSeconds * 1000);
-      elementorStorage.__expiration[key] = date.getTime();
+      target.__expiration[key] = date.getTime();
+    }
+    if (storageObject) {
+      this.save(storageObject, options.session);
     }
-    this.save(elementorStorage, options.session);
   }
   save(object, session) {
     let storage;
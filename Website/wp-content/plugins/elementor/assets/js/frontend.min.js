@@ -1,2 +1,2 @@
 /*! elementor - v3.21.0 - 26-05-2024 */
-"use strict";(self.webpackChunkelementor=self.webpackChunkelementor||[]).push([[819],{9220:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=o(n(8135));class _default extends elementorModules.ViewModule{constructor(){super(...arguments),this.documents={},this.initDocumentClasses(),this.attachDocumentsClasses()}getDefaultSettings(){return{selectors:{document:".elementor"}}}getDefaultElements(){const e=this.getSettings("selectors");return{$documents:jQuery(e.document)}}initDocumentClasses(){this.documentClasses={base:i.default},elementorFrontend.hooks.doAction("elementor/frontend/documents-manager/init-classes",this)}addDocumentClass(e,t){this.documentClasses[e]=t}attachDocumentsClasses(){this.elements.$documents.each(((e,t)=>this.attachDocumentClass(jQuery(t))))}attachDocumentClass(e){const t=e.data(),n=t.elementorId,o=t.elementorType,i=this.documentClasses[o]||this.documentClasses.base;this.documents[n]=new i({$element:e,id:n})}}t.default=_default},9804:(e,t,n)=>{var o=n(3203),i=o(n(6397)),s=o(n(8704)),r=o(n(4985)),a=o(n(7537)),l=o(n(355)),d=o(n(2804)),c=o(n(3384));e.exports=function(e){var t=this;const o={};this.elementsHandlers={"accordion.default":()=>n.e(209).then(n.bind(n,8470)),"alert.default":()=>n.e(745).then(n.bind(n,9269)),"counter.default":()=>n.e(120).then(n.bind(n,7884)),"progress.default":()=>n.e(192).then(n.bind(n,1351)),"tabs.default":()=>n.e(520).then(n.bind(n,9459)),"toggle.default":()=>n.e(181).then(n.bind(n,2)),"video.default":()=>n.e(791).then(n.bind(n,5363)),"image-carousel.default":()=>n.e(268).then(n.bind(n,5914)),"text-editor.default":()=>n.e(357).then(n.bind(n,1327)),"wp-widget-media_audio.default":()=>n.e(52).then(n.bind(n,7602))},elementorFrontendConfig.experimentalFeatures["nested-elements"]&&(this.elementsHandlers["nested-tabs.default"]=()=>Promise.resolve().then(n.bind(n,7323))),elementorFrontendConfig.experimentalFeatures["nested-elements"]&&(this.elementsHandlers["nested-accordion.default"]=()=>Promise.resolve().then(n.bind(n,32)));const addElementsHandlers=()=>{this.elementsHandlers.section=[d.default,...s.default,l.default,c.default],this.elementsHandlers.container=[...s.default],elementorFrontend.isEditMode()&&this.elementsHandlers.container.push(...r.default),this.elementsHandlers.column=a.default,e.each(this.elementsHandlers,((e,t)=>{const n=e.split(".");e=n[0];const o=n[1]||null;this.attachHandler(e,t,o)}))},isClassHandler=e=>e.prototype?.getUniqueHandlerID;this.addHandler=function(t,n){const i=n.$element.data("model-cid");let s;if(i){s=t.prototype.getConstructorID(),o[i]||(o[i]={});const e=o[i][s];e&&e.onDestroy()}const r=new t(n);elementorFrontend.hooks.doAction(`frontend/element_handler_ready/${n.elementName}`,n.$element,e),i&&(o[i][s]=r)},this.attachHandler=(e,n,o)=>{Array.isArray(n)||(n=[n]),n.forEach((n=>function(e,n){let o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"default";o=o?"."+o:"";const i=e+o;elementorFrontend.hooks.addAction(`frontend/element_ready/${i}`,(e=>{if(isClassHandler(n))t.addHandler(n,{$element:e,elementName:i},!0);else{const o=n();if(!o)return;o instanceof Promise?o.then((n=>{let{default:o}=n;t.addHandler(o,{$element:e,elementName:i},!0)})):t.addHandler(o,{$element:e,elementName:i},!0)}}))}(e,n,o)))},this.getHandler=function(e){const t=this.elementsHandlers[e];return isClassHandler(t)?t:new Promise((e=>{t().then((t=>{let{default:n}=t;e(n)}))}))},this.getHandlers=function(e){return elementorDevTools.deprecation.deprecated("getHandlers","3.1.0","elementorFrontend.elementsHandler.getHandler"),e?this.getHandler(e):this.elementsHandlers},this.runReadyTrigger=function(t){if(elementorFrontend.config.is_static)return;const n=jQuery(t),o=n.attr("data-element_type");if(o&&(elementorFrontend.hooks.doAction("frontend/element_ready/global",n,e),elementorFrontend.hooks.doAction(`frontend/element_ready/${o}`,n,e),"widget"===o)){const t=n.attr("data-widget_type");elementorFrontend.hooks.doAction(`frontend/element_ready/${t}`,n,e)}},this.init=()=>{elementorFrontend.hooks.addAction("frontend/element_ready/global",i.default),addElementsHandlers()}}},5654:(e,t,n)=>{var o=n(3203);n(59);var i=o(n(9220)),s=o(n(5107)),r=o(n(3308)),a=o(n(1604)),l=o(n(1911)),d=o(n(4773)),c=o(n(2064)),u=o(n(8628)),h=o(n(8646)),m=o(n(6866)),g=o(n(4375)),p=o(n(6404)),f=o(n(6046)),v=o(n(1322)),b=n(6028);const y=n(9469),_=n(9804),w=n(3346);class Frontend extends elementorModules.ViewModule{constructor(){super(...arguments),this.config=elementorFrontendConfig,this.config.legacyMode={get elementWrappers(){return elementorFrontend.isEditMode()&&window.top.elementorDevTools.deprecation.deprecated("elementorFrontend.config.legacyMode.elementWrappers","3.1.0"),!1}},this.populateActiveBreakpointsConfig()}get Module(){return this.isEditMode()&&parent.elementorDevTools.deprecation.deprecated("elementorFrontend.Module","2.5.0","elementorModules.frontend.handlers.Base"),elementorModules.frontend.handlers.Base}getDefaultSettings(){return{selectors:{elementor:".elementor",adminBar:"#wpadminbar"}}}getDefaultElements(){const e={window,$window:jQuery(window),$document:jQuery(document),$head:jQuery(document.head),$body:jQuery(document.body),$deviceMode:jQuery("<span>",{id:"elementor-device-mode",class:"elementor-screen-only"})};return e.$body.append(e.$deviceMode),e}bindEvents(){this.elements.$window.on("resize",(()=>this.setDeviceModeData()))}getElements(e){return this.getItems(this.elements,e)}getPageSettings(e){const t=this.isEditMode()?elementor.settings.page.model.attributes:this.config.settings.page;return this.getItems(t,e)}getGeneralSettings(e){return this.isEditMode()&&parent.elementorDevTools.deprecation.deprecated("getGeneralSettings()","3.0.0","getKitSettings() and remove the `elementor_` prefix"),this.getKitSettings(`elementor_${e}`)}getKitSettings(e){return this.getItems(this.config.kit,e)}getCurrentDeviceMode(){return getComputedStyle(this.elements.$deviceMode[0],":after").content.replace(/"/g,"")}getDeviceSetting(e,t,n){if("widescreen"===e)return this.getWidescreenSetting(t,n);const o=elementorFrontend.breakpoints.getActiveBreakpointsList({largeToSmall:!0,withDesktop:!0});let i=o.indexOf(e);for(;i>0;){const e=t[n+"_"+o[i]];if(e||0===e)return e;i--}return t[n]}getWidescreenSetting(e,t){const n=t+"_widescreen";let o;return o=e[n]?e[n]:e[t],o}getCurrentDeviceSetting(e,t){return this.getDeviceSetting(elementorFrontend.getCurrentDeviceMode(),e,t)}isEditMode(){return this.config.environmentMode.edit}isWPPreviewMode(){return this.config.environmentMode.wpPreview}initDialogsManager(){let e;this.getDialogsManager=()=>(e||(e=new DialogsManager.Instance),e)}initOnReadyComponents(){this.utils={youtube:new a.default,vimeo:new l.default,baseVideoLoader:new d.default,anchors:new w,get lightbox(){return h.default.getLightbox()},urlActions:new c.default,swiper:u.default,environment:r.default,assetsLoader:new m.default,escapeHTML:b.escapeHTML,events:p.default,controls:new v.default},this.modules={StretchElement:elementorModules.frontend.tools.StretchElement,Masonry:elementorModules.utils.Masonry},this.elementsHandler.init(),this.isEditMode()?elementor.once("document:loaded",(()=>this.onDocumentLoaded())):this.onDocumentLoaded()}initOnReadyElements(){this.elements.$wpAdminBar=this.elements.$document.find(this.getSettings("selectors.adminBar"))}addUserAgentClasses(){for(const[e,t]of Object.entries(r.default))t&&this.elements.$body.addClass("e--ua-"+e)}setDeviceModeData(){this.elements.$body.attr("data-elementor-device-mode",this.getCurrentDeviceMode())}addListenerOnce(e,t,n,o){if(o||(o=this.elements.$window),this.isEditMode())if(this.removeListeners(e,t,o),o instanceof jQuery){const i=t+"."+e;o.on(i,n)}else o.on(t,n,e);else o.on(t,n)}removeListeners(e,t,n,o){if(o||(o=this.elements.$window),o instanceof jQuery){const i=t+"."+e;o.off(i,n)}else o.off(t,n,e)}debounce(e,t){let n;return function(){const o=this,i=arguments,s=!n;clearTimeout(n),n=setTimeout((()=>{n=null,e.apply(o,i)}),t),s&&e.apply(o,i)}}waypoint(e,t,n){n=jQuery.extend({offset:"100%",triggerOnce:!0},n);return e.elementorWaypoint((function(){const e=this.element||this,o=t.apply(e,arguments);return n.triggerOnce&&this.destroy&&this.destroy(),o}),n)}muteMigrationTraces(){jQuery.migrateMute=!0,jQuery.migrateTrace=!1}initModules(){const e={shapes:f.default};elementorFrontend.trigger("elementor/modules/init:before"),elementorFrontend.trigger("elementor/modules/init/before"),Object.entries(e).forEach((e=>{let[t,n]=e;this.modulesHandlers[t]=new n}))}populateActiveBreakpointsConfig(){this.config.responsive.activeBreakpoints={},Object.entries(this.config.responsive.breakpoints).forEach((e=>{let[t,n]=e;n.is_enabled&&(this.config.responsive.activeBreakpoints[t]=n)}))}init(){this.hooks=new y,this.breakpoints=new g.default(this.config.responsive),this.storage=new s.default,this.elementsHandler=new _(jQuery),this.modulesHandlers={},this.addUserAgentClasses(),this.setDeviceModeData(),this.initDialogsManager(),this.isEditMode()&&this.muteMigrationTraces(),p.default.dispatch(this.elements.$window,"elementor/frontend/init"),this.initModules(),this.initOnReadyElements(),this.initOnReadyComponents()}onDocumentLoaded(){this.documentsManager=new i.default,this.trigger("components:init"),new h.default}}window.elementorFrontend=new Frontend,elementorFrontend.isEditMode()||jQuery((()=>elementorFrontend.init()))},4058:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class BackgroundSlideshow extends elementorModules.frontend.handlers.SwiperBase{getDefaultSettings(){return{classes:{swiperContainer:`elementor-background-slideshow ${elementorFrontend.config.swiperClass}`,swiperWrapper:"swiper-wrapper",swiperSlide:"elementor-background-slideshow__slide swiper-slide",swiperPreloader:"swiper-lazy-preloader",slideBackground:"elementor-background-slideshow__slide__image",kenBurns:"elementor-ken-burns",kenBurnsActive:"elementor-ken-burns--active",kenBurnsIn:"elementor-ken-burns--in",kenBurnsOut:"elementor-ken-burns--out"}}}getSwiperOptions(){const e=this.getElementSettings(),t={grabCursor:!1,slidesPerView:1,slidesPerGroup:1,loop:"yes"===e.background_slideshow_loop,speed:e.background_slideshow_transition_duration,autoplay:{delay:e.background_slideshow_slide_duration,stopOnLastSlide:!e.background_slideshow_loop},handleElementorBreakpoints:!0,on:{slideChange:()=>{e.background_slideshow_ken_burns&&this.handleKenBurns()}}};switch("yes"===e.background_slideshow_loop&&(t.loopedSlides=this.getSlidesCount()),e.background_slideshow_slide_transition){case"fade":t.effect="fade",t.fadeEffect={crossFade:!0};break;case"slide_down":t.autoplay.reverseDirection=!0,t.direction="vertical";break;case"slide_up":t.direction="vertical"}return"yes"===e.background_slideshow_lazyload&&(t.lazy={loadPrevNext:!0,loadPrevNextAmount:1}),t}buildSwiperElements(){const e=this.getSettings("classes"),t=this.getElementSettings(),n="slide_left"===t.background_slideshow_slide_transition?"ltr":"rtl",o=jQuery("<div>",{class:e.swiperContainer,dir:n}),i=jQuery("<div>",{class:e.swiperWrapper}),s=t.background_slideshow_ken_burns,r="yes"===t.background_slideshow_lazyload;let a=e.slideBackground;if(s){a+=" "+e.kenBurns;const n="in"===t.background_slideshow_ken_burns_zoom_direction?"kenBurnsIn":"kenBurnsOut";a+=" "+e[n]}r&&(a+=" swiper-lazy"),this.elements.$slides=jQuery(),t.background_slideshow_gallery.forEach((t=>{const n=jQuery("<div>",{class:e.swiperSlide});let o;if(r){const n=jQuery("<div>",{class:e.swiperPreloader});o=jQuery("<div>",{class:a,"data-background":t.url}),o.append(n)}else o=jQuery("<div>",{class:a,style:'background-image: url("'+t.url+'");'});n.append(o),i.append(n),this.elements.$slides=this.elements.$slides.add(n)})),o.append(i),this.$element.prepend(o),this.elements.$backgroundSlideShowContainer=o}async initSlider(){if(1>=this.getSlidesCount())return;const e=this.getElementSettings(),t=elementorFrontend.utils.swiper;this.swiper=await new t(this.elements.$backgroundSlideShowContainer,this.getSwiperOptions()),this.elements.$backgroundSlideShowContainer.data("swiper",this.swiper),e.background_slideshow_ken_burns&&this.handleKenBurns()}activate(){this.buildSwiperElements(),this.initSlider()}deactivate(){this.swiper&&(this.swiper.destroy(),this.elements.$backgroundSlideShowContainer.remove())}run(){"slideshow"===this.getElementSettings("background_background")?this.activate():this.deactivate()}onInit(){super.onInit(),this.getElementSettings("background_slideshow_gallery")&&this.run()}onDestroy(){super.onDestroy(),this.deactivate()}onElementChange(e){"background_background"===e&&this.run()}}t.default=BackgroundSlideshow},9501:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class BackgroundVideo extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{backgroundVideoContainer:".elementor-background-video-container",backgroundVideoEmbed:".elementor-background-video-embed",backgroundVideoHosted:".elementor-background-video-hosted"}}}getDefaultElements(){const e=this.getSettings("selectors"),t={$backgroundVideoContainer:this.$element.find(e.backgroundVideoContainer)};return t.$backgroundVideoEmbed=t.$backgroundVideoContainer.children(e.backgroundVideoEmbed),t.$backgroundVideoHosted=t.$backgroundVideoContainer.children(e.backgroundVideoHosted),t}calcVideosSize(e){let t="16:9";"vimeo"===this.videoType&&(t=e[0].width+":"+e[0].height);const n=this.elements.$backgroundVideoContainer.outerWidth(),o=this.elements.$backgroundVideoContainer.outerHeight(),i=t.split(":"),s=i[0]/i[1],r=n/o>s;return{width:r?n:o*s,height:r?n/s:o}}changeVideoSize(){if("hosted"!==this.videoType&&!this.player)return;let e;if("youtube"===this.videoType?e=jQuery(this.player.getIframe()):"vimeo"===this.videoType?e=jQuery(this.player.element):"hosted"===this.videoType&&(e=this.elements.$backgroundVideoHosted),!e)return;const t=this.calcVideosSize(e);e.width(t.width).height(t.height)}startVideoLoop(e){if(!this.player.getIframe().contentWindow)return;const t=this.getElementSettings(),n=t.background_video_start||0,o=t.background_video_end;if(!t.background_play_once||e){if(this.player.seekTo(n),o){setTimeout((()=>{this.startVideoLoop(!1)}),1e3*(o-n+1))}}else this.player.stopVideo()}prepareVimeoVideo(e,t){const n=this.getElementSettings(),o={url:t,width:this.elements.$backgroundVideoContainer.outerWidth().width,autoplay:!0,loop:!n.background_play_once,transparent:!0,background:!0,muted:!0};n.background_privacy_mode&&(o.dnt=!0),this.player=new e.Player(this.elements.$backgroundVideoContainer,o),this.handleVimeoStartEndTimes(n),this.player.ready().then((()=>{jQuery(this.player.element).addClass("elementor-background-video-embed"),this.changeVideoSize()}))}handleVimeoStartEndTimes(e){e.background_video_start&&this.player.on("play",(t=>{0===t.seconds&&this.player.setCurrentTime(e.background_video_start)})),this.player.on("timeupdate",(t=>{e.background_video_end&&e.background_video_end<t.seconds&&(e.background_play_once?this.player.pause():this.player.setCurrentTime(e.background_video_start)),this.player.getDuration().then((n=>{e.background_video_start&&!e.background_video_end&&t.seconds>n-.5&&this.player.setCurrentTime(e.background_video_start)}))}))}prepareYTVideo(e,t){const n=this.elements.$backgroundVideoContainer,o=this.getElementSettings();let i=e.PlayerState.PLAYING;window.chrome&&(i=e.PlayerState.UNSTARTED);const s={videoId:t,events:{onReady:()=>{this.player.mute(),this.changeVideoSize(),this.startVideoLoop(!0),this.player.playVideo()},onStateChange:t=>{switch(t.data){case i:n.removeClass("elementor-invisible elementor-loading");break;case e.PlayerState.ENDED:"function"==typeof this.player.seekTo&&this.player.seekTo(o.background_video_start||0),o.background_play_once&&this.player.destroy()}}},playerVars:{controls:0,rel:0,playsinline:1}};o.background_privacy_mode&&(s.host="https://www.youtube-nocookie.com",s.origin=window.location.hostname),n.addClass("elementor-loading elementor-invisible"),this.player=new e.Player(this.elements.$backgroundVideoEmbed[0],s)}activate(){let e,t=this.getElementSettings("background_video_link");const n=this.getElementSettings("background_play_once");if(-1!==t.indexOf("vimeo.com")?(this.videoType="vimeo",this.apiProvider=elementorFrontend.utils.vimeo):t.match(/^(?:https?:\/\/)?(?:www\.)?(?:m\.)?(?:youtu\.be\/|youtube\.com)/)&&(this.videoType="youtube",this.apiProvider=elementorFrontend.utils.youtube),this.apiProvider)e=this.apiProvider.getVideoIDFromURL(t),this.apiProvider.onApiReady((n=>{"youtube"===this.videoType&&this.prepareYTVideo(n,e),"vimeo"===this.videoType&&this.prepareVimeoVideo(n,t)}));else{this.videoType="hosted";const e=this.getElementSettings("background_video_start"),o=this.getElementSettings("background_video_end");(e||o)&&(t+="#t="+(e||0)+(o?","+o:"")),this.elements.$backgroundVideoHosted.attr("src",t).one("canplay",this.changeVideoSize.bind(this)),n&&this.elements.$backgroundVideoHosted.on("ended",(()=>{this.elements.$backgroundVideoHosted.hide()}))}elementorFrontend.elements.$window.on("resize elementor/bg-video/recalc",this.changeVideoSize)}deactivate(){"youtube"===this.videoType&&this.player.getIframe()||"vimeo"===this.videoType?this.player.destroy():this.elements.$backgroundVideoHosted.removeAttr("src").off("ended"),elementorFrontend.elements.$window.off("resize",this.changeVideoSize)}run(){const e=this.getElementSettings();(e.background_play_on_mobile||"mobile"!==elementorFrontend.getCurrentDeviceMode())&&("video"===e.background_background&&e.background_video_link?this.activate():this.deactivate())}onInit(){super.onInit(...arguments),this.changeVideoSize=this.changeVideoSize.bind(this),this.run()}onElementChange(e){"background_background"===e&&this.run()}}t.default=BackgroundVideo},8704:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=o(n(4058)),s=o(n(9501)),r=[i.default,s.default];t.default=r},7537:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=[o(n(4058)).default];t.default=i},4985:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var o=[()=>n.e(413).then(n.bind(n,2929)),()=>n.e(413).then(n.bind(n,343)),()=>n.e(413).then(n.bind(n,8073))];t.default=o},6397:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class GlobalHandler extends elementorModules.frontend.handlers.Base{getWidgetType(){return"global"}animate(){const e=this.$element,t=this.getAnimation();if("none"===t)return void e.removeClass("elementor-invisible");const n=this.getElementSettings(),o=n._animation_delay||n.animation_delay||0;e.removeClass(t),this.currentAnimation&&e.removeClass(this.currentAnimation),this.currentAnimation=t,setTimeout((()=>{e.removeClass("elementor-invisible").addClass("animated "+t)}),o)}getAnimation(){return this.getCurrentDeviceSetting("animation")||this.getCurrentDeviceSetting("_animation")}onInit(){if(super.onInit(...arguments),this.getAnimation()){const e=elementorModules.utils.Scroll.scrollObserver({callback:t=>{t.isInViewport&&(this.animate(),e.unobserve(this.$element[0]))}});e.observe(this.$element[0])}}onElementChange(e){/^_?animation/.test(e)&&this.animate()}}t.default=e=>{elementorFrontend.elementsHandler.addHandler(GlobalHandler,{$element:e})}},355:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class HandlesPosition extends elementorModules.frontend.handlers.Base{isActive(){return elementorFrontend.isEditMode()}isFirstSection(){return this.$element[0]===document.querySelector(".elementor-edit-mode .elementor-top-section")}isOverflowHidden(){return"hidden"===this.$element.css("overflow")}getOffset(){if("body"===elementor.config.document.container)return this.$element.offset().top;const e=jQuery(elementor.config.document.container);return this.$element.offset().top-e.offset().top}setHandlesPosition(){const e=elementor.documents.getCurrent();if(!e||!e.container.isEditable())return;const t="elementor-section--handles-inside";if(elementor.settings.page.model.attributes.scroll_snap)return void this.$element.addClass(t);const n=this.isOverflowHidden();if(!n&&!this.isFirstSection())return;const o=n?0:this.getOffset();if(o<25){this.$element.addClass(t);const e=this.$element.find("> .elementor-element-overlay > .elementor-editor-section-settings");o<-5?e.css("top",-o):e.css("top","")}else this.$element.removeClass(t)}onInit(){this.isActive()&&(this.setHandlesPosition(),this.$element.on("mouseenter",this.setHandlesPosition.bind(this)))}}t.default=HandlesPosition},3384:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class Shapes extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{container:"> .elementor-shape-%s"},svgURL:elementorFrontend.config.urls.assets+"shapes/"}}getDefaultElements(){const e={},t=this.getSettings("selectors");return e.$topContainer=this.$element.find(t.container.replace("%s","top")),e.$bottomContainer=this.$element.find(t.container.replace("%s","bottom")),e}isActive(){return elementorFrontend.isEditMode()}getSvgURL(e,t){let n=this.getSettings("svgURL")+t+".svg";return elementor.config.additional_shapes&&e in elementor.config.additional_shapes&&(n=elementor.config.additional_shapes[e],-1<t.indexOf("-negative")&&(n=n.replace(".svg","-negative.svg"))),n}buildSVG(e){const t="shape_divider_"+e,n=this.getElementSettings(t),o=this.elements["$"+e+"Container"];if(o.attr("data-shape",n),!n)return void o.empty();let i=n;this.getElementSettings(t+"_negative")&&(i+="-negative");const s=this.getSvgURL(n,i);jQuery.get(s,(e=>{o.empty().append(e.childNodes[0])})),this.setNegative(e)}setNegative(e){this.elements["$"+e+"Container"].attr("data-negative",!!this.getElementSettings("shape_divider_"+e+"_negative"))}onInit(){this.isActive(this.getSettings())&&(super.onInit(...arguments),["top","bottom"].forEach((e=>{this.getElementSettings("shape_divider_"+e)&&this.buildSVG(e)})))}onElementChange(e){const t=e.match(/^shape_divider_(top|bottom)$/);if(t)return void this.buildSVG(t[1]);const n=e.match(/^shape_divider_(top|bottom)_negative$/);n&&(this.buildSVG(n[1]),this.setNegative(n[1]))}}t.default=Shapes},2804:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class StretchedSection extends elementorModules.frontend.handlers.StretchedElement{getStretchedClass(){return"elementor-section-stretched"}getStretchSettingName(){return"stretch_section"}getStretchActiveValue(){return"section-stretched"}}t.default=StretchedSection},3346:(e,t,n)=>{var o=n(6028);e.exports=elementorModules.ViewModule.extend({getDefaultSettings:()=>({scrollDuration:500,selectors:{links:'a[href*="#"]',targets:".elementor-element, .elementor-menu-anchor",scrollable:(0,o.isScrollSnapActive)()?"body":"html, body"}}),getDefaultElements(){return{$scrollable:jQuery(this.getSettings("selectors").scrollable)}},bindEvents(){elementorFrontend.elements.$document.on("click",this.getSettings("selectors.links"),this.handleAnchorLinks)},handleAnchorLinks(e){var t,n=e.currentTarget,i=location.pathname===n.pathname;if(location.hostname===n.hostname&&i&&!(n.hash.length<2)){try{t=jQuery(n.hash).filter(this.getSettings("selectors.targets"))}catch(e){return}if(t.length){var s=t.offset().top,r=elementorFrontend.elements.$wpAdminBar,a=jQuery(".elementor-section.elementor-sticky--active:visible");r.length>0&&(s-=r.height()),a.length>0&&(s-=Math.max.apply(null,a.map((function(){return jQuery(this).outerHeight()})).get())),e.preventDefault(),s=elementorFrontend.hooks.applyFilters("frontend/handlers/menu_anchor/scroll_top_distance",s),(0,o.isScrollSnapActive)()&&elementorFrontend.elements.$body.css("scroll-snap-type","none"),this.elements.$scrollable.animate({scrollTop:s},this.getSettings("scrollDuration"),"linear",(()=>{(0,o.isScrollSnapActive)()&&elementorFrontend.elements.$body.css("scroll-snap-type","")}))}}},onInit(){elementorModules.ViewModule.prototype.onInit.apply(this,arguments)}})},6866:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class AssetsLoader{getScriptElement(e){const t=document.createElement("script");return t.src=e,t}getStyleElement(e){const t=document.createElement("link");return t.rel="stylesheet",t.href=e,t}load(e,t){const n=AssetsLoader.assets[e][t];return n.loader||(n.loader=new Promise((t=>{const o="style"===e?this.getStyleElement(n.src):this.getScriptElement(n.src);o.onload=()=>t(!0);const i="head"===n.parent?n.parent:"body";document[i].appendChild(o)}))),n.loader}}t.default=AssetsLoader;const n=elementorFrontendConfig.environmentMode.isScriptDebug?"":".min",o=elementorFrontendConfig.experimentalFeatures.e_swiper_latest?`${elementorFrontendConfig.urls.assets}lib/swiper/v8/swiper${n}.js?ver=8.4.5`:`${elementorFrontendConfig.urls.assets}lib/swiper/swiper${n}.js?ver=5.3.6`;AssetsLoader.assets={script:{dialog:{src:`${elementorFrontendConfig.urls.assets}lib/dialog/dialog${n}.js?ver=4.9.0`},"share-link":{src:`${elementorFrontendConfig.urls.assets}lib/share-link/share-link${n}.js?ver=${elementorFrontendConfig.version}`},swiper:{src:o}},style:{}}},1322:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=class Controls{getControlValue(e,t,n){let o;return o="object"==typeof e[t]&&n?e[t][n]:e[t],o}getResponsiveControlValue(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"";const o=(arguments.length>3&&void 0!==arguments[3]?arguments[3]:null)||elementorFrontend.getCurrentDeviceMode(),i=this.getControlValue(e,t,n);if("widescreen"===o){const o=this.getControlValue(e,`${t}_widescreen`,n);return o||0===o?o:i}const s=elementorFrontend.breakpoints.getActiveBreakpointsList({withDesktop:!0});let r=o,a=s.indexOf(o),l="";for(;a<=s.length;){if("desktop"===r){l=i;break}const o=`${t}_${r}`,d=this.getControlValue(e,o,n);if(d||0===d){l=d;break}a++,r=s[a]}return l}}},8646:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class LightboxManager extends elementorModules.ViewModule{static getLightbox(){const e=new Promise((e=>{n.e(723).then(n.t.bind(n,3896,23)).then((t=>{let{default:n}=t;return e(new n)}))})),t=elementorFrontend.utils.assetsLoader.load("script","dialog"),o=elementorFrontend.utils.assetsLoader.load("script","share-link");return Promise.all([e,t,o]).then((()=>e))}getDefaultSettings(){return{selectors:{links:"a, [data-elementor-lightbox]"}}}getDefaultElements(){return{$links:jQuery(this.getSettings("selectors.links"))}}isLightboxLink(e){if("a"===e.tagName.toLowerCase()&&(e.hasAttribute("download")||!/^[^?]+\.(png|jpe?g|gif|svg|webp)(\?.*)?$/i.test(e.href))&&!e.dataset.elementorLightboxVideo)return!1;const t=elementorFrontend.getKitSettings("global_image_lightbox"),n=e.dataset.elementorOpenLightbox;return"yes"===n||t&&"no"!==n}async onLinkClick(e){const t=e.currentTarget,n=jQuery(e.target),o=elementorFrontend.isEditMode(),i=o&&elementor.$previewContents.find("body").hasClass("elementor-editor__ui-state__color-picker"),s=!!n.closest(".elementor-edit-area").length;if(!this.isLightboxLink(t))return void(o&&s&&e.preventDefault());if(e.preventDefault(),o&&!elementor.getPreferences("lightbox_in_editor"))return;if(i)return;(await LightboxManager.getLightbox()).createLightbox(t)}bindEvents(){elementorFrontend.elements.$document.on("click",this.getSettings("selectors.links"),(e=>this.onLinkClick(e)))}onInit(){super.onInit(...arguments),elementorFrontend.isEditMode()||this.elements.$links.each(((e,t)=>{if(this.isLightboxLink(t))return LightboxManager.getLightbox(),!1}))}}t.default=LightboxManager},8628:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=class Swiper{constructor(e,t){return this.config=t,this.config.breakpoints&&(this.config=this.adjustConfig(t)),e instanceof jQuery&&(e=e[0]),e.closest(".elementor-widget-wrap")?.classList.add("e-swiper-container"),e.closest(".elementor-widget")?.classList.add("e-widget-swiper"),new Promise((t=>{elementorFrontend.utils.assetsLoader.load("script","swiper").then((()=>t(this.createSwiperInstance(e,this.config))))}))}createSwiperInstance(e,t){const n=window.Swiper;return n.prototype.adjustConfig=this.adjustConfig,new n(e,t)}adjustConfig(e){if(!e.handleElementorBreakpoints)return e;const t=elementorFrontend.config.responsive.activeBreakpoints,n=elementorFrontend.breakpoints.getBreakpointValues();return Object.keys(e.breakpoints).forEach((o=>{const i=parseInt(o);let s;if(i===t.mobile.value||i+1===t.mobile.value)s=0;else if(!t.widescreen||i!==t.widescreen.value&&i+1!==t.widescreen.value){const e=n.findIndex((e=>i===e||i+1===e));s=n[e-1]}else s=i;e.breakpoints[s]=e.breakpoints[o],e.breakpoints[o]={slidesPerView:e.slidesPerView,slidesPerGroup:e.slidesPerGroup?e.slidesPerGroup:1}})),e}}},2064:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0,n(5719);class _default extends elementorModules.ViewModule{getDefaultSettings(){return{selectors:{links:'a[href^="%23elementor-action"], a[href^="#elementor-action"]'}}}bindEvents(){elementorFrontend.elements.$document.on("click",this.getSettings("selectors.links"),this.runLinkAction.bind(this))}initActions(){this.actions={lightbox:async e=>{const t=await elementorFrontend.utils.lightbox;e.slideshow?t.openSlideshow(e.slideshow,e.url):(e.id&&(e.type="image"),t.showModal(e))}}}addAction(e,t){this.actions[e]=t}runAction(e){const t=(e=decodeURIComponent(e)).match(/action=(.+?)&/);if(!t)return;const n=this.actions[t[1]];if(!n)return;let o={};const i=e.match(/settings=(.+)/);i&&(o=JSON.parse(atob(i[1])));for(var s=arguments.length,r=new Array(s>1?s-1:0),a=1;a<s;a++)r[a-1]=arguments[a];n(o,...r)}runLinkAction(e){e.preventDefault(),this.runAction(jQuery(e.currentTarget).attr("href"),e)}runHashAction(){if(!location.hash)return;const e=document.querySelector(`[data-e-action-hash="${location.hash}"], a[href*="${location.hash}"]`);e&&this.runAction(e.getAttribute("data-e-action-hash"))}createActionHash(e,t){return encodeURIComponent(`#elementor-action:action=${e}&settings=${btoa(JSON.stringify(t))}`)}onInit(){super.onInit(),this.initActions(),elementorFrontend.on("components:init",this.runHashAction.bind(this))}}t.default=_default},6028:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.isScrollSnapActive=t.escapeHTML=void 0;t.escapeHTML=e=>{const t={"&":"&amp;","<":"&lt;",">":"&gt;","'":"&#39;",'"':"&quot;"};return e.replace(/[&<>'"]/g,(e=>t[e]||e))};t.isScrollSnapActive=()=>"yes"===(elementorFrontend.isEditMode()?elementor.settings.page.model.attributes?.scroll_snap:elementorFrontend.config.settings.page?.scroll_snap)},4773:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class BaseLoader extends elementorModules.ViewModule{getDefaultSettings(){return{isInserted:!1,selectors:{firstScript:"script:first"}}}getDefaultElements(){return{$firstScript:jQuery(this.getSettings("selectors.firstScript"))}}insertAPI(){this.elements.$firstScript.before(jQuery("<script>",{src:this.getApiURL()})),this.setSettings("isInserted",!0)}getVideoIDFromURL(e){const t=e.match(this.getURLRegex());return t&&t[1]}onApiReady(e){this.getSettings("isInserted")||this.insertAPI(),this.isApiLoaded()?e(this.getApiObject()):setTimeout((()=>{this.onApiReady(e)}),350)}getAutoplayURL(e){return e.replace("&autoplay=0","")+"&autoplay=1"}}t.default=BaseLoader},1911:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=o(n(4773));class VimeoLoader extends i.default{getApiURL(){return"https://player.vimeo.com/api/player.js"}getURLRegex(){return/^(?:https?:\/\/)?(?:www|player\.)?(?:vimeo\.com\/)?(?:video\/|external\/)?(\d+)([^.?&#"'>]?)/}isApiLoaded(){return window.Vimeo}getApiObject(){return Vimeo}getAutoplayURL(e){const t=(e=super.getAutoplayURL(e)).match(/#t=[^&]*/);return e.replace(t[0],"")+t}}t.default=VimeoLoader},1604:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=o(n(4773));class YoutubeLoader extends i.default{getApiURL(){return"https://www.youtube.com/iframe_api"}getURLRegex(){return/^(?:https?:\/\/)?(?:www\.)?(?:m\.)?(?:youtu\.be\/|youtube\.com\/(?:(?:watch)?\?(?:.*&)?vi?=|(?:embed|v|vi|user)\/))([^?&"'>]+)/}isApiLoaded(){return window.YT&&YT.loaded}getApiObject(){return YT}}t.default=YoutubeLoader},59:(e,t,n)=>{n.p=elementorFrontendConfig.urls.assets+"js/"},4375:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class Breakpoints extends elementorModules.Module{constructor(e){super(),this.responsiveConfig=e}getActiveBreakpointsList(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};e={largeToSmall:!1,withDesktop:!1,...e};const t=Object.keys(this.responsiveConfig.activeBreakpoints);if(e.withDesktop){const e=-1===t.indexOf("widescreen")?t.length:t.length-1;t.splice(e,0,"desktop")}return e.largeToSmall&&t.reverse(),t}getBreakpointValues(){const{activeBreakpoints:e}=this.responsiveConfig,t=[];return Object.values(e).forEach((e=>{t.push(e.value)})),t}getDesktopPreviousDeviceKey(){let e="";const{activeBreakpoints:t}=this.responsiveConfig,n=Object.keys(t),o=n.length;return e="min"===t[n[o-1]].direction?n[o-2]:n[o-1],e}getDesktopMinPoint(){const{activeBreakpoints:e}=this.responsiveConfig;return e[this.getDesktopPreviousDeviceKey()].value+1}getDeviceMinBreakpoint(e){if("desktop"===e)return this.getDesktopMinPoint();const{activeBreakpoints:t}=this.responsiveConfig,n=Object.keys(t);let o;if(n[0]===e)o=320;else if("widescreen"===e)o=t[e]?t[e].value:this.responsiveConfig.breakpoints.widescreen;else{const i=n.indexOf(e);o=t[n[i-1]].value+1}return o}getActiveMatchRegex(){return new RegExp(this.getActiveBreakpointsList().map((e=>"_"+e)).join("|")+"$")}}t.default=Breakpoints},6404:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=t.Events=void 0;class Events{static dispatch(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null,o=arguments.length>3&&void 0!==arguments[3]?arguments[3]:null;e=e instanceof jQuery?e[0]:e,o&&e.dispatchEvent(new CustomEvent(o,{detail:n})),e.dispatchEvent(new CustomEvent(t,{detail:n}))}}t.Events=Events;var n=Events;t.default=n},9469:e=>{e.exports=function(){var e,t=Array.prototype.slice,n={actions:{},filters:{}};function _removeHook(e,t,o,i){var s,r,a;if(n[e][t])if(o)if(s=n[e][t],i)for(a=s.length;a--;)(r=s[a]).callback===o&&r.context===i&&s.splice(a,1);else for(a=s.length;a--;)s[a].callback===o&&s.splice(a,1);else n[e][t]=[]}function _addHook(e,t,o,i,s){var r={callback:o,priority:i,context:s},a=n[e][t];if(a){var l=!1;if(jQuery.each(a,(function(){if(this.callback===o)return l=!0,!1})),l)return;a.push(r),a=function _hookInsertSort(e){for(var t,n,o,i=1,s=e.length;i<s;i++){for(t=e[i],n=i;(o=e[n-1])&&o.priority>t.priority;)e[n]=e[n-1],--n;e[n]=t}return e}(a)}else a=[r];n[e][t]=a}function _runHook(e,t,o){var i,s,r=n[e][t];if(!r)return"filters"===e&&o[0];if(s=r.length,"filters"===e)for(i=0;i<s;i++)o[0]=r[i].callback.apply(r[i].context,o);else for(i=0;i<s;i++)r[i].callback.apply(r[i].context,o);return"filters"!==e||o[0]}return e={removeFilter:function removeFilter(t,n){return"string"==typeof t&&_removeHook("filters",t,n),e},applyFilters:function applyFilters(){var n=t.call(arguments),o=n.shift();return"string"==typeof o?_runHook("filters",o,n):e},addFilter:function addFilter(t,n,o,i){return"string"==typeof t&&"function"==typeof n&&_addHook("filters",t,n,o=parseInt(o||10,10),i),e},removeAction:function removeAction(t,n){return"string"==typeof t&&_removeHook("actions",t,n),e},doAction:function doAction(){var n=t.call(arguments),o=n.shift();return"string"==typeof o&&_runHook("actions",o,n),e},addAction:function addAction(t,n,o,i){return"string"==typeof t&&"function"==typeof n&&_addHook("actions",t,n,o=parseInt(o||10,10),i),e}},e}},3308:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;const matchUserAgent=e=>n.indexOf(e)>=0,n=navigator.userAgent,o=!!window.opr&&!!opr.addons||!!window.opera||matchUserAgent(" OPR/"),i=matchUserAgent("Firefox"),s=/^((?!chrome|android).)*safari/i.test(n)||/constructor/i.test(window.HTMLElement)||"[object SafariRemoteNotification]"===(!window.safari||"undefined"!=typeof safari&&safari.pushNotification).toString(),r=/Trident|MSIE/.test(n)&&!!document.documentMode,a=!r&&!!window.StyleMedia||matchUserAgent("Edg"),l=!!window.chrome&&matchUserAgent("Chrome")&&!(a||o),d=matchUserAgent("Chrome")&&!!window.CSS,c=matchUserAgent("AppleWebKit")&&!d;var u={isTouchDevice:"ontouchstart"in window||navigator.maxTouchPoints>0||navigator.msMaxTouchPoints>0,appleWebkit:c,blink:d,chrome:l,edge:a,firefox:i,ie:r,mac:matchUserAgent("Macintosh"),opera:o,safari:s,webkit:matchUserAgent("AppleWebKit")};t.default=u},5107:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class _default extends elementorModules.Module{get(e,t){let n;t=t||{};try{n=t.session?sessionStorage:localStorage}catch(t){return e?void 0:{}}let o=n.getItem("elementor");o=o?JSON.parse(o):{},o.__expiration||(o.__expiration={});const i=o.__expiration;let s=[];e?i[e]&&(s=[e]):s=Object.keys(i);let r=!1;return s.forEach((e=>{new Date(i[e])<new Date&&(delete o[e],delete i[e],r=!0)})),r&&this.save(o,t.session),e?o[e]:o}set(e,t,n){n=n||{};const o=this.get(null,n);if(o[e]=t,n.lifetimeInSeconds){const t=new Date;t.setTime(t.getTime()+1e3*n.lifetimeInSeconds),o.__expiration[e]=t.getTime()}this.save(o,n.session)}save(e,t){let n;try{n=t?sessionStorage:localStorage}catch(e){return}n.setItem("elementor",JSON.stringify(e))}}t.default=_default},6046:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class _default extends elementorModules.Module{constructor(){super(),elementorFrontend.elementsHandler.attachHandler("text-path",(()=>n.e(48).then(n.bind(n,6468))))}}t.default=_default},1855:(e,t,n)=>{var o=n(5516),i=TypeError;e.exports=function(e,t){if(o(t,e))return e;throw i("Incorrect invocation")}},3621:e=>{e.exports={IndexSizeError:{s:"INDEX_SIZE_ERR",c:1,m:1},DOMStringSizeError:{s:"DOMSTRING_SIZE_ERR",c:2,m:0},HierarchyRequestError:{s:"HIERARCHY_REQUEST_ERR",c:3,m:1},WrongDocumentError:{s:"WRONG_DOCUMENT_ERR",c:4,m:1},InvalidCharacterError:{s:"INVALID_CHARACTER_ERR",c:5,m:1},NoDataAllowedError:{s:"NO_DATA_ALLOWED_ERR",c:6,m:0},NoModificationAllowedError:{s:"NO_MODIFICATION_ALLOWED_ERR",c:7,m:1},NotFoundError:{s:"NOT_FOUND_ERR",c:8,m:1},NotSupportedError:{s:"NOT_SUPPORTED_ERR",c:9,m:1},InUseAttributeError:{s:"INUSE_ATTRIBUTE_ERR",c:10,m:1},InvalidStateError:{s:"INVALID_STATE_ERR",c:11,m:1},SyntaxError:{s:"SYNTAX_ERR",c:12,m:1},InvalidModificationError:{s:"INVALID_MODIFICATION_ERR",c:13,m:1},NamespaceError:{s:"NAMESPACE_ERR",c:14,m:1},InvalidAccessError:{s:"INVALID_ACCESS_ERR",c:15,m:1},ValidationError:{s:"VALIDATION_ERR",c:16,m:0},TypeMismatchError:{s:"TYPE_MISMATCH_ERR",c:17,m:1},SecurityError:{s:"SECURITY_ERR",c:18,m:1},NetworkError:{s:"NETWORK_ERR",c:19,m:1},AbortError:{s:"ABORT_ERR",c:20,m:1},URLMismatchError:{s:"URL_MISMATCH_ERR",c:21,m:1},QuotaExceededError:{s:"QUOTA_EXCEEDED_ERR",c:22,m:1},TimeoutError:{s:"TIMEOUT_ERR",c:23,m:1},InvalidNodeTypeError:{s:"INVALID_NODE_TYPE_ERR",c:24,m:1},DataCloneError:{s:"DATA_CLONE_ERR",c:25,m:1}}},5719:(e,t,n)=>{var o=n(1695),i=n(2086),s=n(563),r=n(5736),a=n(7826).f,l=n(9606),d=n(1855),c=n(5070),u=n(1879),h=n(3621),m=n(79),g=n(5283),p=n(3296),f="DOMException",v=s("Error"),b=s(f),y=function DOMException(){d(this,_);var e=arguments.length,t=u(e<1?void 0:arguments[0]),n=u(e<2?void 0:arguments[1],"Error"),o=new b(t,n),i=v(t);return i.name=f,a(o,"stack",r(1,m(i.stack,1))),c(o,this,y),o},_=y.prototype=b.prototype,w="stack"in v(f),k="stack"in new b(1,2),S=b&&g&&Object.getOwnPropertyDescriptor(i,f),E=!(!S||S.writable&&S.configurable),M=w&&!E&&!k;o({global:!0,constructor:!0,forced:p||M},{DOMException:M?y:b});var C=s(f),A=C.prototype;if(A.constructor!==C)for(var D in p||a(A,"constructor",r(1,C)),h)if(l(h,D)){var $=h[D],R=$.s;l(C,R)||a(C,R,r(6,$.c))}}},e=>{e.O(0,[354],(()=>{return t=5654,e(e.s=t);var t}));e.O()}]);
\ No newline at end of file
+"use strict";(self.webpackChunkelementor=self.webpackChunkelementor||[]).push([[819],{9220:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=o(n(8135));class _default extends elementorModules.ViewModule{constructor(){super(...arguments),this.documents={},this.initDocumentClasses(),this.attachDocumentsClasses()}getDefaultSettings(){return{selectors:{document:".elementor"}}}getDefaultElements(){const e=this.getSettings("selectors");return{$documents:jQuery(e.document)}}initDocumentClasses(){this.documentClasses={base:i.default},elementorFrontend.hooks.doAction("elementor/frontend/documents-manager/init-classes",this)}addDocumentClass(e,t){this.documentClasses[e]=t}attachDocumentsClasses(){this.elements.$documents.each(((e,t)=>this.attachDocumentClass(jQuery(t))))}attachDocumentClass(e){const t=e.data(),n=t.elementorId,o=t.elementorType,i=this.documentClasses[o]||this.documentClasses.base;this.documents[n]=new i({$element:e,id:n})}}t.default=_default},9804:(e,t,n)=>{var o=n(3203),i=o(n(6397)),s=o(n(8704)),r=o(n(4985)),a=o(n(7537)),l=o(n(355)),d=o(n(2804)),c=o(n(3384));e.exports=function(e){var t=this;const o={};this.elementsHandlers={"accordion.default":()=>n.e(209).then(n.bind(n,8470)),"alert.default":()=>n.e(745).then(n.bind(n,9269)),"counter.default":()=>n.e(120).then(n.bind(n,7884)),"progress.default":()=>n.e(192).then(n.bind(n,1351)),"tabs.default":()=>n.e(520).then(n.bind(n,9459)),"toggle.default":()=>n.e(181).then(n.bind(n,2)),"video.default":()=>n.e(791).then(n.bind(n,5363)),"image-carousel.default":()=>n.e(268).then(n.bind(n,5914)),"text-editor.default":()=>n.e(357).then(n.bind(n,1327)),"wp-widget-media_audio.default":()=>n.e(52).then(n.bind(n,7602))},elementorFrontendConfig.experimentalFeatures["nested-elements"]&&(this.elementsHandlers["nested-tabs.default"]=()=>Promise.resolve().then(n.bind(n,7323))),elementorFrontendConfig.experimentalFeatures["nested-elements"]&&(this.elementsHandlers["nested-accordion.default"]=()=>Promise.resolve().then(n.bind(n,32)));const addElementsHandlers=()=>{this.elementsHandlers.section=[d.default,...s.default,l.default,c.default],this.elementsHandlers.container=[...s.default],elementorFrontend.isEditMode()&&this.elementsHandlers.container.push(...r.default),this.elementsHandlers.column=a.default,e.each(this.elementsHandlers,((e,t)=>{const n=e.split(".");e=n[0];const o=n[1]||null;this.attachHandler(e,t,o)}))},isClassHandler=e=>e.prototype?.getUniqueHandlerID;this.addHandler=function(t,n){const i=n.$element.data("model-cid");let s;if(i){s=t.prototype.getConstructorID(),o[i]||(o[i]={});const e=o[i][s];e&&e.onDestroy()}const r=new t(n);elementorFrontend.hooks.doAction(`frontend/element_handler_ready/${n.elementName}`,n.$element,e),i&&(o[i][s]=r)},this.attachHandler=(e,n,o)=>{Array.isArray(n)||(n=[n]),n.forEach((n=>function(e,n){let o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"default";o=o?"."+o:"";const i=e+o;elementorFrontend.hooks.addAction(`frontend/element_ready/${i}`,(e=>{if(isClassHandler(n))t.addHandler(n,{$element:e,elementName:i},!0);else{const o=n();if(!o)return;o instanceof Promise?o.then((n=>{let{default:o}=n;t.addHandler(o,{$element:e,elementName:i},!0)})):t.addHandler(o,{$element:e,elementName:i},!0)}}))}(e,n,o)))},this.getHandler=function(e){const t=this.elementsHandlers[e];return isClassHandler(t)?t:new Promise((e=>{t().then((t=>{let{default:n}=t;e(n)}))}))},this.getHandlers=function(e){return elementorDevTools.deprecation.deprecated("getHandlers","3.1.0","elementorFrontend.elementsHandler.getHandler"),e?this.getHandler(e):this.elementsHandlers},this.runReadyTrigger=function(t){if(elementorFrontend.config.is_static)return;const n=jQuery(t),o=n.attr("data-element_type");if(o&&(elementorFrontend.hooks.doAction("frontend/element_ready/global",n,e),elementorFrontend.hooks.doAction(`frontend/element_ready/${o}`,n,e),"widget"===o)){const t=n.attr("data-widget_type");elementorFrontend.hooks.doAction(`frontend/element_ready/${t}`,n,e)}},this.init=()=>{elementorFrontend.hooks.addAction("frontend/element_ready/global",i.default),addElementsHandlers()}}},5654:(e,t,n)=>{var i=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0,n(59);var o=i(n(9220)),s=i(n(5107)),r=i(n(3308)),d=i(n(1604)),a=i(n(1911)),l=i(n(4773)),u=i(n(5968)),c=i(n(2064)),m=i(n(8628)),g=i(n(8646)),h=i(n(6866)),f=i(n(4375)),p=i(n(6404)),w=i(n(6046)),M=i(n(1322)),v=n(6028);const y=n(9469),D=n(9804),b=n(3346);class Frontend extends elementorModules.ViewModule{constructor(){super(...arguments),this.config=elementorFrontendConfig,this.config.legacyMode={get elementWrappers(){return elementorFrontend.isEditMode()&&window.top.elementorDevTools.deprecation.deprecated("elementorFrontend.config.legacyMode.elementWrappers","3.1.0"),!1}},this.populateActiveBreakpointsConfig()}get Module(){return this.isEditMode()&&parent.elementorDevTools.deprecation.deprecated("elementorFrontend.Module","2.5.0","elementorModules.frontend.handlers.Base"),elementorModules.frontend.handlers.Base}getDefaultSettings(){return{selectors:{elementor:".elementor",adminBar:"#wpadminbar"}}}getDefaultElements(){const e={window,$window:jQuery(window),$document:jQuery(document),$head:jQuery(document.head),$body:jQuery(document.body),$deviceMode:jQuery("<span>",{id:"elementor-device-mode",class:"elementor-screen-only"})};return e.$body.append(e.$deviceMode),e}bindEvents(){this.elements.$window.on("resize",()=>this.setDeviceModeData())}getElements(e){return this.getItems(this.elements,e)}getPageSettings(e){const t=this.isEditMode()?elementor.settings.page.model.attributes:this.config.settings.page;return this.getItems(t,e)}getGeneralSettings(e){return this.isEditMode()&&parent.elementorDevTools.deprecation.deprecated("getGeneralSettings()","3.0.0","getKitSettings() and remove the `elementor_` prefix"),this.getKitSettings(`elementor_${e}`)}getKitSettings(e){return this.getItems(this.config.kit,e)}getCurrentDeviceMode(){return getComputedStyle(this.elements.$deviceMode[0],":after").content.replace(/"/g,"")}getDeviceSetting(e,t,n){if("widescreen"===e)return this.getWidescreenSetting(t,n);const i=elementorFrontend.breakpoints.getActiveBreakpointsList({largeToSmall:!0,withDesktop:!0});let o=i.indexOf(e);for(;o>0;){const e=t[n+"_"+i[o]];if(e||0===e)return e;o--}return t[n]}getWidescreenSetting(e,t){const n=t+"_widescreen";let i;return i=e[n]?e[n]:e[t],i}getCurrentDeviceSetting(e,t){return this.getDeviceSetting(elementorFrontend.getCurrentDeviceMode(),e,t)}isEditMode(){return this.config.environmentMode.edit}isWPPreviewMode(){return this.config.environmentMode.wpPreview}initDialogsManager(){let e;this.getDialogsManager=()=>(e||(e=new DialogsManager.Instance),e)}initOnReadyComponents(){this.utils={youtube:new d.default,vimeo:new a.default,baseVideoLoader:new l.default,videoFacade:new u.default,anchors:new b,get lightbox(){return g.default.getLightbox()},urlActions:new c.default,swiper:m.default,environment:r.default,assetsLoader:new h.default,escapeHTML:v.escapeHTML,events:p.default,controls:new M.default},this.modules={StretchElement:elementorModules.frontend.tools.StretchElement,Masonry:elementorModules.utils.Masonry},this.elementsHandler.init(),this.isEditMode()?elementor.once("document:loaded",()=>this.onDocumentLoaded()):this.onDocumentLoaded()}initOnReadyElements(){this.elements.$wpAdminBar=this.elements.$document.find(this.getSettings("selectors.adminBar"))}addUserAgentClasses(){for(const[e,t]of Object.entries(r.default))t&&this.elements.$body.addClass("e--ua-"+e)}setDeviceModeData(){this.elements.$body.attr("data-elementor-device-mode",this.getCurrentDeviceMode())}addListenerOnce(e,t,n,i){if(i||(i=this.elements.$window),this.isEditMode())if(this.removeListeners(e,t,i),i instanceof jQuery){const o=t+"."+e;i.on(o,n)}else i.on(t,n,e);else i.on(t,n)}removeListeners(e,t,n,i){if(i||(i=this.elements.$window),i instanceof jQuery){const o=t+"."+e;i.off(o,n)}else i.off(t,n,e)}debounce(e,t){let n;return function(){const i=this,o=arguments,s=!n;clearTimeout(n),n=setTimeout(()=>{n=null,e.apply(i,o)},t),s&&e.apply(i,o)}}waypoint(e,t,n){n=jQuery.extend({offset:"100%",triggerOnce:!0},n);return e.elementorWaypoint(function(){const e=this.element||this,i=t.apply(e,arguments);return n.triggerOnce&&this.destroy&&this.destroy(),i},n)}muteMigrationTraces(){jQuery.migrateMute=!0,jQuery.migrateTrace=!1}initModules(){const e={shapes:w.default};elementorFrontend.trigger("elementor/modules/init:before"),elementorFrontend.trigger("elementor/modules/init/before"),Object.entries(e).forEach(e=>{let[t,n]=e;this.modulesHandlers[t]=new n})}populateActiveBreakpointsConfig(){this.config.responsive.activeBreakpoints={},Object.entries(this.config.responsive.breakpoints).forEach(e=>{let[t,n]=e;n.is_enabled&&(this.config.responsive.activeBreakpoints[t]=n)})}init(){this.hooks=new y,this.breakpoints=new f.default(this.config.responsive),this.storage=new s.default,this.elementsHandler=new D(jQuery),this.modulesHandlers={},this.addUserAgentClasses(),this.setDeviceModeData(),this.initDialogsManager(),this.isEditMode()&&this.muteMigrationTraces(),p.default.dispatch(this.elements.$window,"elementor/frontend/init"),this.initModules(),this.initOnReadyElements(),this.initOnReadyComponents()}onDocumentLoaded(){this.documentsManager=new o.default,this.trigger("components:init"),new g.default}}t.default=Frontend,window.elementorFrontend=new Frontend,elementorFrontend.isEditMode()||jQuery(()=>elementorFrontend.init())},4058:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class BackgroundSlideshow extends elementorModules.frontend.handlers.SwiperBase{getDefaultSettings(){return{classes:{swiperContainer:`elementor-background-slideshow ${elementorFrontend.config.swiperClass}`,swiperWrapper:"swiper-wrapper",swiperSlide:"elementor-background-slideshow__slide swiper-slide",swiperPreloader:"swiper-lazy-preloader",slideBackground:"elementor-background-slideshow__slide__image",kenBurns:"elementor-ken-burns",kenBurnsActive:"elementor-ken-burns--active",kenBurnsIn:"elementor-ken-burns--in",kenBurnsOut:"elementor-ken-burns--out"}}}getSwiperOptions(){const e=this.getElementSettings(),t={grabCursor:!1,slidesPerView:1,slidesPerGroup:1,loop:"yes"===e.background_slideshow_loop,speed:e.background_slideshow_transition_duration,autoplay:{delay:e.background_slideshow_slide_duration,stopOnLastSlide:!e.background_slideshow_loop},handleElementorBreakpoints:!0,on:{slideChange:()=>{e.background_slideshow_ken_burns&&this.handleKenBurns()}}};switch("yes"===e.background_slideshow_loop&&(t.loopedSlides=this.getSlidesCount()),e.background_slideshow_slide_transition){case"fade":t.effect="fade",t.fadeEffect={crossFade:!0};break;case"slide_down":t.autoplay.reverseDirection=!0,t.direction="vertical";break;case"slide_up":t.direction="vertical"}return"yes"===e.background_slideshow_lazyload&&(t.lazy={loadPrevNext:!0,loadPrevNextAmount:1}),t}buildSwiperElements(){const e=this.getSettings("classes"),t=this.getElementSettings(),n="slide_left"===t.background_slideshow_slide_transition?"ltr":"rtl",o=jQuery("<div>",{class:e.swiperContainer,dir:n}),i=jQuery("<div>",{class:e.swiperWrapper}),s=t.background_slideshow_ken_burns,r="yes"===t.background_slideshow_lazyload;let a=e.slideBackground;if(s){a+=" "+e.kenBurns;const n="in"===t.background_slideshow_ken_burns_zoom_direction?"kenBurnsIn":"kenBurnsOut";a+=" "+e[n]}r&&(a+=" swiper-lazy"),this.elements.$slides=jQuery(),t.background_slideshow_gallery.forEach((t=>{const n=jQuery("<div>",{class:e.swiperSlide});let o;if(r){const n=jQuery("<div>",{class:e.swiperPreloader});o=jQuery("<div>",{class:a,"data-background":t.url}),o.append(n)}else o=jQuery("<div>",{class:a,style:'background-image: url("'+t.url+'");'});n.append(o),i.append(n),this.elements.$slides=this.elements.$slides.add(n)})),o.append(i),this.$element.prepend(o),this.elements.$backgroundSlideShowContainer=o}async initSlider(){if(1>=this.getSlidesCount())return;const e=this.getElementSettings(),t=elementorFrontend.utils.swiper;this.swiper=await new t(this.elements.$backgroundSlideShowContainer,this.getSwiperOptions()),this.elements.$backgroundSlideShowContainer.data("swiper",this.swiper),e.background_slideshow_ken_burns&&this.handleKenBurns()}activate(){this.buildSwiperElements(),this.initSlider()}deactivate(){this.swiper&&(this.swiper.destroy(),this.elements.$backgroundSlideShowContainer.remove())}run(){"slideshow"===this.getElementSettings("background_background")?this.activate():this.deactivate()}onInit(){super.onInit(),this.getElementSettings("background_slideshow_gallery")&&this.run()}onDestroy(){super.onDestroy(),this.deactivate()}onElementChange(e){"background_background"===e&&this.run()}}t.default=BackgroundSlideshow},9501:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class BackgroundVideo extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{backgroundVideoContainer:".elementor-background-video-container",backgroundVideoEmbed:".elementor-background-video-embed",backgroundVideoHosted:".elementor-background-video-hosted"}}}getDefaultElements(){const e=this.getSettings("selectors"),t={$backgroundVideoContainer:this.$element.find(e.backgroundVideoContainer)};return t.$backgroundVideoEmbed=t.$backgroundVideoContainer.children(e.backgroundVideoEmbed),t.$backgroundVideoHosted=t.$backgroundVideoContainer.children(e.backgroundVideoHosted),t}calcVideosSize(e){let t="16:9";"vimeo"===this.videoType&&(t=e[0].width+":"+e[0].height);const i=this.elements.$backgroundVideoContainer.outerWidth(),o=this.elements.$backgroundVideoContainer.outerHeight(),n=t.split(":"),d=n[0]/n[1],r=i/o>d;return{width:r?i:o*d,height:r?i/d:o}}changeVideoSize(){if("hosted"!==this.videoType&&!this.player)return;let e;if("youtube"===this.videoType?e=jQuery(this.player.getIframe()):"vimeo"===this.videoType?e=jQuery(this.player.element):"hosted"===this.videoType&&(e=this.elements.$backgroundVideoHosted),!e)return;const t=this.calcVideosSize(e);e.width(t.width).height(t.height)}startVideoLoop(e){if(!this.player.getIframe().contentWindow)return;const t=this.getElementSettings(),i=t.background_video_start||0,o=t.background_video_end;if(!t.background_play_once||e){if(this.player.seekTo(i),o){setTimeout(()=>{this.startVideoLoop(!1)},1e3*(o-i+1))}}else this.player.stopVideo()}prepareVimeoVideo(e,t){const i=this.getElementSettings(),o={url:t,width:this.elements.$backgroundVideoContainer.outerWidth().width,autoplay:!0,loop:!i.background_play_once,transparent:!0,background:!0,muted:!0};(i.background_privacy_mode||this.isPrivacyEnforced())&&(o.dnt=!0),this.player=new e.Player(this.elements.$backgroundVideoContainer,o),this.handleVimeoStartEndTimes(i),this.player.ready().then(()=>{jQuery(this.player.element).addClass("elementor-background-video-embed"),this.changeVideoSize()})}handleVimeoStartEndTimes(e){e.background_video_start&&this.player.on("play",t=>{0===t.seconds&&this.player.setCurrentTime(e.background_video_start)}),this.player.on("timeupdate",t=>{e.background_video_end&&e.background_video_end<t.seconds&&(e.background_play_once?this.player.pause():this.player.setCurrentTime(e.background_video_start)),this.player.getDuration().then(i=>{e.background_video_start&&!e.background_video_end&&t.seconds>i-.5&&this.player.setCurrentTime(e.background_video_start)})})}prepareYTVideo(e,t){const i=this.elements.$backgroundVideoContainer,o=this.getElementSettings();let n=e.PlayerState.PLAYING;window.chrome&&(n=e.PlayerState.UNSTARTED);const d={videoId:t,events:{onReady:()=>{this.player.mute(),this.changeVideoSize(),this.startVideoLoop(!0),this.player.playVideo()},onStateChange:t=>{switch(t.data){case n:i.removeClass("elementor-invisible elementor-loading");break;case e.PlayerState.ENDED:"function"==typeof this.player.seekTo&&this.player.seekTo(o.background_video_start||0),o.background_play_once&&this.player.destroy()}}},playerVars:{controls:0,rel:0,playsinline:1}};(o.background_privacy_mode||this.isPrivacyEnforced())&&(d.host="https://www.youtube-nocookie.com",d.origin=window.location.hostname),i.addClass("elementor-loading elementor-invisible"),this.player=new e.Player(this.elements.$backgroundVideoEmbed[0],d)}activate(){let e,t=this.getElementSettings("background_video_link");const i=this.getElementSettings("background_play_once");if(-1!==t.indexOf("vimeo.com")?(this.videoType="vimeo",this.apiProvider=elementorFrontend.utils.vimeo):t.match(/^(?:https?:\/\/)?(?:www\.)?(?:m\.)?(?:youtu\.be\/|youtube\.com)/)&&(this.videoType="youtube",this.apiProvider=elementorFrontend.utils.youtube),this.apiProvider&&!elementorFrontend.utils.videoFacade.hasConsent()&&this.isPrivacyEnforced())this.activateOnConsent();else{if(this.apiProvider)e=this.apiProvider.getVideoIDFromURL(t),this.apiProvider.onApiReady(i=>{"youtube"===this.videoType&&this.prepareYTVideo(i,e),"vimeo"===this.videoType&&this.prepareVimeoVideo(i,t)});else{this.videoType="hosted";const e=this.getElementSettings("background_video_start"),o=this.getElementSettings("background_video_end");(e||o)&&(t+="#t="+(e||0)+(o?","+o:"")),this.elements.$backgroundVideoHosted.attr("src",t).one("canplay",this.changeVideoSize.bind(this)),i&&this.elements.$backgroundVideoHosted.on("ended",()=>{this.elements.$backgroundVideoHosted.hide()})}elementorFrontend.elements.$window.on("resize elementor/bg-video/recalc",this.changeVideoSize)}}isPrivacyEnforced(){return elementorFrontend.utils.videoFacade.isEnabled()}activateOnConsent(){this.isWaitingForConsent||(this.isWaitingForConsent=!0,elementorFrontend.utils.videoFacade.onConsent(()=>{this.isWaitingForConsent=!1,this.run()}))}deactivate(){(this.player||"hosted"===this.videoType)&&("youtube"===this.videoType&&this.player.getIframe()||"vimeo"===this.videoType?this.player.destroy():this.elements.$backgroundVideoHosted.removeAttr("src").off("ended"),elementorFrontend.elements.$window.off("resize",this.changeVideoSize))}run(){const e=this.getElementSettings();(e.background_play_on_mobile||"mobile"!==elementorFrontend.getCurrentDeviceMode())&&("video"===e.background_background&&e.background_video_link?this.activate():this.deactivate())}onInit(){super.onInit(...arguments),this.changeVideoSize=this.changeVideoSize.bind(this),this.run()}onElementChange(e){"background_background"===e&&this.run()}}t.default=BackgroundVideo},8704:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=o(n(4058)),s=o(n(9501)),r=[i.default,s.default];t.default=r},7537:(e,t,n)=>{var o=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=[o(n(4058)).default];t.default=i},4985:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var o=[()=>n.e(413).then(n.bind(n,2929)),()=>n.e(413).then(n.bind(n,343)),()=>n.e(413).then(n.bind(n,8073))];t.default=o},6397:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class GlobalHandler extends elementorModules.frontend.handlers.Base{getWidgetType(){return"global"}animate(){const e=this.$element,t=this.getAnimation();if("none"===t)return void e.removeClass("elementor-invisible");const n=this.getElementSettings(),o=n._animation_delay||n.animation_delay||0;e.removeClass(t),this.currentAnimation&&e.removeClass(this.currentAnimation),this.currentAnimation=t,setTimeout((()=>{e.removeClass("elementor-invisible").addClass("animated "+t)}),o)}getAnimation(){return this.getCurrentDeviceSetting("animation")||this.getCurrentDeviceSetting("_animation")}onInit(){if(super.onInit(...arguments),this.getAnimation()){const e=elementorModules.utils.Scroll.scrollObserver({callback:t=>{t.isInViewport&&(this.animate(),e.unobserve(this.$element[0]))}});e.observe(this.$element[0])}}onElementChange(e){/^_?animation/.test(e)&&this.animate()}}t.default=e=>{elementorFrontend.elementsHandler.addHandler(GlobalHandler,{$element:e})}},355:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class HandlesPosition extends elementorModules.frontend.handlers.Base{isActive(){return elementorFrontend.isEditMode()}isFirstSection(){return this.$element[0]===document.querySelector(".elementor-edit-mode .elementor-top-section")}isOverflowHidden(){return"hidden"===this.$element.css("overflow")}getOffset(){if("body"===elementor.config.document.container)return this.$element.offset().top;const e=jQuery(elementor.config.document.container);return this.$element.offset().top-e.offset().top}setHandlesPosition(){const e=elementor.documents.getCurrent();if(!e||!e.container.isEditable())return;const t="elementor-section--handles-inside";if(elementor.settings.page.model.attributes.scroll_snap)return void this.$element.addClass(t);const n=this.isOverflowHidden();if(!n&&!this.isFirstSection())return;const o=n?0:this.getOffset();if(o<25){this.$element.addClass(t);const e=this.$element.find("> .elementor-element-overlay > .elementor-editor-section-settings");o<-5?e.css("top",-o):e.css("top","")}else this.$element.removeClass(t)}onInit(){this.isActive()&&(this.setHandlesPosition(),this.$element.on("mouseenter",this.setHandlesPosition.bind(this)))}}t.default=HandlesPosition},3384:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class Shapes extends elementorModules.frontend.handlers.Base{getDefaultSettings(){return{selectors:{container:"> .elementor-shape-%s"},svgURL:elementorFrontend.config.urls.assets+"shapes/"}}getDefaultElements(){const e={},t=this.getSettings("selectors");return e.$topContainer=this.$element.find(t.container.replace("%s","top")),e.$bottomContainer=this.$element.find(t.container.replace("%s","bottom")),e}isActive(){return elementorFrontend.isEditMode()}getSvgURL(e,t){let n=this.getSettings("svgURL")+t+".svg";return elementor.config.additional_shapes&&e in elementor.config.additional_shapes&&(n=elementor.config.additional_shapes[e],-1<t.indexOf("-negative")&&(n=n.replace(".svg","-negative.svg"))),n}buildSVG(e){const t="shape_divider_"+e,n=this.getElementSettings(t),o=this.elements["$"+e+"Container"];if(o.attr("data-shape",n),!n)return void o.empty();let i=n;this.getElementSettings(t+"_negative")&&(i+="-negative");const s=this.getSvgURL(n,i);jQuery.get(s,(e=>{o.empty().append(e.childNodes[0])})),this.setNegative(e)}setNegative(e){this.elements["$"+e+"Container"].attr("data-negative",!!this.getElementSettings("shape_divider_"+e+"_negative"))}onInit(){this.isActive(this.getSettings())&&(super.onInit(...arguments),["top","bottom"].forEach((e=>{this.getElementSettings("shape_divider_"+e)&&this.buildSVG(e)})))}onElementChange(e){const t=e.match(/^shape_divider_(top|bottom)$/);if(t)return void this.buildSVG(t[1]);const n=e.match(/^shape_divider_(top|bottom)_negative$/);n&&(this.buildSVG(n[1]),this.setNegative(n[1]))}}t.default=Shapes},2804:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class StretchedSection extends elementorModules.frontend.handlers.StretchedElement{getStretchedClass(){return"elementor-section-stretched"}getStretchSettingName(){return"stretch_section"}getStretchActiveValue(){return"section-stretched"}}t.default=StretchedSection},3346:(e,t,n)=>{var o=n(6028);e.exports=elementorModules.ViewModule.extend({getDefaultSettings:()=>({scrollDuration:500,selectors:{links:'a[href*="#"]',targets:".elementor-element, .elementor-menu-anchor",scrollable:(0,o.isScrollSnapActive)()?"body":"html, body"}}),getDefaultElements(){return{$scrollable:jQuery(this.getSettings("selectors").scrollable)}},bindEvents(){elementorFrontend.elements.$document.on("click",this.getSettings("selectors.links"),this.handleAnchorLinks)},handleAnchorLinks(e){var t,n=e.currentTarget,i=location.pathname===n.pathname;if(location.hostname===n.hostname&&i&&!(n.hash.length<2)){try{t=jQuery(n.hash).filter(this.getSettings("selectors.targets"))}catch(e){return}if(t.length){var s=t.offset().top,r=elementorFrontend.elements.$wpAdminBar,a=jQuery(".elementor-section.elementor-sticky--active:visible");r.length>0&&(s-=r.height()),a.length>0&&(s-=Math.max.apply(null,a.map((function(){return jQuery(this).outerHeight()})).get())),e.preventDefault(),s=elementorFrontend.hooks.applyFilters("frontend/handlers/menu_anchor/scroll_top_distance",s),(0,o.isScrollSnapActive)()&&elementorFrontend.elements.$body.css("scroll-snap-type","none"),this.elements.$scrollable.animate({scrollTop:s},this.getSettings("scrollDuration"),"linear",(()=>{(0,o.isScrollSnapActive)()&&elementorFrontend.elements.$body.css("scroll-snap-type","")}))}}},onInit(){elementorModules.ViewModule.prototype.onInit.apply(this,arguments)}})},6866:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class AssetsLoader{getScriptElement(e){const t=document.createElement("script");return t.src=e,t}getStyleElement(e){const t=document.createElement("link");return t.rel="stylesheet",t.href=e,t}load(e,t){const n=AssetsLoader.assets[e][t];return n.loader||(n.loader=new Promise((t=>{const o="style"===e?this.getStyleElement(n.src):this.getScriptElement(n.src);o.onload=()=>t(!0);const i="head"===n.parent?n.parent:"body";document[i].appendChild(o)}))),n.loader}}t.default=AssetsLoader;const n=elementorFrontendConfig.environmentMode.isScriptDebug?"":".min",o=elementorFrontendConfig.experimentalFeatures.e_swiper_latest?`${elementorFrontendConfig.urls.assets}lib/swiper/v8/swiper${n}.js?ver=8.4.5`:`${elementorFrontendConfig.urls.assets}lib/swiper/swiper${n}.js?ver=5.3.6`;AssetsLoader.assets={script:{dialog:{src:`${elementorFrontendConfig.urls.assets}lib/dialog/dialog${n}.js?ver=4.9.0`},"share-link":{src:`${elementorFrontendConfig.urls.assets}lib/share-link/share-link${n}.js?ver=${elementorFrontendConfig.version}`},swiper:{src:o}},style:{}}},1322:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=class Controls{getControlValue(e,t,n){let o;return o="object"==typeof e[t]&&n?e[t][n]:e[t],o}getResponsiveControlValue(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"";const o=(arguments.length>3&&void 0!==arguments[3]?arguments[3]:null)||elementorFrontend.getCurrentDeviceMode(),i=this.getControlValue(e,t,n);if("widescreen"===o){const o=this.getControlValue(e,`${t}_widescreen`,n);return o||0===o?o:i}const s=elementorFrontend.breakpoints.getActiveBreakpointsList({withDesktop:!0});let r=o,a=s.indexOf(o),l="";for(;a<=s.length;){if("desktop"===r){l=i;break}const o=`${t}_${r}`,d=this.getControlValue(e,o,n);if(d||0===d){l=d;break}a++,r=s[a]}return l}}},8646:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class LightboxManager extends elementorModules.ViewModule{static getLightbox(){const e=new Promise((e=>{n.e(723).then(n.t.bind(n,3896,23)).then((t=>{let{default:n}=t;return e(new n)}))})),t=elementorFrontend.utils.assetsLoader.load("script","dialog"),o=elementorFrontend.utils.assetsLoader.load("script","share-link");return Promise.all([e,t,o]).then((()=>e))}getDefaultSettings(){return{selectors:{links:"a, [data-elementor-lightbox]"}}}getDefaultElements(){return{$links:jQuery(this.getSettings("selectors.links"))}}isLightboxLink(e){if("a"===e.tagName.toLowerCase()&&(e.hasAttribute("download")||!/^[^?]+\.(png|jpe?g|gif|svg|webp)(\?.*)?$/i.test(e.href))&&!e.dataset.elementorLightboxVideo)return!1;const t=elementorFrontend.getKitSettings("global_image_lightbox"),n=e.dataset.elementorOpenLightbox;return"yes"===n||t&&"no"!==n}async onLinkClick(e){const t=e.currentTarget,n=jQuery(e.target),o=elementorFrontend.isEditMode(),i=o&&elementor.$previewContents.find("body").hasClass("elementor-editor__ui-state__color-picker"),s=!!n.closest(".elementor-edit-area").length;if(!this.isLightboxLink(t))return void(o&&s&&e.preventDefault());if(e.preventDefault(),o&&!elementor.getPreferences("lightbox_in_editor"))return;if(i)return;(await LightboxManager.getLightbox()).createLightbox(t)}bindEvents(){elementorFrontend.elements.$document.on("click",this.getSettings("selectors.links"),(e=>this.onLinkClick(e)))}onInit(){super.onInit(...arguments),elementorFrontend.isEditMode()||this.elements.$links.each(((e,t)=>{if(this.isLightboxLink(t))return LightboxManager.getLightbox(),!1}))}}t.default=LightboxManager},8628:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;t.default=class Swiper{constructor(e,t){return this.config=t,this.config.breakpoints&&(this.config=this.adjustConfig(t)),e instanceof jQuery&&(e=e[0]),e.closest(".elementor-widget-wrap")?.classList.add("e-swiper-container"),e.closest(".elementor-widget")?.classList.add("e-widget-swiper"),new Promise((t=>{elementorFrontend.utils.assetsLoader.load("script","swiper").then((()=>t(this.createSwiperInstance(e,this.config))))}))}createSwiperInstance(e,t){const n=window.Swiper;return n.prototype.adjustConfig=this.adjustConfig,new n(e,t)}adjustConfig(e){if(!e.handleElementorBreakpoints)return e;const t=elementorFrontend.config.responsive.activeBreakpoints,n=elementorFrontend.breakpoints.getBreakpointValues();return Object.keys(e.breakpoints).forEach((o=>{const i=parseInt(o);let s;if(i===t.mobile.value||i+1===t.mobile.value)s=0;else if(!t.widescreen||i!==t.widescreen.value&&i+1!==t.widescreen.value){const e=n.findIndex((e=>i===e||i+1===e));s=n[e-1]}else s=i;e.breakpoints[s]=e.breakpoints[o],e.breakpoints[o]={slidesPerView:e.slidesPerView,slidesPerGroup:e.slidesPerGroup?e.slidesPerGroup:1}})),e}}},2064:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0,n(5719);class _default extends elementorModules.ViewModule{getDefaultSettings(){return{selectors:{links:'a[href^="%23elementor-action"], a[href^="#elementor-action"]'}}}bindEvents(){elementorFrontend.elements.$document.on("click",this.getSettings("selectors.links"),this.runLinkAction.bind(this))}initActions(){this.actions={},this.actionsOptions={},this.addAction("lightbox",async e=>{const t=await elementorFrontend.utils.lightbox;e.slideshow?t.openSlideshow(e.slideshow,e.url):(e.id&&(e.type="image"),t.showModal(e))}),this.addAction("lightbox:open",async e=>{(await elementorFrontend.utils.lightbox).openSlideshow(String(e.slideshow),null,e.index)},{schema:{slideshow:{type:["number","string"],required:!0},index:{type:"number"}},allowUnsigned:!0}),this.addAction("popup:open",e=>{elementorFrontend.documentsManager.documents[e.id]?.showModal?.()},{schema:{id:{type:["number","string"],required:!0},toggle:{type:"boolean"}}}),this.addAction("scroll-to",e=>{const t=document.getElementById(e.id);t&&(this.revealElement(t),this.scrollToElement(t,e.offset))},{schema:{id:{type:"string",required:!0},offset:{type:"number"}},allowUnsigned:!0}),this.addAction("tab:activate",e=>{const t=this.getWidget(e.id).find(`.e-n-tab-title[data-tab-index="${e.index}"], .elementor-tab-title[data-tab="${e.index}"]`).first();this.activateItemTitle(t)},{schema:{id:{type:"string",required:!0},index:{type:"number",required:!0}},allowUnsigned:!0}),this.addAction("accordion:open",e=>{const t=this.getWidget(e.id),n=t.find(".e-n-accordion").first().children(".e-n-accordion-item").eq(e.index-1),i=n.length?n.children(".e-n-accordion-item-title"):t.find(`.elementor-tab-title[data-tab="${e.index}"]`).first();this.activateItemTitle(i)},{schema:{id:{type:"string",required:!0},index:{type:"number",required:!0}},allowUnsigned:!0})}addAction(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};this.actions[e]=t,this.actionsOptions[e]={...this.actionsOptions[e],...n}}getWidget(e){return jQuery(`[data-id="${CSS.escape(e)}"]`).first()}revealElement(e){const t=[];for(let n=e.parentElement;n;n=n.parentElement)t.unshift(n);t.forEach(e=>{if("DETAILS"===e.tagName&&!e.open)return void e.querySelector(":scope > summary")?.click();const t=e.getAttribute("aria-labelledby"),n=t&&document.getElementById(t);!n||"false"!==n.getAttribute("aria-selected")&&"false"!==n.getAttribute("aria-expanded")||n.click()})}activateItemTitle(e){if(!e.length)return;const t=e[0];this.revealElement(t);("SUMMARY"===t.tagName?t.parentElement.open:"true"===t.getAttribute("aria-selected")||"true"===t.getAttribute("aria-expanded"))||t.click(),this.scrollToElement(t)}scrollToElement(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0;const n=elementorFrontend.elements.$wpAdminBar;let i=jQuery(e).offset().top-t;n.length>0&&(i-=n.height()),i=elementorFrontend.hooks.applyFilters("frontend/handlers/menu_anchor/scroll_top_distance",i),window.scrollTo({top:i,behavior:window.matchMedia("(prefers-reduced-motion: reduce)").matches?"auto":"smooth"})}parseAction(e){let t;try{t=decodeURIComponent(e||"")}catch(e){return null}const n={};if(t.replace(/^.*?elementor-action:/,"").split("&").forEach(e=>{const t=e.indexOf("=");t>0&&(n[e.slice(0,t)]=e.slice(t+1))}),!n.action)return null;let i={};if(n.settings)try{i=JSON.parse(atob(n.settings))}catch(e){return null}return jQuery.isPlainObject(i)?{name:n.action,settings:i,signedData:`action=${n.action}&settings=${n.settings||""}`,signature:n.signature}:null}isValidSettings(e,t){return!t||Object.entries(t).every(t=>{let[n,i]=t;const o=e[n];if(void 0===o)return!i.required;const r=Array.isArray(o)?"array":typeof o;return[].concat(i.type).includes(r)})}getPublicKey(){if(!this.publicKey){const e=Uint8Array.from(atob(elementorFrontend.config.urlActions.publicKey),e=>e.charCodeAt(0));this.publicKey=crypto.subtle.importKey("spki",e,{name:"ECDSA",namedCurve:"P-256"},!1,["verify"])}return this.publicKey}async isValidSignature(e){if(!(e.signature&&elementorFrontend.config.urlActions?.publicKey&&window.crypto?.subtle&&/^([0-9a-f]{2})+$/i.test(e.signature)))return!1;const t=new Uint8Array(e.signature.match(/../g).map(e=>parseInt(e,16)));try{return await crypto.subtle.verify({name:"ECDSA",hash:"SHA-256"},await this.getPublicKey(),t,(new TextEncoder).encode(e.signedData))}catch(e){return!1}}runAction(e){const t=this.parseAction(e);for(var n=arguments.length,i=new Array(n>1?n-1:0),o=1;o<n;o++)i[o-1]=arguments[o];t&&this.executeAction(t,i)}executeAction(e,t){const n=this.actions[e.name];n&&this.isValidSettings(e.settings,this.actionsOptions[e.name].schema)&&n(e.settings,...t)}async runExternalAction(e){const t=this.parseAction(e),n=t&&this.actionsOptions[t.name];if(!n)return;const i=elementorFrontend.config.urlActions?.requireSignature;(n.allowUnsigned&&!i||await this.isValidSignature(t))&&this.executeAction(t,[])}runLinkAction(e){e.preventDefault(),this.runAction(jQuery(e.currentTarget).attr("href"),e)}runHashAction(){if(!location.hash||!/^#?(%23)?elementor-action/.test(location.hash))return;const e=document.querySelector(`[data-e-action-hash="${CSS.escape(location.hash)}"], a[href*="${CSS.escape(location.hash)}"]`);e?this.runAction(e.getAttribute("data-e-action-hash")||e.getAttribute("href")):this.runExternalAction(location.hash)}createActionHash(e,t){return encodeURIComponent(`#elementor-action:action=${e}&settings=${btoa(JSON.stringify(t))}`)}onInit(){super.onInit(),this.initActions(),elementorFrontend.on("components:init",this.runHashAction.bind(this))}}t.default=_default},6028:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.isScrollSnapActive=t.escapeHTML=void 0;t.escapeHTML=e=>{const t={"&":"&amp;","<":"&lt;",">":"&gt;","'":"&#39;",'"':"&quot;"};return e.replace(/[&<>'"]/g,(e=>t[e]||e))};t.isScrollSnapActive=()=>"yes"===(elementorFrontend.isEditMode()?elementor.settings.page.model.attributes?.scroll_snap:elementorFrontend.config.settings.page?.scroll_snap)},4773:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class BaseLoader extends elementorModules.ViewModule{getDefaultSettings(){return{isInserted:!1,selectors:{firstScript:"script:first"}}}getDefaultElements(){return{$firstScript:jQuery(this.getSettings("selectors.firstScript"))}}insertAPI(){this.elements.$firstScript.before(jQuery("<script>",{src:this.getApiURL()})),this.setSettings("isInserted",!0)}getVideoIDFromURL(e){const t=e.match(this.getURLRegex());return t&&t[1]}onApiReady(e){this.getSettings("isInserted")||this.insertAPI(),this.isApiLoaded()?e(this.getApiObject()):setTimeout(()=>{this.onApiReady(e)},350)}getAutoplayURL(e){return e.replace("&autoplay=0","")+"&autoplay=1"}getPrivacyURL(e){return e}}t.default=BaseLoader},1911:(e,t,r)=>{var a=r(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var i=a(r(4773));class VimeoLoader extends i.default{getApiURL(){return"https://player.vimeo.com/api/player.js"}getURLRegex(){return/^(?:https?:\/\/)?(?:www|player\.)?(?:vimeo\.com\/)?(?:video\/|external\/)?(\d+)([^.?&#"'>]?)/}isApiLoaded(){return window.Vimeo}getApiObject(){return Vimeo}getAutoplayURL(e){const t=(e=super.getAutoplayURL(e)).match(/#t=[^&]*/);return e.replace(t[0],"")+t}getPrivacyURL(e){const t=e.indexOf("#"),r=-1===t?e:e.slice(0,t),a=-1===t?"":e.slice(t);return/[?&]dnt=1/.test(r)?e:r+(-1===r.indexOf("?")?"?":"&")+"dnt=1"+a}}t.default=VimeoLoader},1604:(e,t,u)=>{var o=u(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var r=o(u(4773));class YoutubeLoader extends r.default{getApiURL(){return"https://www.youtube.com/iframe_api"}getURLRegex(){return/^(?:https?:\/\/)?(?:www\.)?(?:m\.)?(?:youtu\.be\/|youtube\.com\/(?:(?:watch)?\?(?:.*&)?vi?=|(?:embed|v|vi|user)\/))([^?&"'>]+)/}isApiLoaded(){return window.YT&&YT.loaded}getApiObject(){return YT}getPrivacyURL(e){return e.replace(/^((?:https?:)?\/\/)(?:www\.)?youtube\.com\//,"$1www.youtube-nocookie.com/")}}t.default=YoutubeLoader},59:(e,t,n)=>{n.p=elementorFrontendConfig.urls.assets+"js/"},4375:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class Breakpoints extends elementorModules.Module{constructor(e){super(),this.responsiveConfig=e}getActiveBreakpointsList(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};e={largeToSmall:!1,withDesktop:!1,...e};const t=Object.keys(this.responsiveConfig.activeBreakpoints);if(e.withDesktop){const e=-1===t.indexOf("widescreen")?t.length:t.length-1;t.splice(e,0,"desktop")}return e.largeToSmall&&t.reverse(),t}getBreakpointValues(){const{activeBreakpoints:e}=this.responsiveConfig,t=[];return Object.values(e).forEach((e=>{t.push(e.value)})),t}getDesktopPreviousDeviceKey(){let e="";const{activeBreakpoints:t}=this.responsiveConfig,n=Object.keys(t),o=n.length;return e="min"===t[n[o-1]].direction?n[o-2]:n[o-1],e}getDesktopMinPoint(){const{activeBreakpoints:e}=this.responsiveConfig;return e[this.getDesktopPreviousDeviceKey()].value+1}getDeviceMinBreakpoint(e){if("desktop"===e)return this.getDesktopMinPoint();const{activeBreakpoints:t}=this.responsiveConfig,n=Object.keys(t);let o;if(n[0]===e)o=320;else if("widescreen"===e)o=t[e]?t[e].value:this.responsiveConfig.breakpoints.widescreen;else{const i=n.indexOf(e);o=t[n[i-1]].value+1}return o}getActiveMatchRegex(){return new RegExp(this.getActiveBreakpointsList().map((e=>"_"+e)).join("|")+"$")}}t.default=Breakpoints},6404:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=t.Events=void 0;class Events{static dispatch(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null,o=arguments.length>3&&void 0!==arguments[3]?arguments[3]:null;e=e instanceof jQuery?e[0]:e,o&&e.dispatchEvent(new CustomEvent(o,{detail:n})),e.dispatchEvent(new CustomEvent(t,{detail:n}))}}t.Events=Events;var n=Events;t.default=n},9469:t=>{t.exports=function(){var t,r=Array.prototype.slice,n={actions:{},filters:{}};function e(t,r,e,i){var c,o,f;if(n[t][r])if(e)if(c=n[t][r],i)for(f=c.length;f--;)(o=c[f]).callback===e&&o.context===i&&c.splice(f,1);else for(f=c.length;f--;)c[f].callback===e&&c.splice(f,1);else n[t][r]=[]}function i(t,r,e,i,c){var o={callback:e,priority:i,context:c},f=n[t][r];if(f){var l=!1;if(jQuery.each(f,function(){if(this.callback===e)return l=!0,!1}),l)return;f.push(o),f=function(t){for(var r,n,e,i=1,c=t.length;i<c;i++){for(r=t[i],n=i;(e=t[n-1])&&e.priority>r.priority;)t[n]=t[n-1],--n;t[n]=r}return t}(f)}else f=[o];n[t][r]=f}function c(t,r,e){var i,c,o=n[t][r];if(!o)return"filters"===t&&e[0];if(c=o.length,"filters"===t)for(i=0;i<c;i++)e[0]=o[i].callback.apply(o[i].context,e);else for(i=0;i<c;i++)o[i].callback.apply(o[i].context,e);return"filters"!==t||e[0]}return t={removeFilter:function(r,n){return"string"==typeof r&&e("filters",r,n),t},applyFilters:function(){var n=r.call(arguments),e=n.shift();return"string"==typeof e?c("filters",e,n):t},applyFiltersAsync:function(){var t=r.call(arguments),e=t.shift();return(n.filters[e]||[]).slice().reduce(function(r,n){return r.then(function(r){return t[0]=r,n.callback.apply(n.context,t)})},Promise.resolve(t[0]))},addFilter:function(r,n,e,c){return"string"==typeof r&&"function"==typeof n&&i("filters",r,n,e=parseInt(e||10,10),c),t},removeAction:function(r,n){return"string"==typeof r&&e("actions",r,n),t},doAction:function(){var n=r.call(arguments),e=n.shift();return"string"==typeof e&&c("actions",e,n),t},addAction:function(r,n,e,c){return"string"==typeof r&&"function"==typeof n&&i("actions",r,n,e=parseInt(e||10,10),c),t}},t}},3308:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;const matchUserAgent=e=>n.indexOf(e)>=0,n=navigator.userAgent,o=!!window.opr&&!!opr.addons||!!window.opera||matchUserAgent(" OPR/"),i=matchUserAgent("Firefox"),s=/^((?!chrome|android).)*safari/i.test(n)||/constructor/i.test(window.HTMLElement)||"[object SafariRemoteNotification]"===(!window.safari||"undefined"!=typeof safari&&safari.pushNotification).toString(),r=/Trident|MSIE/.test(n)&&!!document.documentMode,a=!r&&!!window.StyleMedia||matchUserAgent("Edg"),l=!!window.chrome&&matchUserAgent("Chrome")&&!(a||o),d=matchUserAgent("Chrome")&&!!window.CSS,c=matchUserAgent("AppleWebKit")&&!d;var u={isTouchDevice:"ontouchstart"in window||navigator.maxTouchPoints>0||navigator.msMaxTouchPoints>0,appleWebkit:c,blink:d,chrome:l,edge:a,firefox:i,ie:r,mac:matchUserAgent("Macintosh"),opera:o,safari:s,webkit:matchUserAgent("AppleWebKit")};t.default=u},5107:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;const n=["necessary","functional","marketing"];class _default extends elementorModules.Module{constructor(){super(...arguments),this.memoryStorage={local:{},session:{}},this.consent=this.getInitialConsent(),this.purgeDeniedCategories(),this.bindConsentEvents()}getInitialConsent(){const e=window.elementorFrontend?.config?.consent||{},t={};if(n.forEach(n=>{t[n]=!e.required||"necessary"===n||!!e.defaults?.[n]}),!e.required)return t;const s={};return"function"==typeof window.wp_has_consent&&(s.functional=!!window.wp_has_consent("functional"),s.marketing=!!window.wp_has_consent("marketing")),{...t,...this.get("storageConsent"),...s}}purgeDeniedCategories(){n.filter(e=>!this.hasConsent(e)).forEach(e=>{[!1,!0].forEach(t=>this.moveCategory(e,t,!1))})}bindConsentEvents(){window.addEventListener("elementor/consent",e=>this.setConsent(e.detail||{})),document.addEventListener("wp_listen_for_consent_change",e=>{const t={};Object.entries(e.detail||{}).forEach(e=>{let[n,s]=e;t[n]="allow"===s}),this.setConsent(t)})}hasConsent(e){return!!this.consent[e||"functional"]}setConsent(e){let t=!1;Object.entries(e).forEach(e=>{let[s,o]=e;n.includes(s)&&"necessary"!==s&&this.consent[s]!==!!o&&(this.consent[s]=!!o,[!1,!0].forEach(e=>this.moveCategory(s,e,!!o)),t=!0)}),this.set("storageConsent",this.consent,{category:"necessary"}),t&&this.trigger("consentChange",{...this.consent})}grantConsent(e){this.setConsent({[e]:!0})}revokeConsent(e){this.setConsent({[e]:!1})}moveCategory(e,t,n){const s=this.getStorageObject(t);if(!s)return;const o=this.getMemoryObject(t),[i,r]=n?[o,s]:[s,o];Object.keys(i).forEach(t=>{t.startsWith("__")||e!==(i.__categories[t]||"functional")||this.moveEntry(t,i,r)}),this.save(s,t)}moveEntry(e,t,n){n[e]=t[e],n.__categories[e]=t.__categories[e],t.__expiration[e]&&(n.__expiration[e]=t.__expiration[e]),this.deleteEntry(e,t)}deleteEntry(e,t){delete t[e],delete t.__expiration[e],delete t.__categories[e]}getStorageObject(e){let t,n;try{t=e?sessionStorage:localStorage}catch(e){return null}try{n=JSON.parse(t.getItem("elementor"))||{}}catch(e){n={}}return this.ensureMetaData(n)}getMemoryObject(e){return this.ensureMetaData(this.memoryStorage[e?"session":"local"])}ensureMetaData(e){return e.__expiration||(e.__expiration={}),e.__categories||(e.__categories={}),e}removeExpired(e,t){const n=e.__expiration;let s=!1;return(t?[t]:Object.keys(n)).forEach(t=>{n[t]&&new Date(n[t])<new Date&&(this.deleteEntry(t,e),s=!0)}),s}get(e,t){t=t||{};const n=this.getStorageObject(t.session),s=this.getMemoryObject(t.session);return n&&this.removeExpired(n,e)&&this.save(n,t.session),this.removeExpired(s,e),e?Object.prototype.hasOwnProperty.call(s,e)?s[e]:n?.[e]:{...n,...s,__expiration:{...n?.__expiration,...s.__expiration},__categories:{...n?.__categories,...s.__categories}}}set(e,t,n){const s=(n=n||{}).category||"functional",o=this.getStorageObject(n.session),i=this.getMemoryObject(n.session),r=!!o&&this.hasConsent(s),a=r?o:i,c=r?i:o;if(c&&Object.prototype.hasOwnProperty.call(c,e)&&(c.__expiration[e]&&(a.__expiration[e]=c.__expiration[e]),this.deleteEntry(e,c)),a[e]=t,a.__categories[e]=s,n.lifetimeInSeconds){const t=new Date;t.setTime(t.getTime()+1e3*n.lifetimeInSeconds),a.__expiration[e]=t.getTime()}o&&this.save(o,n.session)}save(e,t){let n;try{n=t?sessionStorage:localStorage}catch(e){return}n.setItem("elementor",JSON.stringify(e))}}t.default=_default},6046:(e,t,n)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;class _default extends elementorModules.Module{constructor(){super(),elementorFrontend.elementsHandler.attachHandler("text-path",(()=>n.e(48).then(n.bind(n,6468))))}}t.default=_default},1855:(e,t,n)=>{var o=n(5516),i=TypeError;e.exports=function(e,t){if(o(t,e))return e;throw i("Incorrect invocation")}},3621:e=>{e.exports={IndexSizeError:{s:"INDEX_SIZE_ERR",c:1,m:1},DOMStringSizeError:{s:"DOMSTRING_SIZE_ERR",c:2,m:0},HierarchyRequestError:{s:"HIERARCHY_REQUEST_ERR",c:3,m:1},WrongDocumentError:{s:"WRONG_DOCUMENT_ERR",c:4,m:1},InvalidCharacterError:{s:"INVALID_CHARACTER_ERR",c:5,m:1},NoDataAllowedError:{s:"NO_DATA_ALLOWED_ERR",c:6,m:0},NoModificationAllowedError:{s:"NO_MODIFICATION_ALLOWED_ERR",c:7,m:1},NotFoundError:{s:"NOT_FOUND_ERR",c:8,m:1},NotSupportedError:{s:"NOT_SUPPORTED_ERR",c:9,m:1},InUseAttributeError:{s:"INUSE_ATTRIBUTE_ERR",c:10,m:1},InvalidStateError:{s:"INVALID_STATE_ERR",c:11,m:1},SyntaxError:{s:"SYNTAX_ERR",c:12,m:1},InvalidModificationError:{s:"INVALID_MODIFICATION_ERR",c:13,m:1},NamespaceError:{s:"NAMESPACE_ERR",c:14,m:1},InvalidAccessError:{s:"INVALID_ACCESS_ERR",c:15,m:1},ValidationError:{s:"VALIDATION_ERR",c:16,m:0},TypeMismatchError:{s:"TYPE_MISMATCH_ERR",c:17,m:1},SecurityError:{s:"SECURITY_ERR",c:18,m:1},NetworkError:{s:"NETWORK_ERR",c:19,m:1},AbortError:{s:"ABORT_ERR",c:20,m:1},URLMismatchError:{s:"URL_MISMATCH_ERR",c:21,m:1},QuotaExceededError:{s:"QUOTA_EXCEEDED_ERR",c:22,m:1},TimeoutError:{s:"TIMEOUT_ERR",c:23,m:1},InvalidNodeTypeError:{s:"INVALID_NODE_TYPE_ERR",c:24,m:1},DataCloneError:{s:"DATA_CLONE_ERR",c:25,m:1}}},5719:(e,t,n)=>{var o=n(1695),i=n(2086),s=n(563),r=n(5736),a=n(7826).f,l=n(9606),d=n(1855),c=n(5070),u=n(1879),h=n(3621),m=n(79),g=n(5283),p=n(3296),f="DOMException",v=s("Error"),b=s(f),y=function DOMException(){d(this,_);var e=arguments.length,t=u(e<1?void 0:arguments[0]),n=u(e<2?void 0:arguments[1],"Error"),o=new b(t,n),i=v(t);return i.name=f,a(o,"stack",r(1,m(i.stack,1))),c(o,this,y),o},_=y.prototype=b.prototype,w="stack"in v(f),k="stack"in new b(1,2),S=b&&g&&Object.getOwnPropertyDescriptor(i,f),E=!(!S||S.writable&&S.configurable),M=w&&!E&&!k;o({global:!0,constructor:!0,forced:p||M},{DOMException:M?y:b});var C=s(f),A=C.prototype;if(A.constructor!==C)for(var D in p||a(A,"constructor",r(1,C)),h)if(l(h,D)){var $=h[D],R=$.s;l(C,R)||a(C,R,r(6,$.c))}},5968:(e,t)=>{Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;const o={youtube:"YouTube",vimeo:"Vimeo"},n={videoConsentNotice:"This video is hosted by %s, which may set cookies once it plays.",loadVideo:"Load video",alwaysAllowVideos:"Always allow videos"};t.default=class VideoFacade{getDefaultSettings(){return{classes:{facade:"e-video-facade",play:"e-video-facade__play elementor-custom-embed-play",notice:"e-video-facade__notice",noticeText:"e-video-facade__notice-text",noticeButton:"e-video-facade__notice-button",noticeMode:"e-video-facade--notice"}}}isEnabled(){return"yes"===elementorFrontend.getKitSettings("video_facade")}isProviderSupported(e){return!!o[e]}getConsentCategory(){return elementorFrontend.getKitSettings("video_consent_category")||"marketing"}hasConsent(){const{storage:e}=elementorFrontend;return!e.hasConsent||e.hasConsent(this.getConsentCategory())}onConsent(e){if(this.hasConsent())return void e();const t=()=>{this.hasConsent()&&(elementorFrontend.storage.off("consentChange",t),e())};elementorFrontend.storage.on("consentChange",t)}getString(e){return elementorFrontend.config.i18n[e]||n[e]}isLocalURL(e){try{return new URL(e,location.href).origin===location.origin}catch(e){return!1}}create(e,t){const n=jQuery,{i18n:i}=elementorFrontend.config,s=this.getDefaultSettings().classes,a=n("<div>",{class:s.facade}),r=n("<button>",{type:"button",class:s.play,"aria-label":t.title?`${i.playVideo}: ${t.title}`:i.playVideo}).append(n("<i>",{class:"eicon-play","aria-hidden":"true"})),c=n("<div>",{class:s.notice,"aria-live":"polite"}),d=n("<button>",{type:"button",class:s.noticeButton}).text(this.getString("loadVideo")),l=n("<button>",{type:"button",class:s.noticeButton}).text(this.getString("alwaysAllowVideos"));return t.poster&&this.isLocalURL(t.poster)&&a.css("background-image",`url("${t.poster}")`),c.append(n("<p>",{class:s.noticeText}).text(this.getString("videoConsentNotice").replace("%s",o[t.provider])),d,l),a.append(r,c),"static"===e.css("position")&&e.css("position","relative"),e.append(a),new Promise(e=>{const t=()=>{a.remove(),e()};r.on("click",()=>{this.hasConsent()?t():(a.addClass(s.noticeMode),d.trigger("focus"))}),d.on("click",t),l.on("click",()=>{elementorFrontend.storage.grantConsent(this.getConsentCategory()),t()})})}}}},e=>{e.O(0,[354],(()=>{return t=5654,e(e.s=t);var t}));e.O()}]);
\ No newline at end of file
@@ -0,0 +1,2 @@
+/*! elementor - v3.21.0 - 26-05-2024 */
+(self.webpackChunkelementor=self.webpackChunkelementor||[]).push([[723],{5626:(e,t,n)=>{"use strict";var i=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.zoomOutBold=t.zoomInBold=t.twitter=t.shareArrow=t.pinterest=t.loading=t.frameMinimize=t.frameExpand=t.facebook=t.downloadBold=t.close=t.chevronRight=t.chevronLeft=void 0;const s=new(i(n(4508)).default)("eicon"),o={get element(){return s.createSvgElement("chevron-left",{path:"M646 125C629 125 613 133 604 142L308 442C296 454 292 471 292 487 292 504 296 521 308 533L604 854C617 867 629 875 646 875 663 875 679 871 692 858 704 846 713 829 713 812 713 796 708 779 692 767L438 487 692 225C700 217 708 204 708 187 708 171 704 154 692 142 675 129 663 125 646 125Z",width:1e3,height:1e3})}};t.chevronLeft=o;const r={get element(){return s.createSvgElement("chevron-right",{path:"M696 533C708 521 713 504 713 487 713 471 708 454 696 446L400 146C388 133 375 125 354 125 338 125 325 129 313 142 300 154 292 171 292 187 292 204 296 221 308 233L563 492 304 771C292 783 288 800 288 817 288 833 296 850 308 863 321 871 338 875 354 875 371 875 388 867 400 854L696 533Z",width:1e3,height:1e3})}};t.chevronRight=r;const l={get element(){return s.createSvgElement("close",{path:"M742 167L500 408 258 167C246 154 233 150 217 150 196 150 179 158 167 167 154 179 150 196 150 212 150 229 154 242 171 254L408 500 167 742C138 771 138 800 167 829 196 858 225 858 254 829L496 587 738 829C750 842 767 846 783 846 800 846 817 842 829 829 842 817 846 804 846 783 846 767 842 750 829 737L588 500 833 258C863 229 863 200 833 171 804 137 775 137 742 167Z",width:1e3,height:1e3})}};t.close=l;const a={get element(){return s.createSvgElement("download-bold",{path:"M572 42H428C405 42 385 61 385 85V385H228C197 385 180 424 203 447L475 719C489 732 511 732 524 719L797 447C819 424 803 385 771 385H614V85C615 61 595 42 572 42ZM958 915V715C958 691 939 672 915 672H653L565 760C529 796 471 796 435 760L347 672H85C61 672 42 691 42 715V915C42 939 61 958 85 958H915C939 958 958 939 958 915ZM736 873C736 853 720 837 700 837 681 837 665 853 665 873 665 892 681 908 700 908 720 908 736 892 736 873ZM815 837C835 837 851 853 851 873 851 892 835 908 815 908 795 908 779 892 779 873 779 853 795 837 815 837Z",width:1e3,height:1e3})}};t.downloadBold=a;const d={get element(){return s.createSvgElement("facebook",{path:"M858 42H142C88 42 42 87 42 142V863C42 913 88 958 142 958H421V646H292V500H421V387C421 258 496 192 613 192 667 192 725 200 725 200V325H663C600 325 579 362 579 404V500H721L700 646H583V958H863C917 958 963 913 963 858V142C958 87 913 42 858 42L858 42Z",width:1e3,height:1e3})}};t.facebook=d;const c={get element(){return s.createSvgElement("frame-expand",{path:"M863 583C890 583 914 605 916 632L917 637V863L916 868C914 893 893 914 868 916L863 917H638L632 916C607 914 586 893 584 868L583 863 584 857C586 832 607 811 632 809L638 808H808V637L809 632C811 605 835 583 863 583ZM138 583C165 583 189 605 191 632L192 637V808H363C390 808 414 830 416 857L417 863C417 890 395 914 368 916L363 917H138C110 917 86 895 84 868L83 863V637C83 607 108 583 138 583ZM863 83C890 83 914 105 916 132L917 137V362C917 392 893 417 863 417 835 417 811 395 809 368L808 362V192H638C610 192 586 170 584 143L583 137C583 110 605 86 632 84L638 83H863ZM363 83L368 84C393 86 414 107 416 132L417 137 416 143C414 168 393 189 368 191L363 192H192V362L191 368C189 395 165 417 138 417S86 395 84 368L83 362V137L84 132C86 107 107 86 132 84L138 83H363Z",width:1e3,height:1e3})}};t.frameExpand=c;const h={get element(){return s.createSvgElement("frame-minimize",{path:"M363 583C392 583 413 604 417 633L417 637V863C417 892 392 917 363 917 333 917 313 896 308 867L308 863V692H138C108 692 88 671 83 642L83 637C83 608 104 587 133 583L138 583H363ZM638 583C608 583 588 604 583 633L583 637V863C583 892 608 917 638 917 667 917 688 896 692 867L692 863V692H863C892 692 913 671 917 642L917 637C917 608 896 587 867 583L863 583H638ZM363 417C392 417 413 396 417 367L417 362V137C417 108 392 83 363 83 333 83 313 104 308 133L308 137V308H138C108 308 88 329 83 358L83 362C83 392 104 412 133 417L138 417H363ZM638 417C608 417 588 396 583 367L583 362V137C583 108 608 83 638 83 667 83 688 104 692 133L692 137V308H863C892 308 913 329 917 358L917 362C917 392 896 412 867 417L863 417H638Z",width:1e3,height:1e3})}};t.frameMinimize=h;const m={get element(){return s.createSvgElement("loading",{path:"M500 975V858C696 858 858 696 858 500S696 142 500 142 142 304 142 500H25C25 237 238 25 500 25S975 237 975 500 763 975 500 975Z",width:1e3,height:1e3})}};t.loading=m;const p={get element(){return s.createSvgElement("pinterest",{path:"M950 496C950 746 746 950 496 950 450 950 404 942 363 929 379 900 408 850 421 808 425 787 450 700 450 700 467 729 508 754 554 754 692 754 792 629 792 471 792 321 671 208 513 208 317 208 213 342 213 483 213 550 250 633 304 658 313 662 317 662 321 654 321 650 329 617 333 604 333 600 333 596 329 592 313 567 296 525 296 487 288 387 367 292 496 292 608 292 688 367 688 475 688 600 625 683 546 683 500 683 467 646 479 600 492 546 517 487 517 450 517 417 500 387 458 387 413 387 375 433 375 496 375 537 388 562 388 562S342 754 333 787C325 825 329 883 333 917 163 854 42 687 42 496 42 246 246 42 496 42S950 246 950 496Z",width:1e3,height:1e3})}};t.pinterest=p;const u={get element(){return s.createSvgElement("share-arrow",{path:"M946 383L667 133C642 112 604 129 604 162V292C238 296 71 637 42 812 238 587 363 521 604 517V658C604 692 642 708 667 687L946 442C963 425 963 400 946 383Z",width:1e3,height:1e3})}};t.shareArrow=u;const g={get element(){return s.createSvgElement("twitter",{path:"M863 312C863 321 863 329 863 337 863 587 675 871 329 871 221 871 125 842 42 787 58 787 71 792 88 792 175 792 254 762 321 712 238 712 171 658 146 583 158 583 171 587 183 587 200 587 217 583 233 579 146 562 83 487 83 396V387C108 400 138 408 167 412 117 379 83 321 83 254 83 221 92 187 108 158 200 271 342 346 496 354 492 342 492 325 492 312 492 208 575 125 679 125 733 125 783 146 817 183 858 175 900 158 938 137 925 179 896 217 854 242 892 237 929 229 963 212 933 250 900 283 863 312Z",width:1e3,height:1e3})}};t.twitter=g;const v={get element(){return s.createSvgElement("zoom-in-bold",{path:"M388 383V312C388 283 413 258 442 258 471 258 496 283 496 312V383H567C596 383 621 408 621 437S596 492 567 492H496V562C496 592 471 617 442 617 413 617 388 592 388 562V492H317C288 492 263 467 263 437S288 383 317 383H388ZM654 733C592 779 517 804 438 804 233 804 71 642 71 437S233 71 438 71 804 233 804 437C804 521 779 596 733 654L896 817C917 837 917 871 896 892 875 913 842 913 821 892L654 733ZM438 696C579 696 696 579 696 437S579 179 438 179 179 296 179 437 296 696 438 696Z",width:1e3,height:1e3})}};t.zoomInBold=v;const w={get element(){return s.createSvgElement("zoom-out-bold",{path:"M750 683L946 879C963 896 963 929 946 946 929 963 896 967 879 946L683 750C617 804 533 833 438 833 221 833 42 654 42 437S221 42 438 42 833 221 833 437C833 529 800 612 750 683ZM296 392H575C600 392 621 412 621 442 621 467 600 487 575 487H296C271 487 250 467 250 442 250 412 271 392 296 392ZM438 737C604 737 738 604 738 437S604 137 438 137 138 271 138 437 271 737 438 737Z",width:1e3,height:1e3})}};t.zoomOutBold=w},4508:(e,t,n)=>{"use strict";var i=n(3203);Object.defineProperty(t,"__esModule",{value:!0}),t.default=void 0;var s=i(n(3231));class IconsManager{constructor(e){this.prefix=`${e}-`,this.createSvgSymbolsContainer()}createSvgElement(e,t){let{path:n,width:i,height:s}=t;const o=this.prefix+e,r="#"+this.prefix+e;if(!IconsManager.iconsUsageList.includes(o)){if(!IconsManager.symbolsContainer.querySelector(r)){const e=this.createSymbolElement({id:o,path:n,width:i,height:s});IconsManager.symbolsContainer.appendChild(e)}IconsManager.iconsUsageList.push(o)}return this.createSvgIconElement({iconName:o,iconSelector:r})}createSvgNode(e,t){let{props:n={},attrs:i={}}=t;const s=document.createElementNS("http://www.w3.org/2000/svg",e);return Object.keys(n).map((e=>s[e]=n[e])),Object.keys(i).map((e=>s.setAttributeNS(null,e,i[e]))),s}createSvgIconElement(e){let{iconName:t,iconSelector:n}=e;return this.createSvgNode("svg",{props:{innerHTML:'<use xlink:href="'+n+'" />'},attrs:{class:"e-font-icon-svg e-"+t}})}createSvgSymbolsContainer(){if(!IconsManager.symbolsContainer){const e="e-font-icon-svg-symbols";IconsManager.symbolsContainer=document.getElementById(e),IconsManager.symbolsContainer||(IconsManager.symbolsContainer=this.createSvgNode("svg",{attrs:{style:"display: none;",class:e}}),document.body.appendChild(IconsManager.symbolsContainer))}}createSymbolElement(e){let{id:t,path:n,width:i,height:s}=e;return this.createSvgNode("symbol",{props:{innerHTML:'<path d="'+n+'"></path>',id:t},attrs:{viewBox:"0 0 "+i+" "+s}})}}t.default=IconsManager,(0,s.default)(IconsManager,"symbolsContainer",void 0),(0,s.default)(IconsManager,"iconsUsageList",[])},3896:(e,t,i)=>{var s=i(3203)(i(3251)),o=i(5626);e.exports=elementorModules.ViewModule.extend({oldAnimation:null,swiper:null,player:null,zoomMode:!1,isFontIconSvgExperiment:elementorFrontend.config.experimentalFeatures.e_font_icon_svg,getDefaultSettings:()=>({classes:{item:"elementor-lightbox-item",image:"elementor-lightbox-image",videoContainer:"elementor-video-container",videoWrapper:"elementor-video-wrapper",playButton:"elementor-custom-embed-play",playButtonIcon:"fa",playing:"elementor-playing",hidden:"elementor-hidden",invisible:"elementor-invisible",preventClose:"elementor-lightbox-prevent-close",slideshow:{container:elementorFrontend.config.swiperClass,slidesWrapper:"swiper-wrapper",prevButton:"elementor-swiper-button elementor-swiper-button-prev",nextButton:"elementor-swiper-button elementor-swiper-button-next",prevButtonIcon:"eicon-chevron-left",nextButtonIcon:"eicon-chevron-right",slide:"swiper-slide",header:"elementor-slideshow__header",footer:"elementor-slideshow__footer",title:"elementor-slideshow__title",description:"elementor-slideshow__description",counter:"elementor-slideshow__counter",iconExpand:"eicon-frame-expand",iconShrink:"eicon-frame-minimize",iconZoomIn:"eicon-zoom-in-bold",iconZoomOut:"eicon-zoom-out-bold",iconShare:"eicon-share-arrow",shareMenu:"elementor-slideshow__share-menu",shareLinks:"elementor-slideshow__share-links",hideUiVisibility:"elementor-slideshow--ui-hidden",shareMode:"elementor-slideshow--share-mode",fullscreenMode:"elementor-slideshow--fullscreen-mode",zoomMode:"elementor-slideshow--zoom-mode",zoomDragging:"elementor-slideshow--zoom-dragging",hasThumbnails:"elementor-slideshow--has-thumbnails",thumbnails:"elementor-slideshow__thumbnails",thumbnail:"elementor-slideshow__thumbnail",thumbnailActive:"elementor-slideshow__thumbnail--active"}},selectors:{image:".elementor-lightbox-image",links:"a, [data-elementor-lightbox]",slideshow:{activeSlide:".swiper-slide-active",prevSlide:".swiper-slide-prev",nextSlide:".swiper-slide-next"}},zoom:{maxScale:4,doubleTapScale:2.5,doubleTapDelay:300,wheelStep:.2,keyboardPanStep:50},modalOptions:{id:"elementor-lightbox",entranceAnimation:"zoomIn",videoAspectRatio:169,position:{enable:!1}}}),getModal(){return e.exports.modal||this.initModal(),e.exports.modal},initModal(){const t={};this.isFontIconSvgExperiment?t.iconElement=o.close.element:t.iconClass="eicon-close";const i=e.exports.modal=elementorFrontend.getDialogsManager().createWidget("lightbox",{className:"elementor-lightbox",closeButton:!0,closeButtonOptions:{...t,attributes:{role:"button",tabindex:0,"aria-label":elementorFrontend.config.i18n.close+" (Esc)"}},selectors:{preventClose:"."+this.getSettings("classes.preventClose")},hide:{onClick:!0}});i.on("hide",function(){i.setMessage("")})},showModal(e){if(e.url&&!e.url.startsWith("http"))return;this.elements.$closeButton=this.getModal().getElements("closeButton"),this.$buttons=this.elements.$closeButton,this.focusedButton=null,this.$opener=jQuery(document.activeElement);const t=this,i=t.getDefaultSettings().modalOptions;t.id=e.id,t.slideshowID="slideshow"===e.type?e.id:null,t.setSettings("modalOptions",jQuery.extend(i,e.modalOptions));const o=t.getModal();switch(o.setID(t.getSettings("modalOptions.id")),o.onShow=function(){DialogsManager.getWidgetType("lightbox").prototype.onShow.apply(o,arguments),t.setEntranceAnimation()},o.onHide=function(){DialogsManager.getWidgetType("lightbox").prototype.onHide.apply(o,arguments),o.getElements("message").removeClass("animated"),s.default.isFullscreen&&t.deactivateFullscreen(),t.unbindHotKeys(),t.$opener.trigger("focus")},e.type){case"video":t.setVideoContent(e);break;case"image":{const i=[{image:e.url,index:0,title:e.title,description:e.description,hash:e.hash}];e.slideshow={slides:i,swiper:{loop:!1,pagination:!1}},t.setSlideshowContent(e.slideshow);break}case"slideshow":t.setSlideshowContent(e.slideshow);break;default:t.setHTMLContent(e.html)}o.show()},createLightbox(e){let t={};if(e.dataset.elementorLightbox&&(t=JSON.parse(e.dataset.elementorLightbox)),t.type&&"slideshow"!==t.type)return void this.showModal(t);if(!e.dataset.elementorLightboxSlideshow){const t="single-img";return void this.showModal({type:"image",id:t,url:e.href,hash:e.getAttribute("data-e-action-hash"),title:e.dataset.elementorLightboxTitle,description:e.dataset.elementorLightboxDescription,modalOptions:{id:"elementor-lightbox-slideshow-"+t}})}const i=e.dataset.elementorLightboxVideo||e.href;this.openSlideshow(e.dataset.elementorLightboxSlideshow,i)},setHTMLContent(e){window.elementorCommon&&elementorDevTools.deprecation.deprecated("elementorFrontend.utils.lightbox.setHTMLContent()","3.1.4"),this.getModal().setMessage(e)},setVideoContent(e){const t=jQuery;let i;if("hosted"===e.videoType){const s=t.extend({src:e.url,autoplay:""},e.videoParams);i=t("<video>",s)}else{let s;if(-1!==e.url.indexOf("vimeo.com"))s=elementorFrontend.utils.vimeo;else{if(!e.url.match(/^(?:https?:\/\/)?(?:www\.)?(?:m\.)?(?:youtu\.be\/|youtube\.com|youtube-nocookie\.com)/))return;s=elementorFrontend.utils.youtube}i=t("<iframe>",{src:s.getAutoplayURL(e.url),allowfullscreen:1})}const s=this.getSettings("classes"),o=this.getRatioDictionry(this.getSettings("modalOptions.videoAspectRatio")),n=t("<div>",{class:`${s.videoContainer} ${s.preventClose}`}),a=t("<div>",{class:`${s.videoWrapper} elementor-video-${this.getRatioType(o)}`,style:"--video-aspect-ratio: "+o});a.append(i),n.append(a);const l=this.getModal();l.setMessage(n);const r=l.onHide;l.onHide=function(){r(),this.$buttons=jQuery(),this.focusedButton=null,l.getElements("message").removeClass("elementor-video-wrapper")}},getRatioDictionry:e=>({219:2.33333,169:1.77777,43:1.33333,32:1.5,11:1,916:.5625}[e]||e),getRatioType(e){let t="";return t=1===e?"square":e<1?"portrait":"landscape",t},getShareLinks(){const{i18n:e}=elementorFrontend.config,t={facebook:{label:e.shareOnFacebook,iconElement:o.facebook},twitter:{label:e.shareOnTwitter,iconElement:o.twitter},pinterest:{label:e.pinIt,iconElement:o.pinterest}},i=jQuery,s=this.getSettings("classes"),n=this.getSettings("selectors"),a=i("<div>",{class:s.slideshow.shareLinks}),l=this.getSlide("active"),r=l.find(n.image),h=l.data("elementor-slideshow-video");let d;if(d=h||r.attr("src"),i.each(t,(e,t)=>{const s=t.label,o=i("<a>",{href:this.createShareLink(e,d,this.getSlideActionHash(l)),target:"_blank"}).text(s),n=this.isFontIconSvgExperiment?i(t.iconElement.element):i("<i>",{class:"eicon-"+e,"aria-hidden":"true"});o.prepend(n),a.append(o)}),!h){const t=this.isFontIconSvgExperiment?i(o.downloadBold.element):i("<i>",{class:"eicon-download-bold"});t.attr("aria-label",e.download),a.append(i("<a>",{href:d,download:""}).text(e.downloadImage).prepend(t))}return a},createShareLink(e,t){let i=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"";const s={};return"pinterest"===e?s.image=encodeURIComponent(t):s.url=encodeURIComponent(location.href.replace(/#.*/,"")+i),ShareLink.getNetworkLink(e,s)},getSlideActionHash(e){const t=e.attr("data-e-action-hash");if(t||!this.slideshowID)return t||"";const i={slideshow:this.slideshowID,index:this.swiper.realIndex};return"#"+encodeURIComponent(`elementor-action:action=lightbox:open&settings=${btoa(JSON.stringify(i))}`)},getSlideshowHeader(){const{i18n:e}=elementorFrontend.config,t=jQuery,i="yes"===elementorFrontend.getKitSettings("lightbox_enable_counter"),s="yes"===elementorFrontend.getKitSettings("lightbox_enable_fullscreen"),n="yes"===elementorFrontend.getKitSettings("lightbox_enable_zoom"),a="yes"===elementorFrontend.getKitSettings("lightbox_enable_share"),l=this.getSettings("classes"),r=l.slideshow,h=this.elements;if(i||s||n||a){if(h.$header=t("<header>",{class:r.header+" "+l.preventClose}),a){const i=this.isFontIconSvgExperiment?o.shareArrow.element:"<i>";h.$iconShare=t(i,{class:r.iconShare,role:"button",tabindex:0,"aria-label":e.share,"aria-expanded":!1}).append(t("<span>"));const s=t("<div>");s.on("click",e=>{e.stopPropagation()}),h.$shareMenu=t("<div>",{class:r.shareMenu}).append(s),h.$iconShare.add(h.$shareMenu).on("click",this.toggleShareMenu),h.$header.append(h.$iconShare,h.$shareMenu),this.$buttons=this.$buttons.add(h.$iconShare)}if(n){const i=this.isFontIconSvgExperiment?o.zoomInBold.element:"<i>",s=[],n={role:"switch",tabindex:0,"aria-checked":!1,"aria-label":e.zoom},a={...n};this.isFontIconSvgExperiment||(a.class=r.iconZoomIn),h.$iconZoom=t(i).attr(a).on("click",this.toggleZoomMode),s.push(h.$iconZoom),this.isFontIconSvgExperiment&&(h.$iconZoomOut=t(o.zoomOutBold.element).attr(n).addClass(l.hidden).on("click",this.toggleZoomMode),s.push(h.$iconZoomOut)),h.$header.append(s),this.$buttons=this.$buttons.add(s)}if(s){const i=this.isFontIconSvgExperiment?o.frameExpand.element:"<i>",s=[],n={role:"switch",tabindex:0,"aria-checked":!1,"aria-label":e.fullscreen},a={...n};this.isFontIconSvgExperiment||(a.class=r.iconExpand),h.$iconExpand=t(i).append(t("<span>"),t("<span>")).attr(a).on("click",this.toggleFullscreen),s.push(h.$iconExpand),this.isFontIconSvgExperiment&&(h.$iconMinimize=t(o.frameMinimize.element).attr(n).addClass(l.hidden).on("click",this.toggleFullscreen),s.push(h.$iconMinimize)),h.$header.append(s),this.$buttons=this.$buttons.add(s)}return i&&(h.$counter=t("<span>",{class:r.counter}),h.$header.append(h.$counter)),h.$header}},toggleFullscreen(){s.default.isFullscreen?this.deactivateFullscreen():s.default.isEnabled&&this.activateFullscreen()},toggleZoomMode(){this.zoomMode?this.setZoom(1):this.setZoom(this.getSettings("zoom.doubleTapScale"))},toggleShareMenu(){this.shareMode?this.deactivateShareMode():(this.elements.$shareMenu.html(this.getShareLinks()),this.activateShareMode())},activateShareMode(){const e=this.getSettings("classes");this.elements.$container.addClass(e.slideshow.shareMode),this.elements.$iconShare.attr("aria-expanded",!0),this.swiper.detachEvents(),this.$originalButtons=this.$buttons,this.$buttons=this.elements.$iconShare.add(this.elements.$shareMenu.find("a")),this.shareMode=!0},deactivateShareMode(){const e=this.getSettings("classes");this.elements.$container.removeClass(e.slideshow.shareMode),this.elements.$iconShare.attr("aria-expanded",!1),this.swiper.attachEvents(),this.$buttons=this.$originalButtons,this.shareMode=!1},activateFullscreen(){const e=this.getSettings("classes");s.default.request(this.elements.$container.parents(".dialog-widget")[0]),this.isFontIconSvgExperiment?(this.elements.$iconExpand.addClass(e.hidden).attr("aria-checked","false"),this.elements.$iconMinimize.removeClass(e.hidden).attr("aria-checked","true")):this.elements.$iconExpand.removeClass(e.slideshow.iconExpand).addClass(e.slideshow.iconShrink).attr("aria-checked","true"),this.elements.$container.addClass(e.slideshow.fullscreenMode)},deactivateFullscreen(){const e=this.getSettings("classes");s.default.exit(),this.isFontIconSvgExperiment?(this.elements.$iconExpand.removeClass(e.hidden).attr("aria-checked","true"),this.elements.$iconMinimize.addClass(e.hidden).attr("aria-checked","false")):this.elements.$iconExpand.removeClass(e.slideshow.iconShrink).addClass(e.slideshow.iconExpand).attr("aria-checked","false"),this.elements.$container.removeClass(e.slideshow.fullscreenMode)},activateZoom(){const e=this.swiper,t=this.elements,i=this.getSettings("classes");e.allowSlideNext=!1,e.allowSlidePrev=!1,e.allowTouchMove=!1,t.$container.addClass(i.slideshow.zoomMode),this.zoomMode=!0,t.$iconZoom&&(this.isFontIconSvgExperiment?(t.$iconZoom.addClass(i.hidden).attr("aria-checked","false"),t.$iconZoomOut.removeClass(i.hidden).attr("aria-checked","true")):t.$iconZoom.removeClass(i.slideshow.iconZoomIn).addClass(i.slideshow.iconZoomOut))},deactivateZoom(){const e=this.swiper,t=this.elements,i=this.getSettings("classes");this.resetZoom(),e.allowSlideNext=!0,e.allowSlidePrev=!0,e.allowTouchMove=!0,t.$container.removeClass(i.slideshow.zoomMode),this.zoomMode=!1,t.$iconZoom&&(this.isFontIconSvgExperiment?(t.$iconZoom.removeClass(i.hidden).attr("aria-checked","true"),t.$iconZoomOut.addClass(i.hidden).attr("aria-checked","false")):t.$iconZoom.removeClass(i.slideshow.iconZoomOut).addClass(i.slideshow.iconZoomIn))},getZoomImage(){return this.getSlide("active").find(this.getSettings("selectors.image"))},resetZoom(){this.zoomState={scale:1,x:0,y:0},this.elements.$container?.find(this.getSettings("selectors.image")).css("transform","")},setZoom(e,t,i){const s=this.getZoomImage()[0];if(!s)return;const o=this.zoomState,n=Math.min(Math.max(e,1),this.getSettings("zoom.maxScale")),a=s.parentElement.getBoundingClientRect(),l=void 0===t?0:t-(a.left+a.width/2),r=void 0===i?0:i-(a.top+a.height/2);o.x=l-(l-o.x)*n/o.scale,o.y=r-(r-o.y)*n/o.scale,o.scale=n,this.panZoom(0,0),1<n&&!this.zoomMode?this.activateZoom():1===n&&this.zoomMode&&this.deactivateZoom()},panZoom(e,t){const i=this.getZoomImage()[0];if(!i)return;const s=this.zoomState,o=i.parentElement,n=Math.max(0,(i.offsetWidth*s.scale-o.clientWidth)/2),a=Math.max(0,(i.offsetHeight*s.scale-o.clientHeight)/2);s.x=Math.min(Math.max(s.x+e,-n),n),s.y=Math.min(Math.max(s.y+t,-a),a),i.style.transform=1===s.scale?"":`translate3d(${s.x}px, ${s.y}px, 0) scale(${s.scale})`},bindZoomEvents(){const e=this.elements.$container[0];this.pointers=new Map,this.pinch=null,this.lastTap=null,e.addEventListener("wheel",this.onZoomWheel,{passive:!1}),e.addEventListener("pointerdown",this.onZoomPointerDown),e.addEventListener("pointermove",this.onZoomPointerMove),e.addEventListener("pointerup",this.onZoomPointerUp),e.addEventListener("pointercancel",this.onZoomPointerUp)},isZoomTarget(e){return!!e.closest?.(this.getSettings("selectors.image"))&&!this.shareMode},getPointersDistance(){const[e,t]=[...this.pointers.values()];return Math.hypot(e.x-t.x,e.y-t.y)},onZoomWheel(e){if(!this.isZoomTarget(e.target))return;e.preventDefault();const t=1+this.getSettings("zoom.wheelStep"),i=0>e.deltaY?this.zoomState.scale*t:this.zoomState.scale/t;this.setZoom(i,e.clientX,e.clientY)},onZoomPointerDown(e){!this.isZoomTarget(e.target)||"mouse"===e.pointerType&&0!==e.button||(this.pointers.set(e.pointerId,{x:e.clientX,y:e.clientY}),1===this.pointers.size?this.tapStart={x:e.clientX,y:e.clientY}:2===this.pointers.size&&(this.tapStart=null,this.pinch={distance:this.getPointersDistance(),scale:this.zoomState.scale},this.swiper.allowTouchMove=!1),(this.zoomMode||this.pinch)&&(e.target.setPointerCapture(e.pointerId),this.elements.$container.addClass(this.getSettings("classes.slideshow.zoomDragging"))))},onZoomPointerMove(e){const t=this.pointers.get(e.pointerId);if(!t)return;const i=e.clientX-t.x,s=e.clientY-t.y;if(t.x=e.clientX,t.y=e.clientY,this.pinch&&2===this.pointers.size){const[e,t]=[...this.pointers.values()];this.setZoom(this.pinch.scale*this.getPointersDistance()/this.pinch.distance,(e.x+t.x)/2,(e.y+t.y)/2)}else this.zoomMode&&!this.pinch&&this.panZoom(i,s)},onZoomPointerUp(e){if(!this.pointers.delete(e.pointerId))return;if(this.pointers.size)return;if(this.elements.$container.removeClass(this.getSettings("classes.slideshow.zoomDragging")),this.pinch)return this.pinch=null,void(this.swiper.allowTouchMove=!this.zoomMode);const t=this.tapStart;this.tapStart=null,"pointerup"!==e.type||!t||10<Math.hypot(e.clientX-t.x,e.clientY-t.y)||this.onZoomTap(e)},onZoomTap(e){const t=this.lastTap,i=Date.now();if(t&&i-t.time<this.getSettings("zoom.doubleTapDelay")&&30>Math.hypot(e.clientX-t.x,e.clientY-t.y))return this.lastTap=null,void this.setZoom(this.zoomMode?1:this.getSettings("zoom.doubleTapScale"),e.clientX,e.clientY);this.lastTap={time:i,x:e.clientX,y:e.clientY}},getSlideshowThumbnails(e){const{i18n:t}=elementorFrontend.config,i=jQuery,s=this.getSettings("classes"),o=i("<div>",{class:s.slideshow.thumbnails+" "+s.preventClose});return e.forEach((e,n)=>{const a=i("<div>",{class:s.slideshow.thumbnail,role:"button","aria-label":`${t.a11yCarouselPaginationBulletMessage} ${n+1}`}).on("click",()=>this.goToSlide(n));e.thumbnail||!e.video?a.append(i("<img>",{src:e.thumbnail||e.image,alt:"",loading:"lazy",draggable:!1})):a.text(n+1),o.append(a)}),o},updateThumbnails(){if(!this.elements.$thumbnails)return;const e=this.getSettings("classes.slideshow.thumbnailActive"),t=this.elements.$thumbnails.children(),i=t.eq(this.swiper.realIndex);t.removeClass(e).removeAttr("aria-current"),i.addClass(e).attr("aria-current","true"),i[0]?.scrollIntoView({block:"nearest",inline:"center"})},goToSlide(e){this.zoomMode&&this.deactivateZoom(),this.swiper.slideToLoop(e)},getSlideshowFooter(){const e=jQuery,t=this.getSettings("classes"),i=e("<footer>",{class:t.slideshow.footer+" "+t.preventClose}),s=e("<div>",{class:t.slideshow.title}),o=e("<div>",{class:t.slideshow.description});return i.append(s,o),i},setSlideshowContent(e){const{i18n:t}=elementorFrontend.config,i=jQuery,s=1===e.slides.length,n=""!==elementorFrontend.getKitSettings("lightbox_title_src"),a=""!==elementorFrontend.getKitSettings("lightbox_description_src"),l=n||a,r=!s&&"no"!==elementorFrontend.getKitSettings("lightbox_enable_thumbnails"),h=this.getSettings("classes"),d=h.slideshow,c=i("<div>",{class:d.container}),m=i("<div>",{class:d.slidesWrapper});let p,g;if(e.slides.forEach(e=>{let s=d.slide+" "+h.item;e.video&&(s+=" "+h.video);const n=i("<div>",{class:s});if(e.video){n.attr("data-elementor-slideshow-video",e.video);const s=this.isFontIconSvgExperiment?o.loading.element:"<i>",a=i("<div>",{class:h.playButton}).html(i(s).attr("aria-label",t.playVideo).addClass(h.playButtonIcon));n.append(a)}else{const t=i("<div>",{class:"swiper-zoom-container"}),s=i('<div class="swiper-lazy-preloader"></div>'),o={"data-src":e.image,class:h.image+" "+h.preventClose+" swiper-lazy",draggable:!1};e.title&&(o["data-title"]=e.title,o.alt=e.title),e.description&&(o["data-description"]=e.description,o.alt+=" - "+e.description);const a=i("<img>",o);t.append([a,s]),n.append(t)}e.hash&&n.attr("data-e-action-hash",e.hash),m.append(n)}),this.elements.$container=c,this.elements.$thumbnails=null,this.slidesCount=e.slides.length,this.zoomMode=!1,this.resetZoom(),this.elements.$header=this.getSlideshowHeader(),c.prepend(this.elements.$header).append(m),!s){const e=this.isFontIconSvgExperiment?i(o.chevronLeft.element):i("<i>",{class:d.prevButtonIcon,"aria-hidden":"true"}),s=this.isFontIconSvgExperiment?i(o.chevronRight.element):i("<i>",{class:d.nextButtonIcon,"aria-hidden":"true"}),n=i("<span>",{class:"screen-reader-text"}).html(t.previous),a=i("<span>",{class:"screen-reader-text"}).html(t.next);p=i("<div>",{class:d.prevButton+" "+h.preventClose}).append(e,n),g=i("<div>",{class:d.nextButton+" "+h.preventClose}).append(s,a),c.append(g,p),this.$buttons=this.$buttons.add(g).add(p)}l&&(this.elements.$footer=this.getSlideshowFooter(),c.append(this.elements.$footer)),r&&(this.elements.$thumbnails=this.getSlideshowThumbnails(e.slides),c.addClass(d.hasThumbnails).append(this.elements.$thumbnails),this.$buttons=this.$buttons.add(this.elements.$thumbnails.children())),this.setSettings("hideUiTimeout",""),c.on("click mousemove keypress",this.showLightboxUi);const u=this.getModal();u.setMessage(c);const v=u.onShow;u.onShow=async()=>{v();const t={pagination:{el:"."+d.counter,type:"fraction"},on:{slideChangeTransitionEnd:this.onSlideChange},lazy:{loadPrevNext:!0},spaceBetween:100,grabCursor:!0,runCallbacksOnInit:!1,loop:!0,keyboard:!0,handleElementorBreakpoints:!0};s||(t.navigation={prevEl:p[0],nextEl:g[0]}),e.swiper&&i.extend(t,e.swiper);const o=elementorFrontend.utils.swiper;this.swiper=await new o(c,t),c.data("swiper",this.swiper),this.playSlideVideo(),l&&this.updateFooterText(),this.updateThumbnails(),this.bindZoomEvents(),this.bindHotKeys(),this.makeButtonsAccessible(),this.elements.$closeButton.trigger("focus")}},makeButtonsAccessible(){this.$buttons.attr("tabindex",0).on("keypress",e=>{13!==e.which&&32!==e.which||jQuery(e.currentTarget).trigger("click")})},showLightboxUi(){const e=this.getSettings("classes").slideshow;this.elements.$container.removeClass(e.hideUiVisibility),clearTimeout(this.getSettings("hideUiTimeout")),this.setSettings("hideUiTimeout",setTimeout(()=>{this.shareMode||this.elements.$container.addClass(e.hideUiVisibility)},3500))},bindHotKeys(){const e=this.getModal().getElements("window");e.on("keydown",this.activeKeyDown),e[0].addEventListener("keyup",this.onEscapeKeyUp,!0)},unbindHotKeys(){const e=this.getModal().getElements("window");e.off("keydown",this.activeKeyDown),e[0].removeEventListener("keyup",this.onEscapeKeyUp,!0)},onEscapeKeyUp(e){27===e.which&&(this.shareMode||this.zoomMode)&&(e.stopPropagation(),this.shareMode?this.deactivateShareMode():this.deactivateZoom())},activeKeyDown(e){this.showLightboxUi();const t={37:[1,0],38:[0,1],39:[-1,0],40:[0,-1]};if(this.swiper&&!this.shareMode){if(36===e.which||35===e.which)return e.preventDefault(),void this.goToSlide(36===e.which?0:this.slidesCount-1);if(this.zoomMode&&t[e.which]){const[i,s]=t[e.which],o=this.getSettings("zoom.keyboardPanStep");return e.preventDefault(),void this.panZoom(i*o,s*o)}}if(9===e.which){const t=this.$buttons;let i,s=!1,o=!1;t.each(e=>{const n=t[e];if(jQuery(n).is(":focus"))return i=n,s=0===e,o=t.length-1===e,!1}),e.shiftKey?!s&&i||(e.preventDefault(),t.last().trigger("focus")):!o&&i||(e.preventDefault(),t.first().trigger("focus"))}},getSlide(e){return jQuery(this.swiper.slides).filter(this.getSettings("selectors.slideshow."+e+"Slide"))},updateFooterText(){if(!this.elements.$footer)return;const e=this.getSettings("classes"),t=this.getSlide("active").find(".elementor-lightbox-image"),i=t.data("title"),s=t.data("description"),o=this.elements.$footer.find("."+e.slideshow.title),n=this.elements.$footer.find("."+e.slideshow.description);o.text(i||""),n.text(s||"")},playSlideVideo(){const e=this.getSlide("active"),t=e.data("elementor-slideshow-video");if(!t)return;const i=this.getSettings("classes"),s=this.getRatioDictionry(this.getSettings("modalOptions.videoAspectRatio")),o=jQuery("<div>",{class:i.videoContainer+" "+i.invisible}),n=jQuery("<div>",{class:`${i.videoWrapper} elementor-video-${this.getRatioType(s)}`,style:"--video-aspect-ratio: "+s}),a=e.children("."+i.playButton);let l,r;o.append(n),e.append(o),-1!==t.indexOf("vimeo.com")?(l="vimeo",r=elementorFrontend.utils.vimeo):t.match(/^(?:https?:\/\/)?(?:www\.)?(?:m\.)?(?:youtu\.be\/|youtube\.com)/)&&(l="youtube",r=elementorFrontend.utils.youtube);const h=r.getVideoIDFromURL(t);r.onApiReady(e=>{"youtube"===l?this.prepareYTVideo(e,h,o,n,a):"vimeo"===l&&this.prepareVimeoVideo(e,t,o,n,a)}),a.addClass(i.playing).removeClass(i.hidden)},prepareYTVideo(e,t,i,s,o){const n=this.getSettings("classes"),a=jQuery("<div>");let l=e.PlayerState.PLAYING;s.append(a),window.chrome&&(l=e.PlayerState.UNSTARTED),i.addClass("elementor-loading "+n.invisible),this.player=new e.Player(a[0],{videoId:t,events:{onReady:()=>{o.addClass(n.hidden),i.removeClass(n.invisible),this.player.playVideo()},onStateChange:e=>{e.data===l&&i.removeClass("elementor-loading "+n.invisible)}},playerVars:{controls:0,rel:0}})},prepareVimeoVideo(e,t,i,s,o){const n=this.getSettings("classes"),a={url:t,autoplay:!0,transparent:!1,playsinline:!1};this.player=new e.Player(s,a),this.player.ready().then(()=>{o.addClass(n.hidden),i.removeClass(n.invisible)})},setEntranceAnimation(e){e=e||elementorFrontend.getCurrentDeviceSetting(this.getSettings("modalOptions"),"entranceAnimation");const t=this.getModal().getElements("message");this.oldAnimation&&t.removeClass(this.oldAnimation),this.oldAnimation=e,e&&t.addClass("animated "+e)},openSlideshow(e,t){let i=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null;const s=jQuery(this.getSettings("selectors.links")).filter((t,i)=>{const s=jQuery(i);return e===i.dataset.elementorLightboxSlideshow&&!s.parent(".swiper-slide-duplicate").length&&!s.parents(".slick-cloned").length}),o=[];let n=0;s.each(function(){const e=this.dataset.elementorLightboxVideo;let i=this.dataset.elementorLightboxIndex;void 0===i&&(i=s.index(this)),(t===this.href||e&&t===e)&&(n=i);const a=this.querySelector("img"),l={image:this.href,index:i,thumbnail:a?.currentSrc||a?.src,title:this.dataset.elementorLightboxTitle,description:this.dataset.elementorLightboxDescription,hash:this.getAttribute("data-e-action-hash")};e&&(l.video=e),o.push(l)}),o.length&&(o.sort((e,t)=>e.index-t.index),null!==i&&(n=Math.min(Math.max(parseInt(i,10)||0,0),o.length-1)),this.showModal({type:"slideshow",id:e,modalOptions:{id:"elementor-lightbox-slideshow-"+e},slideshow:{slides:o,swiper:{initialSlide:+n}}}))},onSlideChange(){this.getSlide("prev").add(this.getSlide("next")).add(this.getSlide("active")).find("."+this.getSettings("classes.videoWrapper")).remove(),this.playSlideVideo(),this.updateFooterText(),this.updateThumbnails()}})},3251:e=>{"use strict";!function(){var t="undefined"!=typeof window&&void 0!==window.document?window.document:{},n=e.exports,i=function(){for(var e,n=[["requestFullscreen","exitFullscreen","fullscreenElement","fullscreenEnabled","fullscreenchange","fullscreenerror"],["webkitRequestFullscreen","webkitExitFullscreen","webkitFullscreenElement","webkitFullscreenEnabled","webkitfullscreenchange","webkitfullscreenerror"],["webkitRequestFullScreen","webkitCancelFullScreen","webkitCurrentFullScreenElement","webkitCancelFullScreen","webkitfullscreenchange","webkitfullscreenerror"],["mozRequestFullScreen","mozCancelFullScreen","mozFullScreenElement","mozFullScreenEnabled","mozfullscreenchange","mozfullscreenerror"],["msRequestFullscreen","msExitFullscreen","msFullscreenElement","msFullscreenEnabled","MSFullscreenChange","MSFullscreenError"]],i=0,s=n.length,o={};i<s;i++)if((e=n[i])&&e[1]in t){var r=e.length;for(i=0;i<r;i++)o[n[0][i]]=e[i];return o}return!1}(),s={change:i.fullscreenchange,error:i.fullscreenerror},o={request(e){return new Promise(function(n,s){var o=function(){this.off("change",o),n()}.bind(this);this.on("change",o),e=e||t.documentElement,Promise.resolve(e[i.requestFullscreen]()).catch(s)}.bind(this))},exit(){return new Promise(function(e,n){if(this.isFullscreen){var s=function(){this.off("change",s),e()}.bind(this);this.on("change",s),Promise.resolve(t[i.exitFullscreen]()).catch(n)}else e()}.bind(this))},toggle(e){return this.isFullscreen?this.exit():this.request(e)},onchange(e){this.on("change",e)},onerror(e){this.on("error",e)},on(e,n){var i=s[e];i&&t.addEventListener(i,n,!1)},off(e,n){var i=s[e];i&&t.removeEventListener(i,n,!1)},raw:i};i?(Object.defineProperties(o,{isFullscreen:{get:()=>Boolean(t[i.fullscreenElement])},element:{enumerable:!0,get:()=>t[i.fullscreenElement]},isEnabled:{enumerable:!0,get:()=>Boolean(t[i.fullscreenEnabled])}}),n?e.exports=o:window.screenfull=o):n?e.exports={isEnabled:!1}:window.screenfull={isEnabled:!1}}()},3231:(e,t,n)=>{var i=n(4040);e.exports=function _defineProperty(e,t,n){return(t=i(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e},e.exports.__esModule=!0,e.exports.default=e.exports},6027:(e,t,n)=>{var i=n(7501).default;e.exports=function toPrimitive(e,t){if("object"!=i(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var s=n.call(e,t||"default");if("object"!=i(s))return s;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)},e.exports.__esModule=!0,e.exports.default=e.exports},4040:(e,t,n)=>{var i=n(7501).default,s=n(6027);e.exports=function toPropertyKey(e){var t=s(e,"string");return"symbol"==i(t)?t:String(t)},e.exports.__esModule=!0,e.exports.default=e.exports},7501:e=>{function _typeof(t){return e.exports=_typeof="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},e.exports.__esModule=!0,e.exports.default=e.exports,_typeof(t)}e.exports=_typeof,e.exports.__esModule=!0,e.exports.default=e.exports}}]);
\ No newline at end of file
@@ -291,6 +291,7 @@ module.exports = elementorModules.ViewModule.extend({
   oldAnimation: null,
   swiper: null,
   player: null,
+  zoomMode: false,
   isFontIconSvgExperiment: elementorFrontend.config.experimentalFeatures.e_font_icon_svg,
   getDefaultSettings() {
     return {
@@ -328,7 +329,12 @@ module.exports = elementorModules.ViewModule.extend({
           hideUiVisibility: 'elementor-slideshow--ui-hidden',
           shareMode: 'elementor-slideshow--share-mode',
           fullscreenMode: 'elementor-slideshow--fullscreen-mode',
-          zoomMode: 'elementor-slideshow--zoom-mode'
+          zoomMode: 'elementor-slideshow--zoom-mode',
+          zoomDragging: 'elementor-slideshow--zoom-dragging',
+          hasThumbnails: 'elementor-slideshow--has-thumbnails',
+          thumbnails: 'elementor-slideshow__thumbnails',
+          thumbnail: 'elementor-slideshow__thumbnail',
+          thumbnailActive: 'elementor-slideshow__thumbnail--active'
         }
       },
       selectors: {
@@ -340,6 +346,16 @@ module.exports = elementorModules.ViewModule.extend({
           nextSlide: '.swiper-slide-next'
         }
       },
+      zoom: {
+        maxScale: 4,
+        // Zoom factor of a double-tap (or double-click) and of the header zoom button.
+        doubleTapScale: 2.5,
+        doubleTapDelay: 300,
+        // Scale change per wheel step.
+        wheelStep: 0.2,
+        // Pixels the zoomed image moves per arrow key press.
+        keyboardPanStep: 50
+      },
       modalOptions: {
         id: 'elementor-lightbox',
         entranceAnimation: 'zoomIn',
@@ -394,9 +410,13 @@ module.exports = elementorModules.ViewModule.extend({
     this.elements.$closeButton = this.getModal().getElements('closeButton');
     this.$buttons = this.elements.$closeButton;
     this.focusedButton = null;
+
+    // Focus goes back to the link that opened the lightbox once it's closed.
+    this.$opener = jQuery(document.activeElement);
     const self = this,
       defaultOptions = self.getDefaultSettings().modalOptions;
     self.id = options.id;
+    self.slideshowID = 'slideshow' === options.type ? options.id : null;
     self.setSettings('modalOptions', jQuery.extend(defaultOptions, options.modalOptions));
     const modal = self.getModal();
     modal.setID(self.getSettings('modalOptions.id'));
@@ -411,6 +431,7 @@ module.exports = elementorModules.ViewModule.extend({
         self.deactivateFullscreen();
       }
       self.unbindHotKeys();
+      self.$opener.trigger('focus');
     };
     switch (options.type) {
       case 'video':
@@ -582,7 +603,7 @@ module.exports = elementorModules.ViewModule.extend({
     $.each(socialNetworks, (key, data) => {
       const networkLabel = data.label,
         $link = $('<a>', {
-          href: this.createShareLink(key, itemUrl, $activeSlide.attr('data-e-action-hash')),
+          href: this.createShareLink(key, itemUrl, this.getSlideActionHash($activeSlide)),
           target: '_blank'
         }).text(networkLabel),
         $socialNetworkIconElement = this.isFontIconSvgExperiment ? $(data.iconElement.element) : $('<i>', {
@@ -605,7 +626,7 @@ module.exports = elementorModules.ViewModule.extend({
     return $linkList;
   },
   createShareLink(networkName, itemUrl) {
-    let hash = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
+    let hash = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '';
     const options = {};
     if ('pinterest' === networkName) {
       options.image = encodeURIComponent(itemUrl);
@@ -614,6 +635,25 @@ module.exports = elementorModules.ViewModule.extend({
     }
     return ShareLink.getNetworkLink(networkName, options);
   },
+
+  /**
+   * The action hash that opens the lightbox on a slide, for share links. Gallery slides without their own hash get a
+   * `lightbox:open` deep link to their index.
+   *
+   * @param {jQuery} $slide
+   * @return {string} The hash, or an empty string for a single image without one.
+   */
+  getSlideActionHash($slide) {
+    const hash = $slide.attr('data-e-action-hash');
+    if (hash || !this.slideshowID) {
+      return hash || '';
+    }
+    const settings = {
+      slideshow: this.slideshowID,
+      index: this.swiper.realIndex
+    };
+    return '#' + encodeURIComponent(`elementor-action:action=lightbox:open&settings=${btoa(JSON.stringify(settings))}`);
+  },
   getSlideshowHeader() {
     const {
         i18n
@@ -718,10 +758,10 @@ module.exports = elementorModules.ViewModule.extend({
     }
   },
   toggleZoomMode() {
-    if (1 !== this.swiper.zoom.scale) {
-      this.deactivateZoom();
+    if (this.zoomMode) {
+      this.setZoom(1);
     } else {
-      this.activateZoom();
+      this.setZoom(this.getSettings('zoom.doubleTapScale'));
     }
   },
   toggleShareMenu() {
@@ -779,11 +819,14 @@ module.exports = elementorModules.ViewModule.extend({
     const swiper = this.swiper,
       elements = this.elements,
       classes = this.getSettings('classes');
-    swiper.zoom.in();
     swiper.allowSlideNext = false;
     swiper.allowSlidePrev = false;
     swiper.allowTouchMove = false;
     elements.$container.addClass(classes.slideshow.zoomMode);
+    this.zoomMode = true;
+    if (!elements.$iconZoom) {
+      return;
+    }
     if (this.isFontIconSvgExperiment) {
       elements.$iconZoom.addClass(classes.hidden).attr('aria-checked', 'false');
       elements.$iconZoomOut.removeClass(classes.hidden).attr('aria-checked', 'true');
@@ -795,11 +838,15 @@ module.exports = elementorModules.ViewModule.extend({
     const swiper = this.swiper,
       elements = this.elements,
       classes = this.getSettings('classes');
-    swiper.zoom.out();
+    this.resetZoom();
     swiper.allowSlideNext = true;
     swiper.allowSlidePrev = true;
     swiper.allowTouchMove = true;
     elements.$container.removeClass(classes.slideshow.zoomMode);
+    this.zoomMode = false;
+    if (!elements.$iconZoom) {
+      return;
+    }
     if (this.isFontIconSvgExperiment) {
       elements.$iconZoom.removeClass(classes.hidden).attr('aria-checked', 'true');
       elements.$iconZoomOut.addClass(classes.hidden).attr('aria-checked', 'false');
@@ -807,6 +854,216 @@ module.exports = elementorModules.ViewModule.extend({
       elements.$iconZoom.removeClass(classes.slideshow.iconZoomOut).addClass(classes.slideshow.iconZoomIn);
     }
   },
+  getZoomImage() {
+    return this.getSlide('active').find(this.getSettings('selectors.image'));
+  },
+  resetZoom() {
+    this.zoomState = {
+      scale: 1,
+      x: 0,
+      y: 0
+    };
+    this.elements.$container?.find(this.getSettings('selectors.image')).css('transform', '');
+  },
+
+  /**
+   * Zoom the active image, keeping the point under the cursor (or the fingers) in place.
+   *
+   * @param {number} scale
+   * @param {number} [clientX] Zoom origin, defaults to the center of the image.
+   * @param {number} [clientY]
+   */
+  setZoom(scale, clientX, clientY) {
+    const image = this.getZoomImage()[0];
+    if (!image) {
+      return;
+    }
+    const zoomState = this.zoomState,
+      newScale = Math.min(Math.max(scale, 1), this.getSettings('zoom.maxScale')),
+      containerRect = image.parentElement.getBoundingClientRect(),
+      originX = undefined === clientX ? 0 : clientX - (containerRect.left + containerRect.width / 2),
+      originY = undefined === clientY ? 0 : clientY - (containerRect.top + containerRect.height / 2);
+    zoomState.x = originX - (originX - zoomState.x) * newScale / zoomState.scale;
+    zoomState.y = originY - (originY - zoomState.y) * newScale / zoomState.scale;
+    zoomState.scale = newScale;
+    this.panZoom(0, 0);
+    if (1 < newScale && !this.zoomMode) {
+      this.activateZoom();
+    } else if (1 === newScale && this.zoomMode) {
+      this.deactivateZoom();
+    }
+  },
+  panZoom(deltaX, deltaY) {
+    const image = this.getZoomImage()[0];
+    if (!image) {
+      return;
+    }
+    const zoomState = this.zoomState,
+      container = image.parentElement,
+      // The image may only move as far as its zoomed edges reach the edges of the slide.
+      maxX = Math.max(0, (image.offsetWidth * zoomState.scale - container.clientWidth) / 2),
+      maxY = Math.max(0, (image.offsetHeight * zoomState.scale - container.clientHeight) / 2);
+    zoomState.x = Math.min(Math.max(zoomState.x + deltaX, -maxX), maxX);
+    zoomState.y = Math.min(Math.max(zoomState.y + deltaY, -maxY), maxY);
+    image.style.transform = 1 === zoomState.scale ? '' : `translate3d(${zoomState.x}px, ${zoomState.y}px, 0) scale(${zoomState.scale})`;
+  },
+  bindZoomEvents() {
+    const container = this.elements.$container[0];
+    this.pointers = new Map();
+    this.pinch = null;
+    this.lastTap = null;
+    container.addEventListener('wheel', this.onZoomWheel, {
+      passive: false
+    });
+    container.addEventListener('pointerdown', this.onZoomPointerDown);
+    container.addEventListener('pointermove', this.onZoomPointerMove);
+    container.addEventListener('pointerup', this.onZoomPointerUp);
+    container.addEventListener('pointercancel', this.onZoomPointerUp);
+  },
+  isZoomTarget(target) {
+    return !!target.closest?.(this.getSettings('selectors.image')) && !this.shareMode;
+  },
+  getPointersDistance() {
+    const [first, second] = [...this.pointers.values()];
+    return Math.hypot(first.x - second.x, first.y - second.y);
+  },
+  onZoomWheel(event) {
+    if (!this.isZoomTarget(event.target)) {
+      return;
+    }
+    event.preventDefault();
+    const wheelStep = 1 + this.getSettings('zoom.wheelStep'),
+      scale = 0 > event.deltaY ? this.zoomState.scale * wheelStep : this.zoomState.scale / wheelStep;
+    this.setZoom(scale, event.clientX, event.clientY);
+  },
+  onZoomPointerDown(event) {
+    if (!this.isZoomTarget(event.target) || 'mouse' === event.pointerType && 0 !== event.button) {
+      return;
+    }
+    this.pointers.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY
+    });
+    if (1 === this.pointers.size) {
+      this.tapStart = {
+        x: event.clientX,
+        y: event.clientY
+      };
+    } else if (2 === this.pointers.size) {
+      this.tapStart = null;
+      this.pinch = {
+        distance: this.getPointersDistance(),
+        scale: this.zoomState.scale
+      };
+
+      // Two fingers zoom, they don't swipe
+      this.swiper.allowTouchMove = false;
+    }
+    if (this.zoomMode || this.pinch) {
+      event.target.setPointerCapture(event.pointerId);
+      this.elements.$container.addClass(this.getSettings('classes.slideshow.zoomDragging'));
+    }
+  },
+  onZoomPointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      return;
+    }
+    const deltaX = event.clientX - pointer.x,
+      deltaY = event.clientY - pointer.y;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    if (this.pinch && 2 === this.pointers.size) {
+      const [first, second] = [...this.pointers.values()];
+      this.setZoom(this.pinch.scale * this.getPointersDistance() / this.pinch.distance, (first.x + second.x) / 2, (first.y + second.y) / 2);
+    } else if (this.zoomMode && !this.pinch) {
+      this.panZoom(deltaX, deltaY);
+    }
+  },
+  onZoomPointerUp(event) {
+    if (!this.pointers.delete(event.pointerId)) {
+      return;
+    }
+    if (this.pointers.size) {
+      return;
+    }
+    this.elements.$container.removeClass(this.getSettings('classes.slideshow.zoomDragging'));
+    if (this.pinch) {
+      this.pinch = null;
+      this.swiper.allowTouchMove = !this.zoomMode;
+      return;
+    }
+    const tapStart = this.tapStart;
+    this.tapStart = null;
+    if ('pointerup' !== event.type || !tapStart || 10 < Math.hypot(event.clientX - tapStart.x, event.clientY - tapStart.y)) {
+      return;
+    }
+    this.onZoomTap(event);
+  },
+  onZoomTap(event) {
+    const lastTap = this.lastTap,
+      now = Date.now();
+    if (lastTap && now - lastTap.time < this.getSettings('zoom.doubleTapDelay') && 30 > Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y)) {
+      this.lastTap = null;
+      this.setZoom(this.zoomMode ? 1 : this.getSettings('zoom.doubleTapScale'), event.clientX, event.clientY);
+      return;
+    }
+    this.lastTap = {
+      time: now,
+      x: event.clientX,
+      y: event.clientY
+    };
+  },
+  getSlideshowThumbnails(slides) {
+    const {
+        i18n
+      } = elementorFrontend.config,
+      $ = jQuery,
+      classes = this.getSettings('classes'),
+      $thumbnails = $('<div>', {
+        class: classes.slideshow.thumbnails + ' ' + classes.preventClose
+      });
+    slides.forEach((slide, index) => {
+      const $thumbnail = $('<div>', {
+        class: classes.slideshow.thumbnail,
+        role: 'button',
+        'aria-label': `${i18n.a11yCarouselPaginationBulletMessage} ${index + 1}`
+      }).on('click', () => this.goToSlide(index));
+      if (slide.thumbnail || !slide.video) {
+        $thumbnail.append($('<img>', {
+          src: slide.thumbnail || slide.image,
+          alt: '',
+          loading: 'lazy',
+          draggable: false
+        }));
+      } else {
+        // Videos without a poster image show their number.
+        $thumbnail.text(index + 1);
+      }
+      $thumbnails.append($thumbnail);
+    });
+    return $thumbnails;
+  },
+  updateThumbnails() {
+    if (!this.elements.$thumbnails) {
+      return;
+    }
+    const activeClass = this.getSettings('classes.slideshow.thumbnailActive'),
+      $thumbnails = this.elements.$thumbnails.children(),
+      $activeThumbnail = $thumbnails.eq(this.swiper.realIndex);
+    $thumbnails.removeClass(activeClass).removeAttr('aria-current');
+    $activeThumbnail.addClass(activeClass).attr('aria-current', 'true');
+    $activeThumbnail[0]?.scrollIntoView({
+      block: 'nearest',
+      inline: 'center'
+    });
+  },
+  goToSlide(index) {
+    if (this.zoomMode) {
+      this.deactivateZoom();
+    }
+    this.swiper.slideToLoop(index);
+  },
   getSlideshowFooter() {
     const $ = jQuery,
       classes = this.getSettings('classes'),
@@ -831,6 +1088,7 @@ module.exports = elementorModules.ViewModule.extend({
       hasTitle = '' !== elementorFrontend.getKitSettings('lightbox_title_src'),
       hasDescription = '' !== elementorFrontend.getKitSettings('lightbox_description_src'),
       showFooter = hasTitle || hasDescription,
+      showThumbnails = !isSingleSlide && 'no' !== elementorFrontend.getKitSettings('lightbox_enable_thumbnails'),
       classes = this.getSettings('classes'),
       slideshowClasses = classes.slideshow,
       $container = $('<div>', {
@@ -862,7 +1120,8 @@ module.exports = elementorModules.ViewModule.extend({
           $slidePlaceholder = $('<div class="swiper-lazy-preloader"></div>'),
           imageAttributes = {
             'data-src': slide.image,
-            class: classes.image + ' ' + classes.preventClose + ' swiper-lazy'
+            class: classes.image + ' ' + classes.preventClose + ' swiper-lazy',
+            draggable: false
           };
         if (slide.title) {
           imageAttributes['data-title'] = slide.title;
@@ -882,6 +1141,10 @@ module.exports = elementorModules.ViewModule.extend({
       $slidesWrapper.append($slide);
     });
     this.elements.$container = $container;
+    this.elements.$thumbnails = null;
+    this.slidesCount = options.slides.length;
+    this.zoomMode = false;
+    this.resetZoom();
     this.elements.$header = this.getSlideshowHeader();
     $container.prepend(this.elements.$header).append($slidesWrapper);
     if (!isSingleSlide) {
@@ -912,6 +1175,11 @@ module.exports = elementorModules.ViewModule.extend({
       this.elements.$footer = this.getSlideshowFooter();
       $container.append(this.elements.$footer);
     }
+    if (showThumbnails) {
+      this.elements.$thumbnails = this.getSlideshowThumbnails(options.slides);
+      $container.addClass(slideshowClasses.hasThumbnails).append(this.elements.$thumbnails);
+      this.$buttons = this.$buttons.add(this.elements.$thumbnails.children());
+    }
     this.setSettings('hideUiTimeout', '');
     $container.on('click mousemove keypress', this.showLightboxUi);
     const modal = this.getModal();
@@ -930,7 +1198,6 @@ module.exports = elementorModules.ViewModule.extend({
         lazy: {
           loadPrevNext: true
         },
-        zoom: true,
         spaceBetween: 100,
         grabCursor: true,
         runCallbacksOnInit: false,
@@ -956,8 +1223,11 @@ module.exports = elementorModules.ViewModule.extend({
       if (showFooter) {
         this.updateFooterText();
       }
+      this.updateThumbnails();
+      this.bindZoomEvents();
       this.bindHotKeys();
       this.makeButtonsAccessible();
+      this.elements.$closeButton.trigger('focus');
     };
   },
   makeButtonsAccessible() {
@@ -980,14 +1250,58 @@ module.exports = elementorModules.ViewModule.extend({
     }, 3500));
   },
   bindHotKeys() {
-    this.getModal().getElements('window').on('keydown', this.activeKeyDown);
+    const $window = this.getModal().getElements('window');
+    $window.on('keydown', this.activeKeyDown);
+
+    // Runs before the dialog's own Esc handler, which closes the lightbox.
+    $window[0].addEventListener('keyup', this.onEscapeKeyUp, true);
   },
   unbindHotKeys() {
-    this.getModal().getElements('window').off('keydown', this.activeKeyDown);
+    const $window = this.getModal().getElements('window');
+    $window.off('keydown', this.activeKeyDown);
+    $window[0].removeEventListener('keyup', this.onEscapeKeyUp, true);
+  },
+  onEscapeKeyUp(event) {
+    const ESC_KEY = 27;
+    if (ESC_KEY !== event.which || !this.shareMode && !this.zoomMode) {
+      return;
+    }
+
+    // Esc leaves the share menu or the zoom first, and closes the lightbox on the next press.
+    event.stopPropagation();
+    if (this.shareMode) {
+      this.deactivateShareMode();
+    } else {
+      this.deactivateZoom();
+    }
   },
   activeKeyDown(event) {
     this.showLightboxUi();
-    const TAB_KEY = 9;
+    const TAB_KEY = 9,
+      END_KEY = 35,
+      HOME_KEY = 36,
+      ARROW_KEYS = {
+        37: [1, 0],
+        38: [0, 1],
+        39: [-1, 0],
+        40: [0, -1]
+      };
+    if (this.swiper && !this.shareMode) {
+      if (HOME_KEY === event.which || END_KEY === event.which) {
+        event.preventDefault();
+        this.goToSlide(HOME_KEY === event.which ? 0 : this.slidesCount - 1);
+        return;
+      }
+
+      // While zoomed in, the arrows move around the image instead of changing the slide.
+      if (this.zoomMode && ARROW_KEYS[event.which]) {
+        const [directionX, directionY] = ARROW_KEYS[event.which],
+          panStep = this.getSettings('zoom.keyboardPanStep');
+        event.preventDefault();
+        this.panZoom(directionX * panStep, directionY * panStep);
+        return;
+      }
+    }
     if (event.which === TAB_KEY) {
       const $buttons = this.$buttons;
       let focusedButton,
@@ -1003,7 +1317,7 @@ module.exports = elementorModules.ViewModule.extend({
         }
       });
       if (event.shiftKey) {
-        if (isFirst) {
+        if (isFirst || !focusedButton) {
           event.preventDefault();
           $buttons.last().trigger('focus');
         }
@@ -1122,7 +1436,13 @@ module.exports = elementorModules.ViewModule.extend({
       $widgetMessage.addClass('animated ' + animation);
     }
   },
+  /**
+   * @param {string} slideshowID
+   * @param {string} initialSlideURL
+   * @param {number} [initialSlidePosition] Opens the slide at this position instead, e.g. from a deep link.
+   */
   openSlideshow(slideshowID, initialSlideURL) {
+    let initialSlidePosition = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
     const $allSlideshowLinks = jQuery(this.getSettings('selectors.links')).filter((index, element) => {
       const $element = jQuery(element);
       return slideshowID === element.dataset.elementorLightboxSlideshow && !$element.parent('.swiper-slide-duplicate').length && !$element.parents('.slick-cloned').length;
@@ -1138,19 +1458,27 @@ module.exports = elementorModules.ViewModule.extend({
       if (initialSlideURL === this.href || slideVideo && initialSlideURL === slideVideo) {
         initialSlideIndex = slideIndex;
       }
-      const slideData = {
-        image: this.href,
-        index: slideIndex,
-        title: this.dataset.elementorLightboxTitle,
-        description: this.dataset.elementorLightboxDescription,
-        hash: this.getAttribute('data-e-action-hash')
-      };
+      const thumbnailImage = this.querySelector('img'),
+        slideData = {
+          image: this.href,
+          index: slideIndex,
+          thumbnail: thumbnailImage?.currentSrc || thumbnailImage?.src,
+          title: this.dataset.elementorLightboxTitle,
+          description: this.dataset.elementorLightboxDescription,
+          hash: this.getAttribute('data-e-action-hash')
+        };
       if (slideVideo) {
         slideData.video = slideVideo;
       }
       slides.push(slideData);
     });
+    if (!slides.length) {
+      return;
+    }
     slides.sort((a, b) => a.index - b.index);
+    if (null !== initialSlidePosition) {
+      initialSlideIndex = Math.min(Math.max(parseInt(initialSlidePosition, 10) || 0, 0), slides.length - 1);
+    }
     this.showModal({
       type: 'slideshow',
       id: slideshowID,
@@ -1169,6 +1497,7 @@ module.exports = elementorModules.ViewModule.extend({
     this.getSlide('prev').add(this.getSlide('next')).add(this.getSlide('active')).find('.' + this.getSettings('classes.videoWrapper')).remove();
     this.playSlideVideo();
     this.updateFooterText();
+    this.updateThumbnails();
   }
 });
 
@@ -61,7 +61,7 @@ class Video extends elementorModules.frontend.handlers.Base {
     const $videoIframe = this.elements.$videoIframe,
       lazyLoad = $videoIframe.data('lazy-load');
     if (lazyLoad) {
-      $videoIframe.attr('src', lazyLoad);
+      $videoIframe.attr('src', this.isFacadeActive() ? this.apiProvider.getPrivacyURL(lazyLoad) : lazyLoad);
     }
     $videoIframe[0].src = this.apiProvider.getAutoplayURL($videoIframe[0].src);
   }
@@ -104,12 +104,43 @@ class Video extends elementorModules.frontend.handlers.Base {
       };
 
     // To handle CORS issues, when the default host is changed, the origin parameter has to be set.
-    if (elementSettings.yt_privacy) {
+    if (elementSettings.yt_privacy || this.isFacadeActive()) {
       playerOptions.host = 'https://www.youtube-nocookie.com';
       playerOptions.origin = window.location.hostname;
     }
     this.youtubePlayer = new YT.Player(this.elements.$video[0], playerOptions);
   }
+  isFacadeActive() {
+    const videoFacade = elementorFrontend.utils.videoFacade;
+    return !elementorFrontend.isEditMode() && !this.getElementSettings('lightbox') && videoFacade.isEnabled() && videoFacade.isProviderSupported(this.getElementSettings('video_type')) && this.hasDeferredEmbed();
+  }
+
+  // An iframe rendered with its `src` is already loading, the facade needs the lazy load markup (`data-lazy-load`).
+  hasDeferredEmbed() {
+    return !!this.elements.$video.length || this.elements.$videoIframe.is('[data-lazy-load]');
+  }
+
+  // The facade replaces the image overlay, and the video loads when its play button is clicked.
+  async initFacade() {
+    const elementSettings = this.getElementSettings(),
+      $videoIframe = this.elements.$videoIframe;
+    if ('youtube' === elementSettings.video_type) {
+      this.videoID = this.apiProvider.getVideoIDFromURL(elementSettings.youtube_url);
+      if (!this.videoID) {
+        return;
+      }
+    }
+    this.elements.$imageOverlay.remove();
+    await elementorFrontend.utils.videoFacade.create((this.elements.$video.length ? this.elements.$video : $videoIframe).parent(), {
+      provider: elementSettings.video_type,
+      poster: elementSettings.show_image_overlay && elementSettings.image_overlay?.url
+    });
+    if ('youtube' === elementSettings.video_type) {
+      this.apiProvider.onApiReady(apiObject => this.prepareYTVideo(apiObject, true));
+    } else {
+      this.playVideo();
+    }
+  }
   bindEvents() {
     this.elements.$imageOverlay.on('click', this.handleVideo.bind(this));
     this.elements.$playIcon.on('keydown', event => {
@@ -131,6 +162,10 @@ class Video extends elementorModules.frontend.handlers.Base {
     } else {
       this.apiProvider = elementorFrontend.utils.baseVideoLoader;
     }
+    if (this.isFacadeActive()) {
+      this.initFacade();
+      return;
+    }
     if ('youtube' !== elementSettings.video_type) {
       // Currently the only API integration in the Video widget is for the YT API
       return;
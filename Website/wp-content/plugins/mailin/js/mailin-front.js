@@ -2,38 +2,580 @@ var captchaRes = '';
 var sibErrMsg;
 var gCaptchaSibWidget;
 var ajax_sib_front_object;
+/**
+ * Signups that could not reach the server (offline, flaky mobile network).
+ * They are kept in localStorage, one entry per email, and replayed with an
+ * exponential backoff once the browser is back online.
+ * The nonce and captcha tokens are not stored, a replay asks for a fresh
+ * nonce. Signups the server turns down are reported on the next page view.
+ */
+var sibSignupQueue = {
+    storageKey: 'sib_signup_queue',
+    noticesKey: 'sib_signup_notices',
+    volatileFields: ['security', 'g-recaptcha-response', 'cf-turnstile-response'],
+    baseDelay: 5000,
+    maxDelay: 300000,
+    nonceMaxAge: 3600000,
+    nonceRequest: null,
+    timer: null,
+    sending: false,
+    messages: {
+        queued: "You seem to be offline. Your subscription is saved and will be sent as soon as you are back online.",
+        failed: "Your subscription could not be sent. Please try again later.",
+        rejected: "Your subscription for %s, saved while you were offline, could not be completed."
+    },
+    message: function (key) {
+        if (typeof sibErrMsg != 'undefined' && sibErrMsg && sibErrMsg[key + 'Submission']) {
+            return sibErrMsg[key + 'Submission'];
+        }
+        return this.messages[key];
+    },
+    load: function (key) {
+        try {
+            var items = JSON.parse(window.localStorage.getItem(key || this.storageKey));
+            return jQuery.isArray(items) ? items : [];
+        } catch (e) {
+            return [];
+        }
+    },
+    save: function (items, key) {
+        try {
+            if (items.length) {
+                window.localStorage.setItem(key || this.storageKey, JSON.stringify(items));
+            } else {
+                window.localStorage.removeItem(key || this.storageKey);
+            }
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+    isNetworkError: function (jqXHR, textStatus) {
+        return jqXHR.status === 0 || textStatus === 'timeout' || navigator.onLine === false;
+    },
+    storableData: function (postData) {
+        var volatileFields = this.volatileFields;
+        return jQuery.grep(postData, function (field) {
+            return jQuery.inArray(field.name, volatileFields) === -1;
+        });
+    },
+    add: function (formId, url, postData, email) {
+        var key = (email || '').trim().toLowerCase();
+        // a newer signup for the same address replaces the pending one
+        var items = jQuery.grep(this.load(), function (item) {
+            return !key || item.email !== key;
+        });
+        items.push({
+            formId: formId,
+            url: url,
+            pageUrl: window.location.href,
+            data: this.storableData(postData),
+            email: key,
+            attempts: 0,
+            queuedAt: Date.now()
+        });
+        var saved = this.save(items);
+        this.schedule();
+        return saved;
+    },
+    schedule: function () {
+        var items = this.load();
+        clearTimeout(this.timer);
+        if (!items.length) {
+            return;
+        }
+        var delay = Math.min(this.baseDelay * Math.pow(2, items[0].attempts), this.maxDelay);
+        this.timer = setTimeout(function () {
+            sibSignupQueue.flush();
+        }, delay);
+    },
+    /**
+     * The nonce printed in the source of the page that queued the signup may
+     * have expired by the time it is replayed, a fresh copy of the page has a
+     * current one. Falls back to the nonce of the current page view.
+     */
+    fetchNonce: function (pageUrl) {
+        var self = this;
+        if (this.nonceRequest && Date.now() - this.nonceRequest.fetchedAt < this.nonceMaxAge) {
+            return this.nonceRequest;
+        }
+        this.nonceRequest = jQuery.ajax({
+            url: pageUrl || window.location.href,
+            dataType: "text",
+            cache: false
+        }).then(function (html) {
+            var match = /"ajax_nonce":"(\w+)"/.exec(html);
+            return match ? match[1] : ajax_sib_front_object.ajax_nonce;
+        }, function (jqXHR, textStatus) {
+            self.nonceRequest = null;
+            if (self.isNetworkError(jqXHR, textStatus)) {
+                return jQuery.Deferred().reject(jqXHR, textStatus);
+            }
+            return ajax_sib_front_object.ajax_nonce;
+        });
+        this.nonceRequest.fetchedAt = Date.now();
+        return this.nonceRequest;
+    },
+    flush: function () {
+        var self = this;
+        var items = this.load();
+        if (this.sending || !items.length || navigator.onLine === false) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.sending = true;
+        var item = items[0];
+        this.fetchNonce(item.pageUrl).then(function (nonce) {
+            return jQuery.ajax({
+                url: item.url,
+                type: "POST",
+                dataType: "json",
+                data: self.storableData(item.data).concat({ "name": "security", "value": nonce })
+            });
+        }).done(function (data) {
+            self.remove(item);
+            var form = jQuery(document.getElementById(item.formId));
+            if (data && (data.status === 'success' || data.status === 'update')) {
+                if (form.length) {
+                    form.find('.sib_msg_disp').html('<p class="sib-alert-message sib-alert-message-success ">' + data.msg.successMsg + '</p>').show();
+                    jQuery(".sib-alert-message").delay(5000).hide('slow');
+                }
+            } else {
+                self.reject(item, self.serverMessage(data), data && data.status === 'already_exist' ? 'warning' : 'error');
+            }
+        }).fail(function (jqXHR, textStatus) {
+            if (self.isNetworkError(jqXHR, textStatus)) {
+                item.attempts++;
+                self.update(item);
+            } else {
+                // the server answered, retrying would not change the outcome
+                self.remove(item);
+                self.reject(item, '', 'error');
+            }
+        }).always(function () {
+            self.sending = false;
+            if (navigator.onLine !== false && self.load().length && self.load()[0].attempts === 0) {
+                self.flush();
+            } else {
+                self.schedule();
+            }
+        });
+    },
+    serverMessage: function (data) {
+        if (!data || !data.msg) {
+            return '';
+        }
+        if (typeof data.msg === 'string') {
+            return data.msg;
+        }
+        return (data.status === 'already_exist' ? data.msg.existMsg : data.status === 'invalid' ? data.msg.invalidMsg : data.msg.errorMsg) || '';
+    },
+    reject: function (item, reason, level) {
+        var notices = this.load(this.noticesKey);
+        notices.push({
+            formId: item.formId,
+            email: item.email,
+            reason: reason,
+            level: level
+        });
+        this.save(notices, this.noticesKey);
+        this.showNotices();
+    },
+    /**
+     * Shows the signups the server turned down, in their form when it is on
+     * the page, at the top of the page otherwise.
+     */
+    showNotices: function () {
+        var self = this;
+        var notices = this.load(this.noticesKey);
+        if (!notices.length || !document.body) {
+            return;
+        }
+        jQuery.each(notices, function (i, notice) {
+            var text = self.message('rejected').replace('%s', notice.email) + (notice.reason ? ' ' + jQuery('<div>').html(notice.reason).text() : '');
+            var message = jQuery('<p class="sib-alert-message"></p>').addClass('sib-alert-message-' + (notice.level === 'warning' ? 'warning' : 'error')).text(text);
+            var form = jQuery(document.getElementById(notice.formId));
+            if (form.length) {
+                form.find('.sib_msg_disp').empty().append(message).show();
+                return;
+            }
+            var container = jQuery('.sib-queue-notices');
+            if (!container.length) {
+                container = jQuery('<div class="sib-queue-notices" role="alert"></div>').prependTo('body').on('click', '.sib-alert-message', function () {
+                    jQuery(this).remove();
+                });
+            }
+            container.append(message);
+        });
+        this.save([], this.noticesKey);
+    },
+    remove: function (item) {
+        this.save(jQuery.grep(this.load(), function (queued) {
+            return queued.queuedAt !== item.queuedAt || queued.email !== item.email;
+        }));
+    },
+    update: function (item) {
+        this.save(jQuery.map(this.load(), function (queued) {
+            return queued.queuedAt === item.queuedAt && queued.email === item.email ? item : queued;
+        }));
+    }
+};
 var sibVerifyCallback = function (response) {
     captchaRes = response;
     var formIdInvisible = sessionStorage.getItem("formIdRecapcha");
+    // the submit handler runs the field validation
     if (captchaRes) {
-        var validationErr = 0;
-        jQuery.each(jQuery(formIdInvisible).find('input[required=required]'), function () {
-            if (jQuery(this).val().trim() == '' || (jQuery(this).attr('type') == "checkbox" && jQuery(this).prop("checked") == false)) {
-                validationErr++;
-                var form = jQuery(this).closest('form');
-                var requiredField = jQuery(this).closest('form').find('input[name="sib_form_alert_notice"]').val();
-                if (requiredField !== undefined) {
-                    sibErrMsg.requiredField = requiredField;
+        jQuery(formIdInvisible).trigger('submit');
+    }
+};
+
+/**
+ * E.164 parsing and as-you-type formatting for the `.sib-sms` field.
+ *
+ * Dial codes, national prefixes, valid national number lengths and grouping
+ * patterns per country are shipped in `sib-phone-metadata.json`. Countries
+ * sharing a dial code (e.g. +1, +44, +7) carry a `leading` pattern matched
+ * against the start of the national number; the main country has none.
+ */
+var sibPhone = {
+    countries: [],
+    byIso: {},
+    byDial: {},
+    request: null,
+    metadataUrl: function () {
+        if (ajax_sib_front_object.phone_metadata_url) {
+            return ajax_sib_front_object.phone_metadata_url;
+        }
+        return ajax_sib_front_object.flag_url.replace(/img\/flags\/?$/, 'js/sib-phone-metadata.json');
+    },
+    load: function () {
+        var self = this;
+        if (!this.request) {
+            this.request = jQuery.getJSON(this.metadataUrl()).then(function (countries) {
+                self.countries = countries;
+                jQuery.each(countries, function (i, country) {
+                    self.byIso[country.iso2] = country;
+                    (self.byDial[country.dial] = self.byDial[country.dial] || []).push(country);
+                });
+                return countries;
+            });
+        }
+        return this.request;
+    },
+    isLoaded: function () {
+        return this.countries.length > 0;
+    },
+    digits: function (value) {
+        return String(value || '').replace(/\D/g, '');
+    },
+    countryFor: function (dial, national) {
+        var candidates = this.byDial[dial] || [];
+        var main = null;
+        for (var i = 0; i < candidates.length; i++) {
+            if (!candidates[i].leading) {
+                main = main || candidates[i];
+            } else if (national && new RegExp('^(?:' + candidates[i].leading + ')').test(national)) {
+                return candidates[i];
+            }
+        }
+        return main || candidates[0] || null;
+    },
+    /**
+     * Splits a number into country and national part. Numbers without an
+     * international prefix are read as national numbers of `fallbackIso`.
+     */
+    parse: function (value, fallbackIso) {
+        var raw = jQuery.trim(String(value || ''));
+        var digits = this.digits(raw);
+        var dial = '';
+        var national = '';
+        var country = null;
+        if (raw.charAt(0) == '+' || raw.indexOf('00') === 0) {
+            digits = raw.charAt(0) == '+' ? digits : digits.slice(2);
+            for (var length = 1; length <= 3 && !dial; length++) {
+                if (this.byDial[digits.slice(0, length)]) {
+                    dial = digits.slice(0, length);
                 }
-                form.find('.sib_msg_disp').html('<p class="sib-alert-message sib-alert-message-warning ">' + sibErrMsg.requiredField + '</p>').show();
-                return;
             }
+            national = digits.slice(dial.length);
+            country = dial ? this.countryFor(dial, national) : null;
+        } else {
+            country = this.byIso[fallbackIso] || null;
+            if (country) {
+                dial = country.dial;
+                national = country.prefix && digits.indexOf(country.prefix) === 0 ? digits.slice(country.prefix.length) : digits;
+            }
+        }
+        return {
+            country: country,
+            dial: dial,
+            national: national,
+            e164: dial ? '+' + dial + national : '',
+            valid: !!country && jQuery.inArray(national.length, country.lengths) > -1
+        };
+    },
+    groupSizes: function (pattern) {
+        var sizes = [];
+        pattern.replace(/\(\\d(?:\{(\d+)(?:,(\d+))?\})?\)/g, function (match, min, max) {
+            sizes.push(parseInt(max || min || 1, 10));
         });
+        return sizes;
+    },
+    /**
+     * International format, grouped with the first national pattern whose
+     * leading digits match. Partial numbers are grouped as far as they go.
+     */
+    format: function (parsed) {
+        if (!parsed.dial) {
+            return '';
+        }
+        var national = parsed.national;
+        var formats = parsed.country ? parsed.country.formats : [];
+        var groups = [];
+        for (var i = 0; i < formats.length; i++) {
+            if (!formats[i][1] || new RegExp('^(?:' + formats[i][1] + ')').test(national)) {
+                var sizes = this.groupSizes(formats[i][0]);
+                var offset = 0;
+                for (var j = 0; j < sizes.length && offset < national.length; j++) {
+                    groups.push(national.substr(offset, j == sizes.length - 1 ? national.length : sizes[j]));
+                    offset += sizes[j];
+                }
+                break;
+            }
+        }
+        if (!groups.length && national) {
+            groups.push(national);
+        }
+        return '+' + parsed.dial + (groups.length ? ' ' + groups.join(' ') : '');
+    },
+    flagUrl: function (iso2) {
+        return ajax_sib_front_object.flag_url + iso2 + '.png';
+    },
+    renderList: function (list) {
+        var self = this;
+        list.attr({ role: 'listbox', tabindex: '-1' }).empty();
+        jQuery.each(this.countries, function (i, country) {
+            jQuery('<li class="sib-country-prefix" role="option" aria-selected="false"></li>')
+                .attr({ id: 'sib-country-' + country.iso2, 'data-country-code': country.iso2, 'data-dial-code': country.dial })
+                .append(jQuery('<span class="sib-flag-box"></span>').append(jQuery('<span class="sib-flag"></span>').css('background-image', 'url(' + self.flagUrl(country.iso2) + ')')))
+                .append(jQuery('<span class="sib-country-name"></span>').text(' ' + country.name + ' '))
+                .append(jQuery('<span class="sib-dial-code"></span>').text('+' + country.dial))
+                .appendTo(list);
+        });
+    },
+    /**
+     * Points the flag and the hidden prefix input at the country; the field
+     * value is only touched when `value` is given.
+     */
+    setCountry: function (smsField, iso2, dial, value) {
+        var flag = smsField.find('.sib-cflags');
+        smsField.find('input[name="sib_SMS_prefix"]').val('+' + dial);
+        if (flag.data('country-code') != iso2) {
+            flag.css('background-image', 'url(' + this.flagUrl(iso2) + ')');
+        }
+        flag.data('dial-code', dial).data('country-code', iso2);
+        smsField.find('.sib-country-list li').attr('aria-selected', 'false')
+            .filter('[data-country-code="' + iso2 + '"]').attr('aria-selected', 'true');
+        if (value !== undefined) {
+            smsField.find('.sib-sms').val(value);
+        }
     }
-    if (validationErr == 0) {
-        jQuery(formIdInvisible).trigger('submit');
+};
+
+/**
+ * Client side validation for the signup forms.
+ *
+ * Rules come from the field markup: `required`, `type="email"` and the
+ * `.sib-sms` class are picked up automatically, anything else is declared in
+ * `data-sib-rules` as a space separated list of `name` or `name:param`, e.g.
+ * `data-sib-rules="minlength:3 company-domain"`. A rule returns true, false,
+ * an error message, or a promise resolving to one of those. Messages can be
+ * overridden per field with `data-sib-message-<rule>`.
+ *
+ *     sibValidator.addRule('company-domain', function (value) {
+ *         return jQuery.getJSON('/check-domain', { email: value }).then(function (data) {
+ *             return data.valid;
+ *         });
+ *     }, 'Please use your work address');
+ */
+var sibValidator = {
+    rules: {},
+    uid: 0,
+    fieldSelector: 'input:not([type=hidden]), select, textarea, .sib-multi-lists',
+    addRule: function (name, test, message) {
+        this.rules[name] = { test: test, message: message };
+    },
+    getMessage: function (field, name, form) {
+        var custom = field.attr('data-sib-message-' + name);
+        if (custom) {
+            return custom;
+        }
+        var notice = {
+            required: form.find('input[name="sib_form_alert_notice"]').val(),
+            email: form.find('input[name="sib_form_invalid_email_notice"]').val()
+        }[name];
+        if (notice) {
+            return notice;
+        }
+        var message = this.rules[name].message;
+        return typeof message == 'function' ? message() : message;
+    },
+    getRules: function (field) {
+        var rules = [];
+        if (field.prop('required') || field.data('require') == 'required') {
+            rules.push({ name: 'required' });
+        }
+        if (field.attr('type') == 'email') {
+            rules.push({ name: 'email' });
+        }
+        if (field.hasClass('sib-sms')) {
+            rules.push({ name: 'sms' });
+        }
+        jQuery.each((field.attr('data-sib-rules') || '').split(/\s+/), function (i, rule) {
+            if (rule) {
+                var index = rule.indexOf(':');
+                rules.push(index < 0 ? { name: rule } : { name: rule.slice(0, index), param: rule.slice(index + 1) });
+            }
+        });
+        return rules;
+    },
+    getValue: function (field) {
+        if (field.hasClass('sib-multi-lists')) {
+            return field.find('input:checked').map(function () {
+                return this.value;
+            }).get();
+        }
+        if (field.is(':checkbox, :radio')) {
+            return field.closest('form').find('[name="' + field.attr('name') + '"]:checked').val() || '';
+        }
+        return jQuery.trim(field.val() || '');
+    },
+    isEmpty: function (value) {
+        return value === '' || value === null || (jQuery.isArray(value) && !value.length);
+    },
+    /**
+     * Resolves with the first failing message for the field, or an empty
+     * string when every rule passes.
+     */
+    validateField: function (field) {
+        var self = this;
+        var form = field.closest('form');
+        var value = this.getValue(field);
+        var rules = this.getRules(field);
+        var check = function (index) {
+            var rule = rules[index];
+            if (!rule) {
+                return jQuery.Deferred().resolve('').promise();
+            }
+            if (!self.rules[rule.name] || (rule.name != 'required' && self.isEmpty(value))) {
+                return check(index + 1);
+            }
+            return jQuery.when(self.rules[rule.name].test(value, field, rule.param)).then(function (result) {
+                if (result === true || result === undefined) {
+                    return check(index + 1);
+                }
+                return typeof result == 'string' && result ? result : self.getMessage(field, rule.name, form);
+            }, function () {
+                return self.getMessage(field, rule.name, form);
+            });
+        };
+        return check(0).then(function (message) {
+            self.showError(field, message);
+            return message;
+        });
+    },
+    /**
+     * Resolves with true when every field of the form is valid.
+     */
+    validateForm: function (form) {
+        var self = this;
+        var checks = form.find(this.fieldSelector).filter(function () {
+            return self.getRules(jQuery(this)).length > 0;
+        }).map(function () {
+            return self.validateField(jQuery(this));
+        }).get();
+        return jQuery.when.apply(jQuery, checks).then(function () {
+            var invalid = form.find('[aria-invalid="true"]');
+            invalid.first().find('input').addBack('input, select, textarea').first().trigger('focus');
+            return invalid.length === 0;
+        });
+    },
+    errorAnchor: function (field) {
+        return field.closest('.sib-sms-field').length ? field.closest('.sib-sms-field') : field;
+    },
+    showError: function (field, message) {
+        if (!field.data('sib-error-id')) {
+            field.data('sib-error-id', 'sib-error-' + (++this.uid));
+        }
+        var id = field.data('sib-error-id');
+        var describedBy = jQuery.grep((field.attr('aria-describedby') || '').split(/\s+/), function (token) {
+            return token && token != id;
+        });
+        field.closest('form').find('#' + id).remove();
+        field.toggleClass('sib_error', !!message);
+        if (!message) {
+            field.removeAttr('aria-invalid');
+        } else {
+            var error = jQuery('<span class="sib-field-error" role="alert"></span>').attr('id', id).text(message);
+            if (field.hasClass('sib-multi-lists')) {
+                field.append(error);
+            } else {
+                this.errorAnchor(field).after(error);
+            }
+            field.attr('aria-invalid', 'true');
+            describedBy.push(id);
+        }
+        if (describedBy.length) {
+            field.attr('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttr('aria-describedby');
+        }
     }
 };
+sibValidator.addRule('required', function (value) {
+    return !sibValidator.isEmpty(value);
+}, function () {
+    return sibErrMsg.requiredField;
+});
+// any TLD length, the old 2-4 character limit rejected e.g. .photography
+sibValidator.addRule('email', function (value) {
+    return /^[a-zA-Z0-9_.+-]+@([a-zA-Z0-9-]+\.)+[a-zA-Z0-9-]{2,63}$/.test(value);
+}, function () {
+    return sibErrMsg.invalidMail;
+});
+sibValidator.addRule('sms', function (value, field) {
+    if (sibPhone.isLoaded()) {
+        return sibPhone.parse(value, field.closest('.sib-sms-field').find('.sib-cflags').data('country-code')).valid;
+    }
+    var tempSms = value.replace(/\b(0(?!\b))+/g, "").replace(/( |\(|\)|\.|\-)/g, '');
+    return tempSms.length <= 19 && tempSms.length >= 6 && tempSms.charAt(0) == '+';
+}, function () {
+    return sibErrMsg.invalidSMSFormat;
+});
+sibValidator.addRule('minlength', function (value, field, length) {
+    return value.length >= parseInt(length, 10);
+}, function () {
+    return sibErrMsg.requiredField;
+});
+sibValidator.addRule('pattern', function (value, field) {
+    return new RegExp('^(?:' + field.attr('pattern') + ')$').test(value);
+}, function () {
+    return sibErrMsg.requiredField;
+});
 
 jQuery(document).ready(function(){
-    jQuery('.sib_signup_form').find('input[required=required]').on("invalid", function () {
-        if(jQuery(this).val().trim() == '')
-        {
-            var alert_msg = jQuery(this).closest('form').find('input[name="sib_form_alert_notice"]').val();
-            this.setCustomValidity(alert_msg);
-        }
-        else {
-            this.setCustomValidity('');
+    jQuery(window).on('online', function () {
+        sibSignupQueue.flush();
+    });
+    sibSignupQueue.showNotices();
+    sibSignupQueue.flush();
+    // errors are rendered inline by sibValidator instead of the browser bubbles
+    jQuery('.sib_signup_form').attr('novalidate', 'novalidate');
+    jQuery(document).on('change focusout', '.sib_signup_form input, .sib_signup_form select, .sib_signup_form textarea', function () {
+        var field = jQuery(this).closest('.sib-multi-lists');
+        field = field.length ? field : jQuery(this);
+        if (field.attr('aria-invalid') || (jQuery(this).val() !== '' && sibValidator.getRules(field).length)) {
+            sibValidator.validateField(field);
         }
     });
     // run MA script identify() when submit on any forms with email field
@@ -49,8 +591,7 @@ jQuery(document).ready(function(){
 
         if(!jQuery(this).hasClass('sib_signup_form')) {
             var email = jQuery(this).find('input[type=email]').val();
-            var emailPattern = /^([a-zA-Z0-9_.+-])+\@(([a-zA-Z0-9-])+\.)+([a-zA-Z0-9]{2,4})+$/;
-            if (typeof sendinblue != 'undefined' && email != null && emailPattern.test(email)) {
+            if (typeof sendinblue != 'undefined' && email != null && sibValidator.rules.email.test(email)) {
                 var postData = jQuery('input[type!=password]',this).serializeObject();
                 sendinblue.identify(email, postData);
             }
@@ -67,56 +608,25 @@ jQuery(document).ready(function(){
                     jQuery(this).val('');
                 }
             });
-
-            /**
-             * For safari
-             * Not support required attribute
-             */
-
-            var required_fileds = [];
-            var err_index = 0;
-
-            var multi_lists = form.find(jQuery('.sib-multi-lists'));
-            if( multi_lists != undefined && multi_lists.data('require') == 'required' )
-            {
-                if ( multi_lists.find('input:checked').length == 0 )
-                {
-                    err_index++;
-                    multi_lists.addClass('sib_error');
-                }
-            }
-            if(err_index > 0)
-            {
-                form.find('.sib_msg_disp').html('<p class="sib-alert-message sib-alert-message-warning ">' + sibErrMsg.requiredField + '</p>').show();
-                return;
-            }
-            err_index=0;
-            jQuery.each(form.find('input[type="email"]'), function(){
-                var Email = /^([a-zA-Z0-9_.+-])+@(([a-zA-Z0-9-])+\.)+([a-zA-Z0-9]{2,4})+$/i;
-                if (!Email.test(jQuery(this).val()))
-                {
-                    err_index++;
-                }
-            });
-            if(err_index > 0)
-            {
-                form.find('.sib_msg_disp').html('<p class="sib-alert-message sib-alert-message-warning ">' + sibErrMsg.invalidMail + '</p>').show();
-                return;
+            if (form.data('sib-validated') && sibPhone.isLoaded()) {
+                jQuery.each(form.find('.sib-sms'), function () {
+                    var parsed = sibPhone.parse(jQuery(this).val(), jQuery(this).closest('.sib-sms-field').find('.sib-cflags').data('country-code'));
+                    if (parsed.valid) {
+                        jQuery(this).val(parsed.e164);
+                    }
+                });
             }
 
-            // Check sms validation
-            err_index = 0;
-            jQuery.each(form.find('.sib-sms'), function () {
-                var sms = jQuery(this).val();
-                if ( is_valid_sms(sms) == false && sms != '' ) {
-                    err_index ++;
-                }
-            });
-            if(err_index > 0)
-            {
-                form.find('.sib_msg_disp').html('<p class="sib-alert-message sib-alert-message-warning ">' + sibErrMsg.invalidSMSFormat + '</p>').show();
+            // validation may be async, resubmit once it has passed
+            if (!form.data('sib-validated')) {
+                sibValidator.validateForm(form).done(function (valid) {
+                    if (valid) {
+                        form.data('sib-validated', true).trigger('submit');
+                    }
+                });
                 return;
             }
+            form.removeData('sib-validated');
 
             jQuery(".sib-default-btn").attr("disabled", true);
             form.find('.sib_loader').show();
@@ -138,11 +648,29 @@ jQuery(document).ready(function(){
             form.addClass('sib_processing');
 
             postData.push({ "name": "security", "value": ajax_sib_front_object.ajax_nonce });
+            var queueSignup = function () {
+                var queued = sibSignupQueue.add(form.attr('id'), formURL, postData, form.find('input[name=email]').val());
+                var cdata = queued
+                    ? '<p class="sib-alert-message sib-alert-message-warning sib-alert-message-queued">' + sibSignupQueue.message('queued') + '</p>'
+                    : '<p class="sib-alert-message sib-alert-message-error ">' + sibSignupQueue.message('failed') + '</p>';
+                jQuery(".sib-default-btn").attr("disabled", false);
+                form.find('.sib_loader').hide();
+                form.find('.sib_msg_disp').html(cdata).show();
+                form.removeClass('sib_processing');
+                if (queued) {
+                    form[0].reset();
+                }
+            };
+            if (navigator.onLine === false) {
+                queueSignup();
+                return;
+            }
             jQuery.ajax({
                 url: formURL,
                 type: "POST",
                 dataType: "json",
                 data: postData,
+                timeout: 30000,
                 success: function (data, textStatus, jqXHR) {
                     jQuery(".sib-default-btn").attr("disabled", false);
                     jQuery('.sib_loader').hide();
@@ -213,7 +741,13 @@ jQuery(document).ready(function(){
                     }
                 },
                 error: function (jqXHR, textStatus, errorThrown) {
-                    form.find('.sib_msg_disp').html(jqXHR).show();
+                    if (sibSignupQueue.isNetworkError(jqXHR, textStatus)) {
+                        queueSignup();
+                    } else {
+                        form.find('.sib_loader').hide();
+                        form.find('.sib_msg_disp').html('<p class="sib-alert-message sib-alert-message-error ">' + sibSignupQueue.message('failed') + '</p>').show();
+                        form.removeClass('sib_processing');
+                    }
                     jQuery(".sib-default-btn").attr("disabled", false);
                     if (typeof grecaptcha != 'undefined')
                     {
@@ -223,12 +757,58 @@ jQuery(document).ready(function(){
             });
         }
     });
+    var openCountryList = function (block, open) {
+        var list = block.closest('.sib-sms-field').find('.sib-country-list');
+        open = open === undefined ? !list.is(':visible') : open;
+        list.toggle(open);
+        block.attr('aria-expanded', open ? 'true' : 'false');
+        if (open) {
+            var selected = list.find('li[aria-selected="true"]');
+            focusCountry(list, selected.length ? selected : list.find('li').first());
+        }
+    };
+    var focusCountry = function (list, item) {
+        if (!item.length) {
+            return;
+        }
+        list.find('li.sib-country-active').removeClass('sib-country-active');
+        item.addClass('sib-country-active');
+        list.attr('aria-activedescendant', item.attr('id'));
+        list.trigger('focus');
+        list.scrollTop(list.scrollTop() + item.position().top - list.height() / 2);
+    };
+    var selectCountry = function (item) {
+        var smsField = item.closest('.sib-sms-field');
+        var dial_code = item.data('dial-code');
+        sibPhone.setCountry(smsField, String(item.data('country-code')).toLowerCase(), dial_code, '+' + dial_code);
+        openCountryList(smsField.find('.sib-country-block'), false);
+        smsField.find('.sib-sms').trigger('focus');
+    };
+
+    jQuery('.sib-country-block').attr({ role: 'button', tabindex: '0', 'aria-haspopup': 'listbox', 'aria-expanded': 'false' });
     jQuery('.sib-country-block').on('click', function () {
-       jQuery('.sib-country-list').toggle();
+        openCountryList(jQuery(this));
+    }).on('keydown', function (e) {
+        if (e.key == 'Enter' || e.key == ' ' || e.key == 'ArrowDown') {
+            e.preventDefault();
+            openCountryList(jQuery(this), true);
+        }
     });
     if (jQuery('.sib-country-list').length > 0)
     {
-        jQuery('.sib-country-list').ready( function () {
+        sibPhone.load().done(function () {
+            jQuery('.sib-country-list').each(function () {
+                sibPhone.renderList(jQuery(this));
+            });
+            jQuery('.sib-sms-field').each(function () {
+                var flag = jQuery(this).find('.sib-cflags');
+                var parsed = sibPhone.parse(jQuery(this).find('.sib-sms').val() || '+' + flag.data('dial-code'));
+                if (parsed.country) {
+                    sibPhone.setCountry(jQuery(this), parsed.country.iso2, parsed.dial);
+                }
+            });
+        }).fail(function () {
+            // no local metadata, fall back to the server rendered list
             var data = {
                 action : 'sib_get_country_prefix',
                 security: ajax_sib_front_object.ajax_nonce,
@@ -242,17 +822,66 @@ jQuery(document).ready(function(){
     jQuery('body').on('click', function(e){
         if ( jQuery('.sib-sms-field .sib-country-list').length > 0 && !jQuery('.sib-sms-field .sib-country-list').is(e.target) && jQuery('.sib-sms-field .sib-country-list').has(e.target).length === 0 && jQuery('.sib-sms-field .sib-country-block').has(e.target).length === 0 ) {
             jQuery('.sib-sms-field .sib-country-list').hide();
+            jQuery('.sib-sms-field .sib-country-block').attr('aria-expanded', 'false');
         }
     });
 
     jQuery('.sib-country-list').on( 'click', 'li' , function () {
-        var country_code = jQuery(this).data('country-code').toLowerCase();
-        var dial_code = jQuery(this).data('dial-code');
-        jQuery(this).closest('.sib-sms-field').find('.sib-sms').val('+' + dial_code );
-        jQuery(this).closest('.sib-sms-field').find('input[name="sib_SMS_prefix"]').val('+' + dial_code );
-        jQuery(this).closest('.sib-sms-field').find('.sib-cflags').css('background-image', 'url(' + ajax_sib_front_object.flag_url + country_code + '.png)');
-        jQuery(this).closest('.sib-sms-field').find('.sib-cflags').data('dial-code', dial_code);
-        jQuery(this).closest('.sib-country-list').hide();
+        selectCountry(jQuery(this));
+    });
+
+    // arrows move, Enter picks, Escape closes, typing jumps to a country name or dial code
+    var countrySearch = '';
+    var countrySearchTimer = null;
+    jQuery('.sib-country-list').on('keydown', function (e) {
+        var list = jQuery(this);
+        var items = list.find('li');
+        var active = items.filter('.sib-country-active');
+        var index = items.index(active);
+        var keys = { ArrowDown: index + 1, ArrowUp: index - 1, PageDown: index + 10, PageUp: index - 10, Home: 0, End: items.length - 1 };
+        if (keys[e.key] !== undefined) {
+            e.preventDefault();
+            focusCountry(list, items.eq(Math.max(0, Math.min(items.length - 1, keys[e.key]))));
+        } else if (e.key == 'Enter' && active.length) {
+            e.preventDefault();
+            selectCountry(active);
+        } else if (e.key == 'Escape' || e.key == 'Tab') {
+            openCountryList(list.closest('.sib-sms-field').find('.sib-country-block'), false);
+            if (e.key == 'Escape') {
+                list.closest('.sib-sms-field').find('.sib-country-block').trigger('focus');
+            }
+        } else if (e.key && e.key.length == 1 && /[\w+ ]/.test(e.key)) {
+            clearTimeout(countrySearchTimer);
+            countrySearch = (countrySearch + e.key).toLowerCase();
+            countrySearchTimer = setTimeout(function () {
+                countrySearch = '';
+            }, 800);
+            var term = countrySearch.replace(/^\+/, '');
+            var match = items.filter(function () {
+                return /^\d+$/.test(term)
+                    ? String(jQuery(this).data('dial-code')).indexOf(term) === 0
+                    : jQuery.trim(jQuery(this).find('.sib-country-name').text()).toLowerCase().indexOf(term) === 0;
+            }).first();
+            focusCountry(list, match);
+        }
+    });
+
+    // format as the user types and follow the country of pasted numbers
+    jQuery(document).on('input', '.sib-sms', function () {
+        if (!sibPhone.isLoaded()) {
+            return;
+        }
+        var input = jQuery(this);
+        var smsField = input.closest('.sib-sms-field');
+        var caretAtEnd = this.selectionStart === undefined || this.selectionStart === input.val().length;
+        var parsed = sibPhone.parse(input.val(), smsField.find('.sib-cflags').data('country-code'));
+        if (!parsed.country) {
+            return;
+        }
+        sibPhone.setCountry(smsField, parsed.country.iso2, parsed.dial);
+        if (caretAtEnd) {
+            input.val(sibPhone.format(parsed));
+        }
     });
     jQuery(".sib-sms").on('keypress', function (event){
         validateInteger(event, 'sms');
@@ -262,16 +891,6 @@ jQuery(document).ready(function(){
     jQuery(".sib-date").on('keypress', function(event) {
         validateInteger(event, 'date');
     });
-    function is_valid_sms( sms ) {
-        sms = sms.replace(/\b(0(?!\b))+/g, "");
-
-        var tempSms = sms.replace(/( |\(|\)|\.|\-)/g, '');
-
-        if (tempSms.length > 19  || tempSms.length < 6 || tempSms.charAt(0) != '+'){
-            return false;
-        }
-        return true;
-    }
     function validateInteger(evt,type) {
         var theEvent = evt || window.event;
         var key = theEvent.charCode || theEvent.which;
@@ -44,6 +44,7 @@
 			serverTimestampOffset: 0,
 			serverMicrotime: 0,
 			wfLiveTraffic: null,
+			liveTrafficQueue: null,
 			loadingBlockedIPs: false,
 			scanRunning: false,
 			basePageName: '',
@@ -730,6 +731,9 @@
 						});
 					});
 
+					if (typeof LiveTrafficQueue === 'function' && !this.liveTrafficQueue) {
+						this.liveTrafficQueue = new LiveTrafficQueue();
+					}
 					this.updateLiveTraffic();
 					if (this.liveInt > 0) {
 						clearInterval(this.liveInt);
@@ -1245,7 +1249,10 @@
 					jQuery('body').removeClass('wordfenceLiveActivityPaused');
 				}
 				
-				if (this.mode == 'liveTraffic') {
+				// Hits keep coming while the user is scrolled down, for the "new hits" banner of the queue. Grouped
+				// listings aren't updated.
+				var isScrolledDown = this.mode == 'liveTraffic_paused' && this.liveTrafficQueue && !(this.wfLiveTraffic && this.wfLiveTraffic.groupBy());
+				if (this.mode == 'liveTraffic' || isScrolledDown) {
 					this.liveTrafficUpdatePending = true;
 					var self = this;
 					var otherParams = this.newestActivityTime;
@@ -1277,7 +1284,12 @@
 					jQuery('.wf-live-activity-message').hide().html(newMsg).fadeIn(200);
 				}
 
-				if (this.mode == 'liveTraffic') {
+				if (this.liveTrafficQueue) {
+					if (res.events.length > 0) {
+						this.newestActivityTime = res.events[0]['ctime'];
+					}
+					this.liveTrafficQueue.enqueue(res.events);
+				} else if (this.mode == 'liveTraffic') {
 					if (res.events.length > 0) {
 						this.newestActivityTime = res.events[0]['ctime'];
 					}
@@ -3,6 +3,9 @@
 	var sprintf = window.wfi18n.sprintf;
 
 	var LISTING_LIMIT = 50;
+	var SAVED_VIEWS_KEY = 'wf-lt-saved-views-';
+	var VIEW_HASH_PREFIX = 'lt=';
+	var EXPORT_COLUMNS = ['id', 'time', 'IP', 'type', 'statusCode', 'URL', 'referer', 'UA', 'userID', 'username', 'action', 'actionDescription', 'firewallAction', 'isGoogle', 'blocked', 'hitCount', 'actionData'];
 
 	LiveTrafficViewModel = function(listings, filters) {
 		var self = this;
@@ -83,6 +86,7 @@
 		};
 
 		var currentFilterQuery = '';
+		var applyingView = false;
 		var getURLEncodedFilters = function() {
 			var dataString = '';
 			ko.utils.arrayForEach(self.filters(), function(filter) {
@@ -137,11 +141,12 @@
 		 * @param options
 		 */
 		self.checkQueryAndReloadListings = function(options) {
-			if (currentFilterQuery !== getURLEncodedFilters()) {
+			if (!applyingView && currentFilterQuery !== getURLEncodedFilters()) {
 				self.reloadListings(options);
 			}
 		};
 		self.reloadListings = function(options) {
+			self.updateViewHash();
 			pullDownListings(options, function(listings) {
 				var groupByKO = self.groupBy();
 				var groupBy = '';
@@ -158,6 +163,7 @@
 					newListings.push(new ListingModel(listings[i], groupBy));
 				}
 				self.listings(newListings);
+				$(window).trigger('wf-live-traffic-reloaded');
 			})
 		};
 
@@ -287,10 +293,278 @@
 			});
 		});
 
+		/*
+			Saved views and shareable filters
+		*/
+		self.getViewState = function() {
+			var state = {
+				filters: [],
+				groupBy: self.groupBy() ? self.groupBy().param() : null,
+				startDate: self.startDate() ? new Date(self.startDate()).getTime() : null,
+				endDate: self.endDate() ? new Date(self.endDate()).getTime() : null
+			};
+			ko.utils.arrayForEach(self.filters(), function(filter) {
+				if (filter.getValue() !== false) {
+					state.filters.push([filter.param(), filter.operator(), filter.getValue()]);
+				}
+			});
+			return state;
+		};
+
+		/**
+		 * Restores the filters, group by and date range of a view. The listings are reloaded once, after the whole
+		 * state is applied, unless `reload` is false (the initial form submit loads them).
+		 *
+		 * @param state
+		 * @param reload
+		 */
+		self.applyViewState = function(state, reload) {
+			if (!state || !$.isArray(state.filters)) {
+				return;
+			}
+			applyingView = true;
+			var newFilters = [];
+			for (var i = 0; i < state.filters.length; i++) {
+				newFilters.push(new ListingsFilterModel(self, state.filters[i][0], String(state.filters[i][2]), state.filters[i][1]));
+			}
+			self.filters(newFilters);
+			self.showAdvancedFilters(newFilters.length > 0);
+			self.groupBy(ko.utils.arrayFirst(groupBys, function(groupBy) {
+				return groupBy.param() === state.groupBy;
+			}) || undefined);
+			self.startDate(state.startDate ? new Date(state.startDate) : undefined);
+			self.endDate(state.endDate ? new Date(state.endDate) : undefined);
+			applyingView = false;
+			if (reload !== false) {
+				self.checkQueryAndReloadListings();
+			}
+		};
+
+		/**
+		 * Keeps the current view in the URL hash, as a `#lt=` segment before the tab segment, so the page can be
+		 * bookmarked or shared.
+		 */
+		self.updateViewHash = function() {
+			if (!window.history || !history.replaceState) {
+				return;
+			}
+			var hashes = ko.utils.arrayFilter(WFAD.parseHashes(), function(hash) {
+				return hash.indexOf(VIEW_HASH_PREFIX) !== 0;
+			});
+			var state = self.getViewState();
+			if (state.filters.length || state.groupBy || state.startDate || state.endDate) {
+				hashes.splice(Math.max(hashes.length - 1, 0), 0, VIEW_HASH_PREFIX + LiveTrafficViewModel.encodeViewState(state));
+			}
+			var hash = hashes.length ? '#' + hashes.join('#') : '';
+			if (hash !== location.hash) {
+				history.replaceState(history.state, '', location.pathname + location.search + hash);
+			}
+		};
+
+		self.getViewStateFromHash = function() {
+			var hashes = WFAD.parseHashes();
+			for (var i = 0; i < hashes.length; i++) {
+				if (hashes[i].indexOf(VIEW_HASH_PREFIX) === 0) {
+					return LiveTrafficViewModel.decodeViewState(hashes[i].substring(VIEW_HASH_PREFIX.length));
+				}
+			}
+			return null;
+		};
+
+		var getSavedViewsKey = function() {
+			return SAVED_VIEWS_KEY + (window.userSettings && userSettings.uid ? userSettings.uid : 0);
+		};
+		var loadSavedViews = function() {
+			if (!window.localStorage) {
+				return [];
+			}
+			try {
+				var views = JSON.parse(window.localStorage.getItem(getSavedViewsKey()));
+				return $.isArray(views) ? views : [];
+			}
+			catch (e) {
+				return [];
+			}
+		};
+		var storeSavedViews = function() {
+			if (window.localStorage) {
+				window.localStorage.setItem(getSavedViewsKey(), JSON.stringify(self.savedViews()));
+			}
+		};
+
+		// Saved per user, in this browser.
+		self.savedViews = ko.observableArray(loadSavedViews());
+		self.savedViewsCaption = __('Saved Views');
+		self.newViewName = ko.observable('');
+		self.selectedSavedView = ko.observable();
+		self.selectedSavedView.subscribe(function(view) {
+			if (view) {
+				self.applyViewState(view.state);
+			}
+		});
+
+		self.saveCurrentView = function() {
+			var name = $.trim(self.newViewName());
+			if (!name) {
+				return;
+			}
+			var view = {name: name, state: self.getViewState()};
+			var existing = ko.utils.arrayFirst(self.savedViews(), function(savedView) {
+				return savedView.name === name;
+			});
+			if (existing) {
+				self.savedViews.replace(existing, view);
+			}
+			else {
+				self.savedViews.push(view);
+			}
+			storeSavedViews();
+			self.newViewName('');
+		};
+
+		self.onViewNameKeyDown = function(data, e) {
+			if (e.keyCode === 13) {
+				self.saveCurrentView();
+				return false;
+			}
+			return true;
+		};
+
+		self.deleteSelectedView = function() {
+			var view = self.selectedSavedView();
+			if (view) {
+				self.selectedSavedView(undefined);
+				self.savedViews.remove(view);
+				storeSavedViews();
+			}
+		};
+
+		var promptViewLink = function(url) {
+			window.prompt(__('Copy this link to share the current view:'), url);
+		};
+
+		self.viewLinkCopied = ko.observable(false);
+		self.copyViewLinkText = ko.pureComputed(function() {
+			return self.viewLinkCopied() ? __('Link Copied') : __('Copy Link');
+		});
+		var viewLinkCopiedTimeout = null;
+		self.copyViewLink = function() {
+			self.updateViewHash();
+			var url = location.href;
+			if (!navigator.clipboard || !window.isSecureContext) {
+				promptViewLink(url);
+				return;
+			}
+			// Denied clipboard permission or an unfocused document reject the write, the link is offered to copy by hand.
+			navigator.clipboard.writeText(url).then(function() {
+				self.viewLinkCopied(true);
+				clearTimeout(viewLinkCopiedTimeout);
+				viewLinkCopiedTimeout = setTimeout(function() {
+					self.viewLinkCopied(false);
+				}, 2000);
+			}, function() {
+				promptViewLink(url);
+			});
+		};
+
+		/*
+			Export of the loaded listings
+		*/
+		var getExportFileName = function(extension) {
+			var date = new Date();
+			var pad = function(n) {
+				return (n < 10 ? '0' : '') + n;
+			};
+			return 'wordfence-live-traffic-' + date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + '.' + extension;
+		};
+
+		self.getExportRecords = function() {
+			return ko.utils.arrayMap(self.listings(), function(listing) {
+				return listing.toExportData();
+			});
+		};
+
+		self.exportJSON = function() {
+			var records = self.getExportRecords();
+			if (records.length) {
+				saveAs(new Blob([JSON.stringify(records, null, 2)], {type: 'application/json;charset=utf-8'}), getExportFileName('json'));
+			}
+		};
+
+		self.exportCSV = function() {
+			var records = self.getExportRecords();
+			if (!records.length) {
+				return;
+			}
+			// The geolocation is flattened to a column per key.
+			var locationKeys = [];
+			ko.utils.arrayForEach(records, function(record) {
+				$.each(record.loc || {}, function(key) {
+					if (locationKeys.indexOf(key) === -1) {
+						locationKeys.push(key);
+					}
+				});
+			});
+			var header = EXPORT_COLUMNS.concat($.map(locationKeys, function(key) {
+				return 'loc.' + key;
+			}));
+			var rows = [ko.utils.arrayMap(header, LiveTrafficViewModel.escapeCSVField).join(',')];
+			ko.utils.arrayForEach(records, function(record) {
+				var values = ko.utils.arrayMap(EXPORT_COLUMNS, function(column) {
+					return column === 'actionData' && record.actionData ? JSON.stringify(record.actionData) : record[column];
+				}).concat($.map(locationKeys, function(key) {
+					return [record.loc ? record.loc[key] : ''];
+				}));
+				rows.push(ko.utils.arrayMap(values, LiveTrafficViewModel.escapeCSVField).join(','));
+			});
+			saveAs(new Blob([rows.join('\r\n')], {type: 'text/csv;charset=utf-8'}), getExportFileName('csv'), {autoBom: true});
+		};
+
+		$(window).on('hashchange', function() {
+			var state = self.getViewStateFromHash();
+			if (state) {
+				self.applyViewState(state);
+			}
+		});
+
 		// For debuggering-a-ding
 		self.sql = ko.observable('');
 	};
 
+	/**
+	 * URL safe base64 of the view state JSON, `#` and `%23` would break `WFAD.parseHashes`.
+	 */
+	LiveTrafficViewModel.encodeViewState = function(state) {
+		return btoa(unescape(encodeURIComponent(JSON.stringify(state)))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	};
+
+	LiveTrafficViewModel.decodeViewState = function(encoded) {
+		try {
+			return JSON.parse(decodeURIComponent(escape(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')))));
+		}
+		catch (e) {
+			return null;
+		}
+	};
+
+	/**
+	 * Quotes a CSV field. Values starting with a formula character are prefixed with a quote, so a spreadsheet
+	 * doesn't evaluate a URL or user agent sent by a visitor.
+	 */
+	LiveTrafficViewModel.escapeCSVField = function(value) {
+		if (value === null || value === undefined) {
+			return '';
+		}
+		value = String(value);
+		if (/^[=+\-@\t\r]/.test(value)) {
+			value = "'" + value;
+		}
+		if (/[",\r\n]/.test(value)) {
+			value = '"' + value.replace(/"/g, '""') + '"';
+		}
+		return value;
+	};
+
 	LiveTrafficViewModel.truncateText = function(text, maxLength) {
 		maxLength = maxLength || 100;
 		if (text && text.length > maxLength) {
@@ -300,6 +574,140 @@
 		return text;
 	};
 
+	/**
+	 * Holds the hits of the ticker until they can be rendered, in batches. Rendering pauses while the tab is hidden or
+	 * unfocused when `allowsPausing` is on, like the ticker, and while the user is scrolled down reading older entries
+	 * a "new hits" banner replaces the prepend. Past `MAX_QUEUE` hits the oldest are dropped, and the listings are
+	 * reloaded once they can be shown again.
+	 */
+	LiveTrafficQueue = function() {
+		var self = this;
+		var flushTimer = null;
+		var queuedIDs = {};
+		var banner = null;
+
+		self.queue = [];
+		self.droppedCount = 0;
+
+		var isPaused = function() {
+			return WordfenceAdminVars.allowsPausing == '1' && (document.hidden || !WFAD.windowHasFocus());
+		};
+
+		/**
+		 * Queues the hits of a ticker response, newest first.
+		 *
+		 * @param events
+		 */
+		self.enqueue = function(events) {
+			var fresh = ko.utils.arrayFilter(events || [], function(event) {
+				if (queuedIDs[event.id] || (WFAD.wfLiveTraffic && WFAD.wfLiveTraffic.hasListing(event.id))) {
+					return false;
+				}
+				queuedIDs[event.id] = 1;
+				return true;
+			});
+			if (!fresh.length) {
+				return;
+			}
+			self.queue = fresh.concat(self.queue);
+			if (self.queue.length > LiveTrafficQueue.MAX_QUEUE) {
+				ko.utils.arrayForEach(self.queue.splice(LiveTrafficQueue.MAX_QUEUE), function(event) {
+					delete queuedIDs[event.id];
+					self.droppedCount++;
+				});
+			}
+			self.scheduleFlush();
+		};
+
+		self.clearQueue = function() {
+			self.queue = [];
+			queuedIDs = {};
+			self.droppedCount = 0;
+			updateBanner();
+		};
+
+		self.scheduleFlush = function(delay) {
+			if (flushTimer || (!self.queue.length && !self.droppedCount)) {
+				return;
+			}
+			flushTimer = setTimeout(function() {
+				flushTimer = null;
+				self.flush();
+			}, delay === undefined ? LiveTrafficQueue.FLUSH_INTERVAL : delay);
+		};
+
+		self.flush = function() {
+			if (isPaused()) {
+				$('body').addClass('wordfenceLiveActivityPaused');
+				return;
+			}
+			$('body').removeClass('wordfenceLiveActivityPaused');
+
+			if (WFAD.mode !== 'liveTraffic' || !WFAD.wfLiveTraffic) {
+				updateBanner();
+				return;
+			}
+
+			// Hits were dropped while paused, only a reload makes the listings complete again.
+			if (self.droppedCount) {
+				self.clearQueue();
+				WFAD.wfLiveTraffic.reloadListings();
+				return;
+			}
+
+			// The oldest hits go first, so the newest end up on top.
+			var batch = self.queue.splice(Math.max(self.queue.length - LISTING_LIMIT, 0));
+			ko.utils.arrayForEach(batch, function(event) {
+				delete queuedIDs[event.id];
+			});
+			WFAD.wfLiveTraffic.prependListings(batch);
+			WFAD.reverseLookupIPs();
+			WFAD.avatarLookup();
+			WFAD.updateTimeAgo();
+			updateBanner();
+
+			if (self.queue.length) {
+				self.scheduleFlush();
+			}
+		};
+
+		self.showNewHits = function() {
+			var listings = $('#wf-live-traffic');
+			$('html, body').animate({
+				scrollTop: Math.max(listings.offset().top - ($('#wpadminbar').outerHeight() || 0) - 20, 0)
+			}, 300).promise().done(function() {
+				WFAD.mode = 'liveTraffic';
+				self.flush();
+			});
+		};
+
+		var updateBanner = function() {
+			var count = self.queue.length + self.droppedCount;
+			if (!banner) {
+				if (!count) {
+					return;
+				}
+				banner = $('<button type="button" class="wf-live-traffic-new-hits" aria-live="polite"></button>').on('click', self.showNewHits).appendTo('#wf-live-traffic');
+			}
+			banner.text(count === 1 ? __('1 new hit') : sprintf(__('%s new hits'), count)).toggle(count > 0);
+		};
+
+		$(document).on('visibilitychange', function() {
+			self.scheduleFlush(0);
+		});
+		$(window).on('focus', function() {
+			self.scheduleFlush(0);
+		}).on('scroll', function() {
+			self.scheduleFlush();
+		}).on('wf-live-traffic-reloaded', function() {
+			// Queued hits were for the previous filters.
+			self.clearQueue();
+		});
+	};
+
+	LiveTrafficQueue.FLUSH_INTERVAL = 500;
+	LiveTrafficQueue.MAX_QUEUE = 1000;
+
 	var ListingModel = function(data, groupBy) {
 		var self = this;
 
@@ -466,6 +874,29 @@
 			return desc;
 		});
 
+		self.toExportData = function() {
+			return {
+				id: self.id(),
+				time: new Date(self.ctime() * 1000).toISOString(),
+				IP: self.IP(),
+				type: self.type(),
+				statusCode: self.statusCode(),
+				URL: self.URL(),
+				referer: self.referer(),
+				UA: self.UA(),
+				userID: self.userID(),
+				username: self.username(),
+				action: self.action(),
+				actionDescription: self.actionDescription() || '',
+				firewallAction: self.firewallAction(),
+				isGoogle: self.isGoogle(),
+				blocked: self.blocked(),
+				hitCount: self.hitCount(),
+				actionData: self.actionData() || null,
+				loc: self.loc() || null
+			};
+		};
+
 		self.cssClasses = ko.pureComputed(function() {
 			var classes = 'wf-live-traffic-hit-type';
 			if (self.statusCode() == 403 || self.statusCode() == 503) {
@@ -844,8 +1275,26 @@
 		//
 		// });
 
+		var viewsToolbar = $('<div id="wf-lt-views" class="wf-flex-row">' +
+			'<select class="wf-lt-saved-views" data-bind="options: savedViews, optionsText: \'name\', optionsCaption: savedViewsCaption, value: selectedSavedView"></select>' +
+			'<input type="text" class="wf-input-text wf-lt-view-name" data-bind="textInput: newViewName, event: {keydown: onViewNameKeyDown}" placeholder="' + WFAD.htmlEscape(__('View name')) + '">' +
+			'<a href="#" class="wf-btn wf-btn-default wf-btn-sm" data-bind="click: saveCurrentView, css: {\'wf-disabled\': !newViewName()}" role="button">' + __('Save View') + '</a>' +
+			'<a href="#" class="wf-btn wf-btn-default wf-btn-sm" data-bind="click: deleteSelectedView, visible: selectedSavedView" role="button">' + __('Delete View') + '</a>' +
+			'<a href="#" class="wf-btn wf-btn-default wf-btn-sm" data-bind="click: copyViewLink, text: copyViewLinkText" role="button" aria-live="polite"></a>' +
+			'<a href="#" class="wf-btn wf-btn-default wf-btn-sm" data-bind="click: exportCSV, css: {\'wf-disabled\': !listings().length}" role="button">' + __('Export CSV') + '</a>' +
+			'<a href="#" class="wf-btn wf-btn-default wf-btn-sm" data-bind="click: exportJSON, css: {\'wf-disabled\': !listings().length}" role="button">' + __('Export JSON') + '</a>' +
+			'</div>');
+		var advancedFilters = liveTrafficWrapper.find('#wf-lt-advanced-filters');
+		if (advancedFilters.length) {
+			viewsToolbar.insertBefore(advancedFilters);
+		}
+		else {
+			viewsToolbar.prependTo(liveTrafficWrapper.find('form').first());
+		}
+
 		WFAD.wfLiveTraffic = new LiveTrafficViewModel();
 		ko.applyBindings(WFAD.wfLiveTraffic, liveTrafficWrapper.get(0));
+		WFAD.wfLiveTraffic.applyViewState(WFAD.wfLiveTraffic.getViewStateFromHash(), false);
 		liveTrafficWrapper.find('form').submit();
 		WFAD.mode = 'liveTraffic';
 
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Builds the search index of the static export, for the instant results of the Elementor Pro
+ * search form (see `modules/theme-elements/.../search-index.js` in the `search-form` bundle).
+ *
+ * Reads the pages listed in the sitemap, keeps the text of their `wp-page` document (without the
+ * header and footer templates) and writes `{ version, pages: [{ url, title, text }], terms }`,
+ * where `terms` maps every stem to a flat list of `pageIndex, weight` pairs. Title words weigh
+ * more than body words.
+ *
+ * Tokenization and stemming come from the `search-tokenizer` module of the `search-form` bundle,
+ * the one the frontend `SearchIndex` tokenizes the queries with.
+ *
+ * The exported pages have no search form yet. To use the index, add a Search Form widget to the
+ * header templates (913 and 742) in the editor and export the site again: every search form
+ * then shows instant results, and `/?s=…` URLs open the first one with their query.
+ *
+ * Usage: node tools/build-search-index.js [--root Website] [--sitemap page-sitemap.xml] [--out Website/search-index.json]
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const INDEX_VERSION = 1;
+const TITLE_WEIGHT = 5;
+
+const BUNDLES_DIR = 'wp-content/plugins/elementor-pro/assets/js';
+const TOKENIZER_MODULE = '../modules/theme-elements/assets/js/frontend/utils/search-tokenizer.js';
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+};
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf('--' + name);
+  return -1 !== index && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if ('#' === code[0]) {
+      return String.fromCodePoint('x' === code[1].toLowerCase() ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Inner HTML of the first element whose opening tag matches the pattern, by counting the nested
+ * tags of the same name.
+ *
+ * @param {string} html
+ * @param {RegExp} openingTagPattern Must capture the tag name.
+ * @return {string|null} The inner HTML, null when there's no match.
+ */
+function getElementContent(html, openingTagPattern) {
+  const match = openingTagPattern.exec(html);
+  if (!match) {
+    return null;
+  }
+  const tagName = match[1].toLowerCase();
+  const tagPattern = new RegExp('<(/?)' + tagName + '\\b[^>]*>', 'gi');
+  const start = match.index + match[0].length;
+  let depth = 1;
+  let tag;
+
+  tagPattern.lastIndex = start;
+  while ((tag = tagPattern.exec(html))) {
+    depth += tag[1] ? -1 : 1;
+    if (!depth) {
+      return html.slice(start, tag.index);
+    }
+  }
+
+  return html.slice(start);
+}
+
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    // Block boundaries become spaces, so words of separate elements don't stick together.
+    .replace(/<\/?(p|div|section|li|h[1-6]|br|td|th|tr|article|header|footer|button)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Runs the `search-form` bundle (the readable one, the minified one has numeric module IDs) to
+ * get its tokenizer module.
+ *
+ * @param {string} root
+ * @return {{tokenize: function(string): string[]}} The module exports.
+ */
+function loadTokenizer(root) {
+  const dir = path.join(root, BUNDLES_DIR);
+  const bundle = fs.readdirSync(dir).find((name) => /^search-form\.\w+\.bundle\.js$/.test(name));
+  if (!bundle) {
+    throw new Error('No search-form bundle in ' + dir);
+  }
+  const context = { self: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(dir, bundle), 'utf8'), context, { filename: bundle });
+
+  const [[, modules]] = context.self.webpackChunkelementor_pro;
+  const module = { exports: {} };
+  modules[TOKENIZER_MODULE](module, module.exports);
+
+  return module.exports;
+}
+
+function getPageURLs(sitemapPath) {
+  const xml = fs.readFileSync(sitemapPath, 'utf8');
+  return [...xml.matchAll(/<url>\s*<loc>([^<]+)<\/loc>/g)].map((match) => decodeEntities(match[1].trim()));
+}
+
+function getPageFile(root, url) {
+  const pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  const filePath = path.join(root, pathname);
+  return pathname.endsWith('/') ? path.join(filePath, 'index.html') : filePath;
+}
+
+function readPage(root, url) {
+  const html = fs.readFileSync(getPageFile(root, url), 'utf8');
+  const title = htmlToText((html.match(/<title>([\s\S]*?)<\/title>/i) || [])[1] || '');
+  const content = getElementContent(html, /<(\w+)\b[^>]*data-elementor-type="wp-page"[^>]*>/i)
+    ?? getElementContent(html, /<(body)\b[^>]*>/i)
+    ?? html;
+
+  return { url, title, text: htmlToText(content) };
+}
+
+function addTerms(terms, pageIndex, stems, weight) {
+  stems.forEach((term) => {
+    if (!terms.has(term)) {
+      terms.set(term, new Map());
+    }
+    const pages = terms.get(term);
+    pages.set(pageIndex, (pages.get(pageIndex) || 0) + weight);
+  });
+}
+
+function buildIndex(pages, tokenize) {
+  const terms = new Map();
+
+  pages.forEach((page, pageIndex) => {
+    addTerms(terms, pageIndex, tokenize(page.title), TITLE_WEIGHT);
+    addTerms(terms, pageIndex, tokenize(page.text), 1);
+  });
+
+  const sortedTerms = {};
+  [...terms.keys()].sort().forEach((term) => {
+    sortedTerms[term] = [...terms.get(term)].flat();
+  });
+
+  return { version: INDEX_VERSION, pages, terms: sortedTerms };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const root = path.resolve(getOption(args, 'root', path.join(__dirname, '..', 'Website')));
+  const sitemapPath = path.resolve(root, getOption(args, 'sitemap', 'page-sitemap.xml'));
+  const outPath = path.resolve(getOption(args, 'out', path.join(root, 'search-index.json')));
+  const pages = [];
+
+  getPageURLs(sitemapPath).forEach((url) => {
+    try {
+      pages.push(readPage(root, url));
+    } catch (error) {
+      console.warn('Skipping %s: %s', url, error.message);
+    }
+  });
+
+  const index = buildIndex(pages, loadTokenizer(root).tokenize);
+  fs.writeFileSync(outPath, JSON.stringify(index));
+
+  console.log('Indexed %d pages, %d terms, in %s', pages.length, Object.keys(index.terms).length, outPath);
+}
+
+main();
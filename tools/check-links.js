@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/**
+ * Checks the references of the static export before a deploy.
+ *
+ * Parses every page of `Website/` (the HTML outside `wp-content/` and `wp-includes/`), the sitemaps,
+ * the stylesheets the pages load and the chunk maps of the webpack runtimes (`__webpack_require__.u`),
+ * then reports:
+ * - missing: `src`, `href`, `srcset`, CSS `url()` / `@import`, sitemap entries and webpack chunks
+ *   that don't exist in the tree.
+ * - orphaned: pages that no sitemap lists and no page links to, and `*.bundle.js` chunks that no
+ *   runtime maps any more (left over from a previous build).
+ * - unused: scripts, stylesheets, images, fonts and media that no page loads, directly or through a
+ *   stylesheet or a runtime.
+ *
+ * Exits with 1 when a reference is missing (and with `--strict`, when something is orphaned), so it
+ * can gate deploys.
+ *
+ * Usage: node tools/check-links.js [--root Website] [--origin https://example.com] [--ignore <regexp>] [--unused] [--strict] [--json]
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE_URL = 'http://export.invalid';
+
+// WordPress endpoints that the export doesn't have, but which the pages still advertise.
+const DYNAMIC_PATHS = /^\/(wp-json|wp-admin|wp-login\.php|xmlrpc\.php)(\/|$)|(^|\/)feed\/?$/;
+
+const ASSET_EXTENSIONS = new Set([
+  '.js', '.css',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  '.mp4', '.webm', '.ogg', '.mp3', '.wav', '.pdf',
+]);
+
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data-src', 'data-href'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'imagesrcset'];
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf('--' + name);
+  return -1 !== index && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function hasFlag(args, name) {
+  return args.includes('--' + name);
+}
+
+function walk(dir, root, files) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walk(entryPath, root, files);
+    } else if (entry.isFile()) {
+      files.add(path.relative(root, entryPath).split(path.sep).join('/'));
+    }
+  });
+  return files;
+}
+
+function getLine(text, index) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); -1 !== i && i < index; i = text.indexOf('\n', i + 1)) {
+    line++;
+  }
+  return line;
+}
+
+function decodeAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#x2F;|&#47;/gi, '/')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * The export path a reference points to, relative to the root.
+ *
+ * @param {string} reference As written in the source.
+ * @param {string} sourceFile Path of the referencing file, relative to the root.
+ * @param {Object} options
+ * @return {string|null} Null for external and non-http references.
+ */
+function resolveReference(reference, sourceFile, options) {
+  const value = reference.trim();
+  if (!value || value.startsWith('#') || /^(data|mailto|tel|javascript|blob|about):/i.test(value)) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(value, BASE_URL + '/' + sourceFile);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.origin !== BASE_URL && url.origin !== options.origin) {
+    return null;
+  }
+
+  const pathname = decodeURIComponent(url.pathname);
+  if (DYNAMIC_PATHS.test(pathname) || (options.ignore && options.ignore.test(pathname))) {
+    return null;
+  }
+
+  return pathname.slice(1);
+}
+
+/**
+ * Maps a resolved path to an existing file, the way a static host would (`dir/` serves `dir/index.html`).
+ *
+ * @param {string} target
+ * @param {Set<string>} files
+ * @return {string|null} The file, null when it's missing.
+ */
+function findFile(target, files) {
+  if (files.has(target)) {
+    return target;
+  }
+  const index = (target && !target.endsWith('/') ? target + '/' : target) + 'index.html';
+  return files.has(index) ? index : null;
+}
+
+function getHtmlReferences(html) {
+  const references = [];
+  const add = (value, index) => references.push({ value: decodeAttribute(value), index });
+  const attributePattern = /\s([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+  for (const tag of html.matchAll(/<(?!!--)[a-z][^>]*>/gi)) {
+    for (const attribute of tag[0].matchAll(attributePattern)) {
+      const name = attribute[1].toLowerCase();
+      const value = attribute[3] ?? attribute[4];
+      const index = tag.index + attribute.index;
+
+      if (URL_ATTRIBUTES.includes(name)) {
+        add(value, index);
+      } else if (SRCSET_ATTRIBUTES.includes(name)) {
+        decodeAttribute(value).split(/,\s+/).forEach((candidate) => add(candidate.trim().split(/\s+/)[0], index));
+      } else if ('style' === name) {
+        getCssReferences(decodeAttribute(value)).forEach((reference) => add(reference.value, index));
+      } else if ('data-settings' === name) {
+        getSettingsReferences(decodeAttribute(value)).forEach((reference) => add(reference, index));
+      } else if ('content' === name && /\sproperty\s*=\s*["'](og|twitter):image["']/i.test(tag[0])) {
+        add(value, index);
+      }
+    }
+  }
+
+  for (const style of html.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) {
+    getCssReferences(style[1]).forEach((reference) => add(reference.value, style.index + reference.index));
+  }
+
+  return references;
+}
+
+function getCssReferences(css) {
+  const references = [];
+  const withoutComments = css.replace(/\/\*[\s\S]*?\*\//g, (comment) => ' '.repeat(comment.length));
+
+  for (const match of withoutComments.matchAll(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*))\s*\)/gi)) {
+    references.push({ value: match[1] ?? match[2] ?? match[3], index: match.index });
+  }
+  for (const match of withoutComments.matchAll(/@import\s+(?:"([^"]*)"|'([^']*)')/gi)) {
+    references.push({ value: match[1] ?? match[2], index: match.index });
+  }
+
+  return references;
+}
+
+/**
+ * Media in the Elementor `data-settings` JSON, e.g. the background slideshow gallery.
+ *
+ * @param {string} json
+ * @return {string[]} Site paths.
+ */
+function getSettingsReferences(json) {
+  const references = [];
+  const collect = (value) => {
+    if ('string' === typeof value) {
+      if (/^\/wp-(content|includes)\//.test(value)) {
+        references.push(value);
+      }
+    } else if (value && 'object' === typeof value) {
+      Object.values(value).forEach(collect);
+    }
+  };
+
+  try {
+    collect(JSON.parse(json));
+  } catch (error) {
+    // Not JSON, nothing to check.
+  }
+
+  return references;
+}
+
+/**
+ * Chunk file names from the `__webpack_require__.u` of a runtime, readable or minified:
+ * - `if (chunkId === "popup") return "" + chunkId + ".1f90f6cfd0d44ef28772.bundle.js";`
+ * - `if (chunkId === "form") return "form.efd3434e4ecbe4dd5fc6.bundle.js";`
+ * - `50===e?"popup.085c1727e36940b18f29.bundle.min.js":`
+ * - `if(7130===e)return"869c0bb89d87e0d81450.bundle.min.js"`
+ *
+ * @param {string} js
+ * @return {Array<{value: string, index: number}>} File names, relative to the runtime.
+ */
+function getChunkReferences(js) {
+  const start = js.search(/__webpack_require__\.u\s*=/);
+  if (-1 === start) {
+    return [];
+  }
+  const end = js.indexOf('__webpack_require__.', start + 1);
+  const body = js.slice(start, -1 === end ? undefined : end);
+  const references = [];
+
+  for (const match of body.matchAll(/if \(chunkId === ("([^"]*)"|\d+)\) return (?:"" \+ chunkId \+ )?"([^"]+)";/g)) {
+    const isTemplate = match[0].includes('+ chunkId +');
+    references.push({ value: isTemplate ? (match[2] ?? match[1]) + match[3] : match[3], index: start + match.index });
+  }
+  for (const match of body.matchAll(/(?:\d+|"[^"]*")===\w\)?(?:\?|return)"([^"]+)"/g)) {
+    references.push({ value: match[1], index: start + match.index });
+  }
+
+  return references;
+}
+
+function getSitemapReferences(xml) {
+  return [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)].map((match) => ({ value: decodeAttribute(match[1]), index: match.index }));
+}
+
+function isPage(file) {
+  return file.endsWith('.html') && !/^wp-(content|includes)\//.test(file);
+}
+
+function check(root, options) {
+  const files = walk(root, root, new Set());
+  const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+  const report = { missing: [], orphaned: [], unused: [] };
+  const used = new Set();
+  const linkedPages = new Set();
+  const parsed = new Set();
+  // The runtime is either its own file (`webpack.runtime.js`) or inlined in an entry (`editor.js`, `app.js`).
+  const runtimes = [...files].filter((file) => file.endsWith('.js') && /__webpack_require__\.u\s*=/.test(read(file)));
+  const mappedChunks = new Set();
+
+  const addReferences = (sourceFile, text, references, onFound) => {
+    references.forEach((reference) => {
+      const target = resolveReference(reference.value, sourceFile, options);
+      if (null === target) {
+        return;
+      }
+      const file = findFile(target, files);
+      if (!file) {
+        report.missing.push({ reference: reference.value, target: '/' + target, source: sourceFile + ':' + getLine(text, reference.index) });
+        return;
+      }
+      onFound(file);
+    });
+  };
+
+  const visit = (file) => {
+    used.add(file);
+    if (parsed.has(file)) {
+      return;
+    }
+    parsed.add(file);
+
+    if (file.endsWith('.css')) {
+      const css = read(file);
+      addReferences(file, css, getCssReferences(css), visit);
+    }
+  };
+
+  const visitPageReference = (file) => {
+    if (isPage(file)) {
+      linkedPages.add(file);
+    } else {
+      visit(file);
+    }
+  };
+
+  [...files].filter((file) => /sitemap[^/]*\.xml$/.test(file)).forEach((sitemap) => {
+    const xml = read(sitemap);
+    used.add(sitemap);
+    addReferences(sitemap, xml, getSitemapReferences(xml), visitPageReference);
+  });
+
+  [...files].filter(isPage).forEach((page) => {
+    const html = read(page);
+    addReferences(page, html, getHtmlReferences(html), visitPageReference);
+  });
+
+  // Chunks are loaded on demand, whatever runtime a page ends up with (`SCRIPT_DEBUG` switches to the readable one).
+  runtimes.forEach((runtime) => {
+    const js = read(runtime);
+    addReferences(runtime, js, getChunkReferences(js), (file) => {
+      mappedChunks.add(file);
+      if (used.has(runtime)) {
+        visit(file);
+      }
+    });
+  });
+
+  files.forEach((file) => {
+    if (isPage(file)) {
+      if (!linkedPages.has(file) && 'index.html' !== file) {
+        report.orphaned.push({ file: '/' + file, reason: 'page not in a sitemap and not linked' });
+      }
+    } else if (/\.bundle(\.min)?\.js$/.test(file) && runtimes.some((runtime) => path.dirname(runtime) === path.dirname(file)) && !mappedChunks.has(file)) {
+      report.orphaned.push({ file: '/' + file, reason: 'chunk not in any webpack runtime' });
+    } else if (!used.has(file) && ASSET_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+      report.unused.push({ file: '/' + file });
+    }
+  });
+
+  return report;
+}
+
+function printReport(report, options) {
+  report.missing.forEach((item) => console.log('MISSING   %s  (%s in %s)', item.target, item.reference, item.source));
+  report.orphaned.forEach((item) => console.log('ORPHANED  %s  (%s)', item.file, item.reason));
+
+  if (options.listUnused) {
+    report.unused.forEach((item) => console.log('UNUSED    %s', item.file));
+  }
+
+  console.log('\n%d missing, %d orphaned, %d unused%s', report.missing.length, report.orphaned.length, report.unused.length,
+    report.unused.length && !options.listUnused ? ' (list them with --unused)' : '');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const root = path.resolve(getOption(args, 'root', path.join(__dirname, '..', 'Website')));
+  const ignore = getOption(args, 'ignore', null);
+  const options = {
+    origin: getOption(args, 'origin', null)?.replace(/\/+$/, ''),
+    ignore: ignore ? new RegExp(ignore) : null,
+    listUnused: hasFlag(args, 'unused'),
+  };
+
+  const report = check(root, options);
+
+  if (hasFlag(args, 'json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, options);
+  }
+
+  if (report.missing.length || (hasFlag(args, 'strict') && report.orphaned.length)) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for `/wp-admin/admin-ajax.php`, to try the Elementor Pro forms against the
+ * static export without WordPress. Chunked uploads need `chunkedUploads: true` in
+ * `elementorProFrontend.config.forms`.
+ *
+ * Serves `Website/` and answers:
+ * - `elementor_pro_forms_upload_chunk`: stores the chunks of an upload and returns a token
+ *   once the last chunk arrives (see `handlers/fields/upload.js` for the protocol).
+ * - `elementor_pro_forms_send_form`: logs the submission and reports success. The submitted
+ *   fields are only logged with `--verbose`, as they hold whatever the visitor typed.
+ *
+ * Usage: node tools/form-upload-server.js [--port 8080] [--root Website] [--uploads /tmp/form-uploads] [--verbose]
+ */
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+};
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf('--' + name);
+  return -1 !== index && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function hasFlag(args, name) {
+  return args.includes('--' + name);
+}
+
+/**
+ * Minimal multipart/form-data parser, enough for the FormData the forms send.
+ *
+ * @param {Buffer} body
+ * @param {string} boundary
+ * @return {{fields: Object, files: Object}} Text fields and file parts by name.
+ */
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const files = {};
+  const delimiter = Buffer.from('--' + boundary);
+  let start = body.indexOf(delimiter);
+
+  while (-1 !== start) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (-1 === next) {
+      break;
+    }
+    // Skip the CRLF after the delimiter and drop the CRLF before the next one.
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (-1 !== headerEnd) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const content = part.subarray(headerEnd + 4);
+      const name = (headers.match(/name="([^"]*)"/) || [])[1];
+      const filename = (headers.match(/filename="([^"]*)"/) || [])[1];
+      if (undefined !== filename) {
+        files[name] = { filename, content };
+      } else if (name) {
+        fields[name] = undefined === fields[name] ? content.toString() : [].concat(fields[name], content.toString());
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+function parseBody(req, body) {
+  const type = req.headers['content-type'] || '';
+  const boundary = (type.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+
+  if (boundary) {
+    return parseMultipart(body, boundary);
+  }
+
+  return { fields: Object.fromEntries(new URLSearchParams(body.toString())), files: {} };
+}
+
+function sendJson(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Thrown for a request the endpoint can't act on, answered with a 400.
+ */
+class BadRequestError extends Error {}
+
+function parseCount(value) {
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+function createUploadHandler(uploadsDir) {
+  const uploads = new Map();
+
+  return ({ fields, files }) => {
+    const uploadId = String(fields.upload_id || '').replace(/[^\w-]/g, '');
+    if (!uploadId) {
+      throw new BadRequestError('Missing upload_id.');
+    }
+
+    const partPath = path.join(uploadsDir, uploadId + '.part');
+
+    if (fields.cancel) {
+      uploads.delete(uploadId);
+      fs.rmSync(partPath, { force: true });
+      return { success: true, data: {} };
+    }
+
+    const chunkIndex = parseCount(fields.chunk_index);
+    const chunkCount = parseCount(fields.chunk_count);
+    const upload = uploads.get(uploadId) || { nextChunk: 0, chunkCount };
+
+    if (!(chunkCount >= 1) || !(chunkIndex < chunkCount) || chunkCount !== upload.chunkCount) {
+      throw new BadRequestError('Invalid chunk_index or chunk_count.');
+    }
+    if (!files.chunk) {
+      throw new BadRequestError('Missing chunk.');
+    }
+
+    // Chunks are idempotent: an already stored chunk is acknowledged, a gap asks for the missing one.
+    if (chunkIndex === upload.nextChunk) {
+      fs.appendFileSync(partPath, files.chunk.content);
+      upload.nextChunk++;
+    }
+    uploads.set(uploadId, upload);
+
+    if (upload.nextChunk < chunkCount) {
+      return { success: true, data: { next_chunk: upload.nextChunk } };
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const fileName = path.basename(String(fields.file_name || 'upload'));
+    fs.renameSync(partPath, path.join(uploadsDir, token + '-' + fileName));
+    uploads.delete(uploadId);
+
+    return { success: true, data: { token } };
+  };
+}
+
+function serveStatic(root, req, res) {
+  const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  let filePath = path.join(root, path.normalize(pathname).replace(/^(\.\.[/\\])+/, ''));
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+
+  if (!filePath.startsWith(root) || !fs.existsSync(filePath)) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(getOption(args, 'port', '8080'), 10);
+  const root = path.resolve(getOption(args, 'root', path.join(__dirname, '..', 'Website')));
+  const uploadsDir = path.resolve(getOption(args, 'uploads', path.join(os.tmpdir(), 'form-uploads')));
+  const verbose = hasFlag(args, 'verbose');
+
+  fs.mkdirSync(uploadsDir, { recursive: true });
+
+  const handleUploadChunk = createUploadHandler(uploadsDir);
+
+  http.createServer((req, res) => {
+    if ('POST' !== req.method || !req.url.startsWith('/wp-admin/admin-ajax.php')) {
+      serveStatic(root, req, res);
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = parseBody(req, Buffer.concat(chunks));
+
+      switch (body.fields.action) {
+        case 'elementor_pro_forms_upload_chunk':
+          try {
+            sendJson(res, handleUploadChunk(body));
+          } catch (error) {
+            if (!(error instanceof BadRequestError)) {
+              throw error;
+            }
+            sendJson(res, { success: false, data: { message: error.message } }, 400);
+          }
+          break;
+        case 'elementor_pro_forms_send_form':
+          if (verbose) {
+            console.log('Form %s submitted:', body.fields.form_id, body.fields);
+          } else {
+            console.log('Form %s submitted', body.fields.form_id);
+          }
+          sendJson(res, { success: true, data: { message: 'The form was sent successfully.', data: [] } });
+          break;
+        default:
+          sendJson(res, { success: false, data: { message: 'Unknown action.' } });
+      }
+    });
+  }).listen(port, () => {
+    console.log('Serving %s on http://localhost:%d, uploads in %s', root, port, uploadsDir);
+  });
+}
+
+main();
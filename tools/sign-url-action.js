@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Signs Elementor URL action hashes (`#elementor-action:…`), for links shared outside the page
+ * that run actions which aren't allowed unsigned, e.g. `popup:open`.
+ *
+ * Signatures are ECDSA P-256 with SHA-256. The private key stays here, the pages only get the
+ * public key as `urlActions: { publicKey, requireSignature }` in `elementorFrontendConfig`.
+ *
+ * Usage:
+ *   node tools/sign-url-action.js --generate-key private-key.pem
+ *     Writes a new private key and prints the `publicKey` for the config.
+ *   node tools/sign-url-action.js --key private-key.pem <action> ['<settings JSON>']
+ *     Prints the signed hash, e.g. `popup:open '{"id":"123"}'`.
+ */
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf('--' + name);
+  return -1 !== index && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function generateKey(keyPath) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * Same format as `createActionHash()` of the frontend `url-actions.js`, plus the signature of the
+ * `action=…&settings=…` part in the IEEE P1363 (`r || s`) format WebCrypto verifies.
+ *
+ * @param {string} keyPath
+ * @param {string} action
+ * @param {Object} settings
+ * @return {string} The encoded hash.
+ */
+function signAction(keyPath, action, settings) {
+  // Latin-1, like the `btoa()` the frontend decodes the settings with.
+  const signedData = `action=${action}&settings=${Buffer.from(JSON.stringify(settings), 'latin1').toString('base64')}`;
+  const signature = crypto.sign('sha256', Buffer.from(signedData), {
+    key: fs.readFileSync(keyPath),
+    dsaEncoding: 'ieee-p1363',
+  });
+
+  return encodeURIComponent(`#elementor-action:${signedData}&signature=${signature.toString('hex')}`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const newKeyPath = getOption(args, 'generate-key', null);
+  const keyPath = getOption(args, 'key', null);
+  const [action, settings = '{}'] = args.filter((arg, index) => !arg.startsWith('--') && !(args[index - 1] || '').startsWith('--'));
+
+  if (newKeyPath) {
+    console.log(generateKey(newKeyPath));
+    return;
+  }
+
+  if (!keyPath || !action) {
+    console.error('Usage: node tools/sign-url-action.js --key private-key.pem <action> [\'<settings JSON>\']');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(signAction(keyPath, action, JSON.parse(settings)));
+}
+
+main();